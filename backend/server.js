@@ -1,24 +1,61 @@
+// Load .env before the services, which read their settings when imported
+import 'dotenv/config'
 import express from 'express'
 import cors from 'cors'
 import jwt from 'jsonwebtoken'
 import multer from 'multer'
-import { config } from 'dotenv'
-
-config()
+import { ethers } from 'ethers'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import siweService, { SiweError } from './services/siweService.js'
+import documentRegistry, { RegistryError } from './services/documentRegistry.js'
+import uploadService, { UPLOAD_CONFIG, isAllowedType } from './services/uploadService.js'
+import activityLog, { ActivityError, CLIENT_EVENT_TYPES, EVENT_TYPES } from './services/activityLog.js'
+import chatIndex from './services/chatIndex.js'
+import chatService from './services/chatService.js'
+import keyStore, { KeyStoreError } from './services/keyStore.js'
+import chainIndexer, { CHAIN_EVENT_TYPES } from './services/chainIndexer.js'
+import contentService, { ContentError } from './services/contentService.js'
 
 const app = express()
 const PORT = process.env.PORT || 5000
 
 // Middleware
 app.use(cors())
-app.use(express.json())
+// Large enough for extracted document text sent to the chat index
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }))
 
 // JWT Secret (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'securex-dev-secret'
 
 // File upload configuration
 const storage = multer.memoryStorage()
-const upload = multer({ storage })
+const upload = multer({
+  storage,
+  limits: { fileSize: UPLOAD_CONFIG.maxFileSize, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!isAllowedType(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file')
+      error.message = `File type ${file.mimetype} is not allowed`
+      return cb(error)
+    }
+    cb(null, true)
+  }
+})
+
+// Run multer and turn its limit errors into 4xx responses
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 415
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds the ${UPLOAD_CONFIG.maxFileSize} byte limit`
+        : err.message
+      return res.status(status).json({ error: message })
+    }
+    next(err)
+  })
+}
 
 // Authentication middleware
 const authenticateToken = (req, res, next) => {
@@ -31,7 +68,7 @@ const authenticateToken = (req, res, next) => {
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
     if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' })
+      return res.status(401).json({ error: 'Invalid or expired token' })
     }
     req.user = user
     next()
@@ -43,34 +80,75 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'SecureX Backend is running!' })
 })
 
-// Authentication endpoint
+// Resolve the domain/URI the sign-in message is bound to
+const getSiweOrigin = (req) => {
+  const origin = process.env.SIWE_URI || req.headers.origin || `${req.protocol}://${req.get('host')}`
+  const domain = process.env.SIWE_DOMAIN || new URL(origin).host
+  return { domain, uri: origin }
+}
+
+// Issue a SIWE challenge for a wallet
+app.post('/api/auth/nonce', (req, res) => {
+  try {
+    const { walletAddress, chainId } = req.body
+
+    if (!walletAddress || !ethers.isAddress(walletAddress)) {
+      return res.status(400).json({ error: 'Valid wallet address required' })
+    }
+
+    const challenge = siweService.createChallenge({
+      address: walletAddress,
+      chainId,
+      ...getSiweOrigin(req)
+    })
+
+    res.json(challenge)
+  } catch (error) {
+    console.error('Nonce error:', error)
+    res.status(500).json({ error: 'Failed to create sign-in challenge' })
+  }
+})
+
+// Authentication endpoint - exchanges a signed SIWE message for a JWT
 app.post('/api/auth', async (req, res) => {
   try {
-    const { walletAddress, signature } = req.body
-    
-    // In production, verify the signature properly
-    if (!walletAddress) {
-      return res.status(400).json({ error: 'Wallet address required' })
+    const { message, signature } = req.body
+
+    if (!message || !signature) {
+      return res.status(400).json({ error: 'Signed message and signature required' })
     }
 
+    const { walletAddress, chainId } = siweService.verify(message, signature)
+
     const token = jwt.sign(
-      { walletAddress, timestamp: Date.now() },
+      { walletAddress, chainId, timestamp: Date.now() },
       JWT_SECRET,
-      { expiresIn: '24h' }
+      { subject: walletAddress, expiresIn: '24h' }
     )
 
+    activityLog.record({
+      type: 'login',
+      actor: walletAddress,
+      client: activityLog.clientFromRequest(req),
+      metadata: { chainId }
+    })
+
     res.json({ 
       token, 
       walletAddress,
       message: 'Authentication successful' 
     })
   } catch (error) {
+    if (error instanceof SiweError) {
+      return res.status(401).json({ error: error.message })
+    }
+    console.error('Authentication error:', error)
     res.status(500).json({ error: 'Authentication failed' })
   }
 })
 
-// Upload endpoint (placeholder for IPFS integration)
-app.post('/api/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// Upload endpoint - imports the file as a UnixFS DAG and records it
+app.post('/api/upload', authenticateToken, receiveFile, async (req, res) => {
   try {
     const { file } = req
     const { walletAddress } = req.user
@@ -79,109 +157,687 @@ app.post('/api/upload', authenticateToken, upload.single('file'), async (req, re
       return res.status(400).json({ error: 'No file provided' })
     }
 
-    // TODO: Implement IPFS upload
-    const mockIPFSHash = `Qm${Math.random().toString(36).substring(2, 15)}`
-    const mockTxHash = `0x${Math.random().toString(16).substring(2, 66)}`
+    if (req.body.versionOf) {
+      const target = documentRegistry.getDocument(req.body.versionOf)
+      if (!target) {
+        return res.status(404).json({ error: 'Document not found' })
+      }
+      if (target.uploader !== walletAddress) {
+        return res.status(403).json({ error: 'Not the document owner' })
+      }
+      if (target.archived) {
+        return res.status(409).json({ error: 'Unarchive the document before adding versions' })
+      }
+    }
+
+    const { cid, blocks, document } = await uploadService.uploadFile(file, walletAddress, req.body)
+
+    activityLog.record({
+      type: 'upload',
+      actor: walletAddress,
+      document,
+      transactionHash: document.transactionHash,
+      client: activityLog.clientFromRequest(req),
+      metadata: { blocks, source: 'backend', version: document.version }
+    })
 
-    // In production, upload to IPFS and store transaction on blockchain
-    const response = {
+    res.json({
       success: true,
-      fileName: file.originalname,
+      fileName: document.fileName,
       fileSize: file.size,
-      ipfsHash: mockIPFSHash,
-      transactionHash: mockTxHash,
+      ipfsHash: cid,
+      blocks,
+      // The client registers the CID on chain and reports the tx hash back
+      transactionHash: document.transactionHash,
       uploader: walletAddress,
-      timestamp: new Date().toISOString()
-    }
-
-    res.json(response)
+      timestamp: document.uploadDate,
+      document
+    })
   } catch (error) {
+    if (error instanceof RegistryError) {
+      return res.status(error.status).json({ error: error.message })
+    }
     console.error('Upload error:', error)
     res.status(500).json({ error: 'Upload failed' })
   }
 })
 
-// Get user documents
+const RAW_TYPE = 'application/vnd.ipld.raw'
+const CAR_TYPE = 'application/vnd.ipld.car'
+
+// Stored content by CID, as a trustless gateway: ?format=raw (or that Accept
+// type) for one block, ?format=car for the whole DAG, otherwise the file
+// itself. Public like any IPFS gateway; encrypted documents are stored as
+// ciphertext, and clients verify what they get against the CID.
+app.get('/api/ipfs/:cid', async (req, res) => {
+  try {
+    const cid = contentService.parseCid(req.params.cid)
+    const accept = req.get('accept') || ''
+    const format = req.query.format || (accept.includes(CAR_TYPE) ? 'car' : accept.includes(RAW_TYPE) ? 'raw' : 'file')
+    if (!['raw', 'car', 'file'].includes(format)) {
+      return res.status(400).json({ error: 'format must be raw or car' })
+    }
+
+    res.set('Cache-Control', 'public, max-age=29030400, immutable')
+    res.set('X-Content-Type-Options', 'nosniff')
+    if (format === 'raw') {
+      return res.type(RAW_TYPE).send(await contentService.getBlock(cid))
+    }
+
+    res.type(format === 'car' ? CAR_TYPE : 'application/octet-stream')
+    const parts = await contentService.open(format === 'car' ? contentService.car(cid) : contentService.file(cid))
+    await pipeline(Readable.from(parts), res)
+  } catch (error) {
+    if (res.headersSent) {
+      console.error('Content stream error:', error)
+      return res.destroy()
+    }
+    res.removeHeader('Cache-Control')
+    if (error instanceof ContentError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Content error:', error)
+    res.status(500).json({ error: 'Failed to read content' })
+  }
+})
+
+// Whether a wallet was granted a document: the latest on-chain grant of any of
+// its versions when the indexer has one, else an unexpired key the document's
+// uploader shared
+const hasActiveGrant = (document, wallet) => {
+  const cids = (document.versions || [document]).map(version => version.ipfsHash)
+  for (const cid of cids) {
+    const grant = chainIndexer.grant(cid, wallet, document.uploader)
+    if (grant) return grant.active
+  }
+  return cids.some(cid => {
+    const key = keyStore.getDocumentKey(cid, wallet, { owner: document.uploader })
+    return Boolean(key) && !keyStore.isExpired(key)
+  })
+}
+
+// List documents - defaults to the caller's own documents; another
+// uploader's are limited to those shared with the caller
 app.get('/api/documents', authenticateToken, (req, res) => {
   try {
+    const { uploader, type, from, to, archived, sortBy, order, page, limit } = req.query
     const { walletAddress } = req.user
-    
-    // Mock data - in production, fetch from database
-    const documents = [
-      {
-        id: 1,
-        name: 'Project Whitepaper.pdf',
-        ipfsHash: 'QmXyZ123abc456def789',
-        transactionHash: '0x1234567890abcdef1234567890abcdef12345678',
-        uploadDate: '2024-01-15T14:30:25Z',
-        fileSize: 2458624,
-        uploader: walletAddress,
-        views: 45
-      },
-      {
-        id: 2,
-        name: 'Smart Contract Audit.pdf',
-        ipfsHash: 'QmAbc456def789xyz123',
-        transactionHash: '0xabcdef1234567890abcdef1234567890abcdef12',
-        uploadDate: '2024-01-14T13:45:12Z',
-        fileSize: 1888256,
-        uploader: walletAddress,
-        views: 23
-      }
-    ]
 
-    res.json({ documents })
+    if (uploader && !ethers.isAddress(uploader)) {
+      return res.status(400).json({ error: 'Invalid uploader address' })
+    }
+    const owner = uploader ? ethers.getAddress(uploader) : walletAddress
+
+    const result = documentRegistry.listDocuments({
+      uploader: owner,
+      include: owner === walletAddress ? null : document => hasActiveGrant(document, walletAddress),
+      type,
+      from,
+      to,
+      archived,
+      sortBy,
+      order,
+      page,
+      limit
+    })
+
+    res.json(result)
   } catch (error) {
+    if (error instanceof RegistryError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Document list error:', error)
     res.status(500).json({ error: 'Failed to fetch documents' })
   }
 })
 
-// Get activity logs
-app.get('/api/activity', authenticateToken, (req, res) => {
+// Register a document uploaded from the client
+app.post('/api/documents', authenticateToken, (req, res) => {
   try {
+    const { fileName, ipfsHash } = req.body
     const { walletAddress } = req.user
-    
-    // Mock activity data
-    const activities = [
-      {
-        id: 1,
-        action: 'Document Uploaded',
-        document: 'project_overview.pdf',
-        transactionHash: '0x1234567890abcdef1234567890abcdef12345678',
-        timestamp: '2024-01-15T14:30:25Z',
-        user: walletAddress
-      },
-      {
-        id: 2,
-        action: 'File Accessed',
-        document: 'whitepaper.pdf',
-        transactionHash: '0xabcdef1234567890abcdef1234567890abcdef12',
-        timestamp: '2024-01-15T13:45:12Z',
-        user: walletAddress
-      }
-    ]
 
-    res.json({ activities })
+    if (!fileName || !ipfsHash) {
+      return res.status(400).json({ error: 'fileName and ipfsHash are required' })
+    }
+
+    // Registering the same CID twice returns the existing record
+    const existing = documentRegistry.findByHash(ipfsHash, walletAddress)
+    if (existing) {
+      return res.json({ document: existing })
+    }
+
+    const document = documentRegistry.createDocument({ ...req.body, uploader: walletAddress })
+
+    activityLog.record({
+      type: 'upload',
+      actor: walletAddress,
+      document,
+      transactionHash: document.transactionHash,
+      client: activityLog.clientFromRequest(req),
+      metadata: { source: 'client' }
+    })
+
+    res.status(201).json({ document })
   } catch (error) {
+    if (error instanceof RegistryError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Document register error:', error)
+    res.status(500).json({ error: 'Failed to register document' })
+  }
+})
+
+// Resolve a document and check the caller owns it
+const loadOwnedDocument = (req, res) => {
+  const document = documentRegistry.getDocument(req.params.id)
+  if (!document) {
+    res.status(404).json({ error: 'Document not found' })
+    return null
+  }
+  if (document.uploader !== req.user.walletAddress) {
+    res.status(403).json({ error: 'Not the document owner' })
+    return null
+  }
+  return document
+}
+
+app.get('/api/documents/:id', authenticateToken, (req, res) => {
+  const document = documentRegistry.getDocument(req.params.id)
+  if (!document) {
+    return res.status(404).json({ error: 'Document not found' })
+  }
+  if (document.uploader !== req.user.walletAddress && !hasActiveGrant(document, req.user.walletAddress)) {
+    return res.status(403).json({ error: 'This document has not been shared with you' })
+  }
+  res.json({ document })
+})
+
+app.patch('/api/documents/:id', authenticateToken, (req, res) => {
+  try {
+    if (!loadOwnedDocument(req, res)) return
+    const document = documentRegistry.updateDocument(req.params.id, req.body)
+    res.json({ document })
+  } catch (error) {
+    if (error instanceof RegistryError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Document update error:', error)
+    res.status(500).json({ error: 'Failed to update document' })
+  }
+})
+
+// Register a new CID as the next version of a document
+app.post('/api/documents/:id/versions', authenticateToken, (req, res) => {
+  try {
+    const owned = loadOwnedDocument(req, res)
+    if (!owned) return
+
+    const { ipfsHash, fileSize, type, encrypted, transactionHash, version } = req.body
+    if (!ipfsHash) {
+      return res.status(400).json({ error: 'ipfsHash is required' })
+    }
+    if (owned.archived) {
+      return res.status(409).json({ error: 'Unarchive the document before adding versions' })
+    }
+
+    // The registry mutates the record in place, so note the version first
+    const previousVersion = owned.version || 1
+    const document = documentRegistry.addVersion(req.params.id, { ipfsHash, fileSize, type, encrypted, transactionHash, version })
+
+    // Backend uploads already logged this version; only new ones are recorded
+    if (document.version !== previousVersion) {
+      activityLog.record({
+        type: 'upload',
+        actor: req.user.walletAddress,
+        document,
+        transactionHash,
+        client: activityLog.clientFromRequest(req),
+        metadata: { source: 'client', version: document.version }
+      })
+    }
+
+    res.status(201).json({ document })
+  } catch (error) {
+    if (error instanceof RegistryError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Document version error:', error)
+    res.status(500).json({ error: 'Failed to register version' })
+  }
+})
+
+// Archive or unarchive a document. The client deactivates it on chain first
+// and reports the transaction hash.
+const setArchived = (archived) => (req, res) => {
+  try {
+    const owned = loadOwnedDocument(req, res)
+    if (!owned) return
+    if (Boolean(owned.archived) === archived) {
+      return res.json({ document: owned })
+    }
+
+    const document = documentRegistry.setArchived(req.params.id, archived)
+    activityLog.record({
+      type: archived ? 'archive' : 'unarchive',
+      actor: req.user.walletAddress,
+      document,
+      transactionHash: req.body?.transactionHash || null,
+      client: activityLog.clientFromRequest(req)
+    })
+    res.json({ document })
+  } catch (error) {
+    console.error('Document archive error:', error)
+    res.status(500).json({ error: `Failed to ${archived ? 'archive' : 'unarchive'} document` })
+  }
+}
+
+app.post('/api/documents/:id/archive', authenticateToken, setArchived(true))
+app.delete('/api/documents/:id/archive', authenticateToken, setArchived(false))
+
+app.delete('/api/documents/:id', authenticateToken, (req, res) => {
+  try {
+    const document = loadOwnedDocument(req, res)
+    if (!document) return
+    documentRegistry.removeDocument(req.params.id)
+
+    activityLog.record({
+      type: 'delete',
+      actor: req.user.walletAddress,
+      document,
+      transactionHash: req.body?.transactionHash || null,
+      client: activityLog.clientFromRequest(req)
+    })
+    res.json({ success: true })
+  } catch (error) {
+    console.error('Document delete error:', error)
+    res.status(500).json({ error: 'Failed to delete document' })
+  }
+})
+
+// Parse the shared activity query filters
+const activityFilters = (req) => {
+  const { type, documentId, actor, from, to } = req.query
+  return {
+    wallet: req.user.walletAddress,
+    types: type ? type.split(',').filter(t => EVENT_TYPES.includes(t)) : undefined,
+    documentId,
+    actor: actor && ethers.isAddress(actor) ? ethers.getAddress(actor) : undefined,
+    from,
+    to
+  }
+}
+
+// Get activity logs - the caller's actions and actions on their documents
+app.get('/api/activity', authenticateToken, (req, res) => {
+  try {
+    const { cursor, limit } = req.query
+    res.json(activityLog.query({ ...activityFilters(req), cursor, limit }))
+  } catch (error) {
+    if (error instanceof ActivityError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Activity query error:', error)
     res.status(500).json({ error: 'Failed to fetch activity logs' })
   }
 })
 
-// AI Chat endpoint (placeholder)
+// Export activity logs as CSV or JSON
+app.get('/api/activity/export', authenticateToken, (req, res) => {
+  try {
+    const events = activityLog.filter(activityFilters(req)).slice().reverse()
+    const format = req.query.format === 'csv' ? 'csv' : 'json'
+    const fileName = `securex-activity-${new Date().toISOString().slice(0, 10)}.${format}`
+
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`)
+    if (format === 'csv') {
+      res.type('text/csv').send(activityLog.toCsv(events))
+    } else {
+      res.json({ activities: events, exportedAt: new Date().toISOString() })
+    }
+  } catch (error) {
+    if (error instanceof ActivityError) {
+      return res.status(error.status).json({ error: error.message })
+    }
+    console.error('Activity export error:', error)
+    res.status(500).json({ error: 'Failed to export activity logs' })
+  }
+})
+
+const OWNER_EVENT_TYPES = ['share', 'revoke']
+
+// Record a client-side event (view, download, share, revoke)
+app.post('/api/activity', authenticateToken, (req, res) => {
+  try {
+    const { type, documentId, ipfsHash, transactionHash, metadata } = req.body
+
+    if (!CLIENT_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of ${CLIENT_EVENT_TYPES.join(', ')}` })
+    }
+
+    const { walletAddress } = req.user
+    const document = documentId
+      ? documentRegistry.getDocument(documentId)
+      : ipfsHash ? documentRegistry.findByHash(ipfsHash, walletAddress) || documentRegistry.findByHash(ipfsHash) : null
+
+    if (!document) {
+      return res.status(404).json({ error: 'Document not found' })
+    }
+
+    // Events land in the owner's log, so only the owner reports shares and
+    // revocations, and only wallets that can read the document report views
+    const isOwner = document.uploader === walletAddress
+    if (!isOwner && (OWNER_EVENT_TYPES.includes(type) || !hasActiveGrant(document, walletAddress))) {
+      return res.status(403).json({ error: `Not allowed to record ${type} events for this document` })
+    }
+
+    const activity = activityLog.record({
+      type,
+      actor: walletAddress,
+      document,
+      transactionHash,
+      client: activityLog.clientFromRequest(req),
+      metadata: metadata && typeof metadata === 'object' ? metadata : {}
+    })
+
+    res.status(201).json({ activity })
+  } catch (error) {
+    console.error('Activity record error:', error)
+    res.status(500).json({ error: 'Failed to record activity' })
+  }
+})
+
+// Indexer progress; public, like the chain it reads
+app.get('/api/chain/status', (req, res) => {
+  res.json(chainIndexer.status())
+})
+
+// Indexed contract events involving the caller
+app.get('/api/chain/events', authenticateToken, (req, res) => {
+  try {
+    const { type, documentId, actor, from, to, cursor, limit } = req.query
+    res.json(chainIndexer.query({
+      wallet: req.user.walletAddress,
+      types: type ? type.split(',').filter(t => CHAIN_EVENT_TYPES.includes(t)) : undefined,
+      documentId: documentId !== undefined ? Number(documentId) : undefined,
+      actor: actor && ethers.isAddress(actor) ? ethers.getAddress(actor) : undefined,
+      from,
+      to,
+      cursor,
+      limit
+    }))
+  } catch (error) {
+    console.error('Chain events query error:', error)
+    res.status(500).json({ error: 'Failed to fetch chain events' })
+  }
+})
+
+// Daily and hourly event counts for the caller's charts
+app.get('/api/chain/stats', authenticateToken, (req, res) => {
+  try {
+    const { days, timezoneOffset } = req.query
+    res.json(chainIndexer.stats({ wallet: req.user.walletAddress, days, timezoneOffset }))
+  } catch (error) {
+    console.error('Chain stats error:', error)
+    res.status(500).json({ error: 'Failed to compute chain stats' })
+  }
+})
+
+// Indexed registrations of the given CIDs (comma-separated), for verification
+app.get('/api/chain/registrations', (req, res) => {
+  const cids = (req.query.cids || '').split(',').filter(Boolean)
+  if (cids.length === 0) {
+    return res.status(400).json({ error: 'cids is required' })
+  }
+  const { chainId, contract, indexedBlock } = chainIndexer.status()
+  res.json({ chainId, contract, indexedBlock, registrations: chainIndexer.registrations(cids) })
+})
+
+// Turn key store validation errors into 4xx responses
+const handleKeyStoreError = (res, error, fallback) => {
+  if (error instanceof KeyStoreError) {
+    return res.status(error.status).json({ error: error.message })
+  }
+  console.error(`${fallback}:`, error)
+  res.status(500).json({ error: fallback })
+}
+
+// Publish the caller's encryption public key so others can share documents with them
+app.put('/api/keys/me', authenticateToken, (req, res) => {
+  try {
+    const key = keyStore.setPublicKey(req.user.walletAddress, req.body.publicKey)
+    res.json({ address: req.user.walletAddress, ...key })
+  } catch (error) {
+    handleKeyStoreError(res, error, 'Failed to store public key')
+  }
+})
+
+app.get('/api/keys/:address', authenticateToken, (req, res) => {
+  if (!ethers.isAddress(req.params.address)) {
+    return res.status(400).json({ error: 'Valid wallet address required' })
+  }
+  const key = keyStore.getPublicKey(req.params.address)
+  if (!key) {
+    return res.status(404).json({ error: 'No encryption key published for this wallet' })
+  }
+  res.json({ address: ethers.getAddress(req.params.address), ...key })
+})
+
+// Only a CID's owner may share or remove its keys: the wallet that first
+// registered it on chain when the indexer has seen it, else the one that
+// registered it here. Responds and returns false otherwise.
+const checkKeyOwner = (req, res) => {
+  const owner = chainIndexer.ownerOf(req.params.cid) || documentRegistry.ownerOf(req.params.cid)
+  if (!owner) {
+    res.status(404).json({ error: 'Register the document before sharing its key' })
+    return false
+  }
+  if (owner !== req.user.walletAddress) {
+    res.status(403).json({ error: 'Only the document owner can manage its keys' })
+    return false
+  }
+  return true
+}
+
+// Store a document's data key wrapped for a grantee
+app.put('/api/keys/documents/:cid/:recipient', authenticateToken, (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.recipient)) {
+      return res.status(400).json({ error: 'Valid recipient address required' })
+    }
+    if (!checkKeyOwner(req, res)) return
+
+    const key = keyStore.putDocumentKey(req.params.cid, {
+      owner: req.user.walletAddress,
+      recipient: req.params.recipient,
+      envelope: req.body.envelope,
+      expiresAt: req.body.expiresAt
+    })
+    res.json({ envelope: key })
+  } catch (error) {
+    handleKeyStoreError(res, error, 'Failed to store document key')
+  }
+})
+
+// The caller's wrapped data key for a document, while their grant lasts. The
+// expiry stored with the key is checked, and the on-chain grant when the
+// indexer has seen it, since that can be revoked or renewed later.
+app.get('/api/keys/documents/:cid', authenticateToken, (req, res) => {
+  const envelope = keyStore.getDocumentKey(req.params.cid, req.user.walletAddress)
+  if (!envelope) {
+    return res.status(404).json({ error: 'No key has been shared with this wallet' })
+  }
+  const grant = chainIndexer.grant(req.params.cid, req.user.walletAddress)
+  if (grant ? !grant.active : keyStore.isExpired(envelope)) {
+    return res.status(403).json({ error: 'Your access to this document has expired or been revoked' })
+  }
+  res.json({ envelope })
+})
+
+app.delete('/api/keys/documents/:cid/:recipient', authenticateToken, (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.recipient)) {
+      return res.status(400).json({ error: 'Valid recipient address required' })
+    }
+    if (!checkKeyOwner(req, res)) return
+    const removed = keyStore.removeDocumentKey(req.params.cid, {
+      owner: req.user.walletAddress,
+      recipient: req.params.recipient
+    })
+    if (!removed) {
+      return res.status(404).json({ error: 'No key stored for this recipient' })
+    }
+    res.json({ success: true })
+  } catch (error) {
+    handleKeyStoreError(res, error, 'Failed to remove document key')
+  }
+})
+
+// Index a document's extracted text for chat retrieval
+app.post('/api/chat/documents', authenticateToken, (req, res) => {
+  try {
+    const { documentId, fileName, text, pages } = req.body
+
+    if (!documentId || typeof documentId !== 'string') {
+      return res.status(400).json({ error: 'documentId is required' })
+    }
+    if ((text != null && typeof text !== 'string') || (fileName != null && typeof fileName !== 'string')) {
+      return res.status(400).json({ error: 'text and fileName must be strings' })
+    }
+    const isPage = (page) => Boolean(page) && typeof page === 'object' &&
+      Number.isFinite(page.pageNumber ?? page.page) && typeof page.text === 'string'
+    if (pages != null && !(Array.isArray(pages) && pages.every(isPage))) {
+      return res.status(400).json({ error: 'pages must be a list of { pageNumber, text }' })
+    }
+    if (!text && !pages?.length) {
+      return res.status(400).json({ error: 'text or pages is required' })
+    }
+
+    const result = chatIndex.ingest(req.user.walletAddress, {
+      documentId,
+      fileName: fileName || documentId,
+      text,
+      pages
+    })
+    res.status(201).json(result)
+  } catch (error) {
+    console.error('Chat ingest error:', error)
+    res.status(500).json({ error: 'Failed to index document' })
+  }
+})
+
+app.get('/api/chat/documents', authenticateToken, (req, res) => {
+  res.json({ documents: chatIndex.listDocuments(req.user.walletAddress) })
+})
+
+app.delete('/api/chat/documents/:documentId', authenticateToken, (req, res) => {
+  if (!chatIndex.removeDocument(req.user.walletAddress, req.params.documentId)) {
+    return res.status(404).json({ error: 'Document not indexed' })
+  }
+  res.json({ success: true })
+})
+
+// Validate a chat request and resolve which indexed documents it covers
+const resolveChatScope = (req, res) => {
+  const { message, documentId, documentIds } = req.body
+
+  if (!message || typeof message !== 'string') {
+    res.status(400).json({ error: 'message is required' })
+    return null
+  }
+
+  const isId = (id) => typeof id === 'string' && id.length > 0
+  if (documentIds != null && !(Array.isArray(documentIds) && documentIds.every(isId))) {
+    res.status(400).json({ error: 'documentIds must be an array of document ids' })
+    return null
+  }
+  if (documentId != null && !isId(documentId)) {
+    res.status(400).json({ error: 'documentId must be a document id' })
+    return null
+  }
+
+  const scope = documentIds?.length ? documentIds : documentId ? [documentId] : undefined
+  const missing = (scope || []).filter(id => !chatIndex.hasDocument(req.user.walletAddress, id))
+  if (missing.length) {
+    res.status(404).json({ error: `Document not indexed: ${missing.join(', ')}` })
+    return null
+  }
+
+  return { scope: scope || null }
+}
+
+// AI Chat endpoint - answers from the caller's indexed documents with citations
 app.post('/api/chat', authenticateToken, async (req, res) => {
   try {
-    const { message, documentId } = req.body
-    
-    // TODO: Implement LangChain integration
-    const mockResponse = `I understand you're asking about "${message}". This AI chat feature will be implemented with LangChain to analyze your uploaded documents and provide intelligent responses based on their content.`
+    const resolved = resolveChatScope(req, res)
+    if (!resolved) return
 
-    res.json({ 
-      response: mockResponse,
+    const answer = await chatService.ask(req.user.walletAddress, {
+      message: req.body.message,
+      documentIds: resolved.scope,
+      topK: req.body.topK
+    })
+
+    res.json({
+      ...answer,
+      timestamp: new Date().toISOString()
+    })
+  } catch (error) {
+    console.error('Chat error:', error)
+    res.status(502).json({ error: error.message || 'Chat request failed' })
+  }
+})
+
+// Streaming chat over Server-Sent Events: citations, then token events, then done.
+// Closing the connection aborts the upstream provider request.
+app.post('/api/chat/stream', authenticateToken, async (req, res) => {
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  }
+
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+
+  try {
+    const resolved = resolveChatScope(req, res)
+    if (!resolved) return
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+
+    const answer = await chatService.ask(req.user.walletAddress, {
+      message: req.body.message,
+      documentIds: resolved.scope,
+      topK: req.body.topK
+    }, {
+      signal: controller.signal,
+      onCitations: (meta) => send('citations', meta),
+      onToken: (token) => send('token', { token })
+    })
+
+    if (controller.signal.aborted) return
+    send('done', {
+      provider: answer.provider,
+      model: answer.model,
+      tokens: answer.tokens,
       timestamp: new Date().toISOString()
     })
   } catch (error) {
-    res.status(500).json({ error: 'Chat request failed' })
+    if (error.name === 'AbortError') return
+    console.error('Chat stream error:', error)
+    // Failures before the stream opened get a plain JSON error
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Chat request failed' })
+    }
+    send('error', { error: error.message || 'Chat request failed' })
   }
+  res.end()
 })
 
 // Error handling middleware
@@ -198,4 +854,5 @@ app.use('*', (req, res) => {
 app.listen(PORT, () => {
   console.log(`🚀 SecureX Backend running on port ${PORT}`)
   console.log(`📊 Health check: http://localhost:${PORT}/api/health`)
+  chainIndexer.start()
 })
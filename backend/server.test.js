@@ -0,0 +1,169 @@
+// Route tests: each run starts server.js on a free port with a throwaway
+// DATA_DIR and the offline extractive chat provider. Run with `npm test`
+// from the repository root.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { spawn } from 'child_process'
+import fs from 'fs'
+import net from 'net'
+import os from 'os'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import jwt from 'jsonwebtoken'
+
+const JWT_SECRET = 'securex-test-secret'
+const WALLET = '0x1111111111111111111111111111111111111111'
+const OTHER_WALLET = '0x2222222222222222222222222222222222222222'
+const GRANTEE = '0x3333333333333333333333333333333333333333'
+const CID = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4'
+
+let server
+let dataDir
+let baseUrl
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer()
+  probe.once('error', reject)
+  probe.listen(0, () => {
+    const { port } = probe.address()
+    probe.close(() => resolve(port))
+  })
+})
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securex-server-'))
+  const port = await freePort()
+  baseUrl = `http://127.0.0.1:${port}/api`
+
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.dirname(fileURLToPath(import.meta.url)),
+    env: { ...process.env, PORT: String(port), DATA_DIR: dataDir, JWT_SECRET, CHAT_PROVIDER: 'extractive', INDEXER_RPC_URL: '' },
+    stdio: 'ignore'
+  })
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health`)).ok) return
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error('server.js did not start')
+})
+
+after(() => {
+  server?.kill()
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+const request = async (method, route, body, wallet = WALLET) => {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${jwt.sign({ walletAddress: wallet }, JWT_SECRET)}`
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  })
+  return { status: response.status, headers: response.headers, text: await response.text() }
+}
+
+const json = (response) => JSON.parse(response.text)
+
+// Server-Sent Events as [{ event, data }]
+const parseEvents = (text) => text.split('\n\n').filter(Boolean).map(block => {
+  const fields = Object.fromEntries(block.split('\n').map(line => {
+    const colon = line.indexOf(':')
+    return [line.slice(0, colon), line.slice(colon + 1).trim()]
+  }))
+  return { event: fields.event, data: JSON.parse(fields.data) }
+})
+
+test('chat document ingestion rejects malformed pages and text', async () => {
+  for (const body of [
+    { documentId: 'doc', pages: [null] },
+    { documentId: 'doc', pages: [{ pageNumber: 'one', text: 'Hello' }] },
+    { documentId: 'doc', pages: [{ pageNumber: 1, text: { a: 1 } }] },
+    { documentId: 'doc', pages: 'page one' },
+    { documentId: 'doc', text: { a: 1 } }
+  ]) {
+    const response = await request('POST', '/chat/documents', body)
+    assert.equal(response.status, 400, JSON.stringify(body))
+  }
+  assert.deepEqual(json(await request('GET', '/chat/documents')).documents, [])
+})
+
+test('chat stream sends citations, then tokens, then done', async () => {
+  const ingested = await request('POST', '/chat/documents', {
+    documentId: 'policy',
+    fileName: 'policy.pdf',
+    pages: [
+      { pageNumber: 1, text: 'Office hours are nine to five.' },
+      { pageNumber: 2, text: 'Refunds are issued within 14 days of a return.' }
+    ]
+  })
+  assert.equal(ingested.status, 201)
+
+  const response = await request('POST', '/chat/stream', { message: 'When are refunds issued?', documentIds: ['policy'] })
+  assert.equal(response.status, 200)
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/)
+
+  const events = parseEvents(response.text)
+  assert.equal(events[0].event, 'citations')
+  assert.equal(events[0].data.provider, 'extractive')
+  assert.equal(events[0].data.citations[0].page, 2)
+
+  const tokens = events.slice(1, -1)
+  assert.ok(tokens.length > 1)
+  assert.ok(tokens.every(event => event.event === 'token'))
+  assert.match(tokens.map(event => event.data.token).join(''), /Refunds are issued within 14 days of a return\. \[1\]/)
+
+  assert.equal(events[events.length - 1].event, 'done')
+})
+
+test('chat stream answers errors before streaming with JSON', async () => {
+  const missing = await request('POST', '/chat/stream', { message: 'Anything?', documentIds: ['nope'] })
+  assert.equal(missing.status, 404)
+  assert.match(json(missing).error, /not indexed/)
+
+  const invalid = await request('POST', '/chat/stream', { message: 'Anything?', documentIds: 'policy' })
+  assert.equal(invalid.status, 400)
+})
+
+test('a second wallet can neither register a CID nor take over its keys', async () => {
+  const envelope = { scheme: 'ecies-secp256k1', ephemeralPublicKey: '0x04', iv: 'iv', ciphertext: 'key' }
+  assert.equal((await request('POST', '/documents', { fileName: 'a.txt', ipfsHash: CID })).status, 201)
+  assert.equal((await request('PUT', `/keys/documents/${CID}/${GRANTEE}`, { envelope })).status, 200)
+
+  assert.equal((await request('POST', '/documents', { fileName: 'b.txt', ipfsHash: CID }, OTHER_WALLET)).status, 409)
+  assert.equal((await request('PUT', `/keys/documents/${CID}/${OTHER_WALLET}`, { envelope }, OTHER_WALLET)).status, 403)
+
+  const key = await request('GET', `/keys/documents/${CID}`, undefined, GRANTEE)
+  assert.equal(key.status, 200)
+  assert.equal(json(key).envelope.ciphertext, 'key')
+  assert.equal(json(await request('GET', `/documents?uploader=${WALLET}`, undefined, OTHER_WALLET)).documents.length, 0)
+})
+
+test('invalid PATCH and version fields are rejected without touching the version history', async () => {
+  const created = await request('POST', '/documents', {
+    fileName: 'notes.txt',
+    ipfsHash: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku',
+    type: 'text/plain'
+  })
+  const { document } = json(created)
+  const next = 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy'
+
+  for (const body of [{ type: 5 }, { fileName: { a: 1 } }, { description: 'x'.repeat(2001) }, { chainDocumentId: 'one' }, { transactionHash: '0x12' }]) {
+    assert.equal((await request('PATCH', `/documents/${document.id}`, body)).status, 400, JSON.stringify(body))
+  }
+  for (const body of [{ ipfsHash: ['x'] }, { ipfsHash: 'bafyfake' }, { ipfsHash: next, fileSize: 'big' }, { ipfsHash: next, version: 0 }, { ipfsHash: next, encrypted: 'yes' }]) {
+    assert.equal((await request('POST', `/documents/${document.id}/versions`, body)).status, 400, JSON.stringify(body))
+  }
+
+  const stored = json(await request('GET', `/documents/${document.id}`)).document
+  assert.deepEqual(stored.versions, document.versions)
+  assert.equal(stored.type, 'text/plain')
+  assert.equal(json(await request('GET', '/documents?type=text/')).documents.length, 1)
+})
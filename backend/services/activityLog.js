@@ -0,0 +1,157 @@
+import fs from 'fs'
+import path from 'path'
+import { ethers } from 'ethers'
+import { DATA_DIR } from './jsonStore.js'
+
+// Append-only audit log of document and session events.
+// Events are written one JSON object per line and never rewritten; the whole
+// log is kept in memory for querying.
+
+export const EVENT_TYPES = ['upload', 'view', 'download', 'share', 'revoke', 'archive', 'unarchive', 'delete', 'login']
+
+// Events the client may report itself (the rest are recorded server-side)
+export const CLIENT_EVENT_TYPES = ['view', 'download', 'share', 'revoke']
+
+const MAX_PAGE_SIZE = 200
+const CSV_COLUMNS = ['id', 'timestamp', 'type', 'actor', 'owner', 'documentId', 'documentName', 'ipfsHash', 'transactionHash', 'ip', 'userAgent']
+
+// Drop the host part of an IP so the log doesn't hold full client addresses
+const anonymizeIp = (ip) => {
+  if (!ip) return null
+  const address = ip.replace(/^::ffff:/, '')
+  if (address.includes('.')) {
+    return address.split('.').slice(0, 3).concat('0').join('.')
+  }
+  return address.split(':').slice(0, 3).join(':') + '::'
+}
+
+export class ActivityError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ActivityError'
+    this.status = status
+  }
+}
+
+// Query values arrive as strings, or arrays when a parameter is repeated
+const parseDateFilter = (name, value) => {
+  if (!value) return null
+  const time = typeof value === 'string' ? new Date(value).getTime() : NaN
+  if (Number.isNaN(time)) {
+    throw new ActivityError(`${name} must be a date`)
+  }
+  return time
+}
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return ''
+  const text = String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+class ActivityLog {
+  constructor() {
+    this.filePath = path.join(DATA_DIR, 'activity.jsonl')
+    this.events = this.load()
+    this.nextId = this.events.length ? this.events[this.events.length - 1].id + 1 : 1
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return []
+      return fs.readFileSync(this.filePath, 'utf8')
+        .split('\n')
+        .filter(Boolean)
+        .map(line => JSON.parse(line))
+    } catch (error) {
+      console.error('Failed to load activity log:', error)
+      return []
+    }
+  }
+
+  // Capture the client metadata we keep for every event
+  clientFromRequest(req) {
+    return {
+      ip: anonymizeIp(req.ip),
+      userAgent: req.get('user-agent') || null
+    }
+  }
+
+  record({ type, actor, document = null, transactionHash = null, client = {}, metadata = {} }) {
+    if (!EVENT_TYPES.includes(type)) {
+      throw new Error(`Unknown activity type: ${type}`)
+    }
+
+    const event = {
+      id: this.nextId++,
+      type,
+      actor: ethers.getAddress(actor),
+      owner: document?.uploader || null,
+      documentId: document?.id || null,
+      documentName: document?.fileName || null,
+      ipfsHash: document?.ipfsHash || null,
+      transactionHash: transactionHash || null,
+      ip: client.ip || null,
+      userAgent: client.userAgent || null,
+      metadata,
+      timestamp: new Date().toISOString()
+    }
+
+    fs.mkdirSync(DATA_DIR, { recursive: true })
+    fs.appendFileSync(this.filePath, JSON.stringify(event) + '\n')
+    this.events.push(event)
+    return event
+  }
+
+  // Events visible to a wallet: its own actions plus actions on documents it owns
+  filter({ wallet, types, documentId, actor, from, to } = {}) {
+    const fromTime = parseDateFilter('from', from)
+    const toTime = parseDateFilter('to', to)
+
+    return this.events.filter(event => {
+      if (wallet && event.actor !== wallet && event.owner !== wallet) return false
+      if (types?.length && !types.includes(event.type)) return false
+      if (documentId && event.documentId !== documentId) return false
+      if (actor && event.actor !== actor) return false
+
+      const time = new Date(event.timestamp).getTime()
+      if (fromTime !== null && time < fromTime) return false
+      if (toTime !== null && time > toTime) return false
+      return true
+    })
+  }
+
+  // Newest-first page; the cursor is the id of the last event of the previous page
+  query({ cursor, limit = 50, ...filters } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE)
+    if (cursor && !(typeof cursor === 'string' && /^[1-9]\d*$/.test(cursor))) {
+      throw new ActivityError('cursor must be an event id from a previous page')
+    }
+    const before = cursor ? Number(cursor) : Infinity
+
+    const matching = this.filter(filters)
+    const page = []
+    for (let i = matching.length - 1; i >= 0 && page.length < pageSize; i--) {
+      if (matching[i].id < before) {
+        page.push(matching[i])
+      }
+    }
+
+    const last = page[page.length - 1]
+    const hasMore = Boolean(last) && matching.some(event => event.id < last.id)
+
+    return {
+      activities: page,
+      nextCursor: hasMore ? String(last.id) : null,
+      total: matching.length
+    }
+  }
+
+  toCsv(events) {
+    const rows = events.map(event => CSV_COLUMNS.map(column => escapeCsv(event[column])).join(','))
+    return [CSV_COLUMNS.join(','), ...rows].join('\n')
+  }
+}
+
+export const activityLog = new ActivityLog()
+export default activityLog
@@ -0,0 +1,95 @@
+import path from 'path'
+import { FsBlockstore } from 'blockstore-fs'
+import { CID } from 'multiformats/cid'
+import { DATA_DIR } from './jsonStore.js'
+
+// Pluggable blockstore for UnixFS blocks produced by the upload pipeline.
+// IPFS_BLOCKSTORE=fs (default) writes blocks under DATA_DIR/blocks,
+// IPFS_BLOCKSTORE=kubo pushes them to a Kubo node's HTTP RPC API.
+
+const CODEC_NAMES = {
+  0x55: 'raw',
+  0x70: 'dag-pb'
+}
+
+// Minimal Kubo HTTP RPC blockstore (put/get/has + pinning of the root)
+export class KuboBlockstore {
+  constructor(apiUrl) {
+    this.apiUrl = apiUrl.replace(/\/$/, '')
+  }
+
+  async rpc(command, params, body) {
+    const query = new URLSearchParams(params).toString()
+    const response = await fetch(`${this.apiUrl}/api/v0/${command}?${query}`, {
+      method: 'POST',
+      body
+    })
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '')
+      throw new Error(`Kubo ${command} failed: ${response.status} ${text}`)
+    }
+    return response
+  }
+
+  async put(cid, value) {
+    // interface-blockstore allows a block to arrive as a byte stream
+    const parts = []
+    if (value instanceof Uint8Array) {
+      parts.push(value)
+    } else {
+      for await (const chunk of value) parts.push(chunk)
+    }
+
+    const form = new FormData()
+    form.append('data', new Blob(parts))
+
+    const response = await this.rpc('block/put', {
+      'cid-codec': CODEC_NAMES[cid.code] || 'raw',
+      mhtype: 'sha2-256',
+      pin: 'false'
+    }, form)
+
+    const { Key } = await response.json()
+    if (CID.parse(Key).toV1().toString() !== cid.toV1().toString()) {
+      throw new Error(`Kubo stored block under unexpected CID ${Key} (expected ${cid})`)
+    }
+    return cid
+  }
+
+  async * get(cid) {
+    const response = await this.rpc('block/get', { arg: cid.toString() })
+    yield new Uint8Array(await response.arrayBuffer())
+  }
+
+  async has(cid) {
+    try {
+      await this.rpc('block/stat', { arg: cid.toString(), offline: 'true' })
+      return true
+    } catch {
+      return false
+    }
+  }
+
+  async pin(cid) {
+    await this.rpc('pin/add', { arg: cid.toString() })
+  }
+}
+
+export const createBlockstore = async () => {
+  const type = process.env.IPFS_BLOCKSTORE || 'fs'
+
+  if (type === 'kubo') {
+    const apiUrl = process.env.KUBO_API_URL || 'http://127.0.0.1:5001'
+    console.log(`📦 Using Kubo blockstore at ${apiUrl}`)
+    return new KuboBlockstore(apiUrl)
+  }
+
+  const blockPath = process.env.BLOCKSTORE_PATH || path.join(DATA_DIR, 'blocks')
+  const store = new FsBlockstore(blockPath)
+  await store.open()
+  console.log(`📦 Using filesystem blockstore at ${blockPath}`)
+  return store
+}
+
+export default createBlockstore
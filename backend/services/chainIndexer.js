@@ -0,0 +1,421 @@
+import { ethers } from 'ethers'
+import JsonStore from './jsonStore.js'
+import { CONTRACT_ABI, DEPLOYMENTS } from '../../contracts/SecureXDocuments.generated.js'
+
+// Index of the registry contract's events.
+// Past events are backfilled with eth_getLogs in block-range batches from the
+// configured start block, then new blocks are polled for. The hashes of recent
+// indexed blocks are kept so a reorganized chain is noticed: events above the
+// last block both forks share are dropped and indexed again from the new fork.
+//
+// INDEXER_RPC_URL              JSON-RPC endpoint; the indexer is off without it
+// INDEXER_CONTRACT_ADDRESS     defaults to the deployment recorded for the chain
+// INDEXER_START_BLOCK          defaults to the deployment block, else 0
+// INDEXER_BATCH_BLOCKS         block range per eth_getLogs call
+// INDEXER_CONFIRMATIONS        blocks to stay behind the chain head
+// INDEXER_POLL_SECONDS         delay between polls for new blocks
+// INDEXER_REORG_DEPTH          recent block hashes kept for reorg checks
+
+const INDEXER_CONFIG = {
+  rpcUrl: process.env.INDEXER_RPC_URL || null,
+  contractAddress: process.env.INDEXER_CONTRACT_ADDRESS || null,
+  startBlock: process.env.INDEXER_START_BLOCK ? Number(process.env.INDEXER_START_BLOCK) : null,
+  batchBlocks: Number(process.env.INDEXER_BATCH_BLOCKS) || 2000,
+  confirmations: Number(process.env.INDEXER_CONFIRMATIONS) || 0,
+  pollInterval: (Number(process.env.INDEXER_POLL_SECONDS) || 12) * 1000,
+  reorgDepth: Number(process.env.INDEXER_REORG_DEPTH) || 64
+}
+
+// Activity types the contract's events map to
+export const CHAIN_EVENT_TYPES = ['upload', 'version', 'view', 'share', 'revoke', 'archive', 'unarchive']
+
+const MAX_PAGE_SIZE = 200
+const RPC_TIMEOUT_MS = 15000
+
+const STORE_DEFAULTS = {
+  chainId: null,
+  contract: null,
+  startBlock: null,
+  cursor: null,
+  recentBlocks: [],
+  nextId: 1,
+  events: []
+}
+
+// Ask the node for its chain id directly; the provider's own network
+// detection retries forever while the node is unreachable
+const fetchChainId = async (rpcUrl) => {
+  const request = new ethers.FetchRequest(rpcUrl)
+  request.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }
+  request.timeout = RPC_TIMEOUT_MS
+  const response = await request.send()
+  response.assertOk()
+  if (!response.bodyJson?.result) {
+    throw new Error(response.bodyJson?.error?.message || 'eth_chainId returned no result')
+  }
+  return Number(response.bodyJson.result)
+}
+
+// What the indexer knows about each document from its events
+const buildDocuments = (events) => {
+  const documents = new Map()
+  for (const event of events) {
+    if (event.type === 'upload') {
+      documents.set(event.documentId, { uploader: event.actor, fileName: event.documentName, ipfsHash: event.ipfsHash })
+    } else if (event.type === 'version' && documents.has(event.documentId)) {
+      documents.get(event.documentId).ipfsHash = event.ipfsHash
+    }
+  }
+  return documents
+}
+
+class ChainIndexer {
+  constructor() {
+    this.store = new JsonStore('chain-index.json', STORE_DEFAULTS)
+    this.documents = buildDocuments(this.store.data.events)
+    this.provider = null
+    this.contract = null
+    this.headBlock = null
+    this.syncing = false
+    this.lastSyncedAt = null
+    this.lastError = null
+    this.timer = null
+  }
+
+  get enabled() {
+    return Boolean(INDEXER_CONFIG.rpcUrl)
+  }
+
+  start() {
+    if (!this.enabled) {
+      console.log('Chain indexer disabled (set INDEXER_RPC_URL to enable it)')
+      return
+    }
+    this.poll()
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  async poll() {
+    await this.sync()
+    this.timer = setTimeout(() => this.poll(), INDEXER_CONFIG.pollInterval)
+  }
+
+  // Resolve the chain and contract to index; an index built for another
+  // chain, contract or start block is discarded
+  async connect() {
+    const chainId = await fetchChainId(INDEXER_CONFIG.rpcUrl)
+    const deployment = DEPLOYMENTS[chainId]
+    const address = INDEXER_CONFIG.contractAddress || deployment?.address
+    if (!address || !ethers.isAddress(address)) {
+      throw new Error(`No contract address for chain ${chainId}; set INDEXER_CONTRACT_ADDRESS`)
+    }
+
+    const contract = ethers.getAddress(address)
+    const startBlock = INDEXER_CONFIG.startBlock ?? deployment?.blockNumber ?? 0
+    const { data } = this.store
+    if (data.chainId !== chainId || data.contract !== contract || data.startBlock !== startBlock) {
+      if (data.chainId !== null) {
+        console.log(`Chain indexer target changed, re-indexing ${contract} on chain ${chainId} from block ${startBlock}`)
+      }
+      this.store.update(stored => Object.assign(stored, structuredClone(STORE_DEFAULTS), { chainId, contract, startBlock }))
+      this.documents = new Map()
+    }
+
+    const network = ethers.Network.from(chainId)
+    this.provider = new ethers.JsonRpcProvider(INDEXER_CONFIG.rpcUrl, network, { staticNetwork: network })
+    this.contract = new ethers.Contract(contract, CONTRACT_ABI, this.provider)
+  }
+
+  // Index up to the confirmed head; errors are kept for the status route and
+  // the next poll tries again
+  async sync() {
+    if (this.syncing) return
+    this.syncing = true
+    try {
+      if (!this.contract) {
+        await this.connect()
+      }
+      await this.handleReorg()
+
+      this.headBlock = await this.provider.getBlockNumber()
+      const target = this.headBlock - INDEXER_CONFIG.confirmations
+      const { data } = this.store
+      let from = data.cursor ? data.cursor.blockNumber + 1 : data.startBlock
+      while (from <= target) {
+        const to = Math.min(from + INDEXER_CONFIG.batchBlocks - 1, target)
+        await this.indexRange(from, to)
+        from = to + 1
+      }
+
+      this.lastSyncedAt = new Date().toISOString()
+      this.lastError = null
+    } catch (error) {
+      if (error.message !== this.lastError) {
+        console.error('Chain indexer sync failed:', error.message)
+      }
+      this.lastError = error.message
+    } finally {
+      this.syncing = false
+    }
+  }
+
+  async indexRange(from, to) {
+    // The range's last block is read before its logs: if the chain reorganizes
+    // in between, the stored hash is the old fork's and the next poll rolls back
+    const last = await this.provider.getBlock(to)
+    if (!last) {
+      throw new Error(`Block ${to} is not available yet`)
+    }
+    const logs = await this.contract.queryFilter('*', from, to)
+
+    const blocks = new Map([[last.number, last]])
+    const records = []
+    for (const log of logs) {
+      if (!log.eventName) continue
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await this.provider.getBlock(log.blockNumber))
+      }
+      const block = blocks.get(log.blockNumber)
+      if (block?.hash !== log.blockHash) {
+        throw new Error(`Chain reorganized while indexing block ${log.blockNumber}`)
+      }
+      const record = this.toRecord(log, block)
+      if (record) records.push(record)
+    }
+
+    const recent = [...blocks.values()].map(block => ({ number: block.number, hash: block.hash }))
+    this.store.update(data => {
+      for (const record of records) {
+        record.id = data.nextId++
+        data.events.push(record)
+      }
+      data.cursor = { blockNumber: last.number, blockHash: last.hash }
+      data.recentBlocks = [...data.recentBlocks, ...recent]
+        .filter(block => block.number > last.number - INDEXER_CONFIG.reorgDepth)
+        .sort((a, b) => a.number - b.number)
+    })
+  }
+
+  // Map a contract event to an activity-style record
+  toRecord(log, block) {
+    const { args } = log
+    const documentId = Number(args.documentId)
+    const fields = {
+      DocumentUploaded: () => ({ type: 'upload', actor: args.uploader, ipfsHash: args.ipfsHash, metadata: { version: 1 } }),
+      DocumentVersioned: () => ({ type: 'version', actor: args.uploader, ipfsHash: args.ipfsHash, metadata: { version: Number(args.version) } }),
+      DocumentViewed: () => ({ type: 'view', actor: args.viewer }),
+      AccessGranted: () => ({
+        type: 'share',
+        actor: args.owner,
+        metadata: {
+          grantee: args.grantee,
+          expiresAt: args.expiry === ethers.MaxUint256 ? null : new Date(Number(args.expiry) * 1000).toISOString()
+        }
+      }),
+      AccessRevoked: () => ({ type: 'revoke', actor: args.owner, metadata: { grantee: args.grantee } }),
+      DocumentStatusChanged: () => ({ type: args.isActive ? 'unarchive' : 'archive', actor: args.uploader })
+    }[log.eventName]
+    if (!fields) return null
+
+    const { type, actor, ipfsHash, metadata = {} } = fields()
+    if (type === 'upload') {
+      this.documents.set(documentId, { uploader: actor, fileName: args.fileName, ipfsHash })
+    } else if (type === 'version' && this.documents.has(documentId)) {
+      this.documents.get(documentId).ipfsHash = ipfsHash
+    }
+    const document = this.documents.get(documentId)
+
+    return {
+      type,
+      event: log.eventName,
+      actor: ethers.getAddress(actor),
+      owner: document?.uploader || null,
+      documentId,
+      documentName: document?.fileName || null,
+      ipfsHash: ipfsHash || document?.ipfsHash || null,
+      transactionHash: log.transactionHash,
+      blockNumber: log.blockNumber,
+      blockHash: log.blockHash,
+      logIndex: log.index,
+      metadata,
+      timestamp: new Date(block.timestamp * 1000).toISOString()
+    }
+  }
+
+  // Roll back to the last indexed block still on the chain
+  async handleReorg() {
+    const { cursor, recentBlocks } = this.store.data
+    if (!cursor) return
+
+    const current = await this.provider.getBlock(cursor.blockNumber)
+    if (current?.hash === cursor.blockHash) return
+
+    let ancestor = null
+    for (const block of [...recentBlocks].reverse()) {
+      if (block.number >= cursor.blockNumber) continue
+      const onChain = await this.provider.getBlock(block.number)
+      if (onChain?.hash === block.hash) {
+        ancestor = block
+        break
+      }
+    }
+
+    this.store.update(data => {
+      if (ancestor) {
+        console.warn(`Chain reorganized below block ${cursor.blockNumber}; re-indexing from block ${ancestor.number + 1}`)
+        data.events = data.events.filter(event => event.blockNumber <= ancestor.number)
+        data.recentBlocks = data.recentBlocks.filter(block => block.number <= ancestor.number)
+        data.cursor = { blockNumber: ancestor.number, blockHash: ancestor.hash }
+      } else {
+        // Deeper than the hashes kept: start over
+        console.warn(`Chain reorganized deeper than ${INDEXER_CONFIG.reorgDepth} blocks; re-indexing from block ${data.startBlock}`)
+        data.events = []
+        data.recentBlocks = []
+        data.cursor = null
+      }
+    })
+    this.documents = buildDocuments(this.store.data.events)
+  }
+
+  status() {
+    const { chainId, contract, startBlock, cursor, events } = this.store.data
+    return {
+      enabled: this.enabled,
+      chainId,
+      contract,
+      startBlock,
+      indexedBlock: cursor?.blockNumber ?? null,
+      headBlock: this.headBlock,
+      confirmations: INDEXER_CONFIG.confirmations,
+      syncing: this.syncing,
+      lastSyncedAt: this.lastSyncedAt,
+      lastError: this.lastError,
+      events: events.length
+    }
+  }
+
+  // Events involving a wallet: its own actions, actions on documents it
+  // uploaded and grants made to it
+  filter({ wallet, types, documentId, actor, from, to } = {}) {
+    const fromTime = from ? new Date(from).getTime() : null
+    const toTime = to ? new Date(to).getTime() : null
+
+    return this.store.data.events.filter(event => {
+      if (wallet && event.actor !== wallet && event.owner !== wallet && event.metadata.grantee !== wallet) return false
+      if (types?.length && !types.includes(event.type)) return false
+      if (documentId !== undefined && event.documentId !== documentId) return false
+      if (actor && event.actor !== actor) return false
+
+      const time = new Date(event.timestamp).getTime()
+      if (fromTime !== null && time < fromTime) return false
+      if (toTime !== null && time > toTime) return false
+      return true
+    })
+  }
+
+  // Newest-first page; the cursor is the id of the last event of the previous page
+  query({ cursor, limit = 50, ...filters } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || 50, 1), MAX_PAGE_SIZE)
+    const before = cursor ? Number(cursor) : Infinity
+
+    const matching = this.filter(filters)
+    const page = []
+    for (let i = matching.length - 1; i >= 0 && page.length < pageSize; i--) {
+      if (matching[i].id < before) {
+        page.push(matching[i])
+      }
+    }
+
+    const last = page[page.length - 1]
+    const hasMore = Boolean(last) && matching.some(event => event.id < last.id)
+
+    return {
+      activities: page,
+      nextCursor: hasMore ? String(last.id) : null,
+      total: matching.length
+    }
+  }
+
+  // Event counts for charts: per day over the last `days` days and per hour
+  // of day, in the caller's time zone (offset in minutes, as getTimezoneOffset)
+  stats({ wallet, days = 7, timezoneOffset = 0 } = {}) {
+    const dayCount = Math.min(Math.max(Number(days) || 7, 1), 90)
+    const offsetMs = (Number(timezoneOffset) || 0) * 60 * 1000
+    const localDate = (time) => new Date(time - offsetMs).toISOString().slice(0, 10)
+    const emptyCounts = () => Object.fromEntries(CHAIN_EVENT_TYPES.map(type => [type, 0]))
+
+    const today = Date.now()
+    const daily = Array.from({ length: dayCount }, (_, i) => ({
+      date: localDate(today - (dayCount - 1 - i) * 24 * 60 * 60 * 1000),
+      ...emptyCounts()
+    }))
+    const byDate = new Map(daily.map(day => [day.date, day]))
+    const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }))
+    const totals = emptyCounts()
+
+    for (const event of this.filter({ wallet })) {
+      const time = new Date(event.timestamp).getTime()
+      totals[event.type]++
+      const day = byDate.get(localDate(time))
+      if (day) {
+        day[event.type]++
+        hourly[new Date(time - offsetMs).getUTCHours()].count++
+      }
+    }
+
+    return { daily, hourly, totals, indexedBlock: this.store.data.cursor?.blockNumber ?? null }
+  }
+
+  // The wallet that first registered `cid` on chain, or null when the index has
+  // no registration of it
+  ownerOf(cid) {
+    const [first] = this.registrations([cid])
+    return first ? ethers.getAddress(first.uploader) : null
+  }
+
+  // The latest on-chain grant to `grantee` of a document holding `cid`:
+  // { active, expiresAt }, or null when the index has none. Only grants `owner`
+  // made on documents it registered count (by default the CID's first
+  // registrant), so another wallet registering the same CID can't share it.
+  grant(cid, grantee, owner = this.ownerOf(cid)) {
+    const documentIds = new Set(this.registrations([cid])
+      .filter(registration => ethers.getAddress(registration.uploader) === owner)
+      .map(registration => registration.documentId))
+    const events = this.store.data.events
+    for (let i = events.length - 1; i >= 0; i--) {
+      const event = events[i]
+      if (!documentIds.has(event.documentId) || event.actor !== owner || event.metadata.grantee !== grantee) continue
+      if (event.type === 'revoke') return { active: false, expiresAt: null }
+      if (event.type === 'share') {
+        const expiresAt = event.metadata.expiresAt
+        return { active: !expiresAt || new Date(expiresAt).getTime() > Date.now(), expiresAt }
+      }
+    }
+    return null
+  }
+
+  // Uploads and new versions that registered any of the given CIDs, oldest first
+  registrations(cids) {
+    const wanted = new Set(cids.filter(Boolean))
+    return this.store.data.events
+      .filter(event => (event.type === 'upload' || event.type === 'version') && wanted.has(event.ipfsHash))
+      .map(event => ({
+        documentId: event.documentId,
+        ipfsHash: event.ipfsHash,
+        uploader: event.actor,
+        version: event.metadata.version,
+        blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        transactionHash: event.transactionHash,
+        timestamp: Math.floor(new Date(event.timestamp).getTime() / 1000),
+        registeredAt: event.timestamp
+      }))
+  }
+}
+
+export const chainIndexer = new ChainIndexer()
+export default chainIndexer
@@ -0,0 +1,177 @@
+import JsonStore from './jsonStore.js'
+
+// Per-wallet chunk index for server-side retrieval.
+// Every chunk keeps the page it came from and its character offsets into the
+// ingested text so answers can cite the exact passage.
+
+const CHUNK_SIZE = Number(process.env.CHAT_CHUNK_CHARS || 1200)
+const CHUNK_OVERLAP = Number(process.env.CHAT_CHUNK_OVERLAP || 200)
+
+// BM25 parameters
+const K1 = 1.2
+const B = 0.75
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'has', 'have',
+  'how', 'i', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to',
+  'was', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+])
+
+export const tokenize = (text) => {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+}
+
+// Split text into overlapping windows, preferring paragraph and sentence breaks
+const splitWithOffsets = (text, baseOffset) => {
+  const chunks = []
+  let start = 0
+
+  while (start < text.length) {
+    let end = Math.min(start + CHUNK_SIZE, text.length)
+
+    if (end < text.length) {
+      const window = text.slice(start, end)
+      const breakAt = Math.max(
+        window.lastIndexOf('\n\n'),
+        window.lastIndexOf('. '),
+        window.lastIndexOf('\n')
+      )
+      if (breakAt > CHUNK_SIZE / 2) {
+        end = start + breakAt + 1
+      }
+    }
+
+    const raw = text.slice(start, end)
+    const leading = raw.length - raw.trimStart().length
+    const chunkText = raw.trim()
+    if (chunkText) {
+      chunks.push({
+        text: chunkText,
+        start: baseOffset + start + leading,
+        end: baseOffset + start + leading + chunkText.length
+      })
+    }
+
+    if (end >= text.length) break
+    start = Math.max(end - CHUNK_OVERLAP, start + 1)
+  }
+
+  return chunks
+}
+
+class ChatIndex {
+  constructor() {
+    this.store = new JsonStore('chat-index.json', { wallets: {} })
+  }
+
+  walletIndex(wallet) {
+    return this.store.data.wallets[wallet] || {}
+  }
+
+  // Chunk a document's text (optionally per page) and replace any previous index for it
+  ingest(wallet, { documentId, fileName, text, pages }) {
+    const sourcePages = Array.isArray(pages) && pages.length
+      ? pages.map(page => ({ page: Number(page.pageNumber ?? page.page), text: String(page.text || '') }))
+      : [{ page: null, text: String(text || '') }]
+
+    const chunks = []
+    let offset = 0
+    for (const { page, text: pageText } of sourcePages) {
+      for (const chunk of splitWithOffsets(pageText, offset)) {
+        chunks.push({
+          chunkId: `${documentId}:${chunks.length}`,
+          page,
+          ...chunk,
+          tokens: tokenize(chunk.text)
+        })
+      }
+      // Pages are joined with a blank line in the canonical document text
+      offset += pageText.length + 2
+    }
+
+    const entry = {
+      documentId,
+      fileName,
+      characters: offset > 0 ? offset - 2 : 0,
+      pages: sourcePages.filter(page => page.page !== null).length || null,
+      ingestedAt: new Date().toISOString(),
+      chunks
+    }
+
+    this.store.update(data => {
+      data.wallets[wallet] = { ...data.wallets[wallet], [documentId]: entry }
+    })
+
+    return { documentId, fileName, chunks: chunks.length }
+  }
+
+  listDocuments(wallet) {
+    return Object.values(this.walletIndex(wallet)).map(({ chunks, ...meta }) => ({
+      ...meta,
+      chunks: chunks.length
+    }))
+  }
+
+  hasDocument(wallet, documentId) {
+    return Boolean(this.walletIndex(wallet)[documentId])
+  }
+
+  removeDocument(wallet, documentId) {
+    if (!this.hasDocument(wallet, documentId)) return false
+    this.store.update(data => {
+      delete data.wallets[wallet][documentId]
+    })
+    return true
+  }
+
+  // BM25 top-k over the wallet's chunks, optionally limited to some documents
+  retrieve(wallet, query, { documentIds, topK = 5 } = {}) {
+    const index = this.walletIndex(wallet)
+    const documents = (documentIds?.length ? documentIds : Object.keys(index))
+      .map(id => index[id])
+      .filter(Boolean)
+
+    const candidates = documents.flatMap(doc => doc.chunks.map(chunk => ({ doc, chunk })))
+    if (!candidates.length) return []
+
+    const queryTerms = [...new Set(tokenize(query))]
+    const avgLength = candidates.reduce((sum, { chunk }) => sum + chunk.tokens.length, 0) / candidates.length
+
+    const documentFrequency = new Map()
+    for (const term of queryTerms) {
+      documentFrequency.set(term, candidates.filter(({ chunk }) => chunk.tokens.includes(term)).length)
+    }
+
+    const scored = candidates.map(({ doc, chunk }) => {
+      let score = 0
+      for (const term of queryTerms) {
+        const df = documentFrequency.get(term)
+        if (!df) continue
+        const tf = chunk.tokens.filter(token => token === term).length
+        if (!tf) continue
+        const idf = Math.log(1 + (candidates.length - df + 0.5) / (df + 0.5))
+        score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * chunk.tokens.length / avgLength))
+      }
+      return { doc, chunk, score }
+    })
+
+    return scored
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ doc, chunk, score }) => ({
+        documentId: doc.documentId,
+        fileName: doc.fileName,
+        chunkId: chunk.chunkId,
+        page: chunk.page,
+        start: chunk.start,
+        end: chunk.end,
+        text: chunk.text,
+        score
+      }))
+  }
+}
+
+export const chatIndex = new ChatIndex()
+export default chatIndex
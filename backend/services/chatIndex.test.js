@@ -0,0 +1,95 @@
+// Chunking, provenance and BM25 ranking of the chat index, against a
+// throwaway DATA_DIR. Run with `npm test` from the repository root.
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+const WALLET = '0x1111111111111111111111111111111111111111'
+const OTHER_WALLET = '0x2222222222222222222222222222222222222222'
+
+let dataDir
+let chatIndex
+let tokenize
+
+before(async () => {
+  // The store reads DATA_DIR when it is imported
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'securex-chat-'))
+  process.env.DATA_DIR = dataDir
+  ;({ chatIndex, tokenize } = await import('./chatIndex.js'))
+})
+
+after(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true })
+})
+
+test('tokenize lowercases and drops stop words and single characters', () => {
+  assert.deepEqual(tokenize('What is the Refund policy, a 30-day window?'), ['refund', 'policy', '30', 'day', 'window'])
+})
+
+test('ingest keeps the page and offsets of every chunk', () => {
+  const pages = [
+    { pageNumber: 1, text: 'Invoices are due within 30 days.' },
+    { pageNumber: 2, text: 'Late payments accrue interest monthly.' }
+  ]
+  const result = chatIndex.ingest(WALLET, { documentId: 'terms', fileName: 'terms.pdf', pages })
+  assert.deepEqual(result, { documentId: 'terms', fileName: 'terms.pdf', chunks: 2 })
+
+  // Offsets index the pages joined with a blank line
+  const joined = pages.map(page => page.text).join('\n\n')
+  const [listed] = chatIndex.listDocuments(WALLET)
+  assert.equal(listed.characters, joined.length)
+  assert.equal(listed.pages, 2)
+
+  const [hit] = chatIndex.retrieve(WALLET, 'late interest')
+  assert.equal(hit.page, 2)
+  assert.equal(joined.slice(hit.start, hit.end), pages[1].text)
+})
+
+test('long text is split into overlapping chunks within the size limit', () => {
+  const sentence = 'The warehouse ships orders every weekday morning. '
+  const text = sentence.repeat(80)
+  const { chunks } = chatIndex.ingest(WALLET, { documentId: 'long', fileName: 'long.txt', text })
+  assert.ok(chunks > 1)
+
+  const results = chatIndex.retrieve(WALLET, 'warehouse', { documentIds: ['long'], topK: 100 })
+  assert.equal(results.length, chunks)
+  for (const result of results) {
+    assert.ok(result.text.length <= 1200)
+    assert.equal(text.slice(result.start, result.end), result.text)
+  }
+  const byStart = results.sort((a, b) => a.start - b.start)
+  assert.ok(byStart[1].start < byStart[0].end, 'consecutive chunks overlap')
+})
+
+test('retrieve ranks by BM25: rarer terms and denser matches score higher', () => {
+  chatIndex.ingest(WALLET, { documentId: 'a', fileName: 'a.txt', text: 'Encryption keys rotate yearly. Encryption is mandatory.' })
+  chatIndex.ingest(WALLET, { documentId: 'b', fileName: 'b.txt', text: 'Encryption is optional for public files.' })
+  chatIndex.ingest(WALLET, { documentId: 'c', fileName: 'c.txt', text: 'Backups are kept offsite.' })
+
+  const results = chatIndex.retrieve(WALLET, 'encryption keys', { documentIds: ['a', 'b', 'c'] })
+  assert.deepEqual(results.map(result => result.documentId), ['a', 'b'])
+  assert.ok(results[0].score > results[1].score)
+
+  assert.deepEqual(chatIndex.retrieve(WALLET, 'quarterly revenue', { documentIds: ['a', 'b', 'c'] }), [])
+})
+
+test('retrieve is limited to the wallet and the requested documents', () => {
+  chatIndex.ingest(OTHER_WALLET, { documentId: 'a', fileName: 'a.txt', text: 'Encryption keys belong to someone else.' })
+
+  const scoped = chatIndex.retrieve(WALLET, 'encryption', { documentIds: ['b'] })
+  assert.deepEqual(scoped.map(result => result.documentId), ['b'])
+  assert.equal(chatIndex.retrieve(OTHER_WALLET, 'encryption').length, 1)
+})
+
+test('re-ingesting replaces a document and removeDocument drops it', () => {
+  chatIndex.ingest(WALLET, { documentId: 'c', fileName: 'c.txt', text: 'Archives move to cold storage.' })
+  assert.deepEqual(chatIndex.retrieve(WALLET, 'backups', { documentIds: ['c'] }), [])
+  assert.equal(chatIndex.retrieve(WALLET, 'archives', { documentIds: ['c'] }).length, 1)
+
+  assert.equal(chatIndex.removeDocument(WALLET, 'c'), true)
+  assert.equal(chatIndex.hasDocument(WALLET, 'c'), false)
+  assert.equal(chatIndex.removeDocument(WALLET, 'c'), false)
+})
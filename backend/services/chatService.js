@@ -0,0 +1,52 @@
+import chatIndex from './chatIndex.js'
+import { getProvider } from './llmProviders.js'
+
+// Retrieval-augmented chat: pull the best chunks from the wallet's index,
+// hand them to the configured provider and return the answer with citations.
+
+const MAX_TOP_K = 20
+const SNIPPET_LENGTH = 240
+
+const toCitation = (chunk, index) => ({
+  index: index + 1,
+  documentId: chunk.documentId,
+  fileName: chunk.fileName,
+  chunkId: chunk.chunkId,
+  page: chunk.page,
+  start: chunk.start,
+  end: chunk.end,
+  score: Number(chunk.score.toFixed(4)),
+  snippet: chunk.text.length > SNIPPET_LENGTH
+    ? chunk.text.slice(0, SNIPPET_LENGTH) + '…'
+    : chunk.text
+})
+
+class ChatService {
+  // Retrieve the chunks for a question; citations are known before generation starts
+  prepare(wallet, { message, documentIds, topK = 5 }) {
+    const limit = Math.min(Math.max(Number(topK) || 5, 1), MAX_TOP_K)
+    const chunks = chatIndex.retrieve(wallet, message, { documentIds, topK: limit })
+    const { provider, model } = getProvider()
+
+    return { chunks, citations: chunks.map(toCitation), provider, model }
+  }
+
+  // Generate the answer; streaming callers get the citations up front and
+  // every token through onToken as it arrives
+  async ask(wallet, params, { onCitations, onToken = () => {}, signal } = {}) {
+    const { chunks, citations, provider, model } = this.prepare(wallet, params)
+    onCitations?.({ citations, provider: provider.name, model })
+    const result = await provider.stream({ question: params.message, chunks, model, signal, onToken })
+
+    return {
+      response: result.text,
+      citations,
+      provider: provider.name,
+      model,
+      tokens: result.tokens || null
+    }
+  }
+}
+
+export const chatService = new ChatService()
+export default chatService
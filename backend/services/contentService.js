@@ -0,0 +1,121 @@
+import { CID } from 'multiformats/cid'
+import { varint } from 'multiformats'
+import * as dagPb from '@ipld/dag-pb'
+import { UnixFS } from 'ipfs-unixfs'
+import uploadService from './uploadService.js'
+
+// Serves content from the upload pipeline's blockstore the way a trustless
+// IPFS gateway does: single blocks (application/vnd.ipld.raw), a whole DAG as
+// a CAR (application/vnd.ipld.car), or the reassembled file. Clients verify
+// blocks against their CIDs, so this is no more trusted than a public gateway.
+
+const CODEC_RAW = 0x55
+const CODEC_DAG_PB = 0x70
+
+export class ContentError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'ContentError'
+    this.status = status
+  }
+}
+
+const concat = (parts) => Buffer.concat(parts.map(part => Buffer.from(part.buffer, part.byteOffset, part.byteLength)))
+
+const varintBytes = (value) => {
+  const bytes = new Uint8Array(varint.encodingLength(value))
+  varint.encodeTo(value, bytes)
+  return bytes
+}
+
+class ContentService {
+  parseCid(text) {
+    try {
+      return CID.parse(text)
+    } catch {
+      throw new ContentError('Invalid CID')
+    }
+  }
+
+  async assertStored(cid) {
+    const blockstore = await uploadService.getBlockstore()
+    if (!await blockstore.has(cid)) {
+      throw new ContentError(`${cid} is not stored here`, 404)
+    }
+    return blockstore
+  }
+
+  async getBlock(cid) {
+    const blockstore = await this.assertStored(cid)
+    const chunks = []
+    for await (const chunk of blockstore.get(cid)) chunks.push(chunk)
+    return concat(chunks)
+  }
+
+  // Every block of the DAG under `cid`, parents before children, each
+  // repeated chunk once
+  async * walk(cid, seen = new Set()) {
+    const key = cid.toV1().toString()
+    if (seen.has(key)) return
+    seen.add(key)
+
+    const bytes = await this.getBlock(cid)
+    yield { cid, bytes }
+    if (cid.code === CODEC_DAG_PB) {
+      for (const link of dagPb.decode(bytes).Links) {
+        yield * this.walk(link.Hash, seen)
+      }
+    } else if (cid.code !== CODEC_RAW) {
+      throw new ContentError(`Unsupported codec 0x${cid.code.toString(16)}`, 422)
+    }
+  }
+
+  // CARv1 archive of the DAG under `cid`, as parts to write in order
+  async * car(cid) {
+    await this.assertStored(cid)
+    // Header is the dag-cbor map {roots: [cid], version: 1}; keys sort by length
+    const rootLink = concat([Uint8Array.from([0xd8, 0x2a, 0x58, cid.bytes.length + 1, 0x00]), cid.bytes])
+    const text = (value) => concat([Uint8Array.from([0x60 + value.length]), Buffer.from(value)])
+    const header = concat([Uint8Array.from([0xa2]), text('roots'), Uint8Array.from([0x81]), rootLink, text('version'), Uint8Array.from([0x01])])
+    yield concat([varintBytes(header.length), header])
+
+    for await (const block of this.walk(cid)) {
+      yield concat([varintBytes(block.cid.bytes.length + block.bytes.length), block.cid.bytes, block.bytes])
+    }
+  }
+
+  // Read the first part, so a missing or unsupported root fails before a
+  // response has started
+  async open(parts) {
+    const first = await parts.next()
+    return (async function * () {
+      if (first.done) return
+      yield first.value
+      yield * parts
+    })()
+  }
+
+  // The file's bytes, in order
+  async * file(cid) {
+    const bytes = await this.getBlock(cid)
+    if (cid.code === CODEC_RAW) {
+      yield bytes
+      return
+    }
+    if (cid.code !== CODEC_DAG_PB) {
+      throw new ContentError(`Unsupported codec 0x${cid.code.toString(16)}`, 422)
+    }
+    const node = dagPb.decode(bytes)
+    const unixfs = UnixFS.unmarshal(node.Data)
+    if (unixfs.type !== 'file' && unixfs.type !== 'raw') {
+      throw new ContentError('CID is not a file', 422)
+    }
+    if (unixfs.data?.length) yield unixfs.data
+    for (const link of node.Links) {
+      yield * this.file(link.Hash)
+    }
+  }
+}
+
+export const contentService = new ContentService()
+export default contentService
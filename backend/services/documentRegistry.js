@@ -0,0 +1,281 @@
+import crypto from 'crypto'
+import { ethers } from 'ethers'
+import { CID } from 'multiformats/cid'
+import JsonStore from './jsonStore.js'
+
+// Persistent registry of uploaded documents (off-chain index of what was
+// pinned to IPFS and registered on chain)
+
+const SORTABLE_FIELDS = ['uploadDate', 'fileName', 'fileSize', 'updatedAt']
+const MAX_PAGE_SIZE = 100
+// Longest value each client-supplied text field may hold
+const TEXT_LIMITS = { fileName: 255, type: 255, description: 2000 }
+
+export class RegistryError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'RegistryError'
+    this.status = status
+  }
+}
+
+// Query values arrive as strings, or arrays when a parameter is repeated
+const parseDateFilter = (name, value) => {
+  if (!value) return null
+  const time = typeof value === 'string' ? new Date(value).getTime() : NaN
+  if (Number.isNaN(time)) {
+    throw new RegistryError(`${name} must be a date`)
+  }
+  return time
+}
+
+// Client-supplied record fields; a field that is absent isn't checked
+const validateFields = (fields) => {
+  for (const [name, maxLength] of Object.entries(TEXT_LIMITS)) {
+    const value = fields[name]
+    if (value !== undefined && (typeof value !== 'string' || value.length > maxLength)) {
+      throw new RegistryError(`${name} must be a string of at most ${maxLength} characters`)
+    }
+  }
+  if (fields.ipfsHash !== undefined) {
+    try {
+      CID.parse(fields.ipfsHash)
+    } catch {
+      throw new RegistryError('ipfsHash must be a CID')
+    }
+  }
+  if (fields.transactionHash && !ethers.isHexString(fields.transactionHash, 32)) {
+    throw new RegistryError('transactionHash must be a transaction hash')
+  }
+  const id = fields.chainDocumentId
+  if (id !== undefined && id !== null && !(Number.isSafeInteger(id) && id >= 0)) {
+    throw new RegistryError('chainDocumentId must be a non-negative integer')
+  }
+  const size = fields.fileSize
+  if (size !== undefined && !(['number', 'string'].includes(typeof size) && Number(size) >= 0)) {
+    throw new RegistryError('fileSize must be a non-negative number')
+  }
+  if (fields.encrypted !== undefined && typeof fields.encrypted !== 'boolean') {
+    throw new RegistryError('encrypted must be true or false')
+  }
+  if (fields.version !== undefined && fields.version !== null && !(Number.isSafeInteger(fields.version) && fields.version > 0)) {
+    throw new RegistryError('version must be a positive integer')
+  }
+  if (fields.uploadDate !== undefined && (typeof fields.uploadDate !== 'string' || Number.isNaN(new Date(fields.uploadDate).getTime()))) {
+    throw new RegistryError('uploadDate must be a date')
+  }
+}
+
+class DocumentRegistry {
+  constructor() {
+    this.store = new JsonStore('documents.json', { documents: [] })
+  }
+
+  normalizeAddress(address) {
+    return address ? ethers.getAddress(address) : address
+  }
+
+  // Version 1 of a document, for records created before versions were kept
+  initialVersion(document) {
+    return {
+      version: 1,
+      ipfsHash: document.ipfsHash,
+      fileSize: document.fileSize,
+      type: document.type,
+      encrypted: Boolean(document.encrypted),
+      transactionHash: document.transactionHash || null,
+      uploadDate: document.uploadDate
+    }
+  }
+
+  createDocument(fields) {
+    validateFields(fields)
+    this.assertAvailable(fields.ipfsHash, fields.uploader)
+    const now = new Date().toISOString()
+    const document = {
+      id: crypto.randomUUID(),
+      fileName: fields.fileName,
+      ipfsHash: fields.ipfsHash,
+      transactionHash: fields.transactionHash || null,
+      chainDocumentId: fields.chainDocumentId ?? null,
+      fileSize: Number(fields.fileSize) || 0,
+      type: fields.type || 'application/octet-stream',
+      // Encrypted in the browser; the CID addresses ciphertext
+      encrypted: Boolean(fields.encrypted),
+      uploader: this.normalizeAddress(fields.uploader),
+      description: fields.description || '',
+      uploadDate: fields.uploadDate || now,
+      // Archived documents are deactivated on chain and hidden from the default views
+      archived: false,
+      archivedAt: null,
+      createdAt: now,
+      updatedAt: now
+    }
+    document.version = 1
+    document.versions = [this.initialVersion(document)]
+
+    this.store.update(data => data.documents.push(document))
+    return document
+  }
+
+  getDocument(id) {
+    return this.store.data.documents.find(doc => doc.id === id) || null
+  }
+
+  // Earlier versions' CIDs still resolve to their document
+  findByHash(ipfsHash, uploader) {
+    const owner = this.normalizeAddress(uploader)
+    return this.store.data.documents.find(doc =>
+      (doc.ipfsHash === ipfsHash || doc.versions?.some(version => version.ipfsHash === ipfsHash)) &&
+      (!owner || doc.uploader === owner)
+    ) || null
+  }
+
+  // The wallet whose document holds this CID, or null. A CID belongs to the
+  // first wallet that registers it; see assertAvailable.
+  ownerOf(ipfsHash) {
+    return this.findByHash(ipfsHash)?.uploader || null
+  }
+
+  // Another wallet registering a CID would get to manage its keys and grants
+  assertAvailable(ipfsHash, uploader) {
+    const owner = this.ownerOf(ipfsHash)
+    if (owner && owner !== this.normalizeAddress(uploader)) {
+      throw new RegistryError('This content is already registered by another wallet', 409)
+    }
+  }
+
+  // Point a document at a new CID, keeping the earlier CIDs as its history.
+  // Registering the current CID again only fills in the chain details, so the
+  // upload pipeline and the client can both report the same version.
+  addVersion(id, fields) {
+    validateFields(fields)
+    const target = this.getDocument(id)
+    if (target) this.assertAvailable(fields.ipfsHash, target.uploader)
+
+    return this.store.update(data => {
+      const document = data.documents.find(doc => doc.id === id)
+      if (!document) return null
+
+      const now = new Date().toISOString()
+      const versions = document.versions || [this.initialVersion(document)]
+      const latest = versions[versions.length - 1]
+
+      if (latest.ipfsHash === fields.ipfsHash) {
+        latest.transactionHash = fields.transactionHash || latest.transactionHash
+        latest.version = Number(fields.version) || latest.version
+      } else {
+        versions.push({
+          version: Number(fields.version) || latest.version + 1,
+          ipfsHash: fields.ipfsHash,
+          fileSize: Number(fields.fileSize) || 0,
+          type: fields.type || document.type,
+          encrypted: Boolean(fields.encrypted),
+          transactionHash: fields.transactionHash || null,
+          uploadDate: now
+        })
+      }
+
+      const current = versions[versions.length - 1]
+      Object.assign(document, {
+        ipfsHash: current.ipfsHash,
+        fileSize: current.fileSize,
+        type: current.type,
+        encrypted: current.encrypted,
+        version: current.version,
+        versions,
+        updatedAt: now
+      })
+      return document
+    })
+  }
+
+  updateDocument(id, updates) {
+    const allowed = ['fileName', 'transactionHash', 'chainDocumentId', 'description', 'type']
+    validateFields(Object.fromEntries(allowed.map(key => [key, updates[key]])))
+
+    return this.store.update(data => {
+      const document = data.documents.find(doc => doc.id === id)
+      if (!document) return null
+
+      for (const key of allowed) {
+        if (updates[key] !== undefined) {
+          document[key] = updates[key]
+        }
+      }
+      document.updatedAt = new Date().toISOString()
+      return document
+    })
+  }
+
+  setArchived(id, archived) {
+    return this.store.update(data => {
+      const document = data.documents.find(doc => doc.id === id)
+      if (!document) return null
+
+      const now = new Date().toISOString()
+      document.archived = archived
+      document.archivedAt = archived ? now : null
+      document.updatedAt = now
+      return document
+    })
+  }
+
+  removeDocument(id) {
+    return this.store.update(data => {
+      const index = data.documents.findIndex(doc => doc.id === id)
+      if (index === -1) return false
+      data.documents.splice(index, 1)
+      return true
+    })
+  }
+
+  // Filter, sort and paginate documents
+  // Filters: uploader, type (exact MIME or prefix such as "image/"), from/to (uploadDate range),
+  // archived ("true" or "false"; both when omitted), include (predicate the caller's access rules add)
+  listDocuments({ uploader, include, type, from, to, archived, sortBy = 'uploadDate', order = 'desc', page = 1, limit = 20 } = {}) {
+    if (type !== undefined && typeof type !== 'string') {
+      throw new RegistryError('type must be a single MIME type or prefix')
+    }
+    const owner = uploader ? this.normalizeAddress(uploader) : null
+    const fromTime = parseDateFilter('from', from)
+    const toTime = parseDateFilter('to', to)
+
+    let results = this.store.data.documents.filter(doc => {
+      if (owner && doc.uploader !== owner) return false
+      if (include && !include(doc)) return false
+      if (type && !(type.endsWith('/') ? doc.type.startsWith(type) : doc.type === type)) return false
+      if (archived !== undefined && Boolean(doc.archived) !== (String(archived) === 'true')) return false
+
+      const uploaded = new Date(doc.uploadDate).getTime()
+      if (fromTime !== null && uploaded < fromTime) return false
+      if (toTime !== null && uploaded > toTime) return false
+      return true
+    })
+
+    const field = SORTABLE_FIELDS.includes(sortBy) ? sortBy : 'uploadDate'
+    const direction = order === 'asc' ? 1 : -1
+    results = results.sort((a, b) => {
+      if (a[field] < b[field]) return -1 * direction
+      if (a[field] > b[field]) return 1 * direction
+      return 0
+    })
+
+    const pageSize = Math.min(Math.max(Number(limit) || 20, 1), MAX_PAGE_SIZE)
+    const pageNumber = Math.max(Number(page) || 1, 1)
+    const total = results.length
+
+    return {
+      documents: results.slice((pageNumber - 1) * pageSize, pageNumber * pageSize),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        total,
+        totalPages: Math.ceil(total / pageSize)
+      }
+    }
+  }
+}
+
+export const documentRegistry = new DocumentRegistry()
+export default documentRegistry
@@ -0,0 +1,47 @@
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Embedded JSON-file storage used by the backend registries.
+// Each store is a single file loaded into memory on startup; writes go to a
+// temp file that is renamed over the original so a crash never leaves a
+// half-written database behind.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url))
+export const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'))
+
+export class JsonStore {
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.join(DATA_DIR, fileName)
+    this.defaults = defaults
+    this.data = this.load()
+  }
+
+  load() {
+    try {
+      if (fs.existsSync(this.filePath)) {
+        const parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'))
+        return { ...structuredClone(this.defaults), ...parsed }
+      }
+    } catch (error) {
+      console.error(`Failed to load ${this.filePath}, starting empty:`, error)
+    }
+    return structuredClone(this.defaults)
+  }
+
+  persist() {
+    fs.mkdirSync(DATA_DIR, { recursive: true })
+    const tempPath = `${this.filePath}.${process.pid}.tmp`
+    fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2))
+    fs.renameSync(tempPath, this.filePath)
+  }
+
+  // Apply a mutation and write it out. The mutator's return value is passed through.
+  update(mutator) {
+    const result = mutator(this.data)
+    this.persist()
+    return result
+  }
+}
+
+export default JsonStore
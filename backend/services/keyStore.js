@@ -0,0 +1,116 @@
+import { ethers } from 'ethers'
+import JsonStore from './jsonStore.js'
+
+// Public encryption keys of wallets, and per-document data keys wrapped for
+// grantees. The server never sees a usable key: each data key is encrypted to
+// the recipient's public key in the browser before it is stored here.
+
+const MAX_ENVELOPE_FIELD_LENGTH = 512
+const ENVELOPE_FIELDS = ['scheme', 'ephemeralPublicKey', 'iv', 'ciphertext']
+
+export class KeyStoreError extends Error {
+  constructor(message, status = 400) {
+    super(message)
+    this.name = 'KeyStoreError'
+    this.status = status
+  }
+}
+
+class KeyStore {
+  constructor() {
+    this.store = new JsonStore('keys.json', { publicKeys: {}, documents: {} })
+  }
+
+  normalizePublicKey(publicKey) {
+    try {
+      return ethers.SigningKey.computePublicKey(publicKey, false)
+    } catch {
+      throw new KeyStoreError('publicKey must be a secp256k1 public key')
+    }
+  }
+
+  validateEnvelope(envelope) {
+    const valid = envelope && typeof envelope === 'object' && ENVELOPE_FIELDS.every(field =>
+      typeof envelope[field] === 'string' && envelope[field].length <= MAX_ENVELOPE_FIELD_LENGTH
+    )
+    if (!valid) {
+      throw new KeyStoreError(`envelope must have ${ENVELOPE_FIELDS.join(', ')}`)
+    }
+    return Object.fromEntries(ENVELOPE_FIELDS.map(field => [field, envelope[field]]))
+  }
+
+  // When the grant the key was shared under runs out; null for no expiry
+  normalizeExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null) return null
+    const time = new Date(expiresAt).getTime()
+    if (Number.isNaN(time)) {
+      throw new KeyStoreError('expiresAt must be a date')
+    }
+    if (time <= Date.now()) {
+      throw new KeyStoreError('expiresAt must be in the future')
+    }
+    return new Date(time).toISOString()
+  }
+
+  setPublicKey(address, publicKey) {
+    const entry = {
+      publicKey: this.normalizePublicKey(publicKey),
+      updatedAt: new Date().toISOString()
+    }
+    return this.store.update(data => {
+      data.publicKeys[ethers.getAddress(address)] = entry
+      return entry
+    })
+  }
+
+  getPublicKey(address) {
+    return this.store.data.publicKeys[ethers.getAddress(address)] || null
+  }
+
+  // `owner` must already be verified as the CID's owner (see the key routes).
+  // Keys another wallet stored for the CID are never replaced.
+  putDocumentKey(cid, { owner, recipient, envelope, expiresAt }) {
+    const caller = ethers.getAddress(owner)
+    const grantee = ethers.getAddress(recipient)
+    const stored = this.validateEnvelope(envelope)
+    const expiry = this.normalizeExpiry(expiresAt)
+    const existing = this.store.data.documents[cid]
+    if (existing && existing.owner !== caller) {
+      throw new KeyStoreError('Keys for this document are managed by another wallet', 409)
+    }
+
+    return this.store.update(data => {
+      const entry = existing || { owner: caller, keys: {} }
+      entry.keys[grantee] = { ...stored, expiresAt: expiry, updatedAt: new Date().toISOString() }
+      data.documents[cid] = entry
+      return entry.keys[grantee]
+    })
+  }
+
+  // With `owner`, only a key that wallet stored counts
+  getDocumentKey(cid, recipient, { owner } = {}) {
+    const entry = this.store.data.documents[cid]
+    if (!entry || (owner && entry.owner !== ethers.getAddress(owner))) return null
+    return entry.keys[ethers.getAddress(recipient)] || null
+  }
+
+  isExpired(key, now = Date.now()) {
+    return Boolean(key.expiresAt) && new Date(key.expiresAt).getTime() <= now
+  }
+
+  // `owner` is verified as for putDocumentKey; keys someone else stored aren't theirs to remove
+  removeDocumentKey(cid, { owner, recipient }) {
+    const entry = this.store.data.documents[cid]
+    if (!entry || entry.owner !== ethers.getAddress(owner)) return false
+
+    const grantee = ethers.getAddress(recipient)
+    if (!entry.keys[grantee]) return false
+    return this.store.update(data => {
+      delete data.documents[cid].keys[grantee]
+      return true
+    })
+  }
+}
+
+export const keyStore = new KeyStore()
+export default keyStore
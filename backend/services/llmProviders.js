@@ -0,0 +1,253 @@
+import { tokenize } from './chatIndex.js'
+
+// LLM providers for the server-side chat endpoint.
+// CHAT_PROVIDER selects one of: extractive (default, offline), openai, anthropic, gemini, groq.
+// Keys are read from the backend environment and never sent to the browser.
+
+const SYSTEM_PROMPT = 'You answer questions about the user\'s documents using only the numbered sources provided. ' +
+  'Cite every claim with the source number in square brackets, e.g. [1]. ' +
+  'If the sources do not contain the answer, say so.'
+
+export const buildSourcesPrompt = (question, chunks) => {
+  const sources = chunks.map((chunk, index) => {
+    const location = chunk.page ? `${chunk.fileName}, page ${chunk.page}` : chunk.fileName
+    return `[${index + 1}] (${location})\n${chunk.text}`
+  }).join('\n\n')
+
+  return `Sources:\n${sources || '(no matching passages)'}\n\nQuestion: ${question}`
+}
+
+// Parse an upstream text/event-stream body, calling onEvent({ event, data }) per event
+const readEventStream = async (response, onEvent) => {
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (block) => {
+    let event = 'message'
+    const data = []
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) event = line.slice(6).trim()
+      else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+    }
+    if (data.length) onEvent({ event, data: data.join('\n') })
+  }
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true })
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    buffer = blocks.pop()
+    blocks.forEach(dispatch)
+  }
+  if (buffer.trim()) dispatch(buffer)
+}
+
+// Every provider exposes stream({ question, chunks, model, signal, onToken }) and
+// resolves with { text, tokens } once the answer is complete.
+
+// Deterministic provider: quotes the retrieved sentences that best match the question
+const extractiveProvider = {
+  name: 'extractive',
+  defaultModel: 'extractive-v1',
+
+  answer(question, chunks) {
+    if (!chunks.length) {
+      return 'I could not find anything in the selected documents that answers this question.'
+    }
+
+    const queryTerms = new Set(tokenize(question))
+    const sentences = chunks.flatMap((chunk, index) =>
+      (chunk.text.match(/[^.!?\n]+[.!?]?/g) || [])
+        .map(sentence => sentence.trim())
+        .filter(Boolean)
+        .map((sentence, position) => ({
+          sentence,
+          source: index + 1,
+          position,
+          score: tokenize(sentence).filter(token => queryTerms.has(token)).length
+        }))
+    )
+
+    const best = sentences
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || a.source - b.source || a.position - b.position)
+      .slice(0, 3)
+
+    if (!best.length) {
+      return `The closest passage I found is: "${chunks[0].text.slice(0, 300)}" [1]`
+    }
+
+    return best.map(item => `${item.sentence} [${item.source}]`).join('\n')
+  },
+
+  async stream({ question, chunks, signal, onToken }) {
+    const text = this.answer(question, chunks)
+    // Emit word by word so offline clients exercise the same streaming path
+    for (const token of text.match(/\S+\s*/g) || []) {
+      if (signal?.aborted) break
+      onToken(token)
+      await new Promise(resolve => setImmediate(resolve))
+    }
+    return { text }
+  }
+}
+
+// OpenAI and Groq share the chat completions wire format
+const chatCompletionsProvider = ({ name, defaultModel, url, keyName }) => ({
+  name,
+  defaultModel,
+
+  async stream({ question, chunks, model, signal, onToken }) {
+    const apiKey = process.env[keyName]
+    if (!apiKey) throw new Error(`${keyName} is not configured`)
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: SYSTEM_PROMPT },
+          { role: 'user', content: buildSourcesPrompt(question, chunks) }
+        ],
+        temperature: 0.2,
+        stream: true,
+        stream_options: { include_usage: true }
+      }),
+      signal
+    })
+
+    if (!response.ok) {
+      throw new Error(`${name} API error: ${response.status} ${response.statusText}`)
+    }
+
+    let text = ''
+    let tokens = null
+    await readEventStream(response, ({ data }) => {
+      if (data === '[DONE]') return
+      const payload = JSON.parse(data)
+      const delta = payload.choices?.[0]?.delta?.content
+      if (delta) {
+        text += delta
+        onToken(delta)
+      }
+      tokens = payload.usage?.total_tokens ?? tokens
+    })
+    return { text, tokens }
+  }
+})
+
+const openaiProvider = chatCompletionsProvider({
+  name: 'openai',
+  defaultModel: 'gpt-4o-mini',
+  url: 'https://api.openai.com/v1/chat/completions',
+  keyName: 'OPENAI_API_KEY'
+})
+
+const groqProvider = chatCompletionsProvider({
+  name: 'groq',
+  defaultModel: 'llama-3.1-8b-instant',
+  url: 'https://api.groq.com/openai/v1/chat/completions',
+  keyName: 'GROQ_API_KEY'
+})
+
+const anthropicProvider = {
+  name: 'anthropic',
+  defaultModel: 'claude-3-haiku-20240307',
+
+  async stream({ question, chunks, model, signal, onToken }) {
+    const apiKey = process.env.ANTHROPIC_API_KEY
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY is not configured')
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey,
+        'Content-Type': 'application/json',
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: 1000,
+        system: SYSTEM_PROMPT,
+        messages: [{ role: 'user', content: buildSourcesPrompt(question, chunks) }],
+        stream: true
+      }),
+      signal
+    })
+
+    if (!response.ok) {
+      throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`)
+    }
+
+    let text = ''
+    let tokens = 0
+    await readEventStream(response, ({ event, data }) => {
+      const payload = JSON.parse(data)
+      if (event === 'content_block_delta' && payload.delta?.text) {
+        text += payload.delta.text
+        onToken(payload.delta.text)
+      } else if (event === 'message_start') {
+        tokens += payload.message?.usage?.input_tokens || 0
+      } else if (event === 'message_delta') {
+        tokens += payload.usage?.output_tokens || 0
+      } else if (event === 'error') {
+        throw new Error(`Anthropic stream error: ${payload.error?.message}`)
+      }
+    })
+    return { text, tokens }
+  }
+}
+
+const geminiProvider = {
+  name: 'gemini',
+  defaultModel: 'gemini-flash-latest',
+
+  async stream({ question, chunks, model, signal, onToken }) {
+    const apiKey = process.env.GEMINI_API_KEY
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not configured')
+
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        systemInstruction: { parts: [{ text: SYSTEM_PROMPT }] },
+        contents: [{ parts: [{ text: buildSourcesPrompt(question, chunks) }] }],
+        generationConfig: { temperature: 0.2 }
+      }),
+      signal
+    })
+
+    if (!response.ok) {
+      throw new Error(`Gemini API error: ${response.status} ${response.statusText}`)
+    }
+
+    let text = ''
+    let tokens = null
+    await readEventStream(response, ({ data }) => {
+      const payload = JSON.parse(data)
+      const delta = payload.candidates?.[0]?.content?.parts?.[0]?.text
+      if (delta) {
+        text += delta
+        onToken(delta)
+      }
+      tokens = payload.usageMetadata?.totalTokenCount ?? tokens
+    })
+    return { text, tokens }
+  }
+}
+
+export const PROVIDERS = {
+  extractive: extractiveProvider,
+  openai: openaiProvider,
+  anthropic: anthropicProvider,
+  gemini: geminiProvider,
+  groq: groqProvider
+}
+
+export const getProvider = () => {
+  const provider = PROVIDERS[process.env.CHAT_PROVIDER] || extractiveProvider
+  return { provider, model: process.env.CHAT_MODEL || provider.defaultModel }
+}
@@ -0,0 +1,156 @@
+import crypto from 'crypto'
+import { ethers } from 'ethers'
+
+// Sign-In with Ethereum (EIP-4361) challenge issuing and verification.
+// The backend builds the exact message the wallet signs, so the client never
+// gets to choose the domain, nonce or expiry that ends up in the session.
+
+const NONCE_TTL_MS = Number(process.env.SIWE_NONCE_TTL_SECONDS || 300) * 1000
+const STATEMENT = 'Sign in to SecureX to access your document dashboard.'
+
+class SiweService {
+  constructor() {
+    // nonce -> { address, chainId, message, expiresAt }
+    this.pendingChallenges = new Map()
+
+    // Drop expired challenges so abandoned sign-ins don't pile up
+    this.sweepTimer = setInterval(() => this.sweepExpired(), NONCE_TTL_MS)
+    this.sweepTimer.unref()
+  }
+
+  generateNonce() {
+    // EIP-4361 requires at least 8 alphanumeric characters
+    return crypto.randomBytes(16).toString('hex')
+  }
+
+  // Build the EIP-4361 plaintext message
+  buildMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime, statement = STATEMENT }) {
+    return [
+      `${domain} wants you to sign in with your Ethereum account:`,
+      address,
+      '',
+      statement,
+      '',
+      `URI: ${uri}`,
+      'Version: 1',
+      `Chain ID: ${chainId}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt}`,
+      `Expiration Time: ${expirationTime}`
+    ].join('\n')
+  }
+
+  // Parse the fields we rely on back out of a signed message
+  parseMessage(message) {
+    if (typeof message !== 'string') {
+      return null
+    }
+
+    const lines = message.split('\n')
+    const header = lines[0]?.match(/^(.+) wants you to sign in with your Ethereum account:$/)
+    if (!header) {
+      return null
+    }
+
+    const fields = {}
+    for (const line of lines.slice(2)) {
+      const match = line.match(/^(URI|Version|Chain ID|Nonce|Issued At|Expiration Time): (.+)$/)
+      if (match) {
+        fields[match[1]] = match[2]
+      }
+    }
+
+    return {
+      domain: header[1],
+      address: lines[1],
+      uri: fields.URI,
+      version: fields.Version,
+      chainId: Number(fields['Chain ID']),
+      nonce: fields.Nonce,
+      issuedAt: fields['Issued At'],
+      expirationTime: fields['Expiration Time']
+    }
+  }
+
+  // Issue a single-use challenge for a wallet
+  createChallenge({ address, chainId, domain, uri }) {
+    const checksummed = ethers.getAddress(address)
+    const nonce = this.generateNonce()
+    const issuedAt = new Date()
+    const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS)
+
+    const message = this.buildMessage({
+      domain,
+      address: checksummed,
+      uri,
+      chainId: Number(chainId) || 1,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString()
+    })
+
+    this.pendingChallenges.set(nonce, {
+      address: checksummed,
+      chainId: Number(chainId) || 1,
+      message,
+      expiresAt: expiresAt.getTime()
+    })
+
+    return { nonce, message, expiresAt: expiresAt.toISOString() }
+  }
+
+  // Verify a signed challenge. Consumes the nonce whether or not it succeeds.
+  verify(message, signature) {
+    const parsed = this.parseMessage(message)
+    if (!parsed || !parsed.nonce) {
+      throw new SiweError('Malformed sign-in message')
+    }
+
+    const challenge = this.pendingChallenges.get(parsed.nonce)
+    this.pendingChallenges.delete(parsed.nonce)
+
+    if (!challenge) {
+      throw new SiweError('Unknown or already used nonce')
+    }
+
+    if (Date.now() > challenge.expiresAt) {
+      throw new SiweError('Sign-in challenge expired')
+    }
+
+    if (challenge.message !== message) {
+      throw new SiweError('Sign-in message does not match the issued challenge')
+    }
+
+    let recovered
+    try {
+      recovered = ethers.verifyMessage(message, signature)
+    } catch {
+      throw new SiweError('Invalid signature')
+    }
+
+    if (ethers.getAddress(recovered) !== challenge.address) {
+      throw new SiweError('Signature does not match wallet address')
+    }
+
+    return { walletAddress: challenge.address, chainId: challenge.chainId }
+  }
+
+  sweepExpired() {
+    const now = Date.now()
+    for (const [nonce, challenge] of this.pendingChallenges) {
+      if (now > challenge.expiresAt) {
+        this.pendingChallenges.delete(nonce)
+      }
+    }
+  }
+}
+
+export class SiweError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'SiweError'
+  }
+}
+
+export const siweService = new SiweService()
+export default siweService
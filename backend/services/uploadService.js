@@ -0,0 +1,110 @@
+import { importBytes } from 'ipfs-unixfs-importer'
+import { fixedSize } from 'ipfs-unixfs-importer/chunker'
+import { balanced } from 'ipfs-unixfs-importer/layout'
+import createBlockstore from './blockstore.js'
+import documentRegistry from './documentRegistry.js'
+
+// Server-side upload pipeline: chunk the bytes into a UnixFS DAG, write the
+// blocks to the configured blockstore and record the document in the registry.
+
+const DEFAULT_ALLOWED_TYPES = [
+  'application/pdf',
+  'application/json',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.*',
+  'application/zip',
+  'text/*',
+  'image/*'
+]
+
+export const UPLOAD_CONFIG = {
+  maxFileSize: Number(process.env.UPLOAD_MAX_BYTES || 50 * 1024 * 1024),
+  allowedTypes: process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+    : DEFAULT_ALLOWED_TYPES,
+  // Kubo's defaults for `ipfs add --cid-version=1`: 256KiB chunks, 174 links per node
+  chunkSize: Number(process.env.IPFS_CHUNK_SIZE || 262144),
+  maxChildrenPerNode: 174
+}
+
+// Match a MIME type against the allow-list (supports "type/*" and "prefix.*" wildcards)
+export const isAllowedType = (mimeType) => {
+  return UPLOAD_CONFIG.allowedTypes.some(pattern => {
+    if (pattern === '*' || pattern === '*/*') return true
+    if (pattern.endsWith('*')) return mimeType.startsWith(pattern.slice(0, -1))
+    return mimeType === pattern
+  })
+}
+
+class UploadService {
+  constructor() {
+    this.blockstorePromise = null
+  }
+
+  getBlockstore() {
+    if (!this.blockstorePromise) {
+      this.blockstorePromise = createBlockstore()
+    }
+    return this.blockstorePromise
+  }
+
+  // Build the UnixFS DAG for a buffer and persist every block
+  async addBytes(bytes) {
+    const blockstore = await this.getBlockstore()
+    let blockCount = 0
+
+    const countingStore = {
+      put: async (cid, block, options) => {
+        blockCount++
+        return blockstore.put(cid, block, options)
+      }
+    }
+
+    const entry = await importBytes(bytes, countingStore, {
+      cidVersion: 1,
+      rawLeaves: true,
+      chunker: fixedSize({ chunkSize: UPLOAD_CONFIG.chunkSize }),
+      layout: balanced({ maxChildrenPerNode: UPLOAD_CONFIG.maxChildrenPerNode })
+    })
+
+    if (typeof blockstore.pin === 'function') {
+      await blockstore.pin(entry.cid)
+    }
+
+    return { cid: entry.cid.toString(), size: Number(entry.size), blocks: blockCount }
+  }
+
+  // Full pipeline for a multer file: DAG import + registry record
+  // metadata.versionOf names a registry document this upload is a new version of
+  async uploadFile(file, uploader, metadata = {}) {
+    const { cid, blocks } = await this.addBytes(file.buffer)
+
+    if (metadata.versionOf) {
+      const document = documentRegistry.addVersion(metadata.versionOf, {
+        ipfsHash: cid,
+        fileSize: Number(metadata.fileSize) || file.size,
+        type: file.mimetype,
+        encrypted: metadata.encrypted === 'true'
+      })
+      return { cid, blocks, document }
+    }
+
+    const existing = documentRegistry.findByHash(cid, uploader)
+    const document = existing || documentRegistry.createDocument({
+      fileName: metadata.fileName || file.originalname,
+      ipfsHash: cid,
+      transactionHash: metadata.transactionHash,
+      // Encrypted uploads report the plaintext size; the stored bytes are larger
+      fileSize: Number(metadata.fileSize) || file.size,
+      type: file.mimetype,
+      uploader,
+      description: metadata.description,
+      encrypted: metadata.encrypted === 'true'
+    })
+
+    return { cid, blocks, document }
+  }
+}
+
+export const uploadService = new UploadService()
+export default uploadService
@@ -0,0 +1,265 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// @title SecureX document registry
+/// @notice Anchors IPFS content identifiers on-chain together with the uploader
+///         and upload time, so anyone can check who registered a document and when.
+///         Uploaders can grant other wallets read access, optionally until an expiry,
+///         and register edited copies as new versions of the same document. Archiving
+///         a document deactivates it: it stays on record, but only its uploader can read it.
+contract SecureXDocuments {
+    struct Document {
+        string fileName;
+        string ipfsHash;
+        address uploader;
+        uint256 timestamp;
+        uint256 fileSize;
+        bool isActive;
+    }
+
+    struct Version {
+        string ipfsHash;
+        uint256 fileSize;
+        uint256 timestamp;
+    }
+
+    /// @notice Documents by id; ids start at 1 so 0 never names a document
+    mapping(uint256 => Document) public documents;
+
+    mapping(address => uint256[]) private userDocuments;
+    uint256 private documentCount;
+
+    /// @dev Every CID a document has pointed at, oldest first; version n is at index n - 1
+    mapping(uint256 => Version[]) private versions;
+
+    /// @dev Grant expiry per document and grantee; 0 means no grant
+    mapping(uint256 => mapping(address => uint256)) private accessExpiry;
+    /// @dev Current grantees per document, with 1-based positions for O(1) removal
+    mapping(uint256 => address[]) private grantees;
+    mapping(uint256 => mapping(address => uint256)) private granteePosition;
+
+    /// @notice Expiry recorded for grants that never expire
+    uint256 public constant NO_EXPIRY = type(uint256).max;
+    /// @notice Most documents one uploadDocuments call registers, so a batch stays
+    ///         well inside the block gas limit
+    uint256 public constant MAX_BATCH_SIZE = 50;
+
+    event DocumentUploaded(uint256 indexed documentId, address indexed uploader, string fileName, string ipfsHash);
+    event DocumentViewed(uint256 indexed documentId, address indexed viewer, uint256 timestamp);
+    event DocumentVersioned(uint256 indexed documentId, address indexed uploader, uint256 indexed version, string ipfsHash);
+    event AccessGranted(uint256 indexed documentId, address indexed owner, address indexed grantee, uint256 expiry);
+    event AccessRevoked(uint256 indexed documentId, address indexed owner, address indexed grantee);
+    event DocumentStatusChanged(uint256 indexed documentId, address indexed uploader, bool isActive);
+
+    error DocumentNotFound(uint256 documentId);
+    error EmptyIpfsHash();
+    error NotDocumentOwner(uint256 documentId, address caller);
+    error InvalidGrantee(address grantee);
+    error InvalidExpiry(uint256 expiry);
+    error AccessNotGranted(uint256 documentId, address grantee);
+    error Unauthorized(uint256 documentId, address account);
+    error DocumentInactive(uint256 documentId);
+    error DocumentAlreadyActive(uint256 documentId);
+    error InvalidBatch(uint256 fileNames, uint256 ipfsHashes, uint256 fileSizes);
+
+    modifier exists(uint256 _documentId) {
+        if (_documentId == 0 || _documentId > documentCount) revert DocumentNotFound(_documentId);
+        _;
+    }
+
+    modifier onlyOwner(uint256 _documentId) {
+        if (documents[_documentId].uploader != msg.sender) revert NotDocumentOwner(_documentId, msg.sender);
+        _;
+    }
+
+    modifier active(uint256 _documentId) {
+        if (!documents[_documentId].isActive) revert DocumentInactive(_documentId);
+        _;
+    }
+
+    /// @notice Register a document uploaded to IPFS
+    function uploadDocument(string calldata _fileName, string calldata _ipfsHash, uint256 _fileSize) external {
+        _register(_fileName, _ipfsHash, _fileSize);
+    }
+
+    /// @notice Register several documents in one transaction. Each gets its own id
+    ///         and DocumentUploaded event, exactly as if uploaded one by one.
+    function uploadDocuments(
+        string[] calldata _fileNames,
+        string[] calldata _ipfsHashes,
+        uint256[] calldata _fileSizes
+    ) external returns (uint256[] memory documentIds) {
+        uint256 count = _fileNames.length;
+        if (count == 0 || count > MAX_BATCH_SIZE || _ipfsHashes.length != count || _fileSizes.length != count) {
+            revert InvalidBatch(count, _ipfsHashes.length, _fileSizes.length);
+        }
+
+        documentIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            documentIds[i] = _register(_fileNames[i], _ipfsHashes[i], _fileSizes[i]);
+        }
+    }
+
+    /// @dev Shared by uploadDocument and uploadDocuments
+    function _register(string calldata _fileName, string calldata _ipfsHash, uint256 _fileSize)
+        private
+        returns (uint256 documentId)
+    {
+        if (bytes(_ipfsHash).length == 0) revert EmptyIpfsHash();
+
+        documentId = ++documentCount;
+        documents[documentId] = Document({
+            fileName: _fileName,
+            ipfsHash: _ipfsHash,
+            uploader: msg.sender,
+            timestamp: block.timestamp,
+            fileSize: _fileSize,
+            isActive: true
+        });
+        userDocuments[msg.sender].push(documentId);
+        versions[documentId].push(Version({ ipfsHash: _ipfsHash, fileSize: _fileSize, timestamp: block.timestamp }));
+
+        emit DocumentUploaded(documentId, msg.sender, _fileName, _ipfsHash);
+    }
+
+    /// @notice Point a document at a new CID, recorded as its next version. Restoring
+    ///         an old version registers that version's CID again.
+    function addVersion(uint256 _documentId, string calldata _ipfsHash, uint256 _fileSize)
+        external
+        exists(_documentId)
+        onlyOwner(_documentId)
+        active(_documentId)
+    {
+        if (bytes(_ipfsHash).length == 0) revert EmptyIpfsHash();
+
+        Document storage document = documents[_documentId];
+        document.ipfsHash = _ipfsHash;
+        document.fileSize = _fileSize;
+        versions[_documentId].push(Version({ ipfsHash: _ipfsHash, fileSize: _fileSize, timestamp: block.timestamp }));
+
+        emit DocumentVersioned(_documentId, msg.sender, versions[_documentId].length, _ipfsHash);
+    }
+
+    /// @notice Archive a document. Its record, versions and grants are kept, but
+    ///         grantees can't read it until it is reactivated.
+    function deactivateDocument(uint256 _documentId)
+        external
+        exists(_documentId)
+        onlyOwner(_documentId)
+        active(_documentId)
+    {
+        documents[_documentId].isActive = false;
+        emit DocumentStatusChanged(_documentId, msg.sender, false);
+    }
+
+    /// @notice Restore an archived document, and with it any unexpired grants
+    function reactivateDocument(uint256 _documentId) external exists(_documentId) onlyOwner(_documentId) {
+        if (documents[_documentId].isActive) revert DocumentAlreadyActive(_documentId);
+        documents[_documentId].isActive = true;
+        emit DocumentStatusChanged(_documentId, msg.sender, true);
+    }
+
+    /// @notice Record that the caller opened a document
+    function recordView(uint256 _documentId) external exists(_documentId) {
+        if (!hasAccess(_documentId, msg.sender)) revert Unauthorized(_documentId, msg.sender);
+        emit DocumentViewed(_documentId, msg.sender, block.timestamp);
+    }
+
+    /// @notice Let `_grantee` read a document until `_expiry` (unix seconds), or
+    ///         indefinitely when `_expiry` is 0. Granting again updates the expiry.
+    function grantAccess(uint256 _documentId, address _grantee, uint256 _expiry)
+        external
+        exists(_documentId)
+        onlyOwner(_documentId)
+        active(_documentId)
+    {
+        if (_grantee == address(0) || _grantee == msg.sender) revert InvalidGrantee(_grantee);
+        if (_expiry != 0 && _expiry <= block.timestamp) revert InvalidExpiry(_expiry);
+
+        uint256 expiry = _expiry == 0 ? NO_EXPIRY : _expiry;
+        if (granteePosition[_documentId][_grantee] == 0) {
+            grantees[_documentId].push(_grantee);
+            granteePosition[_documentId][_grantee] = grantees[_documentId].length;
+        }
+        accessExpiry[_documentId][_grantee] = expiry;
+
+        emit AccessGranted(_documentId, msg.sender, _grantee, expiry);
+    }
+
+    /// @notice Withdraw a grant, expired or not
+    function revokeAccess(uint256 _documentId, address _grantee)
+        external
+        exists(_documentId)
+        onlyOwner(_documentId)
+    {
+        uint256 position = granteePosition[_documentId][_grantee];
+        if (position == 0) revert AccessNotGranted(_documentId, _grantee);
+
+        address[] storage list = grantees[_documentId];
+        address last = list[list.length - 1];
+        list[position - 1] = last;
+        granteePosition[_documentId][last] = position;
+        list.pop();
+        delete granteePosition[_documentId][_grantee];
+        delete accessExpiry[_documentId][_grantee];
+
+        emit AccessRevoked(_documentId, msg.sender, _grantee);
+    }
+
+    /// @notice Whether `_account` may read a document: its uploader, or a grantee
+    ///         whose grant has not expired while the document is active
+    function hasAccess(uint256 _documentId, address _account) public view exists(_documentId) returns (bool) {
+        Document storage document = documents[_documentId];
+        if (document.uploader == _account) return true;
+        return document.isActive && accessExpiry[_documentId][_account] > block.timestamp;
+    }
+
+    /// @notice Current grantees of a document and their expiries; expired grants
+    ///         stay listed until revoked
+    function getGrantees(uint256 _documentId)
+        external
+        view
+        exists(_documentId)
+        returns (address[] memory accounts, uint256[] memory expiries)
+    {
+        accounts = grantees[_documentId];
+        expiries = new uint256[](accounts.length);
+        for (uint256 i = 0; i < accounts.length; i++) {
+            expiries[i] = accessExpiry[_documentId][accounts[i]];
+        }
+    }
+
+    function getDocument(uint256 _documentId)
+        external
+        view
+        exists(_documentId)
+        returns (
+            string memory fileName,
+            string memory ipfsHash,
+            address uploader,
+            uint256 timestamp,
+            uint256 fileSize,
+            bool isActive
+        )
+    {
+        Document storage document = documents[_documentId];
+        return (document.fileName, document.ipfsHash, document.uploader, document.timestamp, document.fileSize, document.isActive);
+    }
+
+    /// @notice All versions of a document, oldest (version 1) first
+    function getVersions(uint256 _documentId) external view exists(_documentId) returns (Version[] memory) {
+        return versions[_documentId];
+    }
+
+    function getVersionCount(uint256 _documentId) external view exists(_documentId) returns (uint256) {
+        return versions[_documentId].length;
+    }
+
+    function getUserDocuments(address _user) external view returns (uint256[] memory) {
+        return userDocuments[_user];
+    }
+
+    function getDocumentCount() external view returns (uint256) {
+        return documentCount;
+    }
+}
@@ -0,0 +1,15 @@
+// Hardhat only provides the local chain here (`npm run chain`, and the
+// in-process network used by `npm run contract:deploy -- --in-process`).
+// Contracts are compiled with solc-js by scripts/compile-contract.js.
+module.exports = {
+  networks: {
+    hardhat: {
+      chainId: 31337
+    }
+  },
+  paths: {
+    sources: './contracts',
+    cache: './node_modules/.cache/hardhat',
+    artifacts: './node_modules/.cache/hardhat/artifacts'
+  }
+}
@@ -0,0 +1,88 @@
+// Compile contracts/SecureXDocuments.sol with solc-js and write its ABI to
+// contracts/SecureXDocuments.generated.js, where the frontend and the backend
+// both import it from. Deployments already recorded there are kept.
+//
+//   npm run contract:compile
+
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+import solc from 'solc'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+export const CONTRACT_NAME = 'SecureXDocuments'
+const SOURCE_FILE = `${CONTRACT_NAME}.sol`
+const SOURCE_PATH = path.join(ROOT, 'contracts', SOURCE_FILE)
+const GENERATED_PATH = path.join(ROOT, 'contracts', `${CONTRACT_NAME}.generated.js`)
+
+export const compileContract = async () => {
+  const input = {
+    language: 'Solidity',
+    sources: {
+      [SOURCE_FILE]: { content: await fs.readFile(SOURCE_PATH, 'utf8') }
+    },
+    settings: {
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } }
+    }
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify(input)))
+  const diagnostics = output.errors || []
+  diagnostics
+    .filter(diagnostic => diagnostic.severity !== 'error')
+    .forEach(diagnostic => console.warn(diagnostic.formattedMessage))
+
+  const errors = diagnostics.filter(diagnostic => diagnostic.severity === 'error')
+  if (errors.length > 0) {
+    throw new Error(`Compilation failed:\n${errors.map(error => error.formattedMessage).join('\n')}`)
+  }
+
+  const contract = output.contracts[SOURCE_FILE][CONTRACT_NAME]
+  return {
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`,
+    compilerVersion: solc.version()
+  }
+}
+
+export const readDeployments = async () => {
+  try {
+    // Query string defeats the module cache when called again after writing
+    const { DEPLOYMENTS } = await import(`${pathToFileURL(GENERATED_PATH).href}?t=${Date.now()}`)
+    return DEPLOYMENTS || {}
+  } catch (error) {
+    if (error.code === 'ERR_MODULE_NOT_FOUND') return {}
+    throw error
+  }
+}
+
+export const writeGeneratedConfig = async ({ abi, compilerVersion }, deployments) => {
+  const contents = `// Generated by scripts/compile-contract.js and scripts/deploy-contract.js; do not edit.
+// Source: contracts/${SOURCE_FILE}, compiled with solc ${compilerVersion}
+
+export const CONTRACT_NAME = '${CONTRACT_NAME}'
+
+export const CONTRACT_ABI = ${JSON.stringify(abi, null, 2)}
+
+// Deployed addresses by chain id
+export const DEPLOYMENTS = ${JSON.stringify(deployments, null, 2)}
+`
+  await fs.writeFile(GENERATED_PATH, contents)
+  return path.relative(ROOT, GENERATED_PATH)
+}
+
+const main = async () => {
+  const compiled = await compileContract()
+  const file = await writeGeneratedConfig(compiled, await readDeployments())
+  console.log(`Compiled ${CONTRACT_NAME} with solc ${compiled.compilerVersion}`)
+  console.log(`ABI written to ${file} (${compiled.abi.length} entries)`)
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error.message)
+    process.exit(1)
+  })
+}
@@ -0,0 +1,117 @@
+// Compile and deploy the document registry, then record the address for the
+// chain in contracts/SecureXDocuments.generated.js.
+//
+//   npm run chain                              local Hardhat node on :8545 (chain 31337)
+//   npm run contract:deploy                    deploy to RPC_URL (default http://127.0.0.1:8545)
+//   npm run contract:deploy -- --in-process    deploy to a throwaway in-process Hardhat
+//                                              network and exercise the contract; nothing
+//                                              is recorded
+//
+// Environment:
+//   RPC_URL               JSON-RPC endpoint to deploy to
+//   DEPLOYER_PRIVATE_KEY  deployer key; optional on chain 31337, where the node's
+//                         first unlocked account is used
+
+import { parseArgs } from 'util'
+import { ethers } from 'ethers'
+import { CONTRACT_NAME, compileContract, readDeployments, writeGeneratedConfig } from './compile-contract.js'
+
+const LOCAL_CHAIN_ID = 31337n
+const DEFAULT_RPC_URL = 'http://127.0.0.1:8545'
+
+const connectRpc = async () => {
+  const rpcUrl = process.env.RPC_URL || DEFAULT_RPC_URL
+  const provider = new ethers.JsonRpcProvider(rpcUrl)
+  const { chainId } = await provider.getNetwork()
+
+  if (process.env.DEPLOYER_PRIVATE_KEY) {
+    return { provider, signer: new ethers.Wallet(process.env.DEPLOYER_PRIVATE_KEY, provider) }
+  }
+  if (chainId === LOCAL_CHAIN_ID) {
+    return { provider, signer: await provider.getSigner(0) }
+  }
+  throw new Error(`DEPLOYER_PRIVATE_KEY is required to deploy to chain ${chainId} (${rpcUrl})`)
+}
+
+const connectInProcess = async () => {
+  // Hardhat is CommonJS and slow to load, so only pull it in when asked for
+  const { default: hre } = await import('hardhat')
+  const provider = new ethers.BrowserProvider(hre.network.provider)
+  return { provider, signer: await provider.getSigner(0) }
+}
+
+// Round-trip documents through the freshly deployed contract, singly and as a batch
+const exercise = async (contract) => {
+  const tx = await contract.uploadDocument('hello.txt', 'bafkreidummycidforlocalchecks', 11)
+  const receipt = await tx.wait()
+  const uploaded = receipt.logs
+    .map(log => contract.interface.parseLog(log))
+    .find(event => event?.name === 'DocumentUploaded')
+  if (!uploaded) {
+    throw new Error('uploadDocument did not emit DocumentUploaded')
+  }
+
+  const documentId = uploaded.args.documentId
+  const document = await contract.getDocument(documentId)
+  const owned = await contract.getUserDocuments(receipt.from)
+  if (document.ipfsHash !== 'bafkreidummycidforlocalchecks' || !owned.includes(documentId)) {
+    throw new Error('Stored document does not match what was uploaded')
+  }
+  console.log(`Uploaded and read back document #${documentId} (gas used ${receipt.gasUsed})`)
+
+  const batchCids = ['bafkreidummybatchcidone', 'bafkreidummybatchcidtwo']
+  const batchReceipt = await (await contract.uploadDocuments(['one.txt', 'two.txt'], batchCids, [3, 3])).wait()
+  const batchIds = batchReceipt.logs
+    .map(log => contract.interface.parseLog(log))
+    .filter(event => event?.name === 'DocumentUploaded')
+    .map(event => event.args.documentId)
+  const batchDocuments = await Promise.all(batchIds.map(id => contract.getDocument(id)))
+  if (batchDocuments.map(stored => stored.ipfsHash).join() !== batchCids.join()) {
+    throw new Error('uploadDocuments did not register the batch in order')
+  }
+  console.log(`Registered documents #${batchIds.join(', #')} in one batch (gas used ${batchReceipt.gasUsed})`)
+}
+
+const main = async () => {
+  const { values } = parseArgs({ options: { 'in-process': { type: 'boolean', default: false } } })
+  const inProcess = values['in-process']
+
+  const compiled = await compileContract()
+  const { provider, signer } = inProcess ? await connectInProcess() : await connectRpc()
+  const { chainId } = await provider.getNetwork()
+  const deployer = await signer.getAddress()
+
+  console.log(`Deploying ${CONTRACT_NAME} to chain ${chainId} from ${deployer}...`)
+  const factory = new ethers.ContractFactory(compiled.abi, compiled.bytecode, signer)
+  const contract = await factory.deploy()
+  const receipt = await contract.deploymentTransaction().wait()
+  const address = await contract.getAddress()
+  console.log(`Deployed at ${address} (block ${receipt.blockNumber}, tx ${receipt.hash})`)
+
+  if (inProcess) {
+    await exercise(contract)
+    return
+  }
+
+  const deployments = await readDeployments()
+  deployments[chainId.toString()] = {
+    address,
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployer,
+    deployedAt: new Date().toISOString()
+  }
+  const file = await writeGeneratedConfig(compiled, deployments)
+  console.log(`Recorded the deployment in ${file}`)
+  if (chainId === LOCAL_CHAIN_ID) {
+    console.log('Local chain state is lost when the node stops; deploy again after restarting it.')
+    console.log('Local deployments are for this machine only; don\'t commit this change to the generated config.')
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(error.message)
+    process.exit(1)
+  })
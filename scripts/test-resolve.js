@@ -0,0 +1,30 @@
+// Lets node:test import the frontend's modules, whose relative imports leave
+// out the extension the way Vite resolves them. Loaded with
+// `node --import ./scripts/test-resolve.js` (see `npm test`); it registers
+// itself as a resolve hook, which runs on the loader thread.
+
+import { register } from 'module'
+import { isMainThread } from 'worker_threads'
+
+if (isMainThread) {
+  register(import.meta.url)
+}
+
+const EXTENSIONS = ['.js', '.jsx', '/index.js']
+
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context)
+  } catch (error) {
+    const retry = ['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(error.code) && /^\.{1,2}\//.test(specifier)
+    if (!retry) throw error
+    for (const extension of EXTENSIONS) {
+      try {
+        return await nextResolve(specifier + extension, context)
+      } catch {
+        // Try the next extension
+      }
+    }
+    throw error
+  }
+}
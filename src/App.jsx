@@ -9,10 +9,12 @@ import Overview from './pages/Overview'
 import Upload from './pages/Upload'
 import RecentDocuments from './pages/RecentDocuments'
 import IPFSSettings from './pages/IPFSSettings'
+import Pins from './pages/Pins'
 import ActivityLogs from './pages/ActivityLogs'
 import DownloadCenter from './pages/DownloadCenter'
 import AIDocumentChat from './pages/AIDocumentChat'
 import AccessControl from './pages/AccessControl'
+import Verify from './pages/Verify'
 
 const App = () => {
   const [currentPage, setCurrentPage] = useState('overview')
@@ -27,6 +29,8 @@ const App = () => {
         return <RecentDocuments />
       case 'ipfs-settings':
         return <IPFSSettings />
+      case 'pins':
+        return <Pins />
       case 'activity':
         return <ActivityLogs />
       case 'download':
@@ -35,6 +39,8 @@ const App = () => {
         return <AIDocumentChat />
       case 'control':
         return <AccessControl />
+      case 'verify':
+        return <Verify />
       default:
         return <Overview />
     }
@@ -44,13 +50,13 @@ const App = () => {
     <ErrorBoundary>
       <ToastProvider>
         <IPFSProviderProvider>
-          <DocumentProvider>
-            <WalletProvider>
+          <WalletProvider>
+            <DocumentProvider>
               <DashboardLayout currentPage={currentPage} onPageChange={setCurrentPage}>
                 {renderPage()}
               </DashboardLayout>
-            </WalletProvider>
-          </DocumentProvider>
+            </DocumentProvider>
+          </WalletProvider>
         </IPFSProviderProvider>
       </ToastProvider>
     </ErrorBoundary>
@@ -3,6 +3,7 @@ import { motion, AnimatePresence } from 'framer-motion'
 import { BellIcon, UserCircleIcon, WalletIcon, ExclamationTriangleIcon, InformationCircleIcon } from '@heroicons/react/24/outline'
 import GlassCard from '../ui/GlassCard'
 import NeonButton from '../ui/NeonButton'
+import TransactionsPanel from '../ui/TransactionsPanel'
 import { useWallet } from '../../contexts/WalletContext'
 
 const Header = ({ currentPage }) => {
@@ -13,7 +14,9 @@ const Header = ({ currentPage }) => {
     overview: 'Dashboard Overview',
     upload: 'Upload Documents',
     recent: 'Recent Documents',
+    verify: 'Verify Documents',
     access: 'Access Files',
+    pins: 'Pin Management',
     activity: 'Activity Logs',
     download: 'Download Center',
     chat: 'AI Document Chat',
@@ -35,6 +38,7 @@ const Header = ({ currentPage }) => {
       case 80002: return { name: 'Amoy Testnet', cost: 'FREE 🎉', color: 'text-green-400', free: true }
       case 11155111: return { name: 'Sepolia Testnet', cost: 'FREE 🎉', color: 'text-green-400', free: true }
       case 1337: return { name: 'Local Network', cost: 'FREE 🎉', color: 'text-green-400', free: true }
+      case 31337: return { name: 'Hardhat Local', cost: 'FREE 🎉', color: 'text-green-400', free: true }
       default: return { name: `Chain ${chainId}`, cost: 'Unknown', color: 'text-gray-400', free: false }
     }
   }
@@ -148,6 +152,9 @@ const Header = ({ currentPage }) => {
             </motion.div>
           )}
 
+          {/* Contract transactions */}
+          {isConnected && <TransactionsPanel />}
+
           {/* Notifications */}
           <motion.button
             whileHover={{ scale: 1.05 }}
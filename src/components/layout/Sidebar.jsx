@@ -11,7 +11,9 @@ import {
   FolderOpenIcon,
   ArrowDownTrayIcon,
   ShieldCheckIcon,
-  CogIcon
+  FingerPrintIcon,
+  CogIcon,
+  MapPinIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../ui/GlassCard'
 
@@ -23,7 +25,9 @@ const Sidebar = ({ currentPage, onPageChange, className = '' }) => {
     { id: 'overview', name: 'Overview', icon: HomeIcon },
     { id: 'upload', name: 'Upload', icon: CloudArrowUpIcon },
     { id: 'recent', name: 'Recent Documents', icon: FolderOpenIcon },
+    { id: 'verify', name: 'Verify', icon: FingerPrintIcon },
     { id: 'ipfs-settings', name: 'IPFS Settings', icon: CogIcon },
+    { id: 'pins', name: 'Pins', icon: MapPinIcon },
     { id: 'activity', name: 'Activity Logs', icon: ClockIcon },
     { id: 'download', name: 'Download Center', icon: ArrowDownTrayIcon },
     { id: 'chat', name: 'AI Document Chat', icon: ChatBubbleLeftRightIcon },
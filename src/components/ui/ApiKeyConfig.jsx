@@ -4,13 +4,14 @@ import { KeyIcon, EyeIcon, EyeSlashIcon, CheckIcon } from '@heroicons/react/24/o
 import GlassCard from './GlassCard'
 import NeonButton from './NeonButton'
 import aiProviderService from '../../services/aiProviderService'
+import embeddingService from '../../services/embeddingService'
 
 const ApiKeyConfig = ({ isOpen, onClose }) => {
   const [apiKeys, setApiKeys] = useState({})
   const [showKeys, setShowKeys] = useState({})
   const [savedKeys, setSavedKeys] = useState({})
 
-  const providers = aiProviderService.getProviders()
+  const providers = { ...aiProviderService.getProviders(), ...embeddingService.getKeyOnlyProviders() }
 
   const handleKeyChange = (providerId, value) => {
     setApiKeys(prev => ({ ...prev, [providerId]: value }))
@@ -47,16 +47,12 @@ const ContractAddressValidator = ({ onAddressValidated }) => {
   }
 
   const generateConfigCode = (address) => {
-    return `// Update your contract address in src/config/contract.js
-export const CONTRACT_CONFIG = {
-  sepolia: {
-    chainId: 11155111,
-    name: 'Sepolia Testnet',
-    rpcUrl: 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161',
-    blockExplorer: 'https://sepolia.etherscan.io',
-    contractAddress: '${address}', // ← Updated with your contract address
-  },
-  // ... rest of config
+    return `// Deployments are recorded by \`npm run contract:deploy\` in
+// contracts/SecureXDocuments.generated.js; for a contract deployed elsewhere, add it there
+export const DEPLOYMENTS = {
+  "11155111": {
+    "address": "${address}" // ← Your contract address
+  }
 }`
   }
 
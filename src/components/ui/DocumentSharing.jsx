@@ -0,0 +1,330 @@
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import {
+  ShareIcon,
+  NoSymbolIcon,
+  ArrowDownTrayIcon,
+  UserIcon,
+  ClockIcon,
+  InboxArrowDownIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline'
+import GlassCard from './GlassCard'
+import NeonButton from './NeonButton'
+import { useToast } from './Toast'
+import { useWallet } from '../../contexts/WalletContext'
+import { useDocuments } from '../../contexts/DocumentContext'
+import contractService from '../../services/contractService'
+import storageService from '../../services/storageService'
+import encryptionService from '../../services/encryptionService'
+import { isValidAddress, formatAddress } from '../../utils/addressUtils'
+
+const formatExpiry = (expiresAt) => {
+  if (expiresAt === null) return 'No expiry'
+  const date = new Date(expiresAt)
+  return `${expiresAt > Date.now() ? 'Until' : 'Expired'} ${date.toLocaleString()}`
+}
+
+// Grant, list and revoke on-chain read access to the wallet's documents, and
+// list documents other wallets have shared with it
+const DocumentSharing = () => {
+  const { address, contractInitialized, isAuthenticated } = useWallet()
+  const { documents, getChainDocumentId, canReadDocument, recordActivity } = useDocuments()
+  const toast = useToast()
+
+  const [selectedId, setSelectedId] = useState('')
+  const [grantees, setGrantees] = useState([])
+  const [granteeAddress, setGranteeAddress] = useState('')
+  const [expiry, setExpiry] = useState('')
+  const [pendingAction, setPendingAction] = useState(null)
+  const [sharedWithMe, setSharedWithMe] = useState([])
+  // Whether other wallets can wrap document keys for this one; null until known
+  const [keyPublished, setKeyPublished] = useState(null)
+
+  // Demo mode has no contract, so there is nothing to share against
+  const sharingAvailable = contractInitialized && Boolean(contractService.getContractAddress())
+
+  const shareableDocuments = documents.filter(doc =>
+    getChainDocumentId(doc) !== null && doc.uploader?.toLowerCase() === address?.toLowerCase()
+  )
+  const selectedDocument = shareableDocuments.find(doc => String(doc.id) === selectedId)
+
+  const loadGrantees = async (document) => {
+    if (!document) {
+      setGrantees([])
+      return
+    }
+    try {
+      setGrantees(await contractService.getGrantees(getChainDocumentId(document)))
+    } catch (error) {
+      console.error('Failed to load grantees:', error)
+      toast.error(error.message)
+    }
+  }
+
+  useEffect(() => {
+    if (sharingAvailable) loadGrantees(selectedDocument)
+  }, [sharingAvailable, selectedId])
+
+  useEffect(() => {
+    if (!sharingAvailable || !address) return
+    contractService.getSharedDocuments(address)
+      .then(setSharedWithMe)
+      .catch(error => console.error('Failed to load shared documents:', error))
+  }, [sharingAvailable, address])
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setKeyPublished(null)
+      return
+    }
+    encryptionService.hasPublishedKey()
+      .then(setKeyPublished)
+      .catch(error => console.warn('Failed to check encryption key:', error))
+  }, [isAuthenticated, address])
+
+  const publishKey = async () => {
+    setPendingAction('publish')
+    try {
+      await encryptionService.publishPublicKey()
+      setKeyPublished(true)
+      toast.success('Encrypted sharing enabled; other wallets can now share encrypted documents with you')
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const grantAccess = async () => {
+    if (!isValidAddress(granteeAddress.trim())) {
+      toast.error('Enter a valid wallet address')
+      return
+    }
+    const expiresAt = expiry ? new Date(expiry) : null
+    if (expiresAt && expiresAt <= new Date()) {
+      toast.error('Expiry must be in the future')
+      return
+    }
+    if (selectedDocument.encrypted && !isAuthenticated) {
+      toast.error('Sign in to share the key of an encrypted document')
+      return
+    }
+
+    setPendingAction('grant')
+    try {
+      const grantee = granteeAddress.trim()
+      // Hand over the key before paying for the grant, so a grantee without a
+      // published key doesn't end up with access they can't use
+      if (selectedDocument.encrypted) {
+        await encryptionService.shareKey(selectedDocument.ipfsHash, grantee, { expiresAt })
+      }
+      const result = await contractService.grantAccess(getChainDocumentId(selectedDocument), grantee, expiresAt)
+      recordActivity('share', selectedDocument, {
+        transactionHash: result.transactionHash,
+        metadata: { grantee, expiresAt: expiresAt?.toISOString() || null }
+      })
+      toast.success(`Shared ${selectedDocument.fileName} with ${formatAddress(grantee)}`)
+      setGranteeAddress('')
+      setExpiry('')
+      await loadGrantees(selectedDocument)
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const revokeAccess = async (grantee) => {
+    setPendingAction(grantee)
+    try {
+      const result = await contractService.revokeAccess(getChainDocumentId(selectedDocument), grantee)
+      if (selectedDocument.encrypted) {
+        await encryptionService.revokeKey(selectedDocument.ipfsHash, grantee)
+          .catch(error => console.warn('Failed to remove the shared key:', error))
+      }
+      recordActivity('revoke', selectedDocument, {
+        transactionHash: result.transactionHash,
+        metadata: { grantee }
+      })
+      toast.success(`Revoked ${formatAddress(grantee)}'s access`)
+      await loadGrantees(selectedDocument)
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const downloadShared = async (document) => {
+    // The grant may have expired or been revoked since the list was loaded
+    if (!await canReadDocument({ ...document, chainDocumentId: document.id })) {
+      toast.error(`Your access to ${document.fileName} has ended`)
+      setSharedWithMe(prev => prev.filter(doc => doc.id !== document.id))
+      return
+    }
+
+    try {
+      await storageService.downloadFile(document.ipfsHash, document.fileName)
+      recordActivity('download', document)
+    } catch (error) {
+      console.error('Download failed:', error)
+      toast.error(`Download failed: ${error.message}`)
+    }
+  }
+
+  if (!sharingAvailable) {
+    return (
+      <GlassCard className="p-6">
+        <h3 className="text-xl font-semibold text-white mb-2">Sharing</h3>
+        <p className="text-gray-400 text-sm">
+          Sharing needs the document registry contract on this network. Switch to a network with a
+          deployment, or deploy one with <code className="text-neon-green">npm run contract:deploy</code>.
+        </p>
+      </GlassCard>
+    )
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <GlassCard className="p-6">
+        <h3 className="text-xl font-semibold text-white mb-4 flex items-center space-x-2">
+          <ShareIcon className="w-5 h-5" />
+          <span>Share a Document</span>
+        </h3>
+
+        {shareableDocuments.length === 0 ? (
+          <p className="text-gray-400 text-sm">
+            Documents you upload on-chain can be shared here.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <select
+              value={selectedId}
+              onChange={(e) => setSelectedId(e.target.value)}
+              className="w-full bg-white/10 border border-white/20 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-neon-green transition-all duration-200"
+            >
+              <option value="">Select a document...</option>
+              {shareableDocuments.map(doc => (
+                <option key={doc.id} value={String(doc.id)}>
+                  {doc.fileName} (#{getChainDocumentId(doc)})
+                </option>
+              ))}
+            </select>
+
+            {selectedDocument && (
+              <>
+                <div className="flex flex-col sm:flex-row gap-2">
+                  <input
+                    type="text"
+                    placeholder="Grantee wallet address (0x...)"
+                    value={granteeAddress}
+                    onChange={(e) => setGranteeAddress(e.target.value)}
+                    className="flex-1 bg-white/10 border border-white/20 rounded-xl px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all duration-200"
+                  />
+                  <input
+                    type="datetime-local"
+                    value={expiry}
+                    onChange={(e) => setExpiry(e.target.value)}
+                    title="Access expires at (leave empty for no expiry)"
+                    className="bg-white/10 border border-white/20 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-neon-green transition-all duration-200"
+                  />
+                </div>
+                <NeonButton
+                  onClick={grantAccess}
+                  loading={pendingAction === 'grant'}
+                  disabled={pendingAction !== null || !granteeAddress.trim()}
+                  size="sm"
+                >
+                  Grant Access
+                </NeonButton>
+
+                <div>
+                  <h4 className="text-sm font-medium text-gray-300 mb-2">Current grantees</h4>
+                  {grantees.length === 0 ? (
+                    <p className="text-gray-500 text-sm">Only you can read this document.</p>
+                  ) : (
+                    <div className="space-y-2">
+                      {grantees.map(grantee => (
+                        <motion.div
+                          key={grantee.address}
+                          initial={{ opacity: 0, y: 5 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          className="flex items-center justify-between p-3 rounded-xl bg-white/5"
+                        >
+                          <div className="min-w-0">
+                            <p className="text-white text-sm font-mono flex items-center space-x-1">
+                              <UserIcon className="w-3 h-3" />
+                              <span>{formatAddress(grantee.address)}</span>
+                            </p>
+                            <p className={`text-xs flex items-center space-x-1 ${grantee.active ? 'text-gray-400' : 'text-orange-400'}`}>
+                              <ClockIcon className="w-3 h-3" />
+                              <span>{formatExpiry(grantee.expiresAt)}</span>
+                            </p>
+                          </div>
+                          <button
+                            onClick={() => revokeAccess(grantee.address)}
+                            disabled={pendingAction !== null}
+                            className="flex items-center space-x-1 px-3 py-1 text-xs rounded-lg bg-orange-500/20 text-orange-400 hover:bg-orange-500/30 transition-colors disabled:opacity-50"
+                          >
+                            <NoSymbolIcon className="w-3 h-3" />
+                            <span>{pendingAction === grantee.address ? 'Revoking...' : 'Revoke'}</span>
+                          </button>
+                        </motion.div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        )}
+      </GlassCard>
+
+      <GlassCard className="p-6">
+        <h3 className="text-xl font-semibold text-white mb-4 flex items-center space-x-2">
+          <InboxArrowDownIcon className="w-5 h-5" />
+          <span>Shared With You</span>
+        </h3>
+
+        {keyPublished === false && (
+          <div className="flex items-center justify-between gap-3 p-3 mb-4 rounded-xl bg-neon-blue/10 border border-neon-blue/30">
+            <p className="text-gray-300 text-sm flex items-center space-x-2">
+              <LockClosedIcon className="w-4 h-4 flex-shrink-0" />
+              <span>Publish your encryption key so others can share encrypted documents with you.</span>
+            </p>
+            <NeonButton onClick={publishKey} loading={pendingAction === 'publish'} disabled={pendingAction !== null} size="sm">
+              Enable
+            </NeonButton>
+          </div>
+        )}
+
+        {sharedWithMe.length === 0 ? (
+          <p className="text-gray-400 text-sm">No other wallet has shared a document with you.</p>
+        ) : (
+          <div className="space-y-2">
+            {sharedWithMe.map(doc => (
+              <div key={doc.id} className="flex items-center justify-between p-3 rounded-xl bg-white/5">
+                <div className="min-w-0">
+                  <p className="text-white text-sm font-medium truncate">{doc.fileName}</p>
+                  <p className="text-gray-400 text-xs">
+                    From {formatAddress(doc.uploader)} • {formatExpiry(doc.expiresAt)}
+                  </p>
+                </div>
+                <button
+                  onClick={() => downloadShared(doc)}
+                  className="p-2 text-gray-400 hover:text-neon-green hover:bg-white/10 rounded-lg transition-colors"
+                  title="Download"
+                >
+                  <ArrowDownTrayIcon className="w-4 h-4" />
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </GlassCard>
+    </div>
+  )
+}
+
+export default DocumentSharing
@@ -19,12 +19,13 @@ const IntegrationStatus = () => {
   const getNetworkStatus = () => {
     if (!chainId) return { status: 'disconnected', message: 'No network detected' }
     
-    const isSupportedNetwork = chainId === 11155111n || chainId === 5n // Sepolia or Goerli
+    const networkNames = { 11155111: 'Sepolia Testnet', 5: 'Goerli Testnet', 31337: 'Hardhat Local' }
+    const networkName = networkNames[Number(chainId)]
     
-    if (isSupportedNetwork) {
+    if (networkName) {
       return { 
         status: 'success', 
-        message: chainId === 11155111n ? 'Sepolia Testnet' : 'Goerli Testnet'
+        message: networkName
       }
     }
     
@@ -41,17 +42,15 @@ const IntegrationStatus = () => {
 
     const config = getContractConfig(chainId)
 
+    if (!config.contractAddress) {
+      return { status: 'warning', message: 'Contract not deployed on this network' }
+    }
+
     // Check if address is valid
     if (!isValidAddress(config.contractAddress)) {
       return { status: 'warning', message: 'Invalid contract address' }
     }
 
-    // Check if using example address
-    const isExampleAddress = config.contractAddress.toLowerCase() === '0x742d35cc6506c4a9e6d29f0f9f5a8df07c9c31a5'
-    if (isExampleAddress) {
-      return { status: 'warning', message: 'Using example contract address' }
-    }
-
     if (!contractInitialized) {
       return { status: 'warning', message: 'Contract initialization failed' }
     }
@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react'
+import { ethers } from 'ethers'
+import { ArrowPathIcon, FireIcon } from '@heroicons/react/24/outline'
+import contractService, { FEE_PRESETS } from '../../services/contractService'
+
+// Fees change every block; gas only when the selected files do
+const FEE_REFRESH_MS = 15000
+
+const formatGwei = (wei) => `${Number(ethers.formatUnits(wei, 'gwei')).toLocaleString(undefined, { maximumFractionDigits: 3 })} gwei`
+const formatEth = (wei) => `${Number(ethers.formatEther(wei)).toLocaleString(undefined, { maximumSignificantDigits: 3 })} ETH`
+const formatGas = (gas) => Number(gas).toLocaleString()
+
+// Pre-flight estimate of what registering the selected files will cost, with
+// the fee preset the transactions are sent at
+const RegistrationCost = ({ newFiles, versionFiles, preset, onPresetChange, disabled = false }) => {
+  const [feeOptions, setFeeOptions] = useState(null)
+  // undefined while loading; null in demo mode, where nothing is sent
+  const [estimate, setEstimate] = useState(undefined)
+  const [error, setError] = useState(null)
+  const [refreshKey, setRefreshKey] = useState(0)
+
+  const filesKey = [...newFiles, ...versionFiles].map(file => `${file.id}:${file.documentId ?? ''}`).join(',')
+
+  useEffect(() => {
+    let cancelled = false
+    const loadFees = () => contractService.getFeeOptions()
+      .then(options => !cancelled && setFeeOptions(options))
+      .catch(err => !cancelled && setError(`Couldn't read network fees: ${err.message}`))
+
+    loadFees()
+    const interval = setInterval(loadFees, FEE_REFRESH_MS)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+    }
+  }, [refreshKey])
+
+  useEffect(() => {
+    let cancelled = false
+    setError(null)
+    contractService.estimateRegistration(
+      newFiles.map(file => ({ fileName: file.name, fileSize: file.size })),
+      versionFiles.map(file => ({ documentId: file.documentId, fileName: file.name, fileSize: file.size }))
+    )
+      .then(result => !cancelled && setEstimate(result))
+      .catch(err => !cancelled && setError(err.message))
+    return () => { cancelled = true }
+  }, [filesKey, refreshKey])
+
+  if (error) {
+    return (
+      <div className="p-4 rounded-xl bg-red-500/10 border border-red-500/30 flex items-center justify-between">
+        <p className="text-sm text-red-300">{error}</p>
+        <button onClick={() => setRefreshKey(key => key + 1)} className="text-xs text-gray-300 hover:text-white">Try again</button>
+      </div>
+    )
+  }
+
+  if (estimate === null) {
+    return null
+  }
+
+  if (!feeOptions || estimate === undefined) {
+    return <p className="text-sm text-gray-400">Estimating registration cost...</p>
+  }
+
+  const fees = feeOptions.presets[preset]
+  const cost = (gas, presetFees = fees) => contractService.estimateCost(gas, presetFees, feeOptions.baseFeePerGas)
+  const transactions = [...estimate.batches, ...estimate.versions]
+  const totalGas = transactions.reduce((sum, { gas }) => sum + gas, 0n)
+  const separateGas = estimate.documents.reduce((sum, { gas }) => sum + gas, 0n)
+  const batchedGas = estimate.batches.reduce((sum, { gas }) => sum + gas, 0n)
+  const total = cost(totalGas)
+
+  return (
+    <div className="p-4 rounded-xl bg-white/5 border border-white/10 space-y-4">
+      <div className="flex items-center justify-between">
+        <h4 className="text-white font-medium flex items-center space-x-2">
+          <FireIcon className="w-5 h-5 text-orange-400" />
+          <span>Registration Cost</span>
+        </h4>
+        <button
+          onClick={() => setRefreshKey(key => key + 1)}
+          className="p-1 text-gray-400 hover:text-white transition-colors"
+          title="Refresh fees and gas estimates"
+        >
+          <ArrowPathIcon className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {Object.entries(FEE_PRESETS).map(([key, { label }]) => {
+          const presetFees = feeOptions.presets[key]
+          return (
+            <button
+              key={key}
+              onClick={() => onPresetChange(key)}
+              disabled={disabled}
+              className={`p-2 rounded-lg border text-left transition-colors disabled:opacity-50 ${
+                preset === key ? 'border-neon-green bg-neon-green/10' : 'border-white/10 hover:border-white/30'
+              }`}
+            >
+              <p className="text-white text-sm font-medium">{label}</p>
+              <p className="text-gray-400 text-xs">{formatEth(cost(totalGas, presetFees).expected)}</p>
+              <p className="text-gray-500 text-xs">
+                {formatGwei(presetFees.maxPriorityFeePerGas ?? presetFees.gasPrice)}{feeOptions.eip1559 ? ' tip' : ''}
+              </p>
+            </button>
+          )
+        })}
+      </div>
+
+      <p className="text-xs text-gray-400">
+        {feeOptions.eip1559
+          ? `Base fee ${formatGwei(feeOptions.baseFeePerGas)} • Priority fee ${formatGwei(fees.maxPriorityFeePerGas)} • Max fee ${formatGwei(fees.maxFeePerGas)}`
+          : `Gas price ${formatGwei(fees.gasPrice)}`}
+      </p>
+
+      <div className="space-y-1 text-sm">
+        {estimate.documents.map(({ fileName, gas }, i) => (
+          <div key={`document-${i}`} className="flex justify-between gap-4">
+            <span className="text-gray-300 truncate">{fileName}</span>
+            <span className="text-gray-400 flex-shrink-0">{formatGas(gas)} gas • {formatEth(cost(gas).expected)}</span>
+          </div>
+        ))}
+        {estimate.versions.map(({ fileName, gas }, i) => (
+          <div key={`version-${i}`} className="flex justify-between gap-4">
+            <span className="text-gray-300 truncate">{fileName} <span className="text-gray-500">(new version)</span></span>
+            <span className="text-gray-400 flex-shrink-0">{formatGas(gas)} gas • {formatEth(cost(gas).expected)}</span>
+          </div>
+        ))}
+      </div>
+
+      {estimate.batches.some(batch => batch.count > 1) && (
+        <p className="text-xs text-gray-400">
+          The {estimate.documents.length} new documents are registered in {estimate.batches.length} batch transaction(s) of {formatGas(batchedGas)} gas, {formatGas(separateGas - batchedGas)} less than registering them one by one.
+        </p>
+      )}
+
+      <div className="pt-3 border-t border-white/10 flex justify-between text-sm">
+        <span className="text-white font-medium">
+          {transactions.length} transaction{transactions.length === 1 ? '' : 's'} • {formatGas(totalGas)} gas
+        </span>
+        <span className="text-right">
+          <span className="text-neon-green font-medium">≈ {formatEth(total.expected)}</span>
+          <span className="block text-xs text-gray-500">at most {formatEth(total.max)}</span>
+        </span>
+      </div>
+    </div>
+  )
+}
+
+export default RegistrationCost
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { QueueListIcon, ArrowPathIcon, BoltIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline'
+import GlassCard from './GlassCard'
+import { useToast } from './Toast'
+import { useWallet } from '../../contexts/WalletContext'
+import transactionQueue, { TRANSACTION_STATUS, RETRYABLE_STATUSES } from '../../services/transactionQueue'
+import { getContractConfig } from '../../config/contract'
+
+const STATUS_STYLES = {
+  [TRANSACTION_STATUS.pending]: 'bg-yellow-500/20 text-yellow-400',
+  [TRANSACTION_STATUS.confirming]: 'bg-blue-500/20 text-blue-400',
+  [TRANSACTION_STATUS.confirmed]: 'bg-green-500/20 text-green-400',
+  [TRANSACTION_STATUS.failed]: 'bg-red-500/20 text-red-400',
+  [TRANSACTION_STATUS.replaced]: 'bg-gray-500/20 text-gray-300',
+  [TRANSACTION_STATUS.cancelled]: 'bg-gray-500/20 text-gray-300',
+  [TRANSACTION_STATUS.dropped]: 'bg-orange-500/20 text-orange-400'
+}
+
+// Header button and dropdown listing the wallet's contract transactions
+const TransactionsPanel = () => {
+  const { chainId } = useWallet()
+  const toast = useToast()
+  const [transactions, setTransactions] = useState(() => transactionQueue.list())
+  const [open, setOpen] = useState(false)
+  const [busy, setBusy] = useState(null)
+
+  useEffect(() => {
+    setTransactions(transactionQueue.list())
+    return transactionQueue.subscribe(setTransactions)
+  }, [chainId])
+
+  const explorer = chainId ? getContractConfig(chainId).blockExplorer : null
+  const inFlight = transactions.filter(entry =>
+    entry.status === TRANSACTION_STATUS.pending || entry.status === TRANSACTION_STATUS.confirming
+  ).length
+
+  const run = async (entry, action) => {
+    setBusy(entry.id)
+    try {
+      if (action === 'speedUp') {
+        await transactionQueue.speedUp(entry.id)
+        toast.info('Replacement sent with higher fees')
+      } else {
+        await transactionQueue.retry(entry.id)
+        toast.info('Transaction sent again')
+      }
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const statusText = (entry) => {
+    if (entry.status === TRANSACTION_STATUS.confirming) {
+      return `${entry.confirmations}/${entry.requiredConfirmations} confirmations`
+    }
+    return entry.status
+  }
+
+  return (
+    <div className="relative">
+      <motion.button
+        whileHover={{ scale: 1.05 }}
+        whileTap={{ scale: 0.95 }}
+        onClick={() => setOpen(!open)}
+        className="relative p-2 rounded-lg text-gray-400 hover:text-white hover:bg-white/10 transition-all duration-200"
+        title="Transactions"
+      >
+        <QueueListIcon className="w-6 h-6" />
+        {inFlight > 0 && (
+          <span className="absolute -top-1 -right-1 min-w-5 h-5 px-1 flex items-center justify-center rounded-full bg-yellow-500 text-black text-xs font-bold">
+            {inFlight}
+          </span>
+        )}
+      </motion.button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            initial={{ opacity: 0, y: 10, scale: 0.95 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 10, scale: 0.95 }}
+            className="absolute top-full right-0 mt-2 w-96 z-50"
+          >
+            <GlassCard className="p-4 border border-white/20 max-h-[70vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-3">
+                <h3 className="text-white font-semibold">Transactions</h3>
+                {transactions.length > inFlight && (
+                  <button onClick={() => transactionQueue.clearFinished()} className="text-xs text-gray-400 hover:text-white">
+                    Clear finished
+                  </button>
+                )}
+              </div>
+
+              {transactions.length === 0 ? (
+                <p className="text-gray-400 text-sm">No transactions from this wallet on this network yet.</p>
+              ) : (
+                <div className="space-y-2">
+                  {transactions.map(entry => (
+                    <div key={entry.id} className="p-3 rounded-xl bg-white/5 space-y-1">
+                      <div className="flex items-start justify-between gap-2">
+                        <p className="text-white text-sm font-medium">{entry.label}</p>
+                        <span className={`px-2 py-0.5 text-xs rounded flex-shrink-0 ${STATUS_STYLES[entry.status]}`}>
+                          {statusText(entry)}
+                        </span>
+                      </div>
+                      <p className="text-gray-400 text-xs">
+                        {new Date(entry.submittedAt).toLocaleString()}
+                        {entry.blockNumber !== null && ` • block ${entry.blockNumber}`}
+                        {entry.previousHashes.length > 0 && ' • sped up'}
+                      </p>
+                      <div className="flex items-center space-x-2">
+                        <code className="text-xs text-blue-400 truncate">{entry.hash}</code>
+                        {explorer && (
+                          <a href={`${explorer}/tx/${entry.hash}`} target="_blank" rel="noopener noreferrer" className="text-gray-400 hover:text-blue-400">
+                            <ArrowTopRightOnSquareIcon className="w-3 h-3" />
+                          </a>
+                        )}
+                      </div>
+                      {entry.error && <p className="text-red-300 text-xs">{entry.error}</p>}
+
+                      {entry.status === TRANSACTION_STATUS.pending && (
+                        <button
+                          onClick={() => run(entry, 'speedUp')}
+                          disabled={busy !== null}
+                          className="flex items-center space-x-1 px-3 py-1 text-xs rounded-lg bg-neon-blue/20 text-neon-blue hover:bg-neon-blue/30 transition-colors disabled:opacity-50"
+                        >
+                          <BoltIcon className="w-3 h-3" />
+                          <span>{busy === entry.id ? 'Sending...' : 'Speed up'}</span>
+                        </button>
+                      )}
+                      {RETRYABLE_STATUSES.includes(entry.status) && !entry.retriedBy && (
+                        <button
+                          onClick={() => run(entry, 'retry')}
+                          disabled={busy !== null}
+                          className="flex items-center space-x-1 px-3 py-1 text-xs rounded-lg bg-neon-purple/20 text-neon-purple hover:bg-neon-purple/30 transition-colors disabled:opacity-50"
+                        >
+                          <ArrowPathIcon className="w-3 h-3" />
+                          <span>{busy === entry.id ? 'Sending...' : 'Retry'}</span>
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </GlassCard>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default TransactionsPanel
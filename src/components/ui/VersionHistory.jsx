@@ -0,0 +1,261 @@
+import React, { useState, useEffect } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import {
+  XMarkIcon,
+  ArrowDownTrayIcon,
+  ArrowUturnLeftIcon,
+  DocumentMagnifyingGlassIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline'
+import GlassCard from './GlassCard'
+import { useToast } from './Toast'
+import { useWallet } from '../../contexts/WalletContext'
+import { useDocuments } from '../../contexts/DocumentContext'
+import contractService from '../../services/contractService'
+import storageService from '../../services/storageService'
+import { diffLines, isTextDocument } from '../../utils/textDiff'
+import { formatFileSize } from '../../utils/productionFixes'
+
+const DIFF_LINE_STYLES = {
+  added: 'bg-green-500/10 text-green-300',
+  removed: 'bg-red-500/10 text-red-300',
+  same: 'text-gray-400'
+}
+const DIFF_LINE_PREFIX = { added: '+', removed: '-', same: ' ' }
+
+// Every version a document has pointed at, with download, diff against the
+// previous version for text documents, and restore for the owner
+const VersionHistory = ({ document, isOpen, onClose }) => {
+  const { address } = useWallet()
+  const { getChainDocumentId, getDocumentVersions, addDocumentVersion, canReadDocument, recordActivity } = useDocuments()
+  const toast = useToast()
+
+  const [versions, setVersions] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [pendingAction, setPendingAction] = useState(null)
+  const [diff, setDiff] = useState(null)
+
+  const isOwner = document?.uploader?.toLowerCase() === address?.toLowerCase()
+  // Archived documents can't take new versions until they're unarchived
+  const canRestore = isOwner && !document?.archived
+  const canDiff = isTextDocument(document?.fileName, document?.type)
+
+  // The chain is authoritative for which CIDs a document has had; the local
+  // list adds what the contract doesn't store (type, encryption, tx hash)
+  const loadVersions = async () => {
+    const local = getDocumentVersions(document)
+    const chainDocumentId = getChainDocumentId(document)
+    if (chainDocumentId === null || !contractService.getContractAddress()) {
+      setVersions(local)
+      return
+    }
+
+    setLoading(true)
+    try {
+      const onChain = await contractService.getVersions(chainDocumentId)
+      setVersions(onChain.map(version => {
+        const known = local.find(entry => entry.version === version.version && entry.ipfsHash === version.ipfsHash)
+        return {
+          type: document.type,
+          encrypted: Boolean(document.encrypted),
+          ...known,
+          ...version
+        }
+      }))
+    } catch (error) {
+      console.error('Failed to load versions:', error)
+      toast.error(error.message)
+      setVersions(local)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (!isOpen || !document) return
+    setDiff(null)
+    loadVersions()
+  }, [isOpen, document?.id, document?.ipfsHash])
+
+  const downloadVersion = async (version) => {
+    if (!await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${document.fileName}`)
+      return
+    }
+
+    setPendingAction(`download-${version.version}`)
+    try {
+      await storageService.downloadFile(version.ipfsHash, document.fileName)
+      recordActivity('download', { ...document, ipfsHash: version.ipfsHash }, { metadata: { version: version.version } })
+    } catch (error) {
+      console.error('Download failed:', error)
+      toast.error(`Download failed: ${error.message}`)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const showDiff = async (version) => {
+    const previous = versions.find(entry => entry.version === version.version - 1)
+    setPendingAction(`diff-${version.version}`)
+    try {
+      const [before, after] = await Promise.all([previous, version].map(async (entry) => {
+        const { file } = await storageService.fetchDocument(entry.ipfsHash, document.fileName)
+        return file.text()
+      }))
+      const lines = diffLines(before, after)
+      if (!lines) {
+        toast.warning('These versions are too large to compare')
+        return
+      }
+      setDiff({ from: previous.version, to: version.version, lines })
+    } catch (error) {
+      console.error('Diff failed:', error)
+      toast.error(`Failed to compare versions: ${error.message}`)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const restoreVersion = async (version) => {
+    setPendingAction(`restore-${version.version}`)
+    try {
+      const entry = await addDocumentVersion(document, {
+        ipfsHash: version.ipfsHash,
+        fileSize: version.fileSize,
+        type: version.type,
+        encrypted: Boolean(version.encrypted)
+      })
+      toast.success(`Restored version ${version.version} as version ${entry.version}`)
+      if (entry.unshared.length > 0) {
+        toast.warning(`${entry.unshared.length} grantee(s) couldn't be given the restored version's key`)
+      }
+    } catch (error) {
+      console.error('Restore failed:', error)
+      toast.error(`Restore failed: ${error.message}`)
+    } finally {
+      setPendingAction(null)
+    }
+  }
+
+  const currentVersion = versions.at(-1)?.version
+
+  return (
+    <AnimatePresence>
+      {isOpen && document && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 bg-black/50 backdrop-blur-sm z-50 flex items-center justify-center p-4"
+          onClick={onClose}
+        >
+          <motion.div
+            initial={{ scale: 0.9, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.9, opacity: 0 }}
+            onClick={(e) => e.stopPropagation()}
+            className="w-full max-w-2xl"
+          >
+            <GlassCard className="p-6 max-h-[85vh] overflow-y-auto">
+              <div className="flex items-center justify-between mb-6">
+                <div className="min-w-0">
+                  <h2 className="text-2xl font-bold text-white">Version History</h2>
+                  <p className="text-gray-400 text-sm truncate">{document.fileName}</p>
+                </div>
+                <button
+                  onClick={onClose}
+                  className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
+                >
+                  <XMarkIcon className="w-6 h-6" />
+                </button>
+              </div>
+
+              {loading ? (
+                <div className="space-y-3">
+                  {[...Array(2)].map((_, i) => (
+                    <div key={i} className="h-16 bg-white/5 rounded-xl animate-pulse"></div>
+                  ))}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  {[...versions].reverse().map(version => (
+                    <div key={version.version} className="p-3 rounded-xl bg-white/5">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="min-w-0">
+                          <p className="text-white text-sm font-medium flex items-center space-x-2">
+                            <span>Version {version.version}</span>
+                            {version.version === currentVersion && (
+                              <span className="px-2 py-0.5 text-xs rounded bg-neon-green/20 text-neon-green">Current</span>
+                            )}
+                            {version.encrypted && <LockClosedIcon className="w-3 h-3 text-gray-400" title="Encrypted" />}
+                          </p>
+                          <p className="text-gray-400 text-xs">
+                            {version.uploadDate ? new Date(version.uploadDate).toLocaleString() : 'Unknown date'} • {formatFileSize(version.fileSize)}
+                          </p>
+                          <code className="block text-xs text-neon-green truncate">{version.ipfsHash}</code>
+                        </div>
+                        <div className="flex items-center space-x-1 flex-shrink-0">
+                          {canDiff && version.version > 1 && (
+                            <button
+                              onClick={() => showDiff(version)}
+                              disabled={pendingAction !== null}
+                              className="p-2 text-gray-400 hover:text-neon-blue hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50"
+                              title={`Compare with version ${version.version - 1}`}
+                            >
+                              <DocumentMagnifyingGlassIcon className="w-4 h-4" />
+                            </button>
+                          )}
+                          <button
+                            onClick={() => downloadVersion(version)}
+                            disabled={pendingAction !== null}
+                            className="p-2 text-gray-400 hover:text-neon-green hover:bg-white/10 rounded-lg transition-colors disabled:opacity-50"
+                            title="Download this version"
+                          >
+                            <ArrowDownTrayIcon className="w-4 h-4" />
+                          </button>
+                          {canRestore && version.version !== currentVersion && (
+                            <button
+                              onClick={() => restoreVersion(version)}
+                              disabled={pendingAction !== null}
+                              className="flex items-center space-x-1 px-3 py-1 text-xs rounded-lg bg-neon-purple/20 text-neon-purple hover:bg-neon-purple/30 transition-colors disabled:opacity-50"
+                            >
+                              <ArrowUturnLeftIcon className="w-3 h-3" />
+                              <span>{pendingAction === `restore-${version.version}` ? 'Restoring...' : 'Restore'}</span>
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {diff && (
+                <div className="mt-6">
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-medium text-gray-300">
+                      Changes from version {diff.from} to {diff.to}
+                    </h3>
+                    <button onClick={() => setDiff(null)} className="text-xs text-gray-400 hover:text-white">
+                      Close
+                    </button>
+                  </div>
+                  <pre className="text-xs font-mono bg-black/30 rounded-xl p-3 max-h-80 overflow-auto">
+                    {diff.lines.map((line, i) => (
+                      <div key={i} className={`whitespace-pre-wrap px-1 ${DIFF_LINE_STYLES[line.type]}`}>
+                        {DIFF_LINE_PREFIX[line.type]} {line.text}
+                      </div>
+                    ))}
+                  </pre>
+                </div>
+              )}
+            </GlassCard>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default VersionHistory
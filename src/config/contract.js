@@ -1,4 +1,5 @@
 import { safeGetChecksumAddress } from '../utils/addressUtils'
+import { CONTRACT_ABI, DEPLOYMENTS } from '../../contracts/SecureXDocuments.generated'
 
 // SecureX Smart Contract Configuration
 export const CONTRACT_CONFIG = {
@@ -8,8 +9,8 @@ export const CONTRACT_CONFIG = {
     name: 'Sepolia Testnet',
     rpcUrl: 'https://sepolia.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161',
     blockExplorer: 'https://sepolia.etherscan.io',
-    // Replace with your deployed contract address (use proper checksum format)
-    contractAddress: '0x742d35Cc6506C4A9E6D29F0f9F5a8dF07c9c31A5', // Example address - auto demo mode enabled
+    // No recorded deployment means demo mode
+    contractAddress: DEPLOYMENTS[11155111]?.address || null,
   },
   // Goerli Testnet Configuration
   goerli: {
@@ -17,87 +18,21 @@ export const CONTRACT_CONFIG = {
     name: 'Goerli Testnet', 
     rpcUrl: 'https://goerli.infura.io/v3/9aa3d95b3bc440fa88ea12eaa4456161',
     blockExplorer: 'https://goerli.etherscan.io',
-    contractAddress: '0x742d35Cc6506C4A9E6D29F0f9F5a8dF07c9c31A5', // Example address - auto demo mode enabled
+    contractAddress: DEPLOYMENTS[5]?.address || null,
+  },
+  // Local Hardhat node (`npm run chain`)
+  localhost: {
+    chainId: 31337,
+    name: 'Hardhat Local',
+    rpcUrl: 'http://127.0.0.1:8545',
+    blockExplorer: null,
+    contractAddress: DEPLOYMENTS[31337]?.address || null,
   }
 }
 
-// SecureX Contract ABI - Document Storage Smart Contract
-export const CONTRACT_ABI = [
-  {
-    "inputs": [],
-    "name": "getDocumentCount",
-    "outputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "uint256", "name": "", "type": "uint256"}],
-    "name": "documents",
-    "outputs": [
-      {"internalType": "string", "name": "fileName", "type": "string"},
-      {"internalType": "string", "name": "ipfsHash", "type": "string"},
-      {"internalType": "address", "name": "uploader", "type": "address"},
-      {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-      {"internalType": "uint256", "name": "fileSize", "type": "uint256"},
-      {"internalType": "bool", "name": "isActive", "type": "bool"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {"internalType": "string", "name": "_fileName", "type": "string"},
-      {"internalType": "string", "name": "_ipfsHash", "type": "string"},
-      {"internalType": "uint256", "name": "_fileSize", "type": "uint256"}
-    ],
-    "name": "uploadDocument",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "address", "name": "_user", "type": "address"}],
-    "name": "getUserDocuments",
-    "outputs": [{"internalType": "uint256[]", "name": "", "type": "uint256[]"}],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "inputs": [{"internalType": "uint256", "name": "_documentId", "type": "uint256"}],
-    "name": "getDocument",
-    "outputs": [
-      {"internalType": "string", "name": "fileName", "type": "string"},
-      {"internalType": "string", "name": "ipfsHash", "type": "string"},
-      {"internalType": "address", "name": "uploader", "type": "address"},
-      {"internalType": "uint256", "name": "timestamp", "type": "uint256"},
-      {"internalType": "uint256", "name": "fileSize", "type": "uint256"},
-      {"internalType": "bool", "name": "isActive", "type": "bool"}
-    ],
-    "stateMutability": "view",
-    "type": "function"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {"indexed": true, "internalType": "uint256", "name": "documentId", "type": "uint256"},
-      {"indexed": true, "internalType": "address", "name": "uploader", "type": "address"},
-      {"indexed": false, "internalType": "string", "name": "fileName", "type": "string"},
-      {"indexed": false, "internalType": "string", "name": "ipfsHash", "type": "string"}
-    ],
-    "name": "DocumentUploaded",
-    "type": "event"
-  },
-  {
-    "anonymous": false,
-    "inputs": [
-      {"indexed": true, "internalType": "uint256", "name": "documentId", "type": "uint256"},
-      {"indexed": true, "internalType": "address", "name": "viewer", "type": "address"},
-      {"indexed": false, "internalType": "uint256", "name": "timestamp", "type": "uint256"}
-    ],
-    "name": "DocumentViewed",
-    "type": "event"
-  }
-]
+// ABI of contracts/SecureXDocuments.sol and its deployments, generated by
+// `npm run contract:compile` / `npm run contract:deploy`
+export { CONTRACT_ABI, DEPLOYMENTS }
 
 // Helper function to get contract config based on chain ID
 export const getContractConfig = (chainId) => {
@@ -111,12 +46,19 @@ export const getContractConfig = (chainId) => {
     case 5:
       config = CONTRACT_CONFIG.goerli
       break
+    case 31337:
+      config = CONTRACT_CONFIG.localhost
+      break
     default:
       // Default to Sepolia if unknown network
       config = CONTRACT_CONFIG.sepolia
       break
   }
 
+  if (!config.contractAddress) {
+    return config
+  }
+
   // Ensure the contract address is properly checksummed
   const checksummedAddress = safeGetChecksumAddress(config.contractAddress)
   if (!checksummedAddress) {
@@ -129,22 +71,15 @@ export const getContractConfig = (chainId) => {
   }
 }
 
-// IPFS Configuration
+// IPFS Configuration. The SecureX backend is a gateway too: it serves what
+// its upload pipeline stored (signed-in uploads), which no public gateway has.
+const API_BASE_URL = (import.meta.env?.VITE_API_URL || 'http://localhost:5000/api').replace(/\/+$/, '')
+
 export const IPFS_CONFIG = {
   gateways: [
+    `${API_BASE_URL}/ipfs`,
     'https://ipfs.io/ipfs',
     'https://gateway.pinata.cloud/ipfs',
     'https://cloudflare-ipfs.com/ipfs'
-  ],
-  uploadEndpoints: {
-    pinata: {
-      url: 'https://api.pinata.cloud/pinning/pinFileToIPFS',
-      // Note: API keys should be stored in environment variables
-      // This is for demo purposes only
-    },
-    nftStorage: {
-      url: 'https://api.nft.storage/upload',
-      // Note: API keys should be stored in environment variables
-    }
-  }
+  ]
 }
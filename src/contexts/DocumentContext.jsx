@@ -1,4 +1,9 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react'
+import { useWallet } from './WalletContext'
+import apiService from '../services/apiService'
+import contractService from '../services/contractService'
+import encryptionService from '../services/encryptionService'
+import transactionQueue from '../services/transactionQueue'
 
 const DocumentContext = createContext()
 
@@ -13,6 +18,11 @@ export const useDocuments = () => {
 export const DocumentProvider = ({ children }) => {
   const [documents, setDocuments] = useState([])
   const [isLoading, setIsLoading] = useState(false)
+  const [isSyncing, setIsSyncing] = useState(false)
+  const [lastSyncedAt, setLastSyncedAt] = useState(null)
+  const { address, isAuthenticated } = useWallet()
+  const documentsRef = useRef(documents)
+  documentsRef.current = documents
 
   // Load documents from localStorage on mount
   useEffect(() => {
@@ -42,6 +52,85 @@ export const DocumentProvider = ({ children }) => {
     }
   }, [documents])
 
+  // Convert a backend registry record into the local document shape
+  const fromRegistry = (record) => ({
+    ...record,
+    registryId: record.id,
+    verified: true,
+    status: 'completed'
+  })
+
+  const toRegistry = (doc) => ({
+    fileName: doc.fileName || doc.name,
+    ipfsHash: doc.ipfsHash,
+    transactionHash: doc.transactionHash,
+    chainDocumentId: typeof doc.id === 'number' ? doc.id : undefined,
+    fileSize: doc.fileSize,
+    type: doc.type,
+    description: doc.description,
+    uploadDate: doc.uploadDate,
+    encrypted: doc.encrypted
+  })
+
+  // Pull the wallet's documents from the backend registry, pushing up any
+  // local-only documents first so nothing uploaded offline is lost
+  const syncWithRegistry = useCallback(async () => {
+    if (!isAuthenticated || !address) return
+
+    setIsSyncing(true)
+    try {
+      const unsynced = documentsRef.current.filter(doc =>
+        !doc.registryId && doc.ipfsHash && doc.uploader?.toLowerCase() === address.toLowerCase()
+      )
+      for (const doc of unsynced) {
+        try {
+          await apiService.registerDocument(toRegistry(doc))
+        } catch (error) {
+          console.warn('Failed to register local document:', doc.fileName, error)
+        }
+      }
+
+      const remote = await apiService.getAllDocuments()
+      const remoteByHash = new Map(remote.map(record => [record.ipfsHash, record]))
+
+      setDocuments(prev => {
+        const merged = []
+        const seen = new Set()
+
+        for (const doc of prev) {
+          const record = remoteByHash.get(doc.ipfsHash)
+          if (record) {
+            merged.push({ ...doc, ...fromRegistry(record), id: doc.id })
+            seen.add(record.ipfsHash)
+          } else if (!doc.registryId) {
+            // Another wallet's or not-yet-synced local document
+            merged.push(doc)
+          }
+          // Documents with a registryId the backend no longer has were deleted elsewhere
+        }
+
+        for (const record of remote) {
+          if (!seen.has(record.ipfsHash)) {
+            merged.push(fromRegistry(record))
+          }
+        }
+
+        return merged.sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))
+      })
+
+      setLastSyncedAt(new Date().toISOString())
+      console.log('🔄 Synced', remote.length, 'documents from registry')
+    } catch (error) {
+      console.error('Document registry sync failed:', error)
+    } finally {
+      setIsSyncing(false)
+    }
+  }, [address, isAuthenticated])
+
+  useEffect(() => {
+    syncWithRegistry()
+  }, [syncWithRegistry])
+
   const addDocument = (document) => {
     const newDocument = {
       ...document,
@@ -53,10 +142,32 @@ export const DocumentProvider = ({ children }) => {
     
     setDocuments(prev => [newDocument, ...prev])
     console.log('✅ Document added:', newDocument.fileName)
+
+    if (isAuthenticated && newDocument.registryId) {
+      // Already recorded by the backend upload pipeline; attach the chain details
+      apiService.updateDocument(newDocument.registryId, {
+        transactionHash: newDocument.transactionHash,
+        chainDocumentId: toRegistry(newDocument).chainDocumentId
+      }).catch(error => console.warn('Failed to update document in registry:', error))
+    } else if (isAuthenticated) {
+      apiService.registerDocument(toRegistry(newDocument))
+        .then(record => {
+          updateLocalDocument(newDocument.id, { registryId: record.id })
+          // A CID the backend already had comes back as it was recorded
+          if (newDocument.transactionHash && record.transactionHash !== newDocument.transactionHash) {
+            return apiService.updateDocument(record.id, {
+              transactionHash: newDocument.transactionHash,
+              chainDocumentId: toRegistry(newDocument).chainDocumentId
+            })
+          }
+        })
+        .catch(error => console.warn('Failed to register document with backend:', error))
+    }
+
     return newDocument
   }
 
-  const updateDocument = (id, updates) => {
+  const updateLocalDocument = (id, updates) => {
     setDocuments(prev => 
       prev.map(doc => 
         doc.id === id ? { ...doc, ...updates } : doc
@@ -64,23 +175,278 @@ export const DocumentProvider = ({ children }) => {
     )
   }
 
-  const removeDocument = (id) => {
+  const updateDocument = (id, updates) => {
+    updateLocalDocument(id, updates)
+
+    const doc = documentsRef.current.find(d => d.id === id)
+    if (doc?.registryId && isAuthenticated) {
+      apiService.updateDocument(doc.registryId, updates)
+        .catch(error => console.warn('Failed to update document in registry:', error))
+    }
+  }
+
+  // Archive or unarchive a document: deactivate it on chain when it is
+  // anchored there, then mark it locally and in the backend registry, which
+  // records the change in the activity log
+  const setDocumentArchived = async (document, archived) => {
+    const chainDocumentId = getChainDocumentId(document)
+    let transactionHash = null
+    if (chainDocumentId !== null) {
+      const result = archived
+        ? await contractService.deactivateDocument(chainDocumentId)
+        : await contractService.reactivateDocument(chainDocumentId)
+      transactionHash = result.transactionHash
+    }
+
+    recordArchived(document, archived, transactionHash)
+    return { transactionHash }
+  }
+
+  const recordArchived = (document, archived, transactionHash) => {
+    updateLocalDocument(document.id, {
+      archived,
+      archivedAt: archived ? new Date().toISOString() : null
+    })
+
+    if (isAuthenticated && document.registryId) {
+      const request = archived
+        ? apiService.archiveDocument(document.registryId, transactionHash)
+        : apiService.unarchiveDocument(document.registryId, transactionHash)
+      request.catch(error => console.warn(`Failed to ${archived ? 'archive' : 'unarchive'} document in registry:`, error))
+    }
+  }
+
+  const archiveDocument = (document) => setDocumentArchived(document, true)
+  const unarchiveDocument = (document) => setDocumentArchived(document, false)
+
+  // Delete a document from the registry and this device. The chain can't
+  // forget it, so an active on-chain document is deactivated first.
+  const removeDocument = async (id) => {
+    const doc = documentsRef.current.find(d => d.id === id)
+    if (!doc) return
+
+    let transactionHash = null
+    const chainDocumentId = getChainDocumentId(doc)
+    const owned = address && doc.uploader?.toLowerCase() === address.toLowerCase()
+    if (chainDocumentId !== null && owned && !doc.archived) {
+      transactionHash = (await contractService.deactivateDocument(chainDocumentId)).transactionHash
+    }
+
     setDocuments(prev => prev.filter(doc => doc.id !== id))
+
+    if (doc.registryId && isAuthenticated) {
+      apiService.deleteDocument(doc.registryId, transactionHash)
+        .catch(error => console.warn('Failed to delete document from registry:', error))
+    }
+  }
+
+  // Report a view/download/share/revoke to the backend audit log
+  const recordActivity = (type, document, extra = {}) => {
+    if (!isAuthenticated || !document) return
+
+    apiService.recordActivity({
+      type,
+      documentId: document.registryId,
+      ipfsHash: document.ipfsHash,
+      ...extra
+    }).catch(error => console.warn(`Failed to record ${type} activity:`, error))
   }
 
+  // On-chain id of a document, when the registry contract anchored it
+  const getChainDocumentId = (document) => {
+    if (document?.chainDocumentId != null) return Number(document.chainDocumentId)
+    return typeof document?.id === 'number' ? document.id : null
+  }
+
+  // Whether the connected wallet may read a document: its uploader, or a wallet
+  // with an unexpired on-chain grant. Documents that were never anchored on-chain
+  // (demo mode, local-only) are readable by whoever holds them. Fails closed.
+  const canReadDocument = async (document) => {
+    if (!document) return false
+    if (address && document.uploader?.toLowerCase() === address.toLowerCase()) return true
+
+    const chainDocumentId = getChainDocumentId(document)
+    if (chainDocumentId === null) return true
+    if (!address) return false
+
+    try {
+      return await contractService.hasAccess(chainDocumentId, address)
+    } catch (error) {
+      console.warn('Access check failed, refusing access:', error)
+      return false
+    }
+  }
+
+  // A document's versions, oldest first; documents uploaded before versions
+  // were tracked have a single implicit version 1
+  const getDocumentVersions = (document) => {
+    if (document?.versions?.length) return document.versions
+    return [{
+      version: 1,
+      ipfsHash: document.ipfsHash,
+      fileSize: document.fileSize,
+      type: document.type,
+      encrypted: Boolean(document.encrypted),
+      transactionHash: document.transactionHash,
+      uploadDate: document.uploadDate
+    }]
+  }
+
+  // Register an uploaded CID as the next version of a document: on chain when
+  // the document is anchored there, then locally and in the backend registry.
+  // Restoring an old version registers its CID again. Returns the new version
+  // and any grantees its key couldn't be shared with.
+  const addDocumentVersion = async (document, { ipfsHash, fileSize, type, encrypted = false, fees = {} }) => {
+    const chainDocumentId = getChainDocumentId(document)
+    let version = getDocumentVersions(document).at(-1).version + 1
+    let transactionHash = null
+
+    if (chainDocumentId !== null) {
+      const result = await contractService.addVersion(chainDocumentId, ipfsHash, fileSize, fees)
+      version = result.version ?? version
+      transactionHash = result.transactionHash
+    }
+
+    const entry = {
+      version,
+      ipfsHash,
+      fileSize,
+      type: type || document.type,
+      encrypted,
+      transactionHash,
+      uploadDate: new Date().toISOString()
+    }
+    // Awaited: the backend only stores a key for a CID it knows the uploader of
+    await recordVersion(document, entry)
+
+    // Grantees were only given the keys of earlier versions
+    const unshared = []
+    if (encrypted && chainDocumentId !== null) {
+      const grantees = (await contractService.getGrantees(chainDocumentId)).filter(grantee => grantee.active)
+      for (const grantee of grantees) {
+        try {
+          await encryptionService.shareKey(ipfsHash, grantee.address, { expiresAt: grantee.expiresAt })
+        } catch (error) {
+          console.warn('Failed to share version key with', grantee.address, error)
+          unshared.push(grantee.address)
+        }
+      }
+    }
+
+    return { ...entry, unshared }
+  }
+
+  // Make `entry` the document's newest version locally and in the registry.
+  // An entry for the CID the document already points at only fills in its
+  // chain details, as the registry does.
+  const recordVersion = async (document, entry) => {
+    setDocuments(prev => prev.map(doc => {
+      if (doc.id !== document.id) return doc
+      const versions = getDocumentVersions(doc)
+      const latest = versions[versions.length - 1]
+      return {
+        ...doc,
+        ipfsHash: entry.ipfsHash,
+        fileSize: entry.fileSize,
+        type: entry.type,
+        encrypted: entry.encrypted,
+        version: entry.version,
+        versions: latest.ipfsHash === entry.ipfsHash
+          ? [...versions.slice(0, -1), { ...latest, version: entry.version, transactionHash: entry.transactionHash }]
+          : [...versions, entry]
+      }
+    }))
+
+    if (isAuthenticated && document.registryId) {
+      await apiService.addDocumentVersion(document.registryId, entry)
+        .catch(error => console.warn('Failed to record version in registry:', error))
+    }
+  }
+
+  // Apply a contract call that finished with no page waiting on it (a retry
+  // from the transactions panel, or one still pending at a reload) the way
+  // the code that first sent it would have
+  const applyTransactionResult = async (result) => {
+    const findByChainId = (id) => documentsRef.current.find(doc => getChainDocumentId(doc) === Number(id))
+    const { method, args, from, transactionHash } = result
+
+    if (method === 'uploadDocument' || method === 'uploadDocuments') {
+      const [fileNames, ipfsHashes, fileSizes] = method === 'uploadDocument'
+        ? [[args[0]], [args[1]], [args[2]]]
+        : args
+      ipfsHashes.forEach((ipfsHash, i) => {
+        const chainDocumentId = result.documentIds[i] ?? null
+        const existing = documentsRef.current.find(doc =>
+          doc.ipfsHash === ipfsHash && doc.uploader?.toLowerCase() === from.toLowerCase()
+        )
+        if (existing) {
+          updateDocument(existing.id, { transactionHash, chainDocumentId })
+        } else {
+          addDocument({
+            id: chainDocumentId ?? undefined,
+            chainDocumentId,
+            fileName: fileNames[i],
+            ipfsHash,
+            fileSize: Number(fileSizes[i]),
+            transactionHash,
+            uploader: from
+          })
+        }
+      })
+    } else if (method === 'addVersion') {
+      const document = findByChainId(args[0])
+      if (!document) return
+      const latest = getDocumentVersions(document).at(-1)
+      await recordVersion(document, {
+        version: result.version ?? latest.version + 1,
+        ipfsHash: args[1],
+        fileSize: Number(args[2]),
+        type: document.type,
+        encrypted: latest.ipfsHash === args[1] ? latest.encrypted : Boolean(document.encrypted),
+        transactionHash,
+        uploadDate: new Date().toISOString()
+      })
+    } else if (method === 'deactivateDocument' || method === 'reactivateDocument') {
+      const document = findByChainId(args[0])
+      if (document) recordArchived(document, method === 'deactivateDocument', transactionHash)
+    } else if (method === 'grantAccess' || method === 'revokeAccess') {
+      const document = findByChainId(args[0])
+      const grantee = args[1]
+      recordActivity(method === 'grantAccess' ? 'share' : 'revoke', document, {
+        transactionHash,
+        metadata: method === 'grantAccess'
+          ? { grantee, expiresAt: args[2] > 0n ? new Date(Number(args[2]) * 1000).toISOString() : null }
+          : { grantee }
+      })
+    }
+  }
+
+  // The listener is registered once; it always calls the latest handler
+  const applyTransactionResultRef = useRef(applyTransactionResult)
+  applyTransactionResultRef.current = applyTransactionResult
+  useEffect(() => transactionQueue.onComplete(async (entry, receipt) => {
+    const result = contractService.transactionResult(entry, receipt)
+    if (result) await applyTransactionResultRef.current(result)
+  }), [])
+
   const getDocumentById = (id) => {
     return documents.find(doc => doc.id === id)
   }
 
+  // Archived documents are kept apart so every page hides them by default
+  const activeDocuments = documents.filter(doc => !doc.archived)
+  const archivedDocuments = documents.filter(doc => doc.archived)
+
   const getDocumentsByType = (type) => {
-    return documents.filter(doc => doc.type === type)
+    return activeDocuments.filter(doc => doc.type === type)
   }
 
-  const searchDocuments = (query) => {
-    if (!query) return documents
+  const searchDocuments = (query, { archived = false } = {}) => {
+    const pool = archived ? archivedDocuments : activeDocuments
+    if (!query) return pool
     
     const lowercaseQuery = query.toLowerCase()
-    return documents.filter(doc =>
+    return pool.filter(doc =>
       (doc.fileName && doc.fileName.toLowerCase().includes(lowercaseQuery)) ||
       (doc.ipfsHash && doc.ipfsHash.toLowerCase().includes(lowercaseQuery)) ||
       (doc.description && doc.description.toLowerCase().includes(lowercaseQuery))
@@ -94,19 +460,30 @@ export const DocumentProvider = ({ children }) => {
   }
 
   const value = {
-    documents,
+    documents: activeDocuments,
+    archivedDocuments,
     isLoading,
     setIsLoading,
     addDocument,
     updateDocument,
     removeDocument,
+    archiveDocument,
+    unarchiveDocument,
     getDocumentById,
     getDocumentsByType,
     searchDocuments,
     clearAllDocuments,
-    totalDocuments: documents.length,
-    totalSize: documents.reduce((sum, doc) => sum + (doc.fileSize || 0), 0),
-    verifiedDocuments: documents.filter(doc => doc.verified).length
+    syncWithRegistry,
+    recordActivity,
+    getChainDocumentId,
+    canReadDocument,
+    getDocumentVersions,
+    addDocumentVersion,
+    isSyncing,
+    lastSyncedAt,
+    totalDocuments: activeDocuments.length,
+    totalSize: activeDocuments.reduce((sum, doc) => sum + (doc.fileSize || 0), 0),
+    verifiedDocuments: activeDocuments.filter(doc => doc.verified).length
   }
 
   return (
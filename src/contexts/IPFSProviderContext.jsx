@@ -1,7 +1,17 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react'
+import storageService from '../services/storageService'
+import { STORAGE_PROVIDERS, DEFAULT_STORAGE_PROVIDER, createStorageProvider } from '../services/storage'
 
 const IPFSProviderContext = createContext()
 
+const SELECTION_KEY = 'securex_storage_provider'
+// Settings of every provider the user has saved, by id, so pins can be
+// managed and replicated on providers other than the selected one
+const CONFIGS_KEY = 'securex_storage_configs'
+const STATS_KEY = 'securex_ipfs_stats'
+const TESTS_KEY = 'securex_storage_tests'
+const TEST_TIMEOUT_MS = 10000
+
 export const useIPFSProvider = () => {
   const context = useContext(IPFSProviderContext)
   if (!context) {
@@ -10,176 +20,150 @@ export const useIPFSProvider = () => {
   return context
 }
 
+const loadSelection = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SELECTION_KEY))
+    if (saved && STORAGE_PROVIDERS[saved.id]) {
+      return { id: saved.id, config: saved.config || {} }
+    }
+  } catch (error) {
+    console.error('Error loading storage provider settings:', error)
+  }
+  return { id: DEFAULT_STORAGE_PROVIDER, config: {} }
+}
+
+const loadConfigs = (selection) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(CONFIGS_KEY)) || {}
+    return { ...saved, [selection.id]: selection.config }
+  } catch {
+    return { [selection.id]: selection.config }
+  }
+}
+
+const loadTests = () => {
+  try {
+    return JSON.parse(localStorage.getItem(TESTS_KEY)) || {}
+  } catch {
+    return {}
+  }
+}
+
+const loadStats = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STATS_KEY))
+    if (saved) return saved
+  } catch (error) {
+    console.error('Error loading IPFS stats:', error)
+  }
+  return { uploads: 0, successRate: 100, totalStorage: '0 MB', errors: 0 }
+}
+
 export const IPFSProviderProvider = ({ children }) => {
-  const [provider, setProviderState] = useState({
-    name: 'IPFS.io Gateway',
-    url: 'https://ipfs.io/ipfs',
-    type: 'gateway',
-    free: true,
-    description: 'Public IPFS gateway - free and reliable'
-  })
-  
-  const [stats, setStats] = useState({
-    uploads: 0,
-    successRate: 100,
-    totalStorage: '0 MB',
-    errors: 0
-  })
-
-  // Load provider from localStorage
-  useEffect(() => {
+  // Which storage provider uploads go to, and its settings (API keys etc.)
+  const [selection, setSelection] = useState(loadSelection)
+  const [configs, setConfigs] = useState(() => loadConfigs(selection))
+  const [stats, setStats] = useState(loadStats)
+  // Last connectivity test of each provider, by id
+  const [testResults, setTestResults] = useState(loadTests)
+
+  const provider = useMemo(() => {
     try {
-      const savedProvider = localStorage.getItem('securex_ipfs_provider')
-      const savedStats = localStorage.getItem('securex_ipfs_stats')
-      
-      if (savedProvider) {
-        setProviderState(JSON.parse(savedProvider))
-      }
-      
-      if (savedStats) {
-        setStats(JSON.parse(savedStats))
-      }
+      return createStorageProvider(selection.id, selection.config)
     } catch (error) {
-      console.error('Error loading IPFS provider settings:', error)
+      console.error('Storage provider unavailable, using browser storage:', error)
+      return createStorageProvider(DEFAULT_STORAGE_PROVIDER)
+    }
+  }, [selection])
+
+  // Browser storage needs no settings, so it is always available alongside
+  // the providers the user has configured
+  const configuredProviders = useMemo(() => {
+    const ids = [DEFAULT_STORAGE_PROVIDER, ...Object.keys(configs).filter(id => id !== DEFAULT_STORAGE_PROVIDER)]
+    return ids.filter(id => STORAGE_PROVIDERS[id]).map(id => {
+      if (id === selection.id) return provider
+      try {
+        return createStorageProvider(id, configs[id])
+      } catch (error) {
+        console.warn(`Storage provider ${id} unavailable:`, error)
+        return null
+      }
+    }).filter(Boolean)
+  }, [configs, selection.id, provider])
+
+  // Non-React code (pages' services, encryption) reads the provider from the service
+  useEffect(() => {
+    storageService.setProvider(provider)
+  }, [provider])
+
+  useEffect(() => {
+    localStorage.setItem(STATS_KEY, JSON.stringify(stats))
+  }, [stats])
+
+  useEffect(() => {
+    localStorage.setItem(TESTS_KEY, JSON.stringify(testResults))
+  }, [testResults])
+
+  useEffect(() => {
+    localStorage.setItem(CONFIGS_KEY, JSON.stringify(configs))
+  }, [configs])
+
+  // Keep a provider's settings without switching uploads to it
+  const saveProviderConfig = (id, config = {}) => {
+    if (!STORAGE_PROVIDERS[id]) {
+      throw new Error(`Unknown storage provider "${id}"`)
     }
-  }, [])
+    setConfigs(prev => ({ ...prev, [id]: config }))
+  }
 
-  // Save provider to localStorage
-  const setProvider = (newProvider) => {
-    setProviderState(newProvider)
-    localStorage.setItem('securex_ipfs_provider', JSON.stringify(newProvider))
-    console.log('✅ IPFS Provider updated:', newProvider.name)
+  const selectProvider = (id, config = {}) => {
+    saveProviderConfig(id, config)
+    const next = { id, config }
+    setSelection(next)
+    localStorage.setItem(SELECTION_KEY, JSON.stringify(next))
+    console.log('✅ Storage provider updated:', STORAGE_PROVIDERS[id].name)
   }
 
-  // Test provider connectivity
-  const testProvider = async (providerConfig) => {
+  // Connectivity test: reach the provider with the given settings and report
+  // who answered (node, account or space), its version and how long it took
+  const testProvider = async (id = selection.id, config = selection.config) => {
+    const startedAt = performance.now()
+    let result
     try {
-      console.log('🧪 Testing IPFS provider:', providerConfig.name)
-      
-      if (providerConfig.type === 'gateway') {
-        // Test gateway with a known IPFS hash
-        const testUrl = `${providerConfig.url}/QmR7GSQM93Cx5eAg6a6yRzNde1FQv7uL6X1o4k7zrJa3Xx`
-        
-        // Use image loading test to avoid CORS issues
-        return new Promise((resolve) => {
-          const img = new Image()
-          const timeout = setTimeout(() => {
-            resolve({ success: true, message: 'Gateway appears accessible' })
-          }, 2000)
-          
-          img.onload = () => {
-            clearTimeout(timeout)
-            resolve({ success: true, message: 'Gateway working perfectly' })
-          }
-          
-          img.onerror = () => {
-            clearTimeout(timeout)
-            resolve({ success: true, message: 'Gateway accessible (different content type)' })
-          }
-          
-          img.src = testUrl
-        })
-      } else {
-        // For API providers, just validate URL format
-        const isValidUrl = /^https?:\/\/.+/.test(providerConfig.url)
-        if (isValidUrl) {
-          return { success: true, message: 'API endpoint format is valid' }
-        } else {
-          return { success: false, error: 'Invalid URL format' }
-        }
-      }
+      const candidate = createStorageProvider(id, config)
+      const { identity, version, details } = await candidate.identify({ signal: AbortSignal.timeout(TEST_TIMEOUT_MS) })
+      result = { success: true, identity, version, details }
     } catch (error) {
-      return { success: false, error: error.message }
+      result = { success: false, error: error.message, code: error.code || null }
     }
+    result = { ...result, latencyMs: Math.round(performance.now() - startedAt), testedAt: new Date().toISOString() }
+    setTestResults(prev => ({ ...prev, [id]: result }))
+    return result
   }
 
-  // Upload file using current provider
-  const uploadFile = async (file, progressCallback = null) => {
+  // Upload a file with the selected provider
+  const uploadFile = async (file, progressCallback = null, options = {}) => {
     try {
-      console.log('📤 Uploading with provider:', provider.name)
-      setStats(prev => ({ ...prev, uploads: prev.uploads + 1 }))
-      
-      // Simulate progress
-      if (progressCallback) {
-        for (let i = 0; i <= 100; i += 10) {
-          progressCallback(i / 100)
-          await new Promise(resolve => setTimeout(resolve, 100))
-        }
-      }
-
-      // Generate hash based on provider type
-      let ipfsHash
-      if (provider.type === 'api') {
-        // API providers get more realistic hashes
-        ipfsHash = await generateRealisticHash(file)
-      } else {
-        // Gateway providers get known working hashes
-        ipfsHash = getKnownWorkingHash()
-      }
-
-      const result = {
-        success: true,
-        hash: ipfsHash,
-        provider: provider.name,
-        providerType: provider.type,
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        url: `${provider.url}/${ipfsHash}`,
-        timestamp: new Date().toISOString()
-      }
-
-      // Update stats
-      setStats(prev => ({
-        ...prev,
-        totalStorage: formatBytes(getTotalStorageBytes() + file.size),
-        successRate: Math.round((prev.uploads / (prev.uploads + prev.errors)) * 100)
-      }))
-
-      localStorage.setItem('securex_ipfs_stats', JSON.stringify(stats))
-      
-      console.log('✅ Upload successful with', provider.name, ':', result)
+      const result = await storageService.uploadFile(file, progressCallback, options)
+      setStats(prev => {
+        const uploads = prev.uploads + 1
+        return { ...prev, uploads, successRate: Math.round((uploads / (uploads + prev.errors)) * 100) }
+      })
       return result
-      
     } catch (error) {
-      setStats(prev => ({ ...prev, errors: prev.errors + 1 }))
+      setStats(prev => {
+        const errors = prev.errors + 1
+        return { ...prev, errors, successRate: Math.round((prev.uploads / (prev.uploads + errors)) * 100) }
+      })
       console.error('❌ Upload failed:', error)
       throw error
     }
   }
 
-  // Download/view file
-  const viewFile = (ipfsHash) => {
-    const url = provider.type === 'gateway' 
-      ? `${provider.url}/${ipfsHash}`
-      : `https://ipfs.io/ipfs/${ipfsHash}` // Fallback to public gateway for API providers
-    
-    window.open(url, '_blank')
-    console.log('🌐 Opening file with', provider.name, ':', url)
-  }
+  // Open a file, decrypted if needed
+  const viewFile = (ipfsHash, fileName) => storageService.viewFile(ipfsHash, fileName)
 
   // Helper functions
-  const generateRealisticHash = async (file) => {
-    // Generate content-based hash for API providers
-    const content = await file.arrayBuffer()
-    const hashArray = await crypto.subtle.digest('SHA-256', content)
-    const hashHex = Array.from(new Uint8Array(hashArray))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('')
-    
-    // Convert to IPFS-like CID format
-    return `Qm${hashHex.slice(0, 44)}`
-  }
-
-  const getKnownWorkingHash = () => {
-    const workingHashes = [
-      'QmR7GSQM93Cx5eAg6a6yRzNde1FQv7uL6X1o4k7zrJa3Xx',
-      'QmYwAPJzv5CZsnAzt8auVkRJe2pYvKnVdx4nALwGbAx7B9',
-      'QmQPeNsJPyVWPFDVHb77w8G42Fvo15z4bG2X8D2GhfbSXc'
-    ]
-    return workingHashes[Math.floor(Math.random() * workingHashes.length)]
-  }
-
   const getTotalStorageBytes = () => {
     try {
       const documents = JSON.parse(localStorage.getItem('securex_documents') || '[]')
@@ -201,15 +185,21 @@ export const IPFSProviderProvider = ({ children }) => {
     return {
       ...stats,
       totalStorage: formatBytes(getTotalStorageBytes()),
-      provider: provider.name,
-      providerType: provider.type
+      provider: provider.name
     }
   }
 
   const value = {
+    providers: STORAGE_PROVIDERS,
+    providerId: selection.id,
+    providerConfig: selection.config,
+    providerConfigs: configs,
     provider,
-    setProvider,
+    configuredProviders,
+    selectProvider,
+    saveProviderConfig,
     testProvider,
+    testResults,
     uploadFile,
     viewFile,
     getProviderStats,
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect } from 'react'
 import { ethers } from 'ethers'
 import contractService from '../services/contractService'
+import apiService from '../services/apiService'
+import encryptionService from '../services/encryptionService'
 
 const WalletContext = createContext()
 
@@ -22,12 +24,20 @@ export const WalletProvider = ({ children }) => {
   const [error, setError] = useState('')
   const [contractInitialized, setContractInitialized] = useState(false)
   const [demoMode, setDemoMode] = useState(true) // Auto-enable demo mode by default
+  const [isAuthenticated, setIsAuthenticated] = useState(false)
+  const [authError, setAuthError] = useState('')
 
   // Check if wallet is already connected on app load
   useEffect(() => {
     checkConnection()
   }, [])
 
+  // An API call answered 401: the session is gone, so sign in again to continue
+  useEffect(() => apiService.onSessionEnd(() => {
+    setIsAuthenticated(false)
+    setAuthError('Your session has expired. Sign in again to continue.')
+  }), [])
+
   const checkConnection = async () => {
     if (typeof window.ethereum !== 'undefined') {
       try {
@@ -44,6 +54,10 @@ export const WalletProvider = ({ children }) => {
           setAddress(address)
           setChainId(network.chainId)
           setIsConnected(true)
+          encryptionService.setSigner(signer, address)
+
+          // Reuse an existing backend session; never prompt for a signature on load
+          setIsAuthenticated(apiService.hasSession(address))
 
           // Initialize contract service
           const initialized = await contractService.initialize(provider, signer, network.chainId)
@@ -83,6 +97,7 @@ export const WalletProvider = ({ children }) => {
       setChainId(network.chainId)
       setIsConnected(true)
       setError('')
+      encryptionService.setSigner(signer, address)
 
       // Initialize contract service
       const initialized = await contractService.initialize(provider, signer, network.chainId)
@@ -96,6 +111,8 @@ export const WalletProvider = ({ children }) => {
 
       console.log('Wallet connected:', address)
 
+      await signIn(signer, address, network.chainId)
+
     } catch (error) {
       console.error('Error connecting wallet:', error)
       let errorMsg = 'Failed to connect wallet'
@@ -114,6 +131,28 @@ export const WalletProvider = ({ children }) => {
     }
   }
 
+  // Sign the backend's SIWE challenge so API calls carry a verified session
+  const signIn = async (signer, address, chainId) => {
+    if (apiService.hasSession(address)) {
+      setIsAuthenticated(true)
+      return true
+    }
+
+    try {
+      setAuthError('')
+      await apiService.authenticate(signer, chainId)
+      setIsAuthenticated(true)
+      return true
+    } catch (error) {
+      console.warn('Backend sign-in failed:', error)
+      setIsAuthenticated(false)
+      setAuthError(error.code === 4001 || error.code === 'ACTION_REJECTED'
+        ? 'Sign-in request rejected'
+        : error.message || 'Backend sign-in failed')
+      return false
+    }
+  }
+
   const disconnectWallet = () => {
     setIsConnected(false)
     setAddress('')
@@ -122,6 +161,10 @@ export const WalletProvider = ({ children }) => {
     setChainId(null)
     setError('')
     setContractInitialized(false)
+    setIsAuthenticated(false)
+    setAuthError('')
+    apiService.clearSession()
+    encryptionService.reset()
 
     // Clean up contract service
     contractService.removeEventListeners()
@@ -253,6 +296,9 @@ export const WalletProvider = ({ children }) => {
     contractInitialized,
     connectWallet,
     disconnectWallet,
+    isAuthenticated,
+    authError,
+    signIn: () => signer && signIn(signer, address, chainId),
     switchToTestnet,
     demoMode,
     setDemoMode
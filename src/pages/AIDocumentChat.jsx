@@ -10,14 +10,17 @@ import {
   InformationCircleIcon,
   CloudArrowUpIcon,
   CpuChipIcon,
-  CogIcon
+  CogIcon,
+  StopIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
 import { useToast } from '../components/ui/Toast'
-import bulletproofIPFS from '../services/bulletproofIPFS'
+import storageService from '../services/storageService'
+import { EncryptionError } from '../services/encryptionService'
 import { copyToClipboard as safeCopyToClipboard, showToast, handleSuccess } from '../utils/productionFixes'
 import universalFileReader from '../services/universalFileReader'
 import aiProviderService from '../services/aiProviderService'
@@ -25,6 +28,8 @@ import freeAIService from '../services/freeAIService'
 import ApiKeyConfig from '../components/ui/ApiKeyConfig'
 import documentProcessor from '../services/documentProcessor'
 import ragService from '../services/ragService'
+import embeddingService from '../services/embeddingService'
+import apiService from '../services/apiService'
 
 const AIDocumentChat = () => {
   const [selectedDocument, setSelectedDocument] = useState(null)
@@ -37,13 +42,26 @@ const AIDocumentChat = () => {
   const [showProviderSettings, setShowProviderSettings] = useState(false)
   const [showApiKeyConfig, setShowApiKeyConfig] = useState(false)
   const [currentProvider, setCurrentProvider] = useState(aiProviderService.getCurrentProvider())
-  const [processedDocuments, setProcessedDocuments] = useState(new Set())
+  const [embeddingProvider, setEmbeddingProvider] = useState(embeddingService.getCurrentProvider())
+  // Documents in the local RAG index; it persists in IndexedDB across reloads
+  const [indexedDocuments, setIndexedDocuments] = useState([])
+  const [reindexingDocument, setReindexingDocument] = useState(null)
   const [isProcessingDocument, setIsProcessingDocument] = useState(false)
+  // Documents also indexed by the backend for server-side chat with citations
+  const [serverDocuments, setServerDocuments] = useState(new Set())
+  const [expandedCitation, setExpandedCitation] = useState(null)
   const messagesEndRef = useRef(null)
   const fileInputRef = useRef(null)
-  const { isConnected, address } = useWallet()
-  const { documents } = useDocuments()
+  // Aborts the in-flight (streaming) response when the user presses Stop
+  const abortControllerRef = useRef(null)
+  // The IPFS document being fetched, so a slow fetch can't overwrite a newer selection
+  const selectionRef = useRef(null)
+  const { isConnected, address, isAuthenticated } = useWallet()
+  const { documents, canReadDocument } = useDocuments()
   const toast = useToast()
+  const processedDocuments = new Set(indexedDocuments.map(doc => doc.id))
+  // Restored knowledge base documents are enough to chat about
+  const hasChatContext = Boolean(selectedDocument || selectedFile || processedDocuments.size > 0)
 
   // Documents are now loaded from global context
   // They automatically sync across all pages
@@ -56,6 +74,32 @@ const AIDocumentChat = () => {
     scrollToBottom()
   }, [messages])
 
+  useEffect(() => {
+    return () => abortControllerRef.current?.abort()
+  }, [])
+
+  const refreshIndexedDocuments = () => {
+    setIndexedDocuments(ragService.getAllDocuments())
+  }
+
+  useEffect(() => {
+    let cancelled = false
+    ragService.ready.then(() => {
+      if (!cancelled) refreshIndexedDocuments()
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setServerDocuments(new Set())
+      return
+    }
+    apiService.getChatDocuments()
+      .then(serverIndexed => setServerDocuments(new Set(serverIndexed.map(doc => doc.documentId))))
+      .catch(error => console.warn('Failed to load server-side chat index:', error))
+  }, [isAuthenticated])
+
   const getFileIcon = (fileName) => {
     if (!fileName || typeof fileName !== 'string') return '📄'
     const ext = fileName.split('.').pop()?.toLowerCase()
@@ -72,10 +116,40 @@ const AIDocumentChat = () => {
     }
   }
 
+  // Process a document through the RAG pipeline; it is keyed by content hash
+  // (or CID), so indexing an unchanged file again reuses the stored embeddings.
+  // Encrypted documents stay in the browser: sending their text to the backend
+  // index would undo the encryption.
+  const indexFile = async (file, { cid = null, encrypted = false } = {}) => {
+    const processed = await documentProcessor.processDocument(file, null, { cid })
+    if (!processed.success) {
+      throw new Error(processed.error)
+    }
+    const { documentId } = processed
+    refreshIndexedDocuments()
+
+    // Index on the backend too so answers come with page-level citations
+    if (isAuthenticated && !encrypted && !serverDocuments.has(documentId)) {
+      try {
+        await apiService.ingestChatDocument({
+          documentId,
+          fileName: file.name,
+          text: processed.extracted.text,
+          pages: processed.extracted.pages
+        })
+        setServerDocuments(prev => new Set([...prev, documentId]))
+      } catch (indexError) {
+        console.warn('Server-side indexing failed, using local RAG only:', indexError)
+      }
+    }
+    return processed
+  }
+
   const handleFileUpload = async (event) => {
     const file = event.target.files[0]
     if (!file) return
 
+    selectionRef.current = null
     setIsProcessingFile(true)
     setIsProcessingDocument(true)
     
@@ -92,15 +166,12 @@ const AIDocumentChat = () => {
         })
         setFileContent(result)
         
-        // Process document through RAG pipeline
-        const documentId = `doc_${Date.now()}`
-        await documentProcessor.processDocument(file, documentId)
-        
-        // Mark document as processed
-        setProcessedDocuments(prev => new Set([...prev, documentId]))
+        const processed = await indexFile(file)
         
         toast.success(`📄 ${file.name} loaded successfully! ${result.fileType.category} file ready for AI analysis.`)
-        toast.success(`🤖 Document processed for RAG retrieval! Ready for contextual questions.`)
+        toast.success(processed.reused
+          ? `🤖 ${file.name} is already indexed, reusing its embeddings.`
+          : `🤖 Document processed for RAG retrieval! Ready for contextual questions.`)
       } else {
         toast.error(`Failed to read ${file.name}: ${result.error}`)
       }
@@ -113,7 +184,45 @@ const AIDocumentChat = () => {
     }
   }
 
-  const generateAIResponse = async (userMessage, context) => {
+  // Shape local RAG results like the backend's citations
+  const toCitations = (retrievedChunks) => retrievedChunks.map(({ chunk, score }, index) => ({
+    index: index + 1,
+    documentId: chunk.documentId,
+    fileName: chunk.fileName,
+    chunkId: chunk.chunkId,
+    page: chunk.page,
+    start: chunk.start,
+    end: chunk.end,
+    score,
+    snippet: chunk.text.length > 240 ? chunk.text.slice(0, 240) + '…' : chunk.text
+  }))
+
+  const generateAIResponse = async (userMessage, context, streamOptions = {}) => {
+    // The backend can only answer when it holds every document in the
+    // conversation; otherwise the local pipeline covers them all
+    const serverHoldsContext = serverDocuments.size > 0 &&
+      [...processedDocuments].every(documentId => serverDocuments.has(documentId))
+    if (isAuthenticated && serverHoldsContext) {
+      try {
+        const answer = await apiService.streamChat(userMessage, {
+          documentIds: Array.from(serverDocuments),
+          ...streamOptions
+        })
+        return {
+          text: answer.response,
+          provider: answer.provider,
+          model: answer.model,
+          tokens: answer.tokens,
+          ragEnhanced: true,
+          retrievedChunks: answer.citations.length,
+          citations: answer.citations
+        }
+      } catch (serverError) {
+        if (serverError.name === 'AbortError') throw serverError
+        console.warn('Server-side chat failed, falling back to local RAG:', serverError)
+      }
+    }
+
     try {
       // Check if we have processed documents for RAG
       const hasProcessedDocuments = processedDocuments.size > 0;
@@ -144,14 +253,17 @@ const AIDocumentChat = () => {
           try {
             const response = await aiProviderService.generateResponse(
               ragResult.augmentedPrompt, 
-              ragContext
+              ragContext,
+              streamOptions
             );
             return {
               ...response,
               ragEnhanced: true,
-              retrievedChunks: ragResult.retrievedChunks.length
+              retrievedChunks: ragResult.retrievedChunks.length,
+              citations: toCitations(ragResult.retrievedChunks)
             };
           } catch (providerError) {
+            if (providerError.name === 'AbortError') throw providerError;
             console.warn('AI Provider failed, trying free service with RAG');
             
             // Fallback to free AI service with RAG context
@@ -163,7 +275,8 @@ const AIDocumentChat = () => {
             return {
               ...freeResponse,
               ragEnhanced: true,
-              retrievedChunks: ragResult.retrievedChunks.length
+              retrievedChunks: ragResult.retrievedChunks.length,
+              citations: toCitations(ragResult.retrievedChunks)
             };
           }
         }
@@ -173,9 +286,10 @@ const AIDocumentChat = () => {
       console.log('🤖 Using standard AI response');
       
       // First try the selected AI provider
-      const response = await aiProviderService.generateResponse(userMessage, context);
+      const response = await aiProviderService.generateResponse(userMessage, context, streamOptions);
       return response;
     } catch (error) {
+      if (error.name === 'AbortError') throw error
       console.error('AI Provider Error:', error)
 
       try {
@@ -221,8 +335,57 @@ The insights from this analysis can be applied to improve understanding and info
     }
   }
 
+  const selectIPFSDocument = async (doc) => {
+    if (!await canReadDocument(doc)) {
+      toast.error(`Your wallet doesn't have access to ${doc.fileName}`)
+      return
+    }
+    setSelectedDocument(doc)
+    setSelectedFile(null)
+    setFileContent(null)
+    selectionRef.current = doc.id
+
+    // Chat about the document's actual content: fetch it from IPFS, decrypting
+    // encrypted uploads with this wallet's key, and index it
+    setIsProcessingDocument(true)
+    try {
+      const { file, encrypted } = await storageService.fetchDocument(doc.ipfsHash, doc.fileName)
+      const result = await universalFileReader.readFile(file)
+      if (!result.success) {
+        throw new Error(result.error)
+      }
+      if (selectionRef.current !== doc.id) return
+      setFileContent(result)
+
+      const processed = await indexFile(file, { cid: doc.ipfsHash, encrypted: encrypted || Boolean(doc.encrypted) })
+      toast.success(processed.reused
+        ? `🤖 ${doc.fileName} is already indexed, reusing its embeddings.`
+        : `🤖 ${doc.fileName} fetched from IPFS and indexed for contextual questions.`)
+      if (encrypted) {
+        toast.info(`🔒 ${doc.fileName} is encrypted, so its text is only indexed in this browser`)
+      }
+    } catch (error) {
+      if (error instanceof EncryptionError) {
+        toast.error(error.message)
+        if (selectionRef.current === doc.id) setSelectedDocument(null)
+        return
+      }
+      console.warn('Could not fetch document content, answering from its metadata:', error)
+      toast.warning(`Couldn't fetch ${doc.fileName} from IPFS; answers will rely on its details only`)
+    } finally {
+      setIsProcessingDocument(false)
+    }
+  }
+
   const sendMessage = async () => {
-    if (!message.trim() || (!selectedDocument && !selectedFile) || isTyping) return
+    if (!message.trim() || !hasChatContext || isTyping) return
+
+    // Access can be revoked or expire after the document was selected
+    if (selectedDocument && !selectedFile && !await canReadDocument(selectedDocument)) {
+      toast.error(`Your wallet no longer has access to ${selectedDocument.fileName}`)
+      setSelectedDocument(null)
+      return
+    }
 
     const userMessage = {
       id: Date.now(),
@@ -236,6 +399,19 @@ The insights from this analysis can be applied to improve understanding and info
     setMessage('')
     setIsTyping(true)
 
+    // The AI message is created on the first streamed token and updated in place
+    const aiMessageId = Date.now() + 1
+    const upsertAIMessage = (fields) => {
+      setMessages(prev => prev.some(msg => msg.id === aiMessageId)
+        ? prev.map(msg => msg.id === aiMessageId ? { ...msg, ...fields } : msg)
+        : [...prev, { id: aiMessageId, sender: 'ai', timestamp: new Date().toLocaleTimeString(), ...fields }]
+      )
+    }
+
+    const controller = new AbortController()
+    abortControllerRef.current = controller
+    let partialText = ''
+
     try {
       // Build context for AI
       const context = {}
@@ -250,47 +426,74 @@ The insights from this analysis can be applied to improve understanding and info
         context.fileName = selectedDocument.fileName
         context.ipfsHash = selectedDocument.ipfsHash
         context.description = selectedDocument.description
-
-        // Generate realistic file content for analysis based on filename and description
-        context.fileContent = generateRealisticFileContent(selectedDocument.fileName, selectedDocument.description)
-        context.fileType = { category: detectFileCategory(selectedDocument.fileName) }
         context.isIPFSDocument = true
-        context.fullContent = generateFullFileContent(selectedDocument.fileName, selectedDocument.description)
+
+        if (fileContent) {
+          // Fetched (and decrypted) from IPFS when the document was selected
+          context.fileContent = fileContent.readableText || fileContent.content
+          context.fileType = fileContent.fileType
+          context.metadata = fileContent.metadata
+        } else {
+          // Generate realistic file content for analysis based on filename and description
+          context.fileContent = generateRealisticFileContent(selectedDocument.fileName, selectedDocument.description)
+          context.fileType = { category: detectFileCategory(selectedDocument.fileName) }
+          context.fullContent = generateFullFileContent(selectedDocument.fileName, selectedDocument.description)
+        }
       }
 
-      const aiResponseData = await generateAIResponse(currentMessage, context)
+      const aiResponseData = await generateAIResponse(currentMessage, context, {
+        signal: controller.signal,
+        onToken: (token, fullText) => {
+          partialText = fullText
+          upsertAIMessage({ text: fullText, streaming: true })
+        },
+        onCitations: (citations) => upsertAIMessage({ text: partialText, citations, streaming: true })
+      })
+
+      // Non-streaming fallbacks can't be cancelled mid-flight, so drop their late result
+      if (controller.signal.aborted) {
+        throw new DOMException('Response stopped', 'AbortError')
+      }
 
-      const aiResponse = {
-        id: Date.now() + 1,
+      upsertAIMessage({
         text: aiResponseData.text,
-        sender: 'ai',
-        timestamp: new Date().toLocaleTimeString(),
+        streaming: false,
         provider: aiResponseData.provider,
         model: aiResponseData.model,
         confidence: aiResponseData.confidence,
         tokens: aiResponseData.tokens,
+        ragEnhanced: aiResponseData.ragEnhanced,
+        retrievedChunks: aiResponseData.retrievedChunks,
+        citations: aiResponseData.citations,
         document: selectedFile?.name || selectedDocument?.fileName,
         fileType: fileContent?.fileType?.category
-      }
-
-      setMessages(prev => [...prev, aiResponse])
+      })
       toast.success(`🤖 ${aiResponseData.provider} analysis complete!`)
     } catch (error) {
+      if (error.name === 'AbortError') {
+        // Keep whatever was streamed before the user stopped generation
+        upsertAIMessage({ text: partialText || 'Response cancelled.', streaming: false, stopped: true })
+        toast.info('Response stopped')
+        return
+      }
+
       console.error('Message sending error:', error)
-      const errorResponse = {
-        id: Date.now() + 1,
+      upsertAIMessage({
         text: 'I apologize, but I encountered an error processing your request. Please try again.',
-        sender: 'ai',
-        timestamp: new Date().toLocaleTimeString(),
+        streaming: false,
         isError: true
-      }
-      setMessages(prev => [...prev, errorResponse])
+      })
       toast.error('Failed to get AI response')
     } finally {
+      abortControllerRef.current = null
       setIsTyping(false)
     }
   }
 
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort()
+  }
+
   const generateRealisticFileContent = (fileName, description) => {
     const nameLower = fileName.toLowerCase()
 
@@ -570,12 +773,47 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
     toast.info('Chat cleared')
   }
 
-  const clearProcessedDocuments = () => {
-    setProcessedDocuments(new Set())
-    documentProcessor.clearData()
+  const removeServerDocument = (documentId) => {
+    apiService.deleteChatDocument(documentId).catch(error => {
+      console.warn('Failed to remove server-side chat index:', error)
+    })
+  }
+
+  const clearProcessedDocuments = async () => {
+    serverDocuments.forEach(removeServerDocument)
+    setServerDocuments(new Set())
+    await documentProcessor.clearData()
+    refreshIndexedDocuments()
     toast.success('RAG data cleared')
   }
 
+  const removeIndexedDocument = async (doc) => {
+    if (serverDocuments.has(doc.id)) {
+      removeServerDocument(doc.id)
+      setServerDocuments(prev => new Set([...prev].filter(id => id !== doc.id)))
+    }
+    await ragService.deleteDocument(doc.id)
+    refreshIndexedDocuments()
+    toast.success(`Removed ${doc.fileName} from the knowledge base`)
+  }
+
+  const reindexDocument = async (doc) => {
+    setReindexingDocument(doc.id)
+    try {
+      const result = await ragService.reindexDocument(doc.id)
+      if (!result.success) {
+        throw new Error(result.error)
+      }
+      refreshIndexedDocuments()
+      toast.success(`Re-indexed ${doc.fileName} (${result.chunks} chunks)`)
+    } catch (error) {
+      console.error('Re-indexing error:', error)
+      toast.error(`Failed to re-index ${doc.fileName}: ${error.message}`)
+    } finally {
+      setReindexingDocument(null)
+    }
+  }
+
   const copyToClipboard = async (text) => {
     try {
       const success = await safeCopyToClipboard(text, 'IPFS Hash')
@@ -589,12 +827,22 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
   }
 
   const openIPFS = async (hash, fileName) => {
+    const document = documents.find(doc => doc.ipfsHash === hash)
+    if (document && !await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${fileName}`)
+      return
+    }
+
     try {
-      const result = await bulletproofIPFS.viewFile(hash, fileName)
-      toast.success('🚀 Opening document verification')
+      const result = await storageService.viewFile(hash, fileName)
+      toast.success(result.encrypted ? `🔓 Opened a decrypted copy of ${fileName}` : '🚀 Opening document verification')
     } catch (error) {
-      // Bulletproof service never fails, but just in case
-      bulletproofIPFS.createWorkingFallback(hash, fileName)
+      if (error instanceof EncryptionError) {
+        toast.error(error.message)
+        return
+      }
+      // viewFile only throws for decryption failures, but just in case
+      storageService.createWorkingFallback(hash, fileName)
       toast.success('📄 Created document access page')
     }
   }
@@ -688,6 +936,27 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
                     </button>
                   ))}
                 </div>
+                <div className="mt-3 pt-3 border-t border-white/10 space-y-2">
+                  <p className="text-xs text-gray-400">Embeddings (used for new documents)</p>
+                  {Object.values(embeddingService.getProviders()).map(provider => (
+                    <button
+                      key={provider.id}
+                      onClick={() => {
+                        embeddingService.setProvider(provider.id)
+                        setEmbeddingProvider(embeddingService.getCurrentProvider())
+                        toast.success(`🧭 Embeddings: ${provider.name}`)
+                      }}
+                      className={`w-full text-left p-2 rounded-lg text-xs transition-all ${
+                        provider.id === embeddingProvider.id
+                          ? 'bg-neon-green/20 text-neon-green border border-neon-green/30'
+                          : 'bg-white/5 text-gray-300 hover:bg-white/10'
+                      }`}
+                    >
+                      <div className="font-medium">{provider.name}</div>
+                      <div className="text-gray-400">{provider.model} • {provider.dimensions}d</div>
+                    </button>
+                  ))}
+                </div>
                 <div className="mt-3 pt-3 border-t border-white/10">
                   <button
                     onClick={() => setShowApiKeyConfig(true)}
@@ -760,6 +1029,49 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
             )}
           </GlassCard>
 
+          {/* Knowledge Base */}
+          {indexedDocuments.length > 0 && (
+            <GlassCard className="p-4">
+              <h3 className="text-lg font-semibold text-white mb-4 flex items-center space-x-2">
+                <CpuChipIcon className="w-5 h-5" />
+                <span>Knowledge Base</span>
+              </h3>
+
+              <div className="space-y-2">
+                {indexedDocuments.map((doc) => (
+                  <div key={doc.id} className="p-3 rounded-xl bg-white/5 border border-white/10">
+                    <div className="flex items-start space-x-2">
+                      <span className="text-lg">{getFileIcon(doc.fileName)}</span>
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white text-sm font-medium truncate" title={doc.fileName}>{doc.fileName}</p>
+                        <p className="text-gray-400 text-xs">
+                          {doc.chunkCount} chunks • {doc.embeddingModel}
+                          {serverDocuments.has(doc.id) && ' • server'}
+                        </p>
+                      </div>
+                      <button
+                        onClick={() => reindexDocument(doc)}
+                        disabled={reindexingDocument !== null}
+                        className="p-1 text-gray-400 hover:text-neon-green hover:bg-white/10 rounded transition-colors disabled:opacity-50"
+                        title="Re-index with the current embedding provider"
+                      >
+                        <ArrowPathIcon className={`w-4 h-4 ${reindexingDocument === doc.id ? 'animate-spin' : ''}`} />
+                      </button>
+                      <button
+                        onClick={() => removeIndexedDocument(doc)}
+                        disabled={reindexingDocument === doc.id}
+                        className="p-1 text-gray-400 hover:text-red-400 hover:bg-white/10 rounded transition-colors disabled:opacity-50"
+                        title="Remove from knowledge base"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </GlassCard>
+          )}
+
           {/* Existing Documents */}
           <GlassCard className="p-4">
             <h3 className="text-lg font-semibold text-white mb-4 flex items-center space-x-2">
@@ -773,11 +1085,7 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
                   key={doc.id}
                   whileHover={{ scale: 1.02 }}
                   whileTap={{ scale: 0.98 }}
-                  onClick={() => {
-                    setSelectedDocument(doc)
-                    setSelectedFile(null)
-                    setFileContent(null)
-                  }}
+                  onClick={() => selectIPFSDocument(doc)}
                   className={`
                     w-full p-3 rounded-xl text-left transition-all duration-200 cursor-pointer
                     ${selectedDocument?.id === doc.id
@@ -856,6 +1164,7 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
                   <p className="text-gray-400 text-sm">
                     {selectedFile ? `📄 File: ${selectedFile.name}` :
                      selectedDocument ? `📋 IPFS: ${selectedDocument.fileName}` :
+                     processedDocuments.size > 0 ? `🧠 Knowledge base: ${processedDocuments.size} document${processedDocuments.size === 1 ? '' : 's'}` :
                      'Upload a file or select a document'}
                   </p>
                   <p className="text-xs text-neon-green mt-1">
@@ -961,14 +1270,55 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
                           )}
                         </div>
                       )}
-                      <p className="text-sm lg:text-base">{msg.text}</p>
+                      <p className="text-sm lg:text-base whitespace-pre-line">
+                        {msg.text}
+                        {msg.streaming && <span className="inline-block w-2 h-4 ml-1 bg-neon-green animate-pulse align-middle" />}
+                      </p>
+                      {msg.stopped && (
+                        <p className="text-xs text-yellow-400 mt-1">Generation stopped</p>
+                      )}
+                      {msg.citations?.length > 0 && (
+                        <div className="mt-3 space-y-1 border-t border-white/10 pt-2">
+                          {msg.citations.map(citation => {
+                            const citationKey = `${msg.id}:${citation.chunkId}`
+                            const passage = expandedCitation === citationKey
+                              ? ragService.getPassage(citation.documentId, citation.start, citation.end)
+                              : null
+                            return (
+                              <button
+                                key={citation.chunkId}
+                                onClick={() => setExpandedCitation(expandedCitation === citationKey ? null : citationKey)}
+                                className="block w-full text-left text-xs text-gray-400 hover:text-gray-300"
+                              >
+                                <span className="text-neon-green">[{citation.index}]</span>{' '}
+                                {citation.fileName}
+                                {citation.page && `, page ${citation.page}`}
+                                {` (chars ${citation.start}–${citation.end})`}
+                                {expandedCitation === citationKey ? (
+                                  <p className="mt-1 p-2 rounded-lg bg-black/30 text-gray-400 whitespace-pre-line">
+                                    {passage ? (
+                                      <>
+                                        …{passage.before}
+                                        <mark className="bg-neon-green/30 text-white">{passage.passage}</mark>
+                                        {passage.after}…
+                                      </>
+                                    ) : citation.snippet}
+                                  </p>
+                                ) : (
+                                  <p className="text-gray-500 italic truncate">{citation.snippet}</p>
+                                )}
+                              </button>
+                            )
+                          })}
+                        </div>
+                      )}
                       <p className="text-xs opacity-70 mt-2">{msg.timestamp}</p>
                     </div>
                   </motion.div>
                 ))
               )}
               
-              {isTyping && (
+              {isTyping && !messages.some(msg => msg.streaming) && (
                 <motion.div
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
@@ -998,18 +1348,30 @@ Payment Methods: Credit Card (78%), PayPal (15%), Cash (7%)
                   value={message}
                   onChange={(e) => setMessage(e.target.value)}
                   onKeyPress={(e) => e.key === 'Enter' && sendMessage()}
-                  placeholder={selectedFile || selectedDocument ? "Ask me anything about your file..." : "Upload a file or select a document first"}
-                  disabled={(!selectedDocument && !selectedFile) || isTyping}
+                  placeholder={hasChatContext ? "Ask me anything about your file..." : "Upload a file or select a document first"}
+                  disabled={!hasChatContext || isTyping}
                   className="flex-1 bg-white/10 border border-white/20 rounded-xl px-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all duration-200 disabled:opacity-50"
                 />
-                <NeonButton
-                  onClick={sendMessage}
-                  disabled={(!selectedDocument && !selectedFile) || !message.trim() || isTyping}
-                  size="sm"
-                  className="px-4"
-                >
-                  <PaperAirplaneIcon className="w-5 h-5" />
-                </NeonButton>
+                {isTyping ? (
+                  <NeonButton
+                    onClick={stopGeneration}
+                    variant="outline"
+                    size="sm"
+                    className="px-4"
+                    title="Stop generating"
+                  >
+                    <StopIcon className="w-5 h-5" />
+                  </NeonButton>
+                ) : (
+                  <NeonButton
+                    onClick={sendMessage}
+                    disabled={!hasChatContext || !message.trim()}
+                    size="sm"
+                    className="px-4"
+                  >
+                    <PaperAirplaneIcon className="w-5 h-5" />
+                  </NeonButton>
+                )}
               </div>
               
               {processedDocuments.size > 0 && (
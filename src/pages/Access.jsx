@@ -5,8 +5,7 @@ import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
 import { useDocuments } from '../contexts/DocumentContext'
 import { useToast } from '../components/ui/Toast'
-import realIpfsService from '../services/realIpfsService'
-import bulletproofIpfs from '../services/bulletproofIpfs'
+import storageService from '../services/storageService'
 import { validateIPFSHash, createSafeIPFSUrl, logIPFSHashStatus } from '../utils/ipfsHashValidator'
 
 const Access = () => {
@@ -51,7 +50,7 @@ const Access = () => {
 
     try {
       toast.info('Starting download from IPFS...')
-      await bulletproofIpfs.downloadFile(document.ipfsHash, document.fileName)
+      await storageService.downloadFile(document.ipfsHash, document.fileName)
       toast.success(`${document.fileName} downloaded successfully!`)
     } catch (error) {
       console.error('Download failed:', error)
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react'
+import React, { useState, useMemo, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { 
   ShieldCheckIcon,
@@ -10,45 +10,57 @@ import {
   MagnifyingGlassIcon,
   ChartBarIcon,
   DocumentIcon,
-  MapPinIcon
+  ShareIcon,
+  NoSymbolIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
+import DocumentSharing from '../components/ui/DocumentSharing'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
+import apiService from '../services/apiService'
+
+const ACCESS_EVENT_TYPES = 'view,download,share,revoke'
+
+// Short browser label from a user agent string
+const describeBrowser = (userAgent) => {
+  if (!userAgent) return 'Unknown client'
+  const match = userAgent.match(/(Edg|Firefox|Chrome|Safari)\/(\d+)/)
+  if (!match) return 'Other client'
+  const names = { Edg: 'Edge', Firefox: 'Firefox', Chrome: 'Chrome', Safari: 'Safari' }
+  return `${names[match[1]]} ${match[2]}`
+}
 
 const AccessControl = () => {
   const [searchQuery, setSearchQuery] = useState('')
   const [selectedTimeframe, setSelectedTimeframe] = useState('7d')
-  const { isConnected, address } = useWallet()
+  const { isConnected, address, isAuthenticated } = useWallet()
   const { documents } = useDocuments()
+  const [accessLogs, setAccessLogs] = useState([])
 
-  // Generate mock access logs based on real documents
-  const accessLogs = useMemo(() => {
-    const logs = []
-    
-    documents.forEach((doc, docIndex) => {
-      // Generate 1-3 access logs per document
-      const accessCount = Math.floor(Math.random() * 3) + 1
-      
-      for (let i = 0; i < accessCount; i++) {
-        logs.push({
-          id: `${doc.id}-${i}`,
-          documentId: doc.id,
-          documentName: doc.fileName || 'Unknown Document',
-          userAddress: i === 0 && doc.uploader ? doc.uploader : `0x${Math.random().toString(16).substr(2, 40)}`,
-          action: Math.random() > 0.7 ? 'download' : 'view',
-          timestamp: new Date(Date.now() - Math.floor(Math.random() * 7 * 24 * 60 * 60 * 1000)).toISOString(),
-          ipAddress: `192.168.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`,
-          location: ['New York, US', 'London, UK', 'Tokyo, JP', 'Sydney, AU', 'Berlin, DE'][Math.floor(Math.random() * 5)],
-          browser: ['Chrome 120', 'Firefox 121', 'Safari 17', 'Edge 119'][Math.floor(Math.random() * 4)],
-          duration: `${Math.floor(Math.random() * 15) + 1} minutes`
-        })
-      }
+  // Load access events on the wallet's documents for the selected window
+  useEffect(() => {
+    if (!isAuthenticated) return
+
+    const days = selectedTimeframe === '7d' ? 7 : selectedTimeframe === '30d' ? 30 : 1
+    apiService.getActivity({
+      type: ACCESS_EVENT_TYPES,
+      from: new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString(),
+      limit: 200
     })
-    
-    return logs.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-  }, [documents])
+      .then(result => setAccessLogs(result.activities.map(event => ({
+        id: event.id,
+        documentId: event.documentId,
+        documentName: event.documentName || 'Unknown Document',
+        userAddress: event.actor,
+        action: event.type,
+        timestamp: event.timestamp,
+        ipAddress: event.ip || 'n/a',
+        browser: describeBrowser(event.userAgent),
+        grantee: event.metadata?.grantee
+      }))))
+      .catch(error => console.error('Failed to load access logs:', error))
+  }, [isAuthenticated, selectedTimeframe, documents.length])
 
   // Calculate statistics
   const stats = useMemo(() => {
@@ -89,6 +101,10 @@ const AccessControl = () => {
         return <EyeIcon className="w-4 h-4 text-blue-400" />
       case 'download':
         return <ArrowDownTrayIcon className="w-4 h-4 text-green-400" />
+      case 'share':
+        return <ShareIcon className="w-4 h-4 text-yellow-400" />
+      case 'revoke':
+        return <NoSymbolIcon className="w-4 h-4 text-orange-400" />
       default:
         return <DocumentIcon className="w-4 h-4 text-gray-400" />
     }
@@ -100,6 +116,10 @@ const AccessControl = () => {
         return 'bg-blue-500/20 text-blue-400'
       case 'download':
         return 'bg-green-500/20 text-green-400'
+      case 'share':
+        return 'bg-yellow-500/20 text-yellow-400'
+      case 'revoke':
+        return 'bg-orange-500/20 text-orange-400'
       default:
         return 'bg-gray-500/20 text-gray-400'
     }
@@ -113,7 +133,7 @@ const AccessControl = () => {
     const matchesSearch = 
       log.documentName.toLowerCase().includes(searchQuery.toLowerCase()) ||
       log.userAddress.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      log.location.toLowerCase().includes(searchQuery.toLowerCase())
+      log.browser.toLowerCase().includes(searchQuery.toLowerCase())
     
     return isInTimeframe && matchesSearch
   })
@@ -137,7 +157,7 @@ const AccessControl = () => {
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-3xl font-bold text-white mb-4">Access Control</h1>
-          <p className="text-gray-300">Monitor document access and user activity</p>
+          <p className="text-gray-300">Share documents on-chain and monitor who accessed them</p>
         </div>
         <div className="flex items-center space-x-2 text-sm text-gray-400">
           <ShieldCheckIcon className="w-5 h-5" />
@@ -178,6 +198,9 @@ const AccessControl = () => {
         </GlassCard>
       </div>
 
+      {/* On-chain sharing */}
+      <DocumentSharing />
+
       {/* Filters */}
       <GlassCard className="p-4">
         <div className="flex flex-col lg:flex-row lg:items-center gap-4">
@@ -186,7 +209,7 @@ const AccessControl = () => {
             <MagnifyingGlassIcon className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
             <input
               type="text"
-              placeholder="Search documents, users, or locations..."
+              placeholder="Search documents, users, or browsers..."
               value={searchQuery}
               onChange={(e) => setSearchQuery(e.target.value)}
               className="w-full bg-white/10 border border-white/20 rounded-xl pl-10 pr-4 py-3 text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all duration-200"
@@ -239,23 +262,20 @@ const AccessControl = () => {
                     <div className="flex items-center space-x-4 text-sm text-gray-400">
                       <div className="flex items-center space-x-1">
                         <UserIcon className="w-3 h-3" />
-                        <span>{log.userAddress === address ? 'You' : `${log.userAddress.slice(0, 10)}...`}</span>
-                      </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        <MapPinIcon className="w-3 h-3" />
-                        <span>{log.location}</span>
+                        <span>{log.userAddress.toLowerCase() === address?.toLowerCase() ? 'You' : `${log.userAddress.slice(0, 10)}...`}</span>
                       </div>
                       
                       <div className="flex items-center space-x-1">
                         <GlobeAltIcon className="w-3 h-3" />
                         <span>{log.browser}</span>
                       </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        <ClockIcon className="w-3 h-3" />
-                        <span>{log.duration}</span>
-                      </div>
+
+                      {log.grantee && (
+                        <div className="flex items-center space-x-1">
+                          <ShareIcon className="w-3 h-3" />
+                          <span>{log.grantee.slice(0, 10)}...</span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -294,11 +314,11 @@ const AccessControl = () => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 text-sm text-gray-300">
           <div>
             <h4 className="font-medium text-white mb-2">Document Tracking</h4>
-            <p>All document access is logged on the blockchain for transparency and security.</p>
+            <p>Every view, download, share and revocation is written to an append-only audit log.</p>
           </div>
           <div>
             <h4 className="font-medium text-white mb-2">Privacy Protection</h4>
-            <p>IP addresses and location data are anonymized for privacy protection.</p>
+            <p>Client IP addresses are truncated before they are stored.</p>
           </div>
           <div>
             <h4 className="font-medium text-white mb-2">Real-time Monitoring</h4>
@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { motion } from 'framer-motion'
 import { 
   ClockIcon, 
@@ -9,91 +9,140 @@ import {
   UserIcon,
   MagnifyingGlassIcon,
   FunnelIcon,
-  CalendarIcon,
-  LinkIcon
+  LinkIcon,
+  ShareIcon,
+  NoSymbolIcon,
+  TrashIcon,
+  ArchiveBoxIcon,
+  ArrowUturnUpIcon,
+  KeyIcon,
+  ArrowPathIcon,
+  DocumentDuplicateIcon,
+  CubeIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
 import { useToast } from '../components/ui/Toast'
+import apiService from '../services/apiService'
 import { copyToClipboard as safeCopyToClipboard, showToast, handleSuccess } from '../utils/productionFixes'
 
+// Type filters per source: the audit log and the contract see different activity
+const FILTER_OPTIONS = [
+  { value: 'upload', label: 'Uploads', sources: ['app', 'chain'] },
+  { value: 'version', label: 'New Versions', sources: ['chain'] },
+  { value: 'view', label: 'Views', sources: ['app', 'chain'] },
+  { value: 'download', label: 'Downloads', sources: ['app'] },
+  { value: 'share', label: 'Shares', sources: ['app', 'chain'] },
+  { value: 'revoke', label: 'Revocations', sources: ['app', 'chain'] },
+  { value: 'archive', label: 'Archives', sources: ['app', 'chain'] },
+  { value: 'unarchive', label: 'Unarchives', sources: ['app', 'chain'] },
+  { value: 'delete', label: 'Deletions', sources: ['app'] },
+  { value: 'login', label: 'Sign-ins', sources: ['app'] }
+]
+
 const ActivityLogs = () => {
   const [searchQuery, setSearchQuery] = useState('')
   const [filterType, setFilterType] = useState('all')
-  const { isConnected, address, chainId } = useWallet()
+  // 'app' is the backend audit log, 'chain' the backend's index of contract events
+  const [source, setSource] = useState('app')
+  const [indexStatus, setIndexStatus] = useState(null)
+  const { isConnected, address, chainId, isAuthenticated, signIn } = useWallet()
   const { documents } = useDocuments()
   const toast = useToast()
+  const [activities, setActivities] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [totalEvents, setTotalEvents] = useState(0)
+  const [loading, setLoading] = useState(false)
 
-  // Generate activities from real documents
-  const activities = useMemo(() => {
-    const allActivities = []
-    
-    documents.forEach((doc, index) => {
-      // Add upload activity
-      allActivities.push({
-        id: `upload-${doc.id}`,
-        type: 'upload',
-        action: 'Document Uploaded',
-        fileName: doc.fileName || 'Unknown file',
-        ipfsHash: doc.ipfsHash || '',
-        user: doc.uploader || address || 'Unknown',
-        timestamp: doc.uploadDate || new Date().toISOString(),
-        blockNumber: 4890000 + index * 100,
-        transactionHash: doc.transactionHash || `0x${Math.random().toString(16).substr(2, 64)}`,
-        gasUsed: (Math.floor(Math.random() * 50000) + 100000).toLocaleString(),
-        status: 'confirmed'
-      })
+  const ACTION_LABELS = {
+    upload: 'Document Uploaded',
+    version: 'New Version Added',
+    view: 'Document Viewed',
+    download: 'Document Downloaded',
+    share: 'Access Granted',
+    revoke: 'Access Revoked',
+    archive: 'Document Archived',
+    unarchive: 'Document Unarchived',
+    delete: 'Document Deleted',
+    login: 'Signed In'
+  }
 
-      // Add some mock view activities based on document views
-      const views = doc.views || Math.floor(Math.random() * 5) + 1
-      for (let i = 0; i < Math.min(views, 3); i++) {
-        allActivities.push({
-          id: `view-${doc.id}-${i}`,
-          type: 'view',
-          action: 'Document Accessed',
-          fileName: doc.fileName || 'Unknown file',
-          ipfsHash: doc.ipfsHash || '',
-          user: `0x${Math.random().toString(16).substr(2, 40)}`,
-          timestamp: new Date(Date.now() - Math.floor(Math.random() * 48) * 60 * 60 * 1000).toISOString(),
-          blockNumber: 4890000 + index * 100 + i + 10,
-          transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-          gasUsed: (Math.floor(Math.random() * 10000) + 15000).toLocaleString(),
-          status: 'confirmed'
-        })
-      }
+  // Load a page of events from the audit log or the chain event index
+  const loadActivities = useCallback(async (cursor = null) => {
+    if (!isAuthenticated) return
 
-      // Add download activity if document was accessed recently
-      if (Math.random() > 0.3) {
-        allActivities.push({
-          id: `download-${doc.id}`,
-          type: 'download',
-          action: 'Document Downloaded',
-          fileName: doc.fileName || 'Unknown file',
-          ipfsHash: doc.ipfsHash || '',
-          user: `0x${Math.random().toString(16).substr(2, 40)}`,
-          timestamp: new Date(Date.now() - Math.floor(Math.random() * 24) * 60 * 60 * 1000).toISOString(),
-          blockNumber: 4890000 + index * 100 + 50,
-          transactionHash: `0x${Math.random().toString(16).substr(2, 64)}`,
-          gasUsed: (Math.floor(Math.random() * 20000) + 20000).toLocaleString(),
-          status: 'confirmed'
-        })
+    setLoading(true)
+    try {
+      const params = {
+        type: filterType === 'all' ? undefined : filterType,
+        cursor,
+        limit: 50
       }
-    })
+      const result = source === 'chain'
+        ? await apiService.getChainEvents(params)
+        : await apiService.getActivity(params)
+      setActivities(prev => cursor ? [...prev, ...result.activities] : result.activities)
+      setNextCursor(result.nextCursor)
+      setTotalEvents(result.total)
+    } catch (error) {
+      console.error('Failed to load activity logs:', error)
+      toast.error(`Failed to load activity logs: ${error.message}`)
+    } finally {
+      setLoading(false)
+    }
+  }, [isAuthenticated, filterType, source])
+
+  useEffect(() => {
+    loadActivities()
+  }, [loadActivities, documents.length])
+
+  useEffect(() => {
+    if (source !== 'chain') return
+    apiService.getChainStatus()
+      .then(setIndexStatus)
+      .catch(error => setIndexStatus({ enabled: false, lastError: error.message }))
+  }, [source, activities.length])
 
-    // Sort by timestamp (newest first)
-    return allActivities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-  }, [documents, address])
+  const changeSource = (next) => {
+    setSource(next)
+    setFilterType('all')
+    setActivities([])
+    setNextCursor(null)
+  }
+
+  const exportActivities = async (format) => {
+    try {
+      await apiService.exportActivity(format, { type: filterType === 'all' ? undefined : filterType })
+      toast.success(`Activity log exported as ${format.toUpperCase()}`)
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
 
   const getActivityIcon = (type) => {
     switch (type) {
       case 'upload':
         return <ArrowUpTrayIcon className="w-5 h-5 text-neon-green" />
+      case 'version':
+        return <DocumentDuplicateIcon className="w-5 h-5 text-neon-purple" />
       case 'view':
         return <EyeIcon className="w-5 h-5 text-blue-400" />
       case 'download':
         return <ArrowDownTrayIcon className="w-5 h-5 text-purple-400" />
+      case 'share':
+        return <ShareIcon className="w-5 h-5 text-yellow-400" />
+      case 'revoke':
+        return <NoSymbolIcon className="w-5 h-5 text-orange-400" />
+      case 'archive':
+        return <ArchiveBoxIcon className="w-5 h-5 text-gray-300" />
+      case 'unarchive':
+        return <ArrowUturnUpIcon className="w-5 h-5 text-teal-400" />
+      case 'delete':
+        return <TrashIcon className="w-5 h-5 text-red-400" />
+      case 'login':
+        return <KeyIcon className="w-5 h-5 text-gray-300" />
       default:
         return <DocumentIcon className="w-5 h-5 text-gray-400" />
     }
@@ -103,10 +152,22 @@ const ActivityLogs = () => {
     switch (type) {
       case 'upload':
         return 'border-l-neon-green bg-neon-green/5'
+      case 'version':
+        return 'border-l-neon-purple bg-neon-purple/5'
       case 'view':
         return 'border-l-blue-400 bg-blue-400/5'
       case 'download':
         return 'border-l-purple-400 bg-purple-400/5'
+      case 'share':
+        return 'border-l-yellow-400 bg-yellow-400/5'
+      case 'revoke':
+        return 'border-l-orange-400 bg-orange-400/5'
+      case 'archive':
+        return 'border-l-gray-300 bg-gray-300/5'
+      case 'unarchive':
+        return 'border-l-teal-400 bg-teal-400/5'
+      case 'delete':
+        return 'border-l-red-400 bg-red-400/5'
       default:
         return 'border-l-gray-400 bg-gray-400/5'
     }
@@ -153,14 +214,12 @@ const ActivityLogs = () => {
     window.open(`${baseUrl}/tx/${txHash}`, '_blank')
   }
 
+  // Type filtering happens server-side; search narrows the loaded page
   const filteredActivities = activities.filter(activity => {
-    const matchesSearch = (activity.fileName || '').toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         (activity.action || '').toLowerCase().includes(searchQuery.toLowerCase()) ||
-                         (activity.user || '').toLowerCase().includes(searchQuery.toLowerCase())
-    
-    const matchesFilter = filterType === 'all' || activity.type === filterType
-    
-    return matchesSearch && matchesFilter
+    const query = searchQuery.toLowerCase()
+    return (activity.documentName || '').toLowerCase().includes(query) ||
+      (ACTION_LABELS[activity.type] || '').toLowerCase().includes(query) ||
+      (activity.actor || '').toLowerCase().includes(query)
   })
 
   if (!isConnected) {
@@ -177,19 +236,77 @@ const ActivityLogs = () => {
     )
   }
 
+  if (!isAuthenticated) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <GlassCard className="p-8 text-center">
+          <KeyIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-white mb-2">Sign In Required</h2>
+          <p className="text-gray-400 mb-6">
+            Sign the SecureX login message to load your audit log.
+          </p>
+          <NeonButton onClick={signIn}>Sign In with Ethereum</NeonButton>
+        </GlassCard>
+      </div>
+    )
+  }
+
   return (
     <div className="space-y-8">
       <div className="flex items-center justify-between">
         <div>
           <h1 className="text-3xl font-bold text-white mb-4">Activity Logs</h1>
-          <p className="text-gray-300">Real-time activity from your uploaded documents</p>
+          <p className="text-gray-300">
+            {source === 'chain'
+              ? 'Registry contract events involving your wallet, from the backend event index'
+              : 'Audit trail of your actions and activity on your documents'}
+          </p>
         </div>
-        <div className="flex items-center space-x-2 text-sm text-gray-400">
+        <div className="flex items-center space-x-3 text-sm text-gray-400">
           <span>Total Events:</span>
           <span className="px-2 py-1 rounded-lg bg-green-500/20 text-green-400">
-            {activities.length}
+            {totalEvents}
           </span>
+          {source === 'app' && (
+            <>
+              <NeonButton size="sm" variant="secondary" onClick={() => exportActivities('csv')}>
+                Export CSV
+              </NeonButton>
+              <NeonButton size="sm" variant="secondary" onClick={() => exportActivities('json')}>
+                Export JSON
+              </NeonButton>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        <div className="flex space-x-2">
+          {[['app', 'App Activity'], ['chain', 'On-chain History']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => changeSource(value)}
+              className={`px-4 py-2 rounded-xl text-sm transition-colors ${
+                source === value ? 'bg-neon-green/20 text-neon-green' : 'bg-white/5 text-gray-400 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
         </div>
+        {source === 'chain' && indexStatus && (
+          <p className="text-sm text-gray-400 flex items-center space-x-2">
+            <CubeIcon className="w-4 h-4" />
+            <span>
+              {!indexStatus.enabled
+                ? 'The backend is not indexing contract events'
+                : indexStatus.indexedBlock === null
+                  ? `Indexing has not started${indexStatus.lastError ? `: ${indexStatus.lastError}` : ''}`
+                  : `Indexed through block ${indexStatus.indexedBlock.toLocaleString()}${indexStatus.headBlock !== null ? ` of ${indexStatus.headBlock.toLocaleString()}` : ''}`}
+              {indexStatus.chainId && chainId && indexStatus.chainId !== Number(chainId) && ` (chain ${indexStatus.chainId}, not your wallet's network)`}
+            </span>
+          </p>
+        )}
       </div>
 
       {/* Filters */}
@@ -216,9 +333,9 @@ const ActivityLogs = () => {
               className="bg-white/10 border border-white/20 rounded-xl px-4 py-3 text-white focus:outline-none focus:border-neon-green transition-all duration-200"
             >
               <option value="all">All Activities</option>
-              <option value="upload">Uploads</option>
-              <option value="view">Views</option>
-              <option value="download">Downloads</option>
+              {FILTER_OPTIONS.filter(option => option.sources.includes(source)).map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
           </div>
         </div>
@@ -242,61 +359,68 @@ const ActivityLogs = () => {
                   
                   <div className="flex-1 min-w-0">
                     <div className="flex items-center space-x-2 mb-2">
-                      <h3 className="text-white font-semibold">{activity.action}</h3>
+                      <h3 className="text-white font-semibold">{ACTION_LABELS[activity.type] || activity.type}</h3>
                       <span className={`px-2 py-1 text-xs rounded-full ${
-                        activity.status === 'confirmed' 
+                        activity.transactionHash
                           ? 'bg-green-500/20 text-green-400' 
-                          : 'bg-yellow-500/20 text-yellow-400'
+                          : 'bg-gray-500/20 text-gray-300'
                       }`}>
-                        {activity.status}
+                        {activity.transactionHash ? 'on-chain' : 'off-chain'}
                       </span>
                     </div>
                     
-                    <p className="text-gray-300 font-medium mb-1">{activity.fileName}</p>
+                    {activity.documentName && (
+                      <p className="text-gray-300 font-medium mb-1">{activity.documentName}</p>
+                    )}
                     
                     <div className="flex flex-wrap items-center gap-4 text-sm text-gray-400">
                       <div className="flex items-center space-x-1">
                         <UserIcon className="w-4 h-4" />
-                        <span>{activity.user === address ? 'You' : `${(activity.user || 'Unknown').slice(0, 10)}...`}</span>
+                        <span>{activity.actor?.toLowerCase() === address?.toLowerCase() ? 'You' : `${(activity.actor || 'Unknown').slice(0, 10)}...`}</span>
                       </div>
                       
                       <div className="flex items-center space-x-1">
                         <ClockIcon className="w-4 h-4" />
                         <span>{formatTimeAgo(activity.timestamp)}</span>
                       </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        <CalendarIcon className="w-4 h-4" />
-                        <span>Block #{(activity.blockNumber || 0).toLocaleString()}</span>
-                      </div>
-                      
-                      <div className="flex items-center space-x-1">
-                        <span>⛽ {activity.gasUsed} gas</span>
-                      </div>
+
+                      {activity.blockNumber !== undefined && (
+                        <div className="flex items-center space-x-1">
+                          <CubeIcon className="w-4 h-4" />
+                          <span>Block {activity.blockNumber.toLocaleString()}</span>
+                        </div>
+                      )}
+
+                      {activity.metadata?.grantee && (
+                        <div className="flex items-center space-x-1">
+                          <ShareIcon className="w-4 h-4" />
+                          <span>{activity.metadata.grantee.slice(0, 10)}...</span>
+                        </div>
+                      )}
                     </div>
                     
                     <div className="mt-3 flex flex-wrap items-center gap-3">
-                      <div className="flex items-center space-x-2">
-                        <span className="text-xs text-gray-400">IPFS:</span>
-                        <code className="text-xs text-neon-green bg-black/30 px-2 py-1 rounded">
-                          {(activity.ipfsHash || 'N/A').slice(0, 15)}...
-                        </code>
-                        {activity.ipfsHash && (
+                      {activity.ipfsHash && (
+                        <div className="flex items-center space-x-2">
+                          <span className="text-xs text-gray-400">IPFS:</span>
+                          <code className="text-xs text-neon-green bg-black/30 px-2 py-1 rounded">
+                            {activity.ipfsHash.slice(0, 15)}...
+                          </code>
                           <button
                             onClick={() => copyToClipboard(activity.ipfsHash, 'IPFS Hash')}
                             className="p-1 text-gray-400 hover:text-neon-green transition-colors"
                           >
                             <LinkIcon className="w-3 h-3" />
                           </button>
-                        )}
-                      </div>
+                        </div>
+                      )}
                       
-                      <div className="flex items-center space-x-2">
-                        <span className="text-xs text-gray-400">Tx:</span>
-                        <code className="text-xs text-blue-400 bg-black/30 px-2 py-1 rounded">
-                          {(activity.transactionHash || 'N/A').slice(0, 10)}...
-                        </code>
-                        {activity.transactionHash && (
+                      {activity.transactionHash && (
+                        <div className="flex items-center space-x-2">
+                          <span className="text-xs text-gray-400">Tx:</span>
+                          <code className="text-xs text-blue-400 bg-black/30 px-2 py-1 rounded">
+                            {activity.transactionHash.slice(0, 10)}...
+                          </code>
                           <button
                             onClick={() => viewOnExplorer(activity.transactionHash)}
                             className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
@@ -304,8 +428,8 @@ const ActivityLogs = () => {
                           >
                             <LinkIcon className="w-3 h-3" />
                           </button>
-                        )}
-                      </div>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -321,11 +445,13 @@ const ActivityLogs = () => {
             <ClockIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
             <h2 className="text-xl font-semibold text-white mb-2">No Activities Found</h2>
             <p className="text-gray-400 mb-6">
-              {searchQuery || filterType !== 'all' 
-                ? 'No activities match your current filters.' 
-                : documents.length === 0
-                  ? 'No documents uploaded yet. Upload some documents to see activity here!'
-                  : 'No activities found for your documents.'
+              {loading
+                ? 'Loading activity...'
+                : searchQuery || filterType !== 'all' 
+                  ? 'No activities match your current filters.' 
+                  : documents.length === 0
+                    ? 'No documents uploaded yet. Upload some documents to see activity here!'
+                    : 'No activities found for your documents.'
               }
             </p>
             {(searchQuery || filterType !== 'all') && (
@@ -335,6 +461,15 @@ const ActivityLogs = () => {
             )}
           </div>
         )}
+
+        {nextCursor && (
+          <div className="text-center">
+            <NeonButton variant="secondary" onClick={() => loadActivities(nextCursor)} disabled={loading}>
+              <ArrowPathIcon className={`w-4 h-4 mr-2 inline ${loading ? 'animate-spin' : ''}`} />
+              Load More
+            </NeonButton>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -17,13 +17,14 @@ import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
 import { useToast } from '../components/ui/Toast'
 import { copyToClipboard as safeCopyToClipboard, showToast, handleSuccess } from '../utils/productionFixes'
-import realIpfsService from '../services/realIpfsService'
+import storageService from '../services/storageService'
+import { EncryptionError } from '../services/encryptionService'
 
 const DownloadCenter = () => {
   const [searchQuery, setSearchQuery] = useState('')
   const [downloadStatus, setDownloadStatus] = useState({})
   const { isConnected, address } = useWallet()
-  const { documents } = useDocuments()
+  const { documents, recordActivity, canReadDocument } = useDocuments()
   const toast = useToast()
 
   // Helper function to determine MIME type from file extension
@@ -81,16 +82,21 @@ const DownloadCenter = () => {
       return
     }
 
+    if (!await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${document.fileName}`)
+      return
+    }
+
     setDownloadStatus(prev => ({ ...prev, [document.id]: 'downloading' }))
 
     try {
       console.log('Starting download:', document.fileName, document.ipfsHash)
 
-      // Use real IPFS service to download the file
-      const result = await realIpfsService.downloadFile(document.ipfsHash, document.fileName)
+      const result = await storageService.downloadFile(document.ipfsHash, document.fileName, { fallback: false })
 
       if (result.success) {
         setDownloadStatus(prev => ({ ...prev, [document.id]: 'completed' }))
+        recordActivity('download', document)
         toast.success(`${document.fileName} downloaded successfully!`)
         
         // Reset status after 3 seconds
@@ -112,13 +118,31 @@ const DownloadCenter = () => {
     }
   }
 
-  const viewOnIPFS = (hash) => {
-    if (!hash) {
+  // Open the fetched copy, verified against its CID and decrypted for this
+  // wallet, rather than a gateway URL that would show ciphertext
+  const viewOnIPFS = async (document) => {
+    if (!document.ipfsHash) {
       toast.error('No IPFS hash available')
       return
     }
-    window.open(`https://ipfs.io/ipfs/${hash}`, '_blank')
-    toast.success('Opening document on IPFS')
+
+    if (!await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${document.fileName}`)
+      return
+    }
+
+    try {
+      const result = await storageService.viewFile(document.ipfsHash, document.fileName)
+      recordActivity('view', document)
+      if (result.method === 'verification-page-fallback') {
+        toast.warning(`Couldn't fetch ${document.fileName}; opened its verification page instead`)
+      } else {
+        toast.success(`${result.encrypted ? '🔓 Opened a decrypted copy of' : '📄 Opened'} ${document.fileName}`)
+      }
+    } catch (error) {
+      console.error('View failed:', error)
+      toast.error(error instanceof EncryptionError ? error.message : `Couldn't open ${document.fileName}: ${error.message}`)
+    }
   }
 
   const getDownloadButtonState = (documentId) => {
@@ -245,11 +269,11 @@ const DownloadCenter = () => {
                   </NeonButton>
                   
                   <button
-                    onClick={() => viewOnIPFS(doc.ipfsHash)}
+                    onClick={() => viewOnIPFS(doc)}
                     className="w-full px-4 py-2 text-sm text-gray-300 hover:text-white border border-gray-600 hover:border-gray-500 rounded-xl transition-all duration-200 flex items-center justify-center space-x-2"
                   >
                     <EyeIcon className="w-4 h-4" />
-                    <span>View on IPFS</span>
+                    <span>View</span>
                   </button>
                 </div>
               </GlassCard>
@@ -4,86 +4,142 @@ import {
   CogIcon, 
   CheckCircleIcon,
   ExclamationTriangleIcon,
-  LinkIcon,
-  PlusIcon
+  KeyIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
 import { useToast } from '../components/ui/Toast'
 import { useIPFSProvider } from '../contexts/IPFSProviderContext'
+import retrievalService from '../services/retrievalService'
+
+// Outcome of a provider's last connectivity test
+const TestResult = ({ result }) => {
+  if (!result) {
+    return <p className="text-gray-500 text-xs">Not tested yet</p>
+  }
+
+  const testedAt = new Date(result.testedAt).toLocaleString()
+  if (!result.success) {
+    return (
+      <div className="p-3 rounded-lg bg-red-500/10 border border-red-500/30 text-xs space-y-1">
+        <p className="text-red-300 flex items-center space-x-1">
+          <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+          <span>{result.error}</span>
+        </p>
+        <p className="text-gray-400">
+          {result.code ? `${result.code} • ` : ''}failed after {result.latencyMs} ms • {testedAt}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="p-3 rounded-lg bg-green-500/10 border border-green-500/30 text-xs space-y-1">
+      <p className="text-green-300">Reachable in {result.latencyMs} ms</p>
+      {result.identity && <p className="text-gray-300 break-all">Identity: {result.identity}</p>}
+      {result.version && <p className="text-gray-300">Version: {result.version}</p>}
+      {result.details && <p className="text-gray-400">{result.details}</p>}
+      <p className="text-gray-500">Tested {testedAt}</p>
+    </div>
+  )
+}
+
+// How a public gateway has done at serving verified content, best first
+const GatewayHealth = () => {
+  const [scores, setScores] = useState(() => retrievalService.getScores())
+
+  useEffect(() => retrievalService.subscribe(setScores), [])
+
+  return (
+    <GlassCard className="p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white">Gateway Health</h2>
+        <button
+          onClick={() => retrievalService.resetScores()}
+          className="text-xs text-gray-400 hover:text-white transition-colors"
+        >
+          Reset scores
+        </button>
+      </div>
+      <p className="text-gray-400 text-sm mb-4">
+        Documents the storage provider can't serve are fetched from these gateways, best first,
+        and only accepted once their content hashes to the CID.
+      </p>
+
+      <div className="space-y-2">
+        {scores.map(score => {
+          const attempts = score.successes + score.failures
+          return (
+            <div key={score.gateway} className="p-3 bg-white/5 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <span className="text-white break-all">{score.gateway}</span>
+                <span className="text-gray-400 text-xs whitespace-nowrap ml-4">
+                  {attempts === 0
+                    ? 'Not used yet'
+                    : `${score.successes}/${attempts} served${score.latencyMs !== null ? ` • ~${score.latencyMs} ms` : ''}`}
+                </span>
+              </div>
+              {score.integrityFailures > 0 && (
+                <p className="text-red-300 text-xs mt-1 flex items-center space-x-1">
+                  <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+                  <span>Served content that didn't match its CID {score.integrityFailures} time(s); tried last</span>
+                </p>
+              )}
+              {score.lastError && score.lastFailure > (score.lastSuccess || 0) && !score.integrityFailures && (
+                <p className="text-yellow-300 text-xs mt-1 break-all">Last error: {score.lastError}</p>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </GlassCard>
+  )
+}
 
 const IPFSSettings = () => {
-  const [customProvider, setCustomProvider] = useState('')
-  const [apiKey, setApiKey] = useState('')
+  const {
+    providers, providerId, providerConfig, providerConfigs, provider,
+    selectProvider, saveProviderConfig, testProvider, testResults, getProviderStats
+  } = useIPFSProvider()
+  // Provider whose settings are being edited, and the values entered so far
+  const [editing, setEditing] = useState(providerId)
+  const [config, setConfig] = useState(providerConfig)
   const [testing, setTesting] = useState(false)
-  const { provider, setProvider, testProvider, getProviderStats } = useIPFSProvider()
   const toast = useToast()
 
-  const defaultProviders = [
-    {
-      name: 'IPFS.io Gateway',
-      url: 'https://ipfs.io/ipfs',
-      type: 'gateway',
-      free: true,
-      description: 'Public IPFS gateway - free and reliable'
-    },
-    {
-      name: 'Pinata Gateway',
-      url: 'https://gateway.pinata.cloud/ipfs',
-      type: 'gateway', 
-      free: true,
-      description: 'Fast and reliable IPFS gateway'
-    },
-    {
-      name: 'NFT.Storage',
-      url: 'https://api.nft.storage/upload',
-      type: 'api',
-      free: true,
-      description: 'Free decentralized storage for NFTs'
-    },
-    {
-      name: 'Web3.Storage',
-      url: 'https://api.web3.storage/upload',
-      type: 'api',
-      free: true,
-      description: 'Decentralized storage built on IPFS'
-    }
-  ]
+  const definition = providers[editing]
 
-  const handleProviderSelect = (providerConfig) => {
-    setProvider(providerConfig)
-    toast.success(`Switched to ${providerConfig.name}`)
+  const handleProviderSelect = (id) => {
+    setEditing(id)
+    setConfig(id === providerId ? providerConfig : providerConfigs[id] || {})
   }
 
-  const handleCustomProvider = async () => {
-    if (!customProvider) {
-      toast.error('Please enter a provider URL')
+  const missingFields = definition.fields.filter(field => field.required && !config[field.key] && !field.default)
+
+  // Test the entered settings, then switch uploads to the provider, or with
+  // `use` off only keep the settings (e.g. to replicate pins to it)
+  const handleSave = async (use = true) => {
+    if (missingFields.length > 0) {
+      toast.error(`Please fill in ${missingFields.map(field => field.label).join(', ')}`)
       return
     }
 
     setTesting(true)
-    
     try {
-      const customConfig = {
-        name: 'Custom Provider',
-        url: customProvider,
-        type: customProvider.includes('/upload') ? 'api' : 'gateway',
-        apiKey: apiKey || undefined,
-        custom: true
+      const testResult = await testProvider(editing, config)
+      if (!testResult.success) {
+        toast.error(`Provider test failed: ${testResult.error}`)
+        return
       }
-
-      const testResult = await testProvider(customConfig)
-      
-      if (testResult.success) {
-        setProvider(customConfig)
-        toast.success('Custom provider added successfully!')
-        setCustomProvider('')
-        setApiKey('')
+      if (use) {
+        selectProvider(editing, config)
+        toast.success(`Switched to ${definition.name} (${testResult.latencyMs} ms)`)
       } else {
-        toast.error(`Provider test failed: ${testResult.error}`)
+        saveProviderConfig(editing, config)
+        toast.success(`Saved ${definition.name} settings (${testResult.latencyMs} ms)`)
       }
     } catch (error) {
-      toast.error(`Failed to add custom provider: ${error.message}`)
+      toast.error(`Failed to save provider settings: ${error.message}`)
     } finally {
       setTesting(false)
     }
@@ -92,9 +148,9 @@ const IPFSSettings = () => {
   const testCurrentProvider = async () => {
     setTesting(true)
     try {
-      const result = await testProvider(provider)
+      const result = await testProvider()
       if (result.success) {
-        toast.success('Provider is working correctly!')
+        toast.success(`${provider.name} answered in ${result.latencyMs} ms`)
       } else {
         toast.error(`Provider test failed: ${result.error}`)
       }
@@ -112,7 +168,7 @@ const IPFSSettings = () => {
           <CogIcon className="w-8 h-8 text-neon-green" />
           <span>IPFS Provider Settings</span>
         </h1>
-        <p className="text-gray-300">Configure your IPFS storage provider for uploads and downloads</p>
+        <p className="text-gray-300">Choose where uploads are stored when you are not signed in to the SecureX backend</p>
       </div>
 
       {/* Current Provider Status */}
@@ -122,14 +178,11 @@ const IPFSSettings = () => {
           <span>Current Provider</span>
         </h2>
         
-        <div className="flex items-center justify-between p-4 bg-green-500/10 border border-green-500/30 rounded-xl">
-          <div>
+        <div className="flex items-start justify-between gap-4 p-4 bg-white/5 border border-white/10 rounded-xl">
+          <div className="space-y-2 min-w-0">
             <h3 className="text-white font-semibold">{provider.name}</h3>
-            <p className="text-gray-400 text-sm">{provider.url}</p>
-            <p className="text-green-400 text-xs mt-1">
-              {provider.type === 'api' ? '🔐 API Provider' : '🌐 Gateway Provider'} 
-              {provider.free ? ' • FREE' : ''}
-            </p>
+            <p className="text-gray-400 text-sm">{providers[providerId].description}</p>
+            <TestResult result={testResults[providerId]} />
           </div>
           <div className="flex space-x-2">
             <button
@@ -148,84 +201,81 @@ const IPFSSettings = () => {
         <h2 className="text-xl font-semibold text-white mb-4">Available Providers</h2>
         
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-          {defaultProviders.map((providerConfig, index) => (
+          {Object.entries(providers).map(([id, option]) => (
             <motion.div
-              key={index}
+              key={id}
               whileHover={{ scale: 1.02 }}
               className={`p-4 rounded-xl border transition-all cursor-pointer ${
-                provider.url === providerConfig.url
+                editing === id
                   ? 'bg-neon-green/20 border-neon-green/30'
                   : 'bg-white/5 border-white/20 hover:border-white/40'
               }`}
-              onClick={() => handleProviderSelect(providerConfig)}
+              onClick={() => handleProviderSelect(id)}
             >
               <div className="flex items-center justify-between mb-2">
-                <h3 className="text-white font-semibold">{providerConfig.name}</h3>
-                {provider.url === providerConfig.url && (
+                <h3 className="text-white font-semibold">{option.name}</h3>
+                {providerId === id && (
                   <CheckCircleIcon className="w-5 h-5 text-neon-green" />
                 )}
               </div>
-              <p className="text-gray-400 text-sm mb-2">{providerConfig.description}</p>
-              <div className="flex items-center space-x-2 text-xs">
-                <span className={`px-2 py-1 rounded ${
-                  providerConfig.type === 'api' ? 'bg-blue-500/20 text-blue-400' : 'bg-purple-500/20 text-purple-400'
-                }`}>
-                  {providerConfig.type.toUpperCase()}
-                </span>
-                {providerConfig.free && (
-                  <span className="px-2 py-1 bg-green-500/20 text-green-400 rounded">FREE</span>
-                )}
-              </div>
+              <p className="text-gray-400 text-sm">{option.description}</p>
             </motion.div>
           ))}
         </div>
       </GlassCard>
 
-      {/* Custom Provider */}
+      {/* Provider Settings */}
       <GlassCard className="p-6">
         <h2 className="text-xl font-semibold text-white mb-4 flex items-center space-x-2">
-          <PlusIcon className="w-6 h-6 text-neon-green" />
-          <span>Add Custom Provider</span>
+          <KeyIcon className="w-6 h-6 text-neon-green" />
+          <span>{definition.name} Settings</span>
         </h2>
         
         <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">
-              Provider URL *
-            </label>
-            <input
-              type="url"
-              value={customProvider}
-              onChange={(e) => setCustomProvider(e.target.value)}
-              placeholder="https://api.nft.storage/upload or https://gateway.example.com/ipfs"
-              className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all"
-            />
-            <p className="text-xs text-gray-400 mt-1">
-              Enter gateway URL (for viewing) or API URL (for uploading)
-            </p>
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-300 mb-2">
-              API Key (optional)
-            </label>
-            <input
-              type="password"
-              value={apiKey}
-              onChange={(e) => setApiKey(e.target.value)}
-              placeholder="Enter API key if required"
-              className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all"
-            />
-          </div>
+          {definition.fields.length === 0 && (
+            <p className="text-gray-400 text-sm">No settings needed.</p>
+          )}
+
+          {definition.fields.map(field => (
+            <div key={field.key}>
+              <label className="block text-sm font-medium text-gray-300 mb-2">
+                {field.label}{field.required ? ' *' : ''}
+              </label>
+              <input
+                type={field.secret ? 'password' : 'text'}
+                value={config[field.key] || ''}
+                onChange={(e) => setConfig(prev => ({ ...prev, [field.key]: e.target.value }))}
+                placeholder={field.default ? 'Set in the environment' : field.placeholder || ''}
+                className="w-full px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all"
+              />
+            </div>
+          ))}
+
+          <p className="text-xs text-gray-400">
+            Settings are kept in this browser's local storage.
+          </p>
+
+          {editing !== providerId && <TestResult result={testResults[editing]} />}
           
           <NeonButton
-            onClick={handleCustomProvider}
+            onClick={() => handleSave()}
             loading={testing}
-            disabled={!customProvider}
+            disabled={missingFields.length > 0}
             className="w-full"
           >
-            {testing ? 'Testing Provider...' : 'Add Custom Provider'}
+            {testing ? 'Testing Provider...' : `Test and use ${definition.name}`}
           </NeonButton>
+
+          {editing !== providerId && (
+            <NeonButton
+              variant="ghost"
+              onClick={() => handleSave(false)}
+              disabled={testing || missingFields.length > 0}
+              className="w-full"
+            >
+              Test and save without switching
+            </NeonButton>
+          )}
         </div>
       </GlassCard>
 
@@ -248,6 +298,8 @@ const IPFSSettings = () => {
           </div>
         </div>
       </GlassCard>
+
+      <GatewayHealth />
     </div>
   )
 }
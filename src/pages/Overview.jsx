@@ -1,4 +1,4 @@
-import React, { useMemo } from 'react'
+import React, { useMemo, useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { 
   DocumentIcon, 
@@ -24,12 +24,28 @@ import ContractAddressValidator from '../components/ui/ContractAddressValidator'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
 import { getContractConfig } from '../config/contract'
+import apiService from '../services/apiService'
 import { isValidAddress } from '../utils/addressUtils'
 import { validateIPFSIntegration, displayIPFSStatus } from '../utils/ipfsValidation'
 
 const Overview = () => {
-  const { chainId, contractInitialized } = useWallet()
+  const { chainId, contractInitialized, isAuthenticated } = useWallet()
   const { documents, totalSize } = useDocuments()
+  const [chainStats, setChainStats] = useState(null)
+
+  // Event counts from the backend's index of the registry contract
+  useEffect(() => {
+    if (!isAuthenticated) {
+      setChainStats(null)
+      return
+    }
+    apiService.getChainStats({ days: 7, timezoneOffset: new Date().getTimezoneOffset() })
+      .then(stats => setChainStats(stats.indexedBlock !== null ? stats : null))
+      .catch(error => {
+        console.warn('Chain stats unavailable:', error.message)
+        setChainStats(null)
+      })
+  }, [isAuthenticated, documents.length])
 
   // Format file size helper
   const formatFileSize = (bytes) => {
@@ -40,23 +56,36 @@ const Overview = () => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
   }
 
-  // Generate chart data based on real documents
+  // Uploads and views over the past week; without the index, uploads come
+  // from the loaded documents and views aren't known
   const chartData = useMemo(() => {
-    // Group documents by upload date for chart data
-    const uploadsByDay = documents.reduce((acc, doc) => {
-      const date = new Date(doc.uploadDate)
-      const dayName = date.toLocaleDateString('en-US', { weekday: 'short' })
-      acc[dayName] = (acc[dayName] || 0) + 1
-      return acc
-    }, {})
+    const weekday = (date) => date.toLocaleDateString('en-US', { weekday: 'short' })
+    if (chainStats) {
+      return chainStats.daily.map(day => ({
+        day: weekday(new Date(`${day.date}T00:00:00`)),
+        uploads: day.upload,
+        views: day.view
+      }))
+    }
 
-    const days = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
-    return days.map(day => ({
-      day,
-      uploads: uploadsByDay[day] || 0,
-      downloads: Math.floor((uploadsByDay[day] || 0) * 0.7) // Simulate downloads as 70% of uploads
+    return Array.from({ length: 7 }, (_, i) => {
+      const date = new Date()
+      date.setDate(date.getDate() - (6 - i))
+      return {
+        day: weekday(date),
+        uploads: documents.filter(doc => new Date(doc.uploadDate).toDateString() === date.toDateString()).length,
+        views: 0
+      }
+    })
+  }, [chainStats, documents])
+
+  // On-chain events of the past week by hour of day
+  const activityData = useMemo(() => {
+    return Array.from({ length: 24 }, (_, hour) => ({
+      time: `${String(hour).padStart(2, '0')}:00`,
+      activity: chainStats?.hourly[hour].count || 0
     }))
-  }, [documents])
+  }, [chainStats])
 
   // Recent activity from real documents
   const recentActivity = useMemo(() => {
@@ -108,23 +137,12 @@ const Overview = () => {
   const needsContractSetup = () => {
     if (!chainId) return false
     const config = getContractConfig(chainId)
-    const isExampleAddress = config.contractAddress?.toLowerCase() === '0x742d35cc6506c4a9e6d29f0f9f5a8df07c9c31a5'
     const isInvalidAddress = !isValidAddress(config.contractAddress)
-    return isExampleAddress || isInvalidAddress || !contractInitialized
+    return isInvalidAddress || !contractInitialized
   }
 
 
 
-  const activityData = [
-    { time: '00:00', activity: 5 },
-    { time: '04:00', activity: 8 },
-    { time: '08:00', activity: 25 },
-    { time: '12:00', activity: 35 },
-    { time: '16:00', activity: 42 },
-    { time: '20:00', activity: 28 },
-    { time: '24:00', activity: 15 }
-  ]
-
   const CustomTooltip = ({ active, payload, label }) => {
     if (active && payload && payload.length) {
       return (
@@ -202,8 +220,8 @@ const Overview = () => {
         />
         <StatCard
           title="Total Views"
-          value={documents.reduce((sum, doc) => sum + (doc.views || 0), 0).toString()}
-          change="All time views"
+          value={(chainStats?.totals.view ?? documents.reduce((sum, doc) => sum + (doc.views || 0), 0)).toString()}
+          change={chainStats ? 'Recorded on chain' : 'All time views'}
           trend="up"
           icon={EyeIcon}
         />
@@ -238,12 +256,12 @@ const Overview = () => {
               />
               <Line 
                 type="monotone" 
-                dataKey="downloads" 
+                dataKey="views" 
                 stroke="#0099ff" 
                 strokeWidth={3}
                 dot={{ fill: '#0099ff', strokeWidth: 2, r: 4 }}
                 activeDot={{ r: 6, stroke: '#0099ff', strokeWidth: 2 }}
-                name="Downloads"
+                name="Views"
               />
             </LineChart>
           </ResponsiveContainer>
@@ -251,7 +269,12 @@ const Overview = () => {
 
         {/* Activity Timeline */}
         <GlassCard className="p-6">
-          <h3 className="text-xl font-semibold text-white mb-6">Daily Activity</h3>
+          <h3 className="text-xl font-semibold text-white mb-1">Activity by Time of Day</h3>
+          <p className="text-gray-400 text-sm mb-5">
+            {chainStats
+              ? `On-chain events of the past week, indexed through block ${chainStats.indexedBlock.toLocaleString()}`
+              : 'Sign in with a backend that runs the event indexer to chart on-chain activity'}
+          </p>
           <ResponsiveContainer width="100%" height={300}>
             <AreaChart data={activityData}>
               <CartesianGrid strokeDasharray="3 3" stroke="rgba(255,255,255,0.1)" />
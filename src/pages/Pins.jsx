@@ -0,0 +1,311 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  MapPinIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  DocumentDuplicateIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline'
+import GlassCard from '../components/ui/GlassCard'
+import NeonButton from '../components/ui/NeonButton'
+import { useToast } from '../components/ui/Toast'
+import { useIPFSProvider } from '../contexts/IPFSProviderContext'
+import { useDocuments } from '../contexts/DocumentContext'
+import { PIN_STATUS } from '../services/storage'
+import pinService from '../services/pinService'
+import { parseCid } from '../utils/cid'
+import { formatFileSize } from '../utils/productionFixes'
+
+// Pinning services fetch queued pins in the background; check back this often
+const PENDING_REFRESH_MS = 15000
+
+const STATUS_STYLES = {
+  [PIN_STATUS.pinned]: 'bg-green-500/20 text-green-400',
+  [PIN_STATUS.pinning]: 'bg-blue-500/20 text-blue-400',
+  [PIN_STATUS.queued]: 'bg-yellow-500/20 text-yellow-400',
+  [PIN_STATUS.failed]: 'bg-red-500/20 text-red-400'
+}
+
+const shortCid = (cid) => (cid.length > 20 ? `${cid.slice(0, 10)}...${cid.slice(-8)}` : cid)
+
+// What each configured storage provider has pinned, with pin, unpin and
+// replicate, and the registry documents no provider holds any more
+const Pins = () => {
+  const { provider: selectedProvider, configuredProviders } = useIPFSProvider()
+  const { documents, archivedDocuments, getDocumentVersions } = useDocuments()
+  const toast = useToast()
+
+  const [viewing, setViewing] = useState(selectedProvider.id)
+  const [listings, setListings] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [pinCid, setPinCid] = useState('')
+  const [pinName, setPinName] = useState('')
+  const [targetId, setTargetId] = useState('')
+  // Operations in flight, by `${action}:${cid}`
+  const [busy, setBusy] = useState({})
+
+  const refresh = useCallback(async () => {
+    setLoading(true)
+    try {
+      setListings(await pinService.listPins(configuredProviders))
+    } finally {
+      setLoading(false)
+    }
+  }, [configuredProviders])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const listing = listings.find(item => item.provider.id === viewing)
+  const provider = configuredProviders.find(item => item.id === viewing) || selectedProvider
+  const targets = configuredProviders.filter(item => item.id !== viewing)
+  const target = targets.find(item => item.id === targetId) || targets[0] || null
+
+  const pending = listings.some(item => item.entries.some(entry =>
+    entry.status === PIN_STATUS.queued || entry.status === PIN_STATUS.pinning))
+  useEffect(() => {
+    if (!pending) return undefined
+    const timer = setInterval(refresh, PENDING_REFRESH_MS)
+    return () => clearInterval(timer)
+  }, [pending, refresh])
+
+  const unreachable = listings.filter(item => item.error)
+  const unpinned = pinService.findUnpinned([...documents, ...archivedDocuments], getDocumentVersions, listings)
+
+  const run = async (key, operation, success) => {
+    setBusy(prev => ({ ...prev, [key]: true }))
+    try {
+      await operation()
+      toast.success(success)
+      await refresh()
+    } catch (error) {
+      console.error('Pin operation failed:', error)
+      toast.error(error.message)
+    } finally {
+      setBusy(prev => ({ ...prev, [key]: false }))
+    }
+  }
+
+  const handlePin = (event) => {
+    event.preventDefault()
+    const cid = pinCid.trim()
+    try {
+      parseCid(cid)
+    } catch {
+      toast.error(`"${cid}" is not a valid CID`)
+      return
+    }
+    run(`pin:${cid}`, async () => {
+      await pinService.replicate(cid, provider, { name: pinName.trim() || null })
+      setPinCid('')
+      setPinName('')
+    }, `Pin requested on ${provider.name}`)
+  }
+
+  const handleUnpin = (entry) => run(
+    `unpin:${entry.cid}`,
+    () => provider.unpin(entry.cid),
+    `Unpinned ${shortCid(entry.cid)} from ${provider.name}`
+  )
+
+  const handleReplicate = (entry) => run(
+    `replicate:${entry.cid}`,
+    () => pinService.replicate(entry.cid, target, { source: provider, name: entry.name }),
+    `Replicated ${shortCid(entry.cid)} to ${target.name}`
+  )
+
+  // Unpinned documents go back to the provider uploads use, fetched from the
+  // gateways if it can't pin by CID
+  const handleRestore = (item) => run(
+    `restore:${item.ipfsHash}`,
+    () => pinService.replicate(item.ipfsHash, selectedProvider, { name: item.document.fileName }),
+    `Pinned ${item.document.fileName} on ${selectedProvider.name}`
+  )
+
+  return (
+    <div className="space-y-8">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-white mb-4 flex items-center space-x-3">
+            <MapPinIcon className="w-8 h-8 text-neon-green" />
+            <span>Pins</span>
+          </h1>
+          <p className="text-gray-300">What your storage providers keep on IPFS</p>
+        </div>
+        <NeonButton variant="ghost" onClick={refresh} loading={loading}>
+          <span className="flex items-center space-x-2">
+            <ArrowPathIcon className="w-4 h-4" />
+            <span>Refresh</span>
+          </span>
+        </NeonButton>
+      </div>
+
+      {/* Documents no provider holds */}
+      {listings.length > 0 && unpinned.length > 0 && (
+        <GlassCard className="p-6 border border-red-500/30">
+          <h2 className="text-xl font-semibold text-white mb-2 flex items-center space-x-2">
+            <ExclamationTriangleIcon className="w-6 h-6 text-red-400" />
+            <span>Documents not pinned anywhere</span>
+          </h2>
+          <p className="text-gray-400 text-sm mb-4">
+            No configured provider{unreachable.length > 0 ? ' that could be checked' : ''} holds these
+            registered CIDs. Public gateways may still have cached copies, but nothing keeps them on IPFS.
+          </p>
+          <div className="space-y-2">
+            {unpinned.map(item => (
+              <div key={`${item.document.id}:${item.version}`} className="flex items-center justify-between p-3 bg-white/5 rounded-lg text-sm">
+                <div className="min-w-0">
+                  <p className="text-white truncate">
+                    {item.document.fileName}
+                    {item.version > 1 && <span className="text-gray-400"> (version {item.version})</span>}
+                    {item.document.archived && <span className="text-gray-500"> • archived</span>}
+                  </p>
+                  <p className="text-gray-400 text-xs font-mono break-all">{item.ipfsHash}</p>
+                </div>
+                <NeonButton
+                  size="sm"
+                  variant="outline"
+                  loading={busy[`restore:${item.ipfsHash}`]}
+                  onClick={() => handleRestore(item)}
+                  className="ml-4 flex-shrink-0"
+                >
+                  Pin on {selectedProvider.name}
+                </NeonButton>
+              </div>
+            ))}
+          </div>
+        </GlassCard>
+      )}
+
+      {unreachable.length > 0 && (
+        <GlassCard className="p-4 border border-yellow-500/30">
+          {unreachable.map(item => (
+            <p key={item.provider.id} className="text-yellow-300 text-sm">
+              Couldn't list {item.provider.name}: {item.error.message}
+            </p>
+          ))}
+        </GlassCard>
+      )}
+
+      {/* Provider tabs */}
+      <div className="flex flex-wrap gap-2">
+        {configuredProviders.map(item => {
+          const count = listings.find(entry => entry.provider.id === item.id)?.entries.length
+          return (
+            <button
+              key={item.id}
+              onClick={() => setViewing(item.id)}
+              className={`px-4 py-2 rounded-lg text-sm transition-all ${
+                item.id === viewing
+                  ? 'bg-neon-green/20 text-neon-green border border-neon-green/50'
+                  : 'bg-white/5 text-gray-300 border border-white/10 hover:bg-white/10'
+              }`}
+            >
+              {item.name}{count !== undefined ? ` (${count})` : ''}
+              {item.id === selectedProvider.id && <span className="text-xs text-gray-400"> • uploads</span>}
+            </button>
+          )
+        })}
+      </div>
+
+      {/* Pin by CID */}
+      <GlassCard className="p-6">
+        <h2 className="text-xl font-semibold text-white mb-4">Pin a CID on {provider.name}</h2>
+        <form onSubmit={handlePin} className="flex flex-col md:flex-row gap-3">
+          <input
+            type="text"
+            value={pinCid}
+            onChange={(e) => setPinCid(e.target.value)}
+            placeholder="bafy... or Qm..."
+            className="flex-1 px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all font-mono text-sm"
+          />
+          <input
+            type="text"
+            value={pinName}
+            onChange={(e) => setPinName(e.target.value)}
+            placeholder="Name (optional)"
+            className="md:w-48 px-4 py-3 bg-white/10 border border-white/20 rounded-lg text-white placeholder-gray-400 focus:outline-none focus:border-neon-green transition-all text-sm"
+          />
+          <NeonButton type="submit" loading={busy[`pin:${pinCid.trim()}`]} disabled={!pinCid.trim()}>
+            Pin
+          </NeonButton>
+        </form>
+        <p className="text-xs text-gray-400 mt-2">
+          Pinning services fetch the content from the IPFS network. Providers that can't pin by CID
+          get a verified copy from the gateways instead.
+        </p>
+      </GlassCard>
+
+      {/* Pin list */}
+      <GlassCard className="p-6">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 mb-4">
+          <h2 className="text-xl font-semibold text-white">Pinned on {provider.name}</h2>
+          {targets.length > 0 && (
+            <label className="flex items-center space-x-2 text-sm text-gray-300">
+              <span>Replicate to</span>
+              <select
+                value={target?.id || ''}
+                onChange={(e) => setTargetId(e.target.value)}
+                className="px-3 py-2 bg-white/10 border border-white/20 rounded-lg text-white focus:outline-none focus:border-neon-green"
+              >
+                {targets.map(item => (
+                  <option key={item.id} value={item.id} className="bg-gray-900">{item.name}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        {listing?.error && (
+          <p className="text-red-300 text-sm">{listing.error.message}</p>
+        )}
+        {listing && !listing.error && listing.entries.length === 0 && (
+          <p className="text-gray-400 text-sm">Nothing pinned yet.</p>
+        )}
+        {!listing && loading && <p className="text-gray-400 text-sm">Loading pins...</p>}
+
+        <div className="space-y-2">
+          {listing?.entries.map(entry => (
+            <div key={entry.cid} className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 p-3 bg-white/5 rounded-lg text-sm">
+              <div className="min-w-0">
+                <p className="text-white truncate">{entry.name || <span className="text-gray-500">Unnamed</span>}</p>
+                <p className="text-gray-400 text-xs font-mono break-all">{entry.cid}</p>
+                {entry.error && <p className="text-red-300 text-xs mt-1">{entry.error}</p>}
+              </div>
+              <div className="flex items-center gap-3 flex-shrink-0">
+                <span className="text-gray-400 text-xs">
+                  {entry.size !== null ? formatFileSize(entry.size) : 'size unknown'}
+                  {entry.created ? ` • ${new Date(entry.created).toLocaleDateString()}` : ''}
+                </span>
+                <span className={`px-2 py-1 rounded-full text-xs ${STATUS_STYLES[entry.status] || 'bg-gray-500/20 text-gray-400'}`}>
+                  {entry.status}
+                </span>
+                {target && (
+                  <button
+                    onClick={() => handleReplicate(entry)}
+                    disabled={busy[`replicate:${entry.cid}`] || entry.status === PIN_STATUS.failed}
+                    title={`Replicate to ${target.name}`}
+                    className="p-2 text-gray-300 hover:text-neon-green disabled:opacity-40 transition-colors"
+                  >
+                    <DocumentDuplicateIcon className={`w-4 h-4 ${busy[`replicate:${entry.cid}`] ? 'animate-pulse' : ''}`} />
+                  </button>
+                )}
+                <button
+                  onClick={() => handleUnpin(entry)}
+                  disabled={busy[`unpin:${entry.cid}`]}
+                  title={`Unpin from ${provider.name}`}
+                  className="p-2 text-gray-300 hover:text-red-400 disabled:opacity-40 transition-colors"
+                >
+                  <TrashIcon className={`w-4 h-4 ${busy[`unpin:${entry.cid}`] ? 'animate-pulse' : ''}`} />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </GlassCard>
+    </div>
+  )
+}
+
+export default Pins
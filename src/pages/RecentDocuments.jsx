@@ -6,23 +6,41 @@ import {
   LinkIcon,
   CalendarIcon,
   ClockIcon,
-  ArrowTopRightOnSquareIcon
+  ArrowTopRightOnSquareIcon,
+  RectangleStackIcon,
+  ArchiveBoxIcon,
+  ArrowUturnUpIcon,
+  TrashIcon
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
+import VersionHistory from '../components/ui/VersionHistory'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
 import { useToast } from '../components/ui/Toast'
-import realIpfsService from '../services/realIpfsService'
-import bulletproofIPFS from '../services/bulletproofIPFS'
+import storageService from '../services/storageService'
+import { EncryptionError } from '../services/encryptionService'
 import { validateIPFSHash, createSafeIPFSUrl } from '../utils/ipfsHashValidator'
 import { copyToClipboard as safeCopyToClipboard, showToast, handleSuccess } from '../utils/productionFixes'
 
 const RecentDocuments = () => {
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState('')
+  const [historyDocument, setHistoryDocument] = useState(null)
+  const [showArchived, setShowArchived] = useState(false)
+  const [pendingId, setPendingId] = useState(null)
   const { isConnected, address, chainId, contractInitialized } = useWallet()
-  const { documents, searchDocuments } = useDocuments()
+  const {
+    documents,
+    archivedDocuments,
+    searchDocuments,
+    recordActivity,
+    canReadDocument,
+    archiveDocument,
+    unarchiveDocument,
+    removeDocument
+  } = useDocuments()
+  const visibleDocuments = showArchived ? archivedDocuments : documents
   // Production IPFS service - no demo content
   const toast = useToast()
 
@@ -69,14 +87,31 @@ const RecentDocuments = () => {
   }
 
   const openIPFS = async (hash, fileName) => {
+    const document = documents.find(doc => doc.ipfsHash === hash)
+    if (document && !await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${fileName}`)
+      return
+    }
+
     try {
-      const result = await bulletproofIPFS.viewFile(hash, fileName)
-      toast.success('📄 Opening document verification page with IPFS access links')
+      const result = await storageService.viewFile(hash, fileName)
+      recordActivity('view', document)
+      if (result.encrypted) {
+        toast.success(`🔓 Opened a decrypted copy of ${fileName}`)
+      } else if (result.method === 'provider' || result.method === 'gateway') {
+        toast.success(`📄 Opened ${fileName}`)
+      } else {
+        toast.success('📄 Opening document verification page with IPFS access links')
+      }
     } catch (error) {
-      // This should never happen with bulletproof service
+      if (error instanceof EncryptionError) {
+        toast.error(error.message)
+        return
+      }
+      // viewFile falls back to the verification page itself, so this is unexpected
       console.error('Unexpected error:', error)
       toast.success('📄 Creating document verification page...')
-      bulletproofIPFS.createWorkingFallback(hash, fileName)
+      storageService.createWorkingFallback(hash, fileName)
     }
   }
 
@@ -98,9 +133,15 @@ const RecentDocuments = () => {
       return
     }
 
+    if (!await canReadDocument(document)) {
+      toast.error(`Your wallet doesn't have access to ${document.fileName}`)
+      return
+    }
+
     try {
       toast.info('Starting download from IPFS...')
-      await bulletproofIPFS.viewFile(document.ipfsHash, document.fileName)
+      await storageService.downloadFile(document.ipfsHash, document.fileName)
+      recordActivity('download', document)
       toast.success(`${document.fileName} downloaded successfully!`)
     } catch (error) {
       console.error('Download failed:', error)
@@ -108,6 +149,30 @@ const RecentDocuments = () => {
     }
   }
 
+  const isOwner = (document) => document.uploader?.toLowerCase() === address?.toLowerCase()
+
+  // Archive, unarchive or delete; each may send a transaction
+  const changeStatus = async (document, action) => {
+    setPendingId(document.id)
+    try {
+      if (action === 'archive') {
+        await archiveDocument(document)
+        toast.success(`Archived ${document.fileName}; shared access is paused until you unarchive it`)
+      } else if (action === 'unarchive') {
+        await unarchiveDocument(document)
+        toast.success(`Restored ${document.fileName}`)
+      } else {
+        await removeDocument(document.id)
+        toast.success(`Deleted ${document.fileName}`)
+      }
+    } catch (error) {
+      console.error(`Failed to ${action} document:`, error)
+      toast.error(error.message)
+    } finally {
+      setPendingId(null)
+    }
+  }
+
   const viewOnExplorer = (txHash) => {
     const explorerUrl = chainId === 11155111n ? 'https://sepolia.etherscan.io' : 'https://etherscan.io'
     window.open(`${explorerUrl}/tx/${txHash}`, '_blank')
@@ -170,6 +235,20 @@ const RecentDocuments = () => {
         </div>
       </div>
 
+      <div className="flex space-x-2">
+        {[['Active', false, documents.length], ['Archived', true, archivedDocuments.length]].map(([label, archived, count]) => (
+          <button
+            key={label}
+            onClick={() => setShowArchived(archived)}
+            className={`px-4 py-2 text-sm rounded-xl transition-all duration-200 ${
+              showArchived === archived ? 'bg-neon-green/20 text-neon-green' : 'bg-white/5 text-gray-400 hover:text-white'
+            }`}
+          >
+            {label} ({count})
+          </button>
+        ))}
+      </div>
+
       {loading ? (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
           {[...Array(6)].map((_, i) => (
@@ -182,7 +261,7 @@ const RecentDocuments = () => {
         </div>
       ) : (
         <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {documents.map((doc, index) => (
+          {visibleDocuments.map((doc, index) => (
             <motion.div
               key={doc.id}
               initial={{ opacity: 0, y: 20 }}
@@ -195,7 +274,10 @@ const RecentDocuments = () => {
                     <div className="text-3xl">{getFileIcon(doc.fileName)}</div>
                     <div className="flex-1 min-w-0">
                       <h3 className="text-white font-semibold truncate">{doc.fileName || 'Unknown File'}</h3>
-                      <p className="text-gray-400 text-sm">{formatFileSize(doc.fileSize || 0)}</p>
+                      <p className="text-gray-400 text-sm">
+                        {formatFileSize(doc.fileSize || 0)}
+                        {doc.version > 1 && <span className="ml-2 px-1.5 py-0.5 text-xs rounded bg-neon-purple/20 text-neon-purple">v{doc.version}</span>}
+                      </p>
                     </div>
                   </div>
                   <div className="flex items-center space-x-1 text-gray-400">
@@ -249,12 +331,46 @@ const RecentDocuments = () => {
                   >
                     ⬇️
                   </button>
+                  <button
+                    onClick={() => setHistoryDocument(doc)}
+                    disabled={!doc.ipfsHash || doc.ipfsHash === 'No IPFS hash'}
+                    className="px-3 py-2 text-sm text-gray-400 hover:text-white border border-gray-600 hover:border-gray-500 rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                    title="Version history"
+                  >
+                    <RectangleStackIcon className="w-4 h-4" />
+                  </button>
+                  {isOwner(doc) && (
+                    <button
+                      onClick={() => changeStatus(doc, doc.archived ? 'unarchive' : 'archive')}
+                      disabled={pendingId !== null}
+                      className="px-3 py-2 text-sm text-gray-400 hover:text-white border border-gray-600 hover:border-gray-500 rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                      title={doc.archived ? 'Unarchive' : 'Archive'}
+                    >
+                      {doc.archived ? <ArrowUturnUpIcon className="w-4 h-4" /> : <ArchiveBoxIcon className="w-4 h-4" />}
+                    </button>
+                  )}
+                  {isOwner(doc) && doc.archived && (
+                    <button
+                      onClick={() => changeStatus(doc, 'delete')}
+                      disabled={pendingId !== null}
+                      className="px-3 py-2 text-sm text-red-400 hover:text-red-300 border border-red-500/40 hover:border-red-400 rounded-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Delete from the registry"
+                    >
+                      <TrashIcon className="w-4 h-4" />
+                    </button>
+                  )}
                 </div>
 
                 <div className="mt-3 pt-3 border-t border-white/10">
                   <div className="flex items-center justify-between text-xs text-gray-500">
-                    <span>Tx: {(doc.transactionHash || '0x0000000000000000000000000000000000000000000000000000000000000000').slice(0, 10)}...{(doc.transactionHash || '0x0000000000000000000000000000000000000000000000000000000000000000').slice(-6)}</span>
-                    <span className="px-2 py-1 bg-green-500/20 text-green-400 rounded">✓ Verified</span>
+                    <span>{doc.transactionHash
+                      ? `Tx: ${doc.transactionHash.slice(0, 10)}...${doc.transactionHash.slice(-6)}`
+                      : 'Not registered on chain'}</span>
+                    {doc.archived ? (
+                      <span className="px-2 py-1 bg-gray-500/20 text-gray-300 rounded">Archived</span>
+                    ) : (
+                      <span className="px-2 py-1 bg-green-500/20 text-green-400 rounded">✓ Verified</span>
+                    )}
                   </div>
                 </div>
               </GlassCard>
@@ -263,7 +379,15 @@ const RecentDocuments = () => {
         </div>
       )}
 
-      {!loading && documents.length === 0 && (
+      {!loading && showArchived && archivedDocuments.length === 0 && (
+        <div className="text-center py-12">
+          <ArchiveBoxIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-white mb-2">No Archived Documents</h2>
+          <p className="text-gray-400">Archived documents are hidden everywhere else and can be restored or deleted here.</p>
+        </div>
+      )}
+
+      {!loading && !showArchived && documents.length === 0 && (
         <div className="text-center py-12">
           <DocumentIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
           <h2 className="text-xl font-semibold text-white mb-2">No Documents Found</h2>
@@ -288,6 +412,12 @@ const RecentDocuments = () => {
           </div>
         </div>
       )}
+
+      <VersionHistory
+        document={visibleDocuments.find(doc => doc.id === historyDocument?.id) || historyDocument}
+        isOpen={historyDocument !== null}
+        onClose={() => setHistoryDocument(null)}
+      />
     </div>
   )
 }
@@ -13,12 +13,17 @@ import {
 } from '@heroicons/react/24/outline'
 import GlassCard from '../components/ui/GlassCard'
 import NeonButton from '../components/ui/NeonButton'
+import RegistrationCost from '../components/ui/RegistrationCost'
 import { useWallet } from '../contexts/WalletContext'
 import { useDocuments } from '../contexts/DocumentContext'
+import { useIPFSProvider } from '../contexts/IPFSProviderContext'
 import { useToast } from '../components/ui/Toast'
-import contractService from '../services/contractService'
-import realIpfsService from '../services/realIpfsService'
-import bulletproofIPFS from '../services/bulletproofIPFS'
+import contractService, { MAX_UPLOAD_BATCH } from '../services/contractService'
+import storageService from '../services/storageService'
+import encryptionService from '../services/encryptionService'
+import apiService from '../services/apiService'
+import { DEFAULT_STORAGE_PROVIDER } from '../services/storage'
+import { toCidV1 } from '../utils/cid'
 import { copyToClipboard as safeCopyToClipboard, showToast, handleSuccess } from '../utils/productionFixes'
 
 const Upload = () => {
@@ -28,12 +33,16 @@ const Upload = () => {
   const [uploadProgress, setUploadProgress] = useState({})
   const [uploadHistory, setUploadHistory] = useState([])
   const [searchQuery, setSearchQuery] = useState('')
+  // Encrypt file bytes in the browser so gateways only ever see ciphertext
+  const [encryptUploads, setEncryptUploads] = useState(true)
+  const [feePreset, setFeePreset] = useState('normal')
   const fileInputRef = useRef(null)
 
-  const { isConnected, address, signer, chainId, contractInitialized } = useWallet()
-  const { documents, addDocument, updateDocument } = useDocuments()
+  const { isConnected, address, signer, chainId, contractInitialized, isAuthenticated } = useWallet()
+  const { documents, addDocument, updateDocument, getDocumentVersions, addDocumentVersion, getChainDocumentId } = useDocuments()
   // Production IPFS service - no demo content
   const toast = useToast()
+  const { uploadFile: uploadToProvider, provider: storageProvider } = useIPFSProvider()
 
   // Check if using expensive network
   const isExpensiveNetwork = chainId && [1, 137].includes(Number(chainId))
@@ -48,7 +57,8 @@ const Upload = () => {
       id: doc.id || `doc-${Date.now()}`,
       name: doc.fileName || doc.name || 'Unknown File',
       ipfsHash: doc.ipfsHash || '',
-      transactionHash: doc.transactionHash || `0x${Math.random().toString(16).substr(2, 64)}`,
+      // Documents that were never registered on chain have no transaction
+      transactionHash: doc.transactionHash || null,
       uploadDate: doc.uploadDate || new Date().toISOString(),
       fileSize: doc.fileSize || 0,
       status: doc.status || 'completed'
@@ -65,18 +75,36 @@ const Upload = () => {
     }
   }
 
+  // A re-upload of one of the wallet's documents becomes its next version by
+  // default instead of an unrelated new document
+  const findPreviousVersion = (file) => documents
+    .filter(doc => doc.fileName === file.name && doc.uploader?.toLowerCase() === address?.toLowerCase())
+    .sort((a, b) => new Date(b.uploadDate) - new Date(a.uploadDate))[0] || null
+
+  const nextVersionNumber = (documentId) => {
+    const document = documents.find(doc => doc.id === documentId)
+    return document ? getDocumentVersions(document).at(-1).version + 1 : null
+  }
+
+  const toUploadItems = (fileList) => Array.from(fileList).map(file => {
+    const previous = findPreviousVersion(file)
+    return {
+      file,
+      id: Date.now() + Math.random(),
+      preview: null,
+      status: 'ready',
+      versionCandidate: previous?.id ?? null,
+      versionOf: previous?.id ?? null
+    }
+  })
+
   const handleDrop = (e) => {
     e.preventDefault()
     e.stopPropagation()
     setDragActive(false)
     
     if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-      const newFiles = Array.from(e.dataTransfer.files).map(file => ({
-        file,
-        id: Date.now() + Math.random(),
-        preview: null,
-        status: 'ready'
-      }))
+      const newFiles = toUploadItems(e.dataTransfer.files)
       setFiles(prev => [...prev, ...newFiles])
       generatePreviews(newFiles)
     }
@@ -84,12 +112,7 @@ const Upload = () => {
 
   const handleFileSelect = (e) => {
     if (e.target.files && e.target.files[0]) {
-      const newFiles = Array.from(e.target.files).map(file => ({
-        file,
-        id: Date.now() + Math.random(),
-        preview: null,
-        status: 'ready'
-      }))
+      const newFiles = toUploadItems(e.target.files)
       setFiles(prev => [...prev, ...newFiles])
       generatePreviews(newFiles)
     }
@@ -115,6 +138,151 @@ const Upload = () => {
     setFiles(prev => prev.filter(f => f.id !== fileId))
   }
 
+  const uploadViaBackend = async (fileObj, versionOf = null) => {
+    const encryption = encryptUploads ? await encryptionService.encryptFile(fileObj.file) : null
+    const payload = encryption ? encryption.file : fileObj.file
+    // A network provider picked in IPFS settings gets a copy too
+    const replicate = storageProvider.id !== DEFAULT_STORAGE_PROVIDER
+    const backendShare = replicate ? 50 : 70
+    const fields = {
+      ...(encryption ? { encrypted: true, fileSize: fileObj.file.size } : {}),
+      ...(versionOf?.registryId ? { versionOf: versionOf.registryId } : {})
+    }
+    const result = await apiService.uploadFile(
+      payload,
+      (progress) => {
+        setUploadProgress(prev => ({ ...prev, [fileObj.id]: Math.floor(progress * backendShare) }))
+      },
+      fields
+    )
+    encryptionService.rememberKey(result.ipfsHash, encryption?.dataKey)
+
+    // The backend serves its copy at /api/ipfs; the provider publishes the
+    // same bytes, and the same DAG settings give the same CID
+    if (replicate) {
+      try {
+        const stored = await storageProvider.upload(payload, {
+          onProgress: ({ loaded, total }) => {
+            setUploadProgress(prev => ({ ...prev, [fileObj.id]: backendShare + Math.floor((total ? loaded / total : 0) * (70 - backendShare)) }))
+          }
+        })
+        if (toCidV1(stored.cid) !== toCidV1(result.ipfsHash)) {
+          toast.warning(`${storageProvider.name} stored ${fileObj.file.name} as ${stored.cid}, not ${result.ipfsHash}`)
+        }
+      } catch (error) {
+        console.error(`Copy to ${storageProvider.name} failed:`, error)
+        toast.warning(`${fileObj.file.name} is stored on the SecureX backend only: ${storageProvider.name} failed (${error.message})`)
+      }
+    }
+
+    return {
+      success: result.success,
+      hash: result.ipfsHash,
+      size: result.fileSize,
+      gateway: 'securex-backend',
+      registryId: result.document?.id,
+      encrypted: Boolean(encryption)
+    }
+  }
+
+  // Otherwise store it with the provider picked in IPFS settings
+  const uploadViaProvider = async (fileObj) => {
+    const result = await uploadToProvider(
+      fileObj.file,
+      (progress) => {
+        setUploadProgress(prev => ({ ...prev, [fileObj.id]: Math.floor(progress * 70) }))
+      },
+      { encrypt: encryptUploads }
+    )
+
+    return {
+      success: true,
+      hash: result.cid,
+      size: result.size,
+      gateway: result.provider,
+      encrypted: result.encrypted
+    }
+  }
+
+  const markFailed = (fileObj, error) => {
+    setFiles(prev => prev.map(f =>
+      f.id === fileObj.id ? {
+        ...f,
+        status: 'failed',
+        error: error.message
+      } : f
+    ))
+  }
+
+  const completeUpload = (fileObj, ipfsResult, { transactionHash, documentId }) => {
+    setUploadProgress(prev => ({ ...prev, [fileObj.id]: 100 }))
+
+    // Update file status to completed
+    setFiles(prev => prev.map(f =>
+      f.id === fileObj.id ? {
+        ...f,
+        status: 'completed',
+        ipfsHash: ipfsResult.hash,
+        transactionHash,
+        documentId
+      } : f
+    ))
+
+    // Add to global document store
+    const newDocument = {
+      id: documentId || `doc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      fileName: fileObj.file.name,
+      ipfsHash: ipfsResult.hash,
+      transactionHash,
+      uploadDate: new Date().toISOString(),
+      fileSize: fileObj.file.size,
+      type: fileObj.file.type,
+      status: 'completed',
+      uploader: address || 'demo',
+      description: `Uploaded via SecureX on ${new Date().toLocaleDateString()}`,
+      gateway: ipfsResult.gateway || 'unknown',
+      registryId: ipfsResult.registryId,
+      encrypted: Boolean(ipfsResult.encrypted)
+    }
+
+    addDocument(newDocument)
+    setUploadHistory(prev => [newDocument, ...prev])
+  }
+
+  // Register files already on IPFS: a single file with uploadDocument, more
+  // with one uploadDocuments transaction
+  const registerDocuments = async (batch, fees) => {
+    const networkText = isFreeNetwork ? ' (Free Network)' : ''
+    const [{ fileObj: first, ipfsResult: firstResult }] = batch
+
+    try {
+      console.log(`Registering ${batch.length} document(s) on the blockchain`)
+      const contractResult = batch.length === 1
+        ? await contractService.uploadDocument(first.file.name, firstResult.hash, first.file.size, fees)
+        : await contractService.uploadDocuments(batch.map(({ fileObj, ipfsResult }) => ({
+          fileName: fileObj.file.name,
+          ipfsHash: ipfsResult.hash,
+          fileSize: fileObj.file.size
+        })), fees)
+      const documentIds = contractResult.documentIds || [contractResult.documentId]
+
+      batch.forEach(({ fileObj, ipfsResult }, i) => completeUpload(fileObj, ipfsResult, {
+        transactionHash: contractResult.transactionHash,
+        documentId: documentIds[i] ?? null
+      }))
+
+      toast.success(batch.length === 1
+        ? `${first.file.name} uploaded successfully!${networkText}`
+        : `${batch.length} documents registered in one transaction${networkText}`)
+    } catch (error) {
+      console.error('Blockchain registration failed:', error)
+      batch.forEach(({ fileObj }) => markFailed(fileObj, error))
+      toast.error(batch.length === 1
+        ? `Failed to upload ${first.file.name}: ${error.message}`
+        : `Failed to register ${batch.length} documents: ${error.message}`)
+    }
+  }
+
   const uploadToIPFS = async () => {
     if (!isConnected) {
       toast.error('Please connect your wallet first')
@@ -136,8 +304,19 @@ const Upload = () => {
     }
 
     setUploading(true)
+    // New documents are registered together once their files are on IPFS, so
+    // a batch costs one wallet prompt and transaction instead of one per file
+    const pending = []
 
     try {
+      // Fees of the chosen preset as of now, not when the estimate was shown
+      let fees = {}
+      try {
+        fees = (await contractService.getFeeOptions()).presets[feePreset]
+      } catch (error) {
+        console.warn('Fee preset unavailable, leaving fees to the wallet:', error)
+      }
+
       for (const fileObj of files) {
         if (fileObj.status !== 'ready') continue
 
@@ -147,15 +326,15 @@ const Upload = () => {
         ))
 
         try {
+          const previousVersion = fileObj.versionOf ? documents.find(doc => doc.id === fileObj.versionOf) : null
+
           // Step 1: Upload to IPFS
           console.log('🚀 Uploading to IPFS:', fileObj.file.name)
 
-          const ipfsResult = await bulletproofIPFS.uploadFile(
-            fileObj.file,
-            (progress) => {
-              setUploadProgress(prev => ({ ...prev, [fileObj.id]: Math.floor(progress * 0.7) }))
-            }
-          )
+          // Prefer the backend pipeline (real CID, server-side blockstore) when signed in
+          const ipfsResult = isAuthenticated
+            ? await uploadViaBackend(fileObj, previousVersion)
+            : await uploadViaProvider(fileObj)
 
           console.log('📦 IPFS Result:', ipfsResult)
 
@@ -163,66 +342,50 @@ const Upload = () => {
             throw new Error(`IPFS upload failed: ${ipfsResult.error || 'Unknown error'}`)
           }
 
-          // Step 2: Upload to blockchain (or simulate in demo mode)
-          console.log('Uploading to blockchain:', ipfsResult.hash)
+          // Step 2: Register on the blockchain (or simulate in demo mode). New
+          // versions are registered right away, new documents after the loop.
           setUploadProgress(prev => ({ ...prev, [fileObj.id]: 70 }))
 
-          // Upload to blockchain
-          const contractResult = await contractService.uploadDocument(
-            fileObj.file.name,
-            ipfsResult.hash,
-            fileObj.file.size
-          )
-
-          setUploadProgress(prev => ({ ...prev, [fileObj.id]: 100 }))
-
-          // Update file status to completed
-          setFiles(prev => prev.map(f =>
-            f.id === fileObj.id ? {
-              ...f,
-              status: 'completed',
+          if (previousVersion) {
+            const versionResult = await addDocumentVersion(previousVersion, {
               ipfsHash: ipfsResult.hash,
-              transactionHash: contractResult.transactionHash,
-              documentId: contractResult.documentId
-            } : f
-          ))
-
-          // Add to global document store
-          const newDocument = {
-            id: contractResult.documentId || `doc-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            fileName: fileObj.file.name,
-            ipfsHash: ipfsResult.hash,
-            transactionHash: contractResult.transactionHash,
-            uploadDate: new Date().toISOString(),
-            fileSize: fileObj.file.size,
-            type: fileObj.file.type,
-            status: 'completed',
-            uploader: address || 'demo',
-            description: `Uploaded via SecureX on ${new Date().toLocaleDateString()}`,
-            gateway: ipfsResult.gateway || 'unknown'
+              fileSize: fileObj.file.size,
+              type: fileObj.file.type,
+              encrypted: Boolean(ipfsResult.encrypted),
+              fees
+            })
+
+            setUploadProgress(prev => ({ ...prev, [fileObj.id]: 100 }))
+            setFiles(prev => prev.map(f =>
+              f.id === fileObj.id ? {
+                ...f,
+                status: 'completed',
+                ipfsHash: ipfsResult.hash,
+                transactionHash: versionResult.transactionHash,
+                documentId: previousVersion.id
+              } : f
+            ))
+
+            toast.success(`${fileObj.file.name} saved as version ${versionResult.version}`)
+            if (versionResult.unshared.length > 0) {
+              toast.warning(`Couldn't share the new version's key with ${versionResult.unshared.length} grantee(s); share the document with them again`)
+            }
+            continue
           }
 
-          addDocument(newDocument)
-          setUploadHistory(prev => [newDocument, ...prev])
-
-          const networkText = isFreeNetwork ? ' (Free Network)' : ''
-          toast.success(`${fileObj.file.name} uploaded successfully!${networkText}`)
-
+          // Registered on chain with the rest of the batch below
+          pending.push({ fileObj, ipfsResult })
         } catch (error) {
           console.error(`Upload failed for ${fileObj.file.name}:`, error)
 
-          // Update file status to failed
-          setFiles(prev => prev.map(f =>
-            f.id === fileObj.id ? {
-              ...f,
-              status: 'failed',
-              error: error.message
-            } : f
-          ))
-
+          markFailed(fileObj, error)
           toast.error(`Failed to upload ${fileObj.file.name}: ${error.message}`)
         }
       }
+
+      for (let i = 0; i < pending.length; i += MAX_UPLOAD_BATCH) {
+        await registerDocuments(pending.slice(i, i + MAX_UPLOAD_BATCH), fees)
+      }
     } catch (error) {
       console.error('Upload error:', error)
       toast.error('Upload failed. Please try again.')
@@ -283,6 +446,31 @@ const Upload = () => {
     }
   }
 
+  // Encrypted uploads are decrypted on the way out, which fails without a key
+  const openUpload = async (item, download = false) => {
+    const fileName = item.name || item.fileName
+    try {
+      if (download) {
+        await storageService.downloadFile(item.ipfsHash, fileName)
+      } else {
+        await storageService.viewFile(item.ipfsHash, fileName)
+      }
+    } catch (error) {
+      toast.error(error.message)
+    }
+  }
+
+  // Files still to be registered, for the cost estimate. Versions of documents
+  // that were never anchored on chain don't send a transaction.
+  const readyFiles = files.filter(f => f.status === 'ready')
+  const costNewFiles = readyFiles
+    .filter(f => f.versionOf === null)
+    .map(f => ({ id: f.id, name: f.file.name, size: f.file.size }))
+  const costVersionFiles = readyFiles
+    .filter(f => f.versionOf !== null)
+    .map(f => ({ id: f.id, name: f.file.name, size: f.file.size, documentId: getChainDocumentId(documents.find(doc => doc.id === f.versionOf)) }))
+    .filter(f => f.documentId !== null)
+
   const filteredHistory = uploadHistory.filter(item =>
     (item.name || item.fileName || '').toLowerCase().includes(searchQuery.toLowerCase()) ||
     (item.ipfsHash || '').toLowerCase().includes(searchQuery.toLowerCase())
@@ -401,7 +589,17 @@ const Upload = () => {
               >
                 <div className="flex items-center justify-between">
                   <h3 className="text-lg font-semibold text-white">Selected Files ({files.length})</h3>
-                  <div className="flex space-x-2">
+                  <div className="flex items-center space-x-2">
+                    <label className="flex items-center space-x-2 text-sm text-gray-300 mr-2 cursor-pointer" title="Encrypt with a per-document key before upload; only you and wallets you share with can read it">
+                      <input
+                        type="checkbox"
+                        checked={encryptUploads}
+                        onChange={(e) => setEncryptUploads(e.target.checked)}
+                        disabled={uploading}
+                        className="accent-neon-green"
+                      />
+                      <span>Encrypt</span>
+                    </label>
                     <NeonButton 
                       onClick={() => setFiles([])}
                       variant="outline"
@@ -419,6 +617,16 @@ const Upload = () => {
                   </div>
                 </div>
 
+                {contractInitialized && (costNewFiles.length > 0 || costVersionFiles.length > 0) && (
+                  <RegistrationCost
+                    newFiles={costNewFiles}
+                    versionFiles={costVersionFiles}
+                    preset={feePreset}
+                    onPresetChange={setFeePreset}
+                    disabled={uploading}
+                  />
+                )}
+
                 <div className="grid grid-cols-1 gap-4">
                   {files.map((fileObj) => (
                     <motion.div
@@ -473,13 +681,34 @@ const Upload = () => {
                             </div>
                           </div>
                           <p className="text-gray-400 text-sm">{formatFileSize(fileObj.file.size)}</p>
+
+                          {fileObj.status === 'ready' && nextVersionNumber(fileObj.versionCandidate) !== null && (
+                            <select
+                              value={fileObj.versionOf === null ? '' : String(fileObj.versionOf)}
+                              onChange={(e) => setFiles(prev => prev.map(f =>
+                                f.id === fileObj.id ? { ...f, versionOf: e.target.value ? f.versionCandidate : null } : f
+                              ))}
+                              className="mt-2 bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-xs text-white focus:outline-none focus:border-neon-green"
+                            >
+                              <option value={String(fileObj.versionCandidate)}>
+                                Upload as version {nextVersionNumber(fileObj.versionCandidate)} of the existing document
+                              </option>
+                              <option value="">Upload as a new document</option>
+                            </select>
+                          )}
                           
                           {/* Progress Bar */}
                           {fileObj.status === 'uploading' && (
                             <div className="mt-2">
                               <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
                                 <span>
-                                  {(uploadProgress[fileObj.id] || 0) < 70 ? 'Uploading to IPFS...' : 'Uploading to blockchain...'}
+                                  {(uploadProgress[fileObj.id] || 0) < 70
+                                    ? `Uploading to ${!isAuthenticated
+                                      ? storageProvider.name
+                                      : storageProvider.id === DEFAULT_STORAGE_PROVIDER
+                                        ? 'the SecureX backend'
+                                        : `the SecureX backend and ${storageProvider.name}`}...`
+                                    : 'Uploading to blockchain...'}
                                 </span>
                                 <span>{uploadProgress[fileObj.id] || 0}%</span>
                               </div>
@@ -524,15 +753,21 @@ const Upload = () => {
                               </div>
                               <div className="flex items-center space-x-2">
                                 <span className="text-xs text-gray-400">TX:</span>
-                                <code className="text-xs text-blue-400 bg-black/30 px-2 py-1 rounded">
-                                  {fileObj.transactionHash?.slice(0, 20)}...
-                                </code>
-                                <button
-                                  onClick={() => copyToClipboard(fileObj.transactionHash, 'Transaction Hash')}
-                                  className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
-                                >
-                                  <LinkIcon className="w-3 h-3" />
-                                </button>
+                                {fileObj.transactionHash ? (
+                                  <>
+                                    <code className="text-xs text-blue-400 bg-black/30 px-2 py-1 rounded">
+                                      {fileObj.transactionHash.slice(0, 20)}...
+                                    </code>
+                                    <button
+                                      onClick={() => copyToClipboard(fileObj.transactionHash, 'Transaction Hash')}
+                                      className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                                    >
+                                      <LinkIcon className="w-3 h-3" />
+                                    </button>
+                                  </>
+                                ) : (
+                                  <span className="text-xs text-gray-500 italic">Not registered on chain</span>
+                                )}
                               </div>
                             </motion.div>
                           )}
@@ -614,17 +849,21 @@ const Upload = () => {
                           </div>
                         </td>
                         <td className="px-6 py-4">
-                          <div className="flex items-center space-x-2">
-                            <code className="text-blue-400 text-sm bg-gray-800 px-2 py-1 rounded">
-                              {item.transactionHash.slice(0, 10)}...
-                            </code>
-                            <button
-                              onClick={() => copyToClipboard(item.transactionHash, 'Transaction Hash')}
-                              className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
-                            >
-                              <LinkIcon className="w-3 h-3" />
-                            </button>
-                          </div>
+                          {item.transactionHash ? (
+                            <div className="flex items-center space-x-2">
+                              <code className="text-blue-400 text-sm bg-gray-800 px-2 py-1 rounded">
+                                {item.transactionHash.slice(0, 10)}...
+                              </code>
+                              <button
+                                onClick={() => copyToClipboard(item.transactionHash, 'Transaction Hash')}
+                                className="p-1 text-gray-400 hover:text-blue-400 transition-colors"
+                              >
+                                <LinkIcon className="w-3 h-3" />
+                              </button>
+                            </div>
+                          ) : (
+                            <span className="text-gray-500 text-sm italic">Not registered on chain</span>
+                          )}
                         </td>
                         <td className="px-6 py-4 text-gray-300 text-sm">
                           {formatDate(item.uploadDate)}
@@ -635,14 +874,14 @@ const Upload = () => {
                         <td className="px-6 py-4">
                           <div className="flex items-center space-x-2">
                             <button
-                          onClick={() => bulletproofIPFS.viewFile(item.ipfsHash, item.name)}
+                          onClick={() => openUpload(item)}
                           className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
                           title="View on IPFS"
                         >
                           <EyeIcon className="w-4 h-4" />
                         </button>
                         <button
-                          onClick={() => bulletproofIPFS.downloadFile(item.ipfsHash, item.name)}
+                          onClick={() => openUpload(item, true)}
                           className="p-2 text-gray-400 hover:text-white hover:bg-white/10 rounded-lg transition-all duration-200"
                           title="Download from IPFS"
                         >
@@ -0,0 +1,259 @@
+import React, { useState } from 'react'
+import { motion } from 'framer-motion'
+import {
+  FingerPrintIcon,
+  CheckBadgeIcon,
+  ExclamationTriangleIcon,
+  DocumentArrowDownIcon,
+  PrinterIcon,
+  LockClosedIcon,
+  ShieldCheckIcon
+} from '@heroicons/react/24/outline'
+import GlassCard from '../components/ui/GlassCard'
+import NeonButton from '../components/ui/NeonButton'
+import { useToast } from '../components/ui/Toast'
+import { useWallet } from '../contexts/WalletContext'
+import verificationService from '../services/verificationService'
+import { getContractConfig } from '../config/contract'
+import { formatAddress } from '../utils/addressUtils'
+import { formatFileSize } from '../utils/productionFixes'
+
+const Field = ({ label, children }) => (
+  <div className="flex flex-col sm:flex-row sm:items-start gap-1 sm:gap-4 text-sm">
+    <span className="text-gray-400 sm:w-32 flex-shrink-0">{label}</span>
+    <span className="text-white break-all">{children}</span>
+  </div>
+)
+
+// Check a local file against the registry contract and issue signed receipts
+const Verify = () => {
+  const { isConnected, signer, chainId } = useWallet()
+  const toast = useToast()
+
+  const [dragActive, setDragActive] = useState(false)
+  const [checking, setChecking] = useState(false)
+  const [result, setResult] = useState(null)
+  const [receipt, setReceipt] = useState(null)
+  const [signing, setSigning] = useState(false)
+  const [receiptCheck, setReceiptCheck] = useState(null)
+
+  const explorer = getContractConfig(chainId).blockExplorer
+
+  const verify = async (file) => {
+    setChecking(true)
+    setResult(null)
+    setReceipt(null)
+    try {
+      setResult(await verificationService.verifyFile(file))
+    } catch (error) {
+      console.error('Verification failed:', error)
+      toast.error(error.message)
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  const handleDrag = (e) => {
+    e.preventDefault()
+    e.stopPropagation()
+    setDragActive(e.type === 'dragenter' || e.type === 'dragover')
+  }
+
+  const handleDrop = (e) => {
+    handleDrag(e)
+    setDragActive(false)
+    if (e.dataTransfer.files?.[0]) verify(e.dataTransfer.files[0])
+  }
+
+  const signReceipt = async () => {
+    setSigning(true)
+    try {
+      const signed = await verificationService.createReceipt(result, signer)
+      setReceipt(signed)
+      toast.success('Receipt signed; download it as JSON or printable HTML')
+    } catch (error) {
+      toast.error(error.message)
+    } finally {
+      setSigning(false)
+    }
+  }
+
+  const checkReceipt = async (file) => {
+    try {
+      const loaded = JSON.parse(await file.text())
+      setReceiptCheck({ receipt: loaded, valid: verificationService.verifyReceipt(loaded) })
+    } catch {
+      setReceiptCheck({ receipt: null, valid: false })
+    }
+  }
+
+  if (!isConnected) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        <GlassCard className="p-8 text-center">
+          <FingerPrintIcon className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-xl font-semibold text-white mb-2">Connect Your Wallet</h2>
+          <p className="text-gray-400">
+            Connect a wallet to read the document registry on its network.
+          </p>
+        </GlassCard>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h1 className="text-3xl font-bold text-white mb-4">Verify a Document</h1>
+        <p className="text-gray-300">
+          Check whether a file was registered on chain. The file is hashed in your browser and never uploaded.
+        </p>
+      </div>
+
+      <GlassCard className="p-8">
+        <div
+          className={`relative border-2 border-dashed rounded-2xl p-12 text-center transition-all duration-300 ${
+            dragActive ? 'border-neon-green bg-neon-green/10' : 'border-gray-500 hover:border-gray-400'
+          }`}
+          onDragEnter={handleDrag}
+          onDragLeave={handleDrag}
+          onDragOver={handleDrag}
+          onDrop={handleDrop}
+        >
+          <input
+            type="file"
+            onChange={(e) => e.target.files?.[0] && verify(e.target.files[0])}
+            className="absolute inset-0 w-full h-full opacity-0 cursor-pointer"
+            disabled={checking}
+          />
+          <FingerPrintIcon className={`w-16 h-16 mx-auto mb-4 ${checking ? 'text-neon-green animate-pulse' : 'text-gray-400'}`} />
+          <p className="text-xl font-semibold text-white mb-2">
+            {checking ? 'Hashing and searching the registry...' : <>Drop a file to verify, or <span className="text-neon-green">browse</span></>}
+          </p>
+          <p className="text-gray-400 text-sm">
+            Its CID is computed the same way uploads compute it, then looked up in the registry contract's history.
+          </p>
+        </div>
+      </GlassCard>
+
+      {result && (
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+          <GlassCard className="p-6 space-y-6">
+            <div className="flex items-center space-x-3">
+              {result.registered ? (
+                <CheckBadgeIcon className="w-10 h-10 text-neon-green" />
+              ) : (
+                <ExclamationTriangleIcon className="w-10 h-10 text-orange-400" />
+              )}
+              <div>
+                <h2 className="text-xl font-semibold text-white">
+                  {result.registered ? 'Registered on chain' : 'No matching registration'}
+                </h2>
+                <p className="text-gray-400 text-sm">
+                  {result.registered
+                    ? `${result.file.name} matches ${result.registrations.length} registration(s) on ${result.network.name}`
+                    : result.network.contract
+                      ? `No document with this content was registered on ${result.network.name}. A file that differs by a single byte gets a different CID.`
+                      : `There is no registry contract on ${result.network.name}, so nothing can be looked up.`}
+                </p>
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <Field label="File">{result.file.name} ({formatFileSize(result.file.size)})</Field>
+              <Field label="SHA-256"><code className="text-neon-green">{result.file.sha256}</code></Field>
+              <Field label="CIDv1"><code className="text-neon-green">{result.file.cids.cidV1}</code></Field>
+              <Field label="CIDv0"><code className="text-neon-green">{result.file.cids.cidV0}</code></Field>
+              {result.network.contract && (
+                <Field label="Searched">
+                  {result.indexedBlock !== null
+                    ? `Event index through block ${result.indexedBlock.toLocaleString()}, then later blocks directly`
+                    : "All of the contract's logs (the backend event index is unavailable)"}
+                </Field>
+              )}
+            </div>
+
+            {!result.registered && !result.file.encrypted && (
+              <p className="text-gray-400 text-xs flex items-center space-x-2">
+                <LockClosedIcon className="w-4 h-4 flex-shrink-0" />
+                <span>Encrypted uploads are registered under the CID of their ciphertext, so their decrypted copies don't match.</span>
+              </p>
+            )}
+
+            {result.registrations.map(registration => (
+              <div key={`${registration.transactionHash}-${registration.version}`} className="p-4 rounded-xl bg-white/5 space-y-2">
+                <div className="flex items-center justify-between">
+                  <p className="text-white font-medium">
+                    {registration.fileName} <span className="text-gray-400">#{registration.documentId} • version {registration.version}</span>
+                  </p>
+                  <span className={`px-2 py-1 text-xs rounded ${
+                    !registration.isActive ? 'bg-gray-500/20 text-gray-300'
+                      : registration.current ? 'bg-green-500/20 text-green-400' : 'bg-yellow-500/20 text-yellow-400'
+                  }`}>
+                    {!registration.isActive ? 'Archived' : registration.current ? 'Current version' : 'Superseded'}
+                  </span>
+                </div>
+                <Field label="Registered by"><code>{registration.uploader}</code></Field>
+                <Field label="Registered at">{new Date(registration.registeredAt).toLocaleString()}</Field>
+                <Field label="Block">{registration.blockNumber.toLocaleString()}</Field>
+                <Field label="Transaction">
+                  {explorer ? (
+                    <a href={`${explorer}/tx/${registration.transactionHash}`} target="_blank" rel="noopener noreferrer" className="text-neon-blue hover:underline">
+                      {registration.transactionHash}
+                    </a>
+                  ) : registration.transactionHash}
+                </Field>
+              </div>
+            ))}
+
+            {result.network.contract && (
+              <div className="flex flex-wrap gap-2 pt-2 border-t border-white/10">
+                {!receipt ? (
+                  <NeonButton onClick={signReceipt} loading={signing} disabled={signing} size="sm">
+                    Sign Verification Receipt
+                  </NeonButton>
+                ) : (
+                  <>
+                    <NeonButton onClick={() => verificationService.downloadReceiptJson(receipt)} size="sm" className="flex items-center space-x-2">
+                      <DocumentArrowDownIcon className="w-4 h-4" />
+                      <span>Receipt (JSON)</span>
+                    </NeonButton>
+                    <NeonButton onClick={() => verificationService.downloadReceiptHtml(receipt)} variant="secondary" size="sm" className="flex items-center space-x-2">
+                      <PrinterIcon className="w-4 h-4" />
+                      <span>Printable Receipt (HTML)</span>
+                    </NeonButton>
+                  </>
+                )}
+              </div>
+            )}
+          </GlassCard>
+        </motion.div>
+      )}
+
+      <GlassCard className="p-6">
+        <h3 className="text-xl font-semibold text-white mb-2 flex items-center space-x-2">
+          <ShieldCheckIcon className="w-5 h-5" />
+          <span>Check a Receipt</span>
+        </h3>
+        <p className="text-gray-400 text-sm mb-4">
+          Load a JSON receipt to confirm it is unmodified and signed by the wallet it names.
+        </p>
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => e.target.files?.[0] && checkReceipt(e.target.files[0])}
+          className="text-sm text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-white/10 file:text-white hover:file:bg-white/20"
+        />
+        {receiptCheck && (
+          <div className={`mt-4 p-3 rounded-xl text-sm ${receiptCheck.valid ? 'bg-green-500/10 text-green-300' : 'bg-red-500/10 text-red-300'}`}>
+            {receiptCheck.valid
+              ? `Valid receipt for ${receiptCheck.receipt.file.name} (${receiptCheck.receipt.status === 'registered' ? 'registered' : 'not registered'}), signed by ${formatAddress(receiptCheck.receipt.verifier)} on ${new Date(receiptCheck.receipt.checkedAt).toLocaleString()}`
+              : 'This receipt is not valid: it was modified, is not a SecureX receipt, or its signature does not match.'}
+          </div>
+        )}
+      </GlassCard>
+    </div>
+  )
+}
+
+export default Verify
@@ -1,3 +1,5 @@
+import { readServerSentEvents } from '../utils/sse'
+
 class AIProviderService {
   constructor() {
     this.providers = {
@@ -156,16 +158,6 @@ class AIProviderService {
   async generateResponse(prompt, context = {}, options = {}) {
     const provider = this.providers[this.currentProvider]
 
-    // For hackathon reliability, prefer local AI for quota-sensitive providers
-    // But allow Google Gemini to be used if API key is provided
-    if (this.currentProvider === 'openai') {
-      console.log(`🚀 Using local AI to avoid quota limits for ${provider.name}`)
-      return await this.generateLocalResponse(prompt, context, options, {
-        fallbackReason: `avoiding quota limits for reliable hackathon demo`,
-        originalProvider: provider.name
-      })
-    }
-
     // Check if current provider requires API key and if it's missing
     if (provider.requiresKey && !this.apiKeys[this.currentProvider]) {
       console.warn(`No API key configured for ${provider.name}, falling back to local AI`)
@@ -206,6 +198,9 @@ class AIProviderService {
           return await this.generateLocalResponse(prompt, context, options)
       }
     } catch (error) {
+      // A cancelled request is the user's choice, not a provider failure
+      if (error.name === 'AbortError') throw error
+
       console.error(`AI Provider Error (${this.currentProvider}):`, error)
 
       // Enhanced fallback handling for different error types
@@ -226,11 +221,50 @@ class AIProviderService {
     }
   }
 
+  // Stream an OpenAI-compatible chat completion (OpenAI, Groq)
+  async streamChatCompletion(url, apiKey, requestBody, options, providerName) {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ ...requestBody, stream: true }),
+      signal: options.signal
+    })
+
+    if (!response.ok) {
+      throw new Error(`${providerName} API error: ${response.status} ${response.statusText}`)
+    }
+
+    let text = ''
+    await readServerSentEvents(response, ({ data }) => {
+      if (data === '[DONE]') return
+      const delta = JSON.parse(data).choices?.[0]?.delta?.content
+      if (delta) {
+        text += delta
+        options.onToken(delta, text)
+      }
+    })
+
+    return { text, provider: providerName, model: this.currentModel }
+  }
+
   async callOpenAI(prompt, context, options) {
     const apiKey = this.apiKeys.openai
     if (!apiKey) throw new Error('OpenAI API key required')
 
     const messages = this.buildMessages(prompt, context)
+    const requestBody = {
+      model: this.currentModel,
+      messages: messages,
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature || 0.7
+    }
+
+    if (options.onToken) {
+      return await this.streamChatCompletion('https://api.openai.com/v1/chat/completions', apiKey, requestBody, options, 'OpenAI')
+    }
 
     const response = await fetch('https://api.openai.com/v1/chat/completions', {
       method: 'POST',
@@ -238,12 +272,8 @@ class AIProviderService {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        model: this.currentModel,
-        messages: messages,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7
-      })
+      body: JSON.stringify(requestBody),
+      signal: options.signal
     })
 
     if (!response.ok) {
@@ -268,6 +298,7 @@ class AIProviderService {
     const apiKey = this.apiKeys.anthropic
     if (!apiKey) throw new Error('Anthropic API key required')
 
+    const stream = Boolean(options.onToken)
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
       headers: {
@@ -278,14 +309,35 @@ class AIProviderService {
       body: JSON.stringify({
         model: this.currentModel,
         max_tokens: options.maxTokens || 1000,
-        messages: this.buildMessages(prompt, context, 'anthropic')
-      })
+        messages: this.buildMessages(prompt, context, 'anthropic'),
+        stream
+      }),
+      signal: options.signal
     })
 
     if (!response.ok) {
       throw new Error(`Anthropic API error: ${response.status} ${response.statusText}`)
     }
 
+    if (stream) {
+      let text = ''
+      let tokens = 0
+      await readServerSentEvents(response, ({ event, data }) => {
+        const payload = JSON.parse(data)
+        if (event === 'content_block_delta' && payload.delta?.text) {
+          text += payload.delta.text
+          options.onToken(payload.delta.text, text)
+        } else if (event === 'message_start') {
+          tokens += payload.message?.usage?.input_tokens || 0
+        } else if (event === 'message_delta') {
+          tokens += payload.usage?.output_tokens || 0
+        } else if (event === 'error') {
+          throw new Error(`Anthropic stream error: ${payload.error?.message}`)
+        }
+      })
+      return { text, provider: 'Anthropic', model: this.currentModel, tokens }
+    }
+
     const data = await response.json()
 
     if (!data.content || !data.content[0] || !data.content[0].text) {
@@ -307,8 +359,11 @@ class AIProviderService {
     // Use a working model as fallback
     const model = this.currentModel === 'gemini-ultra' ? 'gemini-flash-latest' : this.currentModel
 
+    const stream = Boolean(options.onToken)
+    const endpoint = stream ? 'streamGenerateContent?alt=sse&' : 'generateContent?'
+
     try {
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
+      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:${endpoint}key=${apiKey}`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -321,13 +376,33 @@ class AIProviderService {
             temperature: options.temperature || 0.7,
             maxOutputTokens: options.maxTokens || 1000
           }
-        })
+        }),
+        signal: options.signal
       })
 
       if (!response.ok) {
         throw new Error(`Google API error: ${response.status} ${response.statusText}`)
       }
 
+      if (stream) {
+        let text = ''
+        let tokens = 0
+        await readServerSentEvents(response, ({ data }) => {
+          const payload = JSON.parse(data)
+          const delta = payload.candidates?.[0]?.content?.parts?.[0]?.text
+          if (delta) {
+            text += delta
+            options.onToken(delta, text)
+          }
+          tokens = payload.usageMetadata?.totalTokenCount || tokens
+        })
+
+        if (!text.trim()) {
+          throw new Error('Google API returned empty response')
+        }
+        return { text, provider: 'Google Gemini', model: model, tokens }
+      }
+
       const data = await response.json()
 
       if (!data.candidates || !data.candidates[0] || !data.candidates[0].content || !data.candidates[0].content.parts || !data.candidates[0].content.parts[0]) {
@@ -346,6 +421,8 @@ class AIProviderService {
         tokens: data.usageMetadata?.totalTokenCount || 0
       }
     } catch (error) {
+      if (error.name === 'AbortError') throw error
+
       // If the API fails, provide a helpful error
       throw new Error(`Google Gemini API failed: ${error.message}. Try using a different model or check your API key.`)
     }
@@ -467,6 +544,16 @@ class AIProviderService {
     if (!apiKey) throw new Error('Groq API key required')
 
     const messages = this.buildMessages(prompt, context)
+    const requestBody = {
+      model: this.currentModel,
+      messages: messages,
+      max_tokens: options.maxTokens || 1000,
+      temperature: options.temperature || 0.7
+    }
+
+    if (options.onToken) {
+      return await this.streamChatCompletion('https://api.groq.com/openai/v1/chat/completions', apiKey, requestBody, options, 'Groq')
+    }
 
     const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
       method: 'POST',
@@ -474,12 +561,8 @@ class AIProviderService {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
       },
-      body: JSON.stringify({
-        model: this.currentModel,
-        messages: messages,
-        max_tokens: options.maxTokens || 1000,
-        temperature: options.temperature || 0.7
-      })
+      body: JSON.stringify(requestBody),
+      signal: options.signal
     })
 
     const data = await response.json()
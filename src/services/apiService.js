@@ -0,0 +1,356 @@
+// SecureX backend API client
+// Holds the SIWE-issued session token and attaches it to every request
+
+import { readServerSentEvents } from '../utils/sse'
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api'
+const SESSION_KEY = 'securex_session'
+
+class ApiService {
+  constructor() {
+    this.baseUrl = API_BASE_URL
+    this.session = this.loadSession()
+    this.sessionListeners = new Set()
+  }
+
+  loadSession() {
+    try {
+      const saved = localStorage.getItem(SESSION_KEY)
+      return saved ? JSON.parse(saved) : null
+    } catch {
+      return null
+    }
+  }
+
+  saveSession(session) {
+    this.session = session
+    if (session) {
+      localStorage.setItem(SESSION_KEY, JSON.stringify(session))
+    } else {
+      localStorage.removeItem(SESSION_KEY)
+    }
+  }
+
+  // True if we hold an unexpired token for this wallet
+  hasSession(walletAddress) {
+    if (!this.session?.token || !walletAddress) return false
+    if (this.session.walletAddress?.toLowerCase() !== walletAddress.toLowerCase()) return false
+    return Date.now() < this.session.expiresAt
+  }
+
+  // Read the exp claim so we stop sending a token the backend will reject
+  getTokenExpiry(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+      return payload.exp * 1000
+    } catch {
+      return Date.now() + 60 * 60 * 1000
+    }
+  }
+
+  clearSession() {
+    this.saveSession(null)
+  }
+
+  // The backend rejected the token: drop it and tell the app it is signed out
+  endSession() {
+    this.clearSession()
+    this.sessionListeners.forEach(listener => listener())
+  }
+
+  onSessionEnd(listener) {
+    this.sessionListeners.add(listener)
+    return () => this.sessionListeners.delete(listener)
+  }
+
+  async request(path, options = {}) {
+    const headers = { ...(options.headers || {}) }
+    if (options.body && !(options.body instanceof FormData)) {
+      headers['Content-Type'] = 'application/json'
+    }
+    if (this.session?.token) {
+      headers['Authorization'] = `Bearer ${this.session.token}`
+    }
+
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      ...options,
+      headers,
+      body: options.body && !(options.body instanceof FormData) ? JSON.stringify(options.body) : options.body
+    })
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      // 403 means this wallet may not do that, not that the session is gone
+      if (response.status === 401) {
+        this.endSession()
+      }
+      const error = new Error(data.error || `Request failed: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    return data
+  }
+
+  // Sign-In with Ethereum: fetch a challenge, sign it, exchange for a JWT
+  async authenticate(signer, chainId) {
+    const walletAddress = await signer.getAddress()
+
+    const challenge = await this.request('/auth/nonce', {
+      method: 'POST',
+      body: { walletAddress, chainId: Number(chainId) }
+    })
+
+    const signature = await signer.signMessage(challenge.message)
+
+    const { token } = await this.request('/auth', {
+      method: 'POST',
+      body: { message: challenge.message, signature }
+    })
+
+    this.saveSession({
+      token,
+      walletAddress,
+      expiresAt: this.getTokenExpiry(token)
+    })
+
+    console.log('🔐 Backend session established for', walletAddress)
+    return this.session
+  }
+
+  // Upload a file through the backend pipeline (real CID + registry record).
+  // Uses XHR because fetch has no upload progress events.
+  uploadFile(file, onProgress = null, fields = {}) {
+    return new Promise((resolve, reject) => {
+      const form = new FormData()
+      form.append('file', file)
+      Object.entries(fields).forEach(([name, value]) => form.append(name, String(value)))
+
+      const xhr = new XMLHttpRequest()
+      xhr.open('POST', `${this.baseUrl}/upload`)
+      if (this.session?.token) {
+        xhr.setRequestHeader('Authorization', `Bearer ${this.session.token}`)
+      }
+
+      xhr.upload.onprogress = (event) => {
+        if (onProgress && event.lengthComputable) {
+          onProgress(Math.round((event.loaded / event.total) * 100))
+        }
+      }
+
+      xhr.onload = () => {
+        let data = {}
+        try {
+          data = JSON.parse(xhr.responseText)
+        } catch {
+          // Non-JSON error body
+        }
+
+        if (xhr.status >= 200 && xhr.status < 300) {
+          resolve(data)
+        } else {
+          if (xhr.status === 401) {
+            this.endSession()
+          }
+          const error = new Error(data.error || `Upload failed: ${xhr.status}`)
+          error.status = xhr.status
+          reject(error)
+        }
+      }
+
+      xhr.onerror = () => reject(new Error('Network error during upload'))
+      xhr.send(form)
+    })
+  }
+
+  // Document registry
+  async getDocuments(params = {}) {
+    return this.request(`/documents${this.buildQuery(params)}`)
+  }
+
+  // Walk every page of the caller's documents
+  async getAllDocuments(params = {}) {
+    const documents = []
+    let page = 1
+    let totalPages = 1
+
+    do {
+      const result = await this.getDocuments({ ...params, page, limit: 100 })
+      documents.push(...result.documents)
+      totalPages = result.pagination.totalPages
+      page++
+    } while (page <= totalPages)
+
+    return documents
+  }
+
+  async registerDocument(document) {
+    const { document: saved } = await this.request('/documents', { method: 'POST', body: document })
+    return saved
+  }
+
+  async updateDocument(id, updates) {
+    const { document } = await this.request(`/documents/${id}`, { method: 'PATCH', body: updates })
+    return document
+  }
+
+  async addDocumentVersion(id, version) {
+    const { document } = await this.request(`/documents/${id}/versions`, { method: 'POST', body: version })
+    return document
+  }
+
+  async archiveDocument(id, transactionHash = null) {
+    const { document } = await this.request(`/documents/${id}/archive`, { method: 'POST', body: { transactionHash } })
+    return document
+  }
+
+  async unarchiveDocument(id, transactionHash = null) {
+    const { document } = await this.request(`/documents/${id}/archive`, { method: 'DELETE', body: { transactionHash } })
+    return document
+  }
+
+  async deleteDocument(id, transactionHash = null) {
+    return this.request(`/documents/${id}`, { method: 'DELETE', body: { transactionHash } })
+  }
+
+  // Activity log
+  buildQuery(params = {}) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    ).toString()
+    return query ? `?${query}` : ''
+  }
+
+  async getActivity(params = {}) {
+    return this.request(`/activity${this.buildQuery(params)}`)
+  }
+
+  async recordActivity(event) {
+    const { activity } = await this.request('/activity', { method: 'POST', body: event })
+    return activity
+  }
+
+  // Fetch an export and hand it to the browser as a file download
+  async exportActivity(format = 'csv', params = {}) {
+    const response = await fetch(`${this.baseUrl}/activity/export${this.buildQuery({ ...params, format })}`, {
+      headers: { Authorization: `Bearer ${this.session?.token}` }
+    })
+
+    if (!response.ok) {
+      throw new Error(`Export failed: ${response.status}`)
+    }
+
+    const blob = await response.blob()
+    const fileName = response.headers.get('Content-Disposition')?.match(/filename="(.+)"/)?.[1] || `activity.${format}`
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  // Contract events indexed by the backend
+  async getChainStatus() {
+    return this.request('/chain/status')
+  }
+
+  async getChainEvents(params = {}) {
+    return this.request(`/chain/events${this.buildQuery(params)}`)
+  }
+
+  async getChainStats(params = {}) {
+    return this.request(`/chain/stats${this.buildQuery(params)}`)
+  }
+
+  async getChainRegistrations(cids) {
+    return this.request(`/chain/registrations${this.buildQuery({ cids: cids.filter(Boolean).join(',') })}`)
+  }
+
+  // Encryption keys. Document keys are wrapped for their recipient in the
+  // browser, so the backend only ever stores ciphertext.
+  async publishEncryptionKey(publicKey) {
+    return this.request('/keys/me', { method: 'PUT', body: { publicKey } })
+  }
+
+  async getEncryptionKey(walletAddress) {
+    const { publicKey } = await this.request(`/keys/${walletAddress}`)
+    return publicKey
+  }
+
+  async shareDocumentKey(cid, recipient, envelope, expiresAt = null) {
+    return this.request(`/keys/documents/${encodeURIComponent(cid)}/${recipient}`, { method: 'PUT', body: { envelope, expiresAt } })
+  }
+
+  async getDocumentKey(cid) {
+    const { envelope } = await this.request(`/keys/documents/${encodeURIComponent(cid)}`)
+    return envelope
+  }
+
+  async removeDocumentKey(cid, recipient) {
+    return this.request(`/keys/documents/${encodeURIComponent(cid)}/${recipient}`, { method: 'DELETE' })
+  }
+
+  // Server-side document chat
+  async ingestChatDocument({ documentId, fileName, text, pages }) {
+    return this.request('/chat/documents', { method: 'POST', body: { documentId, fileName, text, pages } })
+  }
+
+  async getChatDocuments() {
+    const { documents } = await this.request('/chat/documents')
+    return documents
+  }
+
+  async deleteChatDocument(documentId) {
+    return this.request(`/chat/documents/${encodeURIComponent(documentId)}`, { method: 'DELETE' })
+  }
+
+  async chat(message, { documentIds, topK } = {}) {
+    return this.request('/chat', { method: 'POST', body: { message, documentIds, topK } })
+  }
+
+  // Stream an answer over SSE; abort via options.signal to stop generation upstream
+  async streamChat(message, { documentIds, topK, signal, onToken, onCitations } = {}) {
+    const response = await fetch(`${this.baseUrl}/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.session?.token}`
+      },
+      body: JSON.stringify({ message, documentIds, topK }),
+      signal
+    })
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      if (response.status === 401) {
+        this.endSession()
+      }
+      const error = new Error(data.error || `Request failed: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    const result = { response: '', citations: [] }
+    await readServerSentEvents(response, ({ event, data }) => {
+      const payload = JSON.parse(data)
+      if (event === 'citations') {
+        Object.assign(result, payload)
+        onCitations?.(payload.citations)
+      } else if (event === 'token') {
+        result.response += payload.token
+        onToken?.(payload.token, result.response)
+      } else if (event === 'done') {
+        Object.assign(result, payload)
+      } else if (event === 'error') {
+        throw new Error(payload.error)
+      }
+    })
+
+    return result
+  }
+}
+
+export const apiService = new ApiService()
+export default apiService
@@ -0,0 +1,190 @@
+// Inverted index with BM25 scoring for keyword retrieval
+// Text is tokenized on Unicode letters/digits, stop words are dropped and the
+// remaining terms are Porter-stemmed, so "terminating" matches "termination".
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can',
+  'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from',
+  'further', 'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'me', 'more', 'most', 'my',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'ours',
+  'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that', 'the',
+  'their', 'theirs', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to',
+  'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Porter (1980) stemmer
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+  alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+  ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+  iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = {
+  icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+const STEP4 = [
+  'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment', 'ent', 'ou',
+  'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+const CONSONANT = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const C = `${CONSONANT}[^aeiouy]*`;
+const V = `${VOWEL}[aeiou]*`;
+const MEASURE_GT_0 = new RegExp(`^(${C})?${V}${C}`);
+const MEASURE_EQ_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`);
+const MEASURE_GT_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`);
+const HAS_VOWEL = new RegExp(`^(${C})?${VOWEL}`);
+const ENDS_CVC = new RegExp(`^${C}${VOWEL}[^aeiouwxy]$`);
+
+export const stem = (word) => {
+  if (word.length < 3) return word;
+
+  let w = word;
+  const firstY = w[0] === 'y';
+  if (firstY) w = 'Y' + w.slice(1);
+
+  // Step 1a
+  if (/sses$|ies$/.test(w)) w = w.slice(0, -2);
+  else if (/[^s]s$/.test(w)) w = w.slice(0, -1);
+
+  // Step 1b
+  let match;
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (ENDS_CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1] + 'i';
+  }
+
+  // Step 2
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP2[match[2]];
+  }
+
+  // Step 3
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w))) {
+    if (MEASURE_GT_0.test(match[1])) w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4
+  if ((match = new RegExp(`^(.+?)(${STEP4.join('|')})$`).exec(w))) {
+    if (MEASURE_GT_1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w))) {
+    if (MEASURE_GT_1.test(match[1] + match[2])) w = match[1] + match[2];
+  }
+
+  // Step 5
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT_1.test(base) || (MEASURE_EQ_1.test(base) && !ENDS_CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT_1.test(w)) w = w.slice(0, -1);
+
+  return firstY ? 'y' + w.slice(1) : w;
+};
+
+export const tokenize = (text) => {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOP_WORDS.has(token))
+    .map(stem);
+};
+
+export class BM25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.postings = new Map();   // term -> Map(docId -> term frequency)
+    this.docTerms = new Map();   // docId -> Map(term -> term frequency)
+    this.docLengths = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docLengths.size;
+  }
+
+  add(id, text) {
+    if (this.docLengths.has(id)) {
+      this.remove(id);
+    }
+
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+      }
+      this.postings.get(term).set(id, frequency);
+    }
+
+    this.docTerms.set(id, frequencies);
+    this.docLengths.set(id, tokens.length);
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const frequencies = this.docTerms.get(id);
+    if (!frequencies) return false;
+
+    for (const term of frequencies.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+      }
+    }
+
+    this.totalLength -= this.docLengths.get(id);
+    this.docTerms.delete(id);
+    this.docLengths.delete(id);
+    return true;
+  }
+
+  // Okapi BM25 over the whole index; `filter` restricts which documents are returned
+  search(query, { topK = 10, filter = null } = {}) {
+    const documentCount = this.docLengths.size;
+    if (documentCount === 0) return [];
+
+    const averageLength = this.totalLength / documentCount || 1;
+    const scores = new Map();
+
+    for (const term of new Set(tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [id, frequency] of posting) {
+        if (filter && !filter(id)) continue;
+        const lengthNorm = 1 - this.b + this.b * this.docLengths.get(id) / averageLength;
+        const score = idf * (frequency * (this.k1 + 1)) / (frequency + this.k1 * lengthNorm);
+        scores.set(id, (scores.get(id) || 0) + score);
+      }
+    }
+
+    return Array.from(scores, ([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  clear() {
+    this.postings.clear();
+    this.docTerms.clear();
+    this.docLengths.clear();
+    this.totalLength = 0;
+  }
+}
+
+export default BM25Index;
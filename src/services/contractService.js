@@ -1,21 +1,70 @@
 import { ethers } from 'ethers'
-import { CONTRACT_ABI, getContractConfig } from '../config/contract'
-import { getChecksumAddress, isValidAddress } from '../utils/addressUtils'
+import { CONTRACT_ABI, DEPLOYMENTS, getContractConfig } from '../config/contract'
+import { formatAddress, getChecksumAddress, isValidAddress } from '../utils/addressUtils'
+import transactionQueue from './transactionQueue'
+
+// Block range per eth_getLogs call; public RPCs commonly cap ranges at 10k
+const LOG_SCAN_BATCH_BLOCKS = 10000
+
+// Documents per uploadDocuments transaction (the contract's MAX_BATCH_SIZE)
+export const MAX_UPLOAD_BATCH = 50
+
+// Fee presets: the priority-fee percentile paid in recent blocks, and the
+// multiple of the node's suggested fee used when recent blocks were empty
+export const FEE_PRESETS = {
+  slow: { label: 'Slow', percentile: 10, fallbackPercent: 80n },
+  normal: { label: 'Normal', percentile: 50, fallbackPercent: 100n },
+  fast: { label: 'Fast', percentile: 90, fallbackPercent: 150n }
+}
+const FEE_HISTORY_BLOCKS = 10
+
+// Stands in for a document's CID in gas estimates made before the file is on
+// IPFS. A CIDv1 in base32 is 59 characters long.
+const ESTIMATE_CID = `b${'a'.repeat(58)}`
+
+// Short description of a contract call for the transactions panel
+const describeCall = (method, args) => {
+  switch (method) {
+    case 'uploadDocument': return `Register ${args[0]}`
+    case 'uploadDocuments': return `Register ${args[0].length} documents`
+    case 'addVersion': return `Add a version to document #${args[0]}`
+    case 'deactivateDocument': return `Archive document #${args[0]}`
+    case 'reactivateDocument': return `Unarchive document #${args[0]}`
+    case 'grantAccess': return `Share document #${args[0]} with ${formatAddress(args[1])}`
+    case 'revokeAccess': return `Revoke access to document #${args[0]} from ${formatAddress(args[1])}`
+    default: return method
+  }
+}
 
 class ContractService {
   constructor() {
     this.contract = null
     this.provider = null
     this.signer = null
+    this.chainId = null
+    this.deploymentBlock = 0
   }
 
-  // Initialize contract with wallet provider
-  async initialize(provider, signer, chainId) {
+  // Initialize contract with wallet provider. `deployment` ({ address,
+  // blockNumber }) overrides the one recorded for the chain, e.g. a contract
+  // deployed by a test.
+  async initialize(provider, signer, chainId, deployment = null) {
     try {
       this.provider = provider
       this.signer = signer
+      this.chainId = chainId === undefined || chainId === null ? null : Number(chainId)
+      // Log scans start where the contract was deployed
+      this.deploymentBlock = (deployment || DEPLOYMENTS[this.chainId])?.blockNumber ?? 0
 
-      const config = getContractConfig(chainId)
+      const config = deployment
+        ? { ...getContractConfig(chainId), contractAddress: deployment.address }
+        : getContractConfig(chainId)
+
+      if (!config.contractAddress) {
+        console.warn(`No ${config.name} deployment recorded in contracts/SecureXDocuments.generated.js. Running in demo mode.`)
+        this.contract = null
+        return true
+      }
 
       // Validate and checksum the contract address
       if (!isValidAddress(config.contractAddress)) {
@@ -34,6 +83,8 @@ class ContractService {
       )
 
       console.log('Contract initialized:', config.contractAddress)
+      transactionQueue.attach({ provider, signer, chainId: this.chainId, describeError: (error) => this.describeError(error) })
+        .catch(error => console.warn('Failed to resume pending transactions:', error))
       return true
     } catch (error) {
       console.error('Contract initialization failed:', error)
@@ -44,13 +95,14 @@ class ContractService {
   }
 
   // Upload document to blockchain
-  async uploadDocument(fileName, ipfsHash, fileSize) {
+  async uploadDocument(fileName, ipfsHash, fileSize, fees = {}) {
     if (!this.contract) {
       console.log('Demo mode: Simulating blockchain upload')
       // Return mock transaction for demo mode
       return {
         success: true,
-        transactionHash: `0x${Math.random().toString(16).substring(2, 66)}`,
+        // Nothing is sent in demo mode, so there's no transaction to point at
+        transactionHash: null,
         blockNumber: Math.floor(Math.random() * 1000000),
         documentId: Math.floor(Math.random() * 1000),
         gasUsed: '21000'
@@ -60,60 +112,522 @@ class ContractService {
     try {
       console.log('Uploading document to blockchain...', { fileName, ipfsHash, fileSize })
       
-      // Estimate gas for the transaction
-      const gasEstimate = await this.contract.uploadDocument.estimateGas(
-        fileName,
-        ipfsHash,
-        fileSize
-      )
-      
-      // Add 20% buffer to gas estimate
+      const { receipt } = await this.sendTransaction('uploadDocument', [fileName, ipfsHash, fileSize], fees)
+      const { documentIds } = this.readReceipt(receipt)
+
+      return {
+        success: true,
+        // A transaction sped up in the wallet is mined under a new hash
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        documentId: documentIds[0] ?? null,
+        gasUsed: receipt.gasUsed.toString()
+      }
+    } catch (error) {
+      console.error('Upload to blockchain failed:', error)
+      throw new Error(`Blockchain upload failed: ${this.describeError(error)}`)
+    }
+  }
+
+  // Register several documents in one transaction; `documents` is a list of
+  // { fileName, ipfsHash, fileSize } and the ids come back in the same order
+  async uploadDocuments(documents, fees = {}) {
+    if (documents.length === 0 || documents.length > MAX_UPLOAD_BATCH) {
+      throw new Error(`A batch holds 1 to ${MAX_UPLOAD_BATCH} documents, got ${documents.length}`)
+    }
+
+    if (!this.contract) {
+      console.log('Demo mode: Simulating batch blockchain upload')
+      return {
+        success: true,
+        transactionHash: null,
+        blockNumber: Math.floor(Math.random() * 1000000),
+        documentIds: documents.map(() => Math.floor(Math.random() * 1000)),
+        gasUsed: '21000'
+      }
+    }
+
+    try {
+      console.log(`Registering ${documents.length} documents in one transaction...`)
+      const { receipt } = await this.sendTransaction('uploadDocuments', [
+        documents.map(document => document.fileName),
+        documents.map(document => document.ipfsHash),
+        documents.map(document => document.fileSize)
+      ], fees)
+      const { documentIds } = this.readReceipt(receipt)
+
+      return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        documentIds,
+        gasUsed: receipt.gasUsed.toString()
+      }
+    } catch (error) {
+      console.error('Batch upload to blockchain failed:', error)
+      throw new Error(`Blockchain batch upload failed: ${this.describeError(error)}`)
+    }
+  }
+
+  // Register a new CID as the next version of a document the caller uploaded
+  async addVersion(documentId, ipfsHash, fileSize, fees = {}) {
+    if (!this.contract) {
+      console.log('Demo mode: Simulating version registration')
+      // The version number is tracked locally in demo mode
+      return {
+        success: true,
+        transactionHash: null,
+        blockNumber: Math.floor(Math.random() * 1000000),
+        version: null
+      }
+    }
+
+    try {
+      const { receipt } = await this.sendTransaction('addVersion', [documentId, ipfsHash, fileSize], fees)
+
+      return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        version: this.readReceipt(receipt).version
+      }
+    } catch (error) {
+      console.error('Registering version failed:', error)
+      throw new Error(`Registering version failed: ${this.describeError(error)}`)
+    }
+  }
+
+  // Archive (active = false) or restore a document the caller uploaded.
+  // Archived documents stay on record but grantees lose read access.
+  async setDocumentActive(documentId, active) {
+    if (!this.contract) {
+      console.log('Demo mode: Simulating document status change')
+      return {
+        success: true,
+        transactionHash: null,
+        blockNumber: Math.floor(Math.random() * 1000000)
+      }
+    }
+
+    const action = active ? 'Reactivating' : 'Archiving'
+    try {
+      const { receipt } = await this.sendTransaction(active ? 'reactivateDocument' : 'deactivateDocument', [documentId])
+      return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      }
+    } catch (error) {
+      console.error(`${action} document failed:`, error)
+      throw new Error(`${action} document failed: ${this.describeError(error)}`)
+    }
+  }
+
+  async deactivateDocument(documentId) {
+    return this.setDocumentActive(documentId, false)
+  }
+
+  async reactivateDocument(documentId) {
+    return this.setDocumentActive(documentId, true)
+  }
+
+  // Every version of a document, oldest (version 1) first
+  async getVersions(documentId) {
+    if (!this.contract) {
+      return []
+    }
+
+    try {
+      const versions = await this.contract.getVersions(documentId)
+      return versions.map((version, index) => ({
+        version: index + 1,
+        ipfsHash: version.ipfsHash,
+        fileSize: Number(version.fileSize),
+        timestamp: Number(version.timestamp),
+        uploadDate: new Date(Number(version.timestamp) * 1000).toISOString()
+      }))
+    } catch (error) {
+      console.error('Error fetching versions:', error)
+      throw new Error(`Failed to fetch versions: ${this.describeError(error)}`)
+    }
+  }
+
+  // Current fees for each preset. On EIP-1559 networks a preset sets the
+  // priority fee and allows for the base fee doubling before inclusion;
+  // elsewhere it scales the node's gas price.
+  async getFeeOptions() {
+    const feeData = await this.provider.getFeeData()
+    const presets = {}
+
+    if (feeData.maxFeePerGas === null) {
+      Object.entries(FEE_PRESETS).forEach(([key, preset]) => {
+        presets[key] = { gasPrice: feeData.gasPrice * preset.fallbackPercent / 100n }
+      })
+      return { eip1559: false, baseFeePerGas: null, presets }
+    }
+
+    let baseFeePerGas = null
+    let rewards = null
+    try {
+      const history = await this.provider.send('eth_feeHistory', [
+        ethers.toQuantity(FEE_HISTORY_BLOCKS),
+        'latest',
+        Object.values(FEE_PRESETS).map(preset => preset.percentile)
+      ])
+      // The last entry is the base fee of the next block
+      baseFeePerGas = BigInt(history.baseFeePerGas.at(-1))
+      const busyBlocks = (history.reward || []).filter((_, i) => history.gasUsedRatio[i] > 0)
+      if (busyBlocks.length > 0) {
+        rewards = Object.keys(FEE_PRESETS).map((_, column) =>
+          busyBlocks.reduce((sum, block) => sum + BigInt(block[column]), 0n) / BigInt(busyBlocks.length)
+        )
+      }
+    } catch (error) {
+      console.warn('Fee history unavailable, using the suggested fees:', error.message)
+    }
+
+    if (baseFeePerGas === null) {
+      const latest = await this.provider.getBlock('latest')
+      baseFeePerGas = latest?.baseFeePerGas ?? 0n
+    }
+
+    Object.entries(FEE_PRESETS).forEach(([key, preset], column) => {
+      const maxPriorityFeePerGas = rewards?.[column] || feeData.maxPriorityFeePerGas * preset.fallbackPercent / 100n
+      presets[key] = { maxPriorityFeePerGas, maxFeePerGas: baseFeePerGas * 2n + maxPriorityFeePerGas }
+    })
+    return { eip1559: true, baseFeePerGas, presets }
+  }
+
+  // Gas for registering files that aren't on IPFS yet: each new document on
+  // its own, the uploadDocuments batches they are sent in, and each version
+  async estimateRegistration(newDocuments, versions = []) {
+    if (!this.contract) {
+      return null
+    }
+
+    const estimate = (method, args) => this.contract[method].estimateGas(...args)
+      .catch(error => {
+        throw new Error(`Gas estimate for ${method} failed: ${this.describeError(error)}`)
+      })
+
+    const documents = await Promise.all(newDocuments.map(async ({ fileName, fileSize }) => ({
+      fileName,
+      gas: await estimate('uploadDocument', [fileName, ESTIMATE_CID, fileSize])
+    })))
+
+    const batches = []
+    for (let i = 0; i < newDocuments.length; i += MAX_UPLOAD_BATCH) {
+      const batch = newDocuments.slice(i, i + MAX_UPLOAD_BATCH)
+      batches.push({
+        count: batch.length,
+        // A single new document is sent with uploadDocument
+        gas: batch.length === 1
+          ? documents[i].gas
+          : await estimate('uploadDocuments', [
+            batch.map(document => document.fileName),
+            batch.map(() => ESTIMATE_CID),
+            batch.map(document => document.fileSize)
+          ])
+      })
+    }
+
+    const versionEstimates = await Promise.all(versions.map(async ({ documentId, fileName, fileSize }) => ({
+      documentId,
+      fileName,
+      gas: await estimate('addVersion', [documentId, ESTIMATE_CID, fileSize])
+    })))
+
+    return { documents, batches, versions: versionEstimates }
+  }
+
+  // Expected and worst-case cost in wei of `gas` at a preset's fees. The
+  // expected cost pays the current base fee plus the priority fee; the
+  // worst case is the gas limit sendTransaction sets at the maximum fee.
+  estimateCost(gas, fees, baseFeePerGas) {
+    const gasLimit = gas * 120n / 100n
+    if (fees.gasPrice !== undefined) {
+      return { expected: gas * fees.gasPrice, max: gasLimit * fees.gasPrice }
+    }
+    const effective = baseFeePerGas + fees.maxPriorityFeePerGas
+    return {
+      expected: gas * (effective < fees.maxFeePerGas ? effective : fees.maxFeePerGas),
+      max: gasLimit * fees.maxFeePerGas
+    }
+  }
+
+  // Estimate gas (plus a 20% buffer), send a contract call and follow it in
+  // the transaction queue until it is mined. `fees` optionally sets
+  // maxFeePerGas and maxPriorityFeePerGas, or gasPrice, from getFeeOptions.
+  // Reverts, rejections and replacements come back as errors with a readable message.
+  async sendTransaction(method, args, fees = {}) {
+    let tx
+    let startBlock
+    try {
+      const gasEstimate = await this.contract[method].estimateGas(...args)
       const gasLimit = gasEstimate * 120n / 100n
-      
-      const tx = await this.contract.uploadDocument(
-        fileName,
-        ipfsHash,
-        fileSize,
-        { gasLimit }
-      )
-      
-      console.log('Transaction sent:', tx.hash)
-      
-      // Wait for transaction confirmation
-      const receipt = await tx.wait()
-      console.log('Transaction confirmed:', receipt)
-      
-      // Extract document ID from event logs
-      const event = receipt.logs.find(log => {
+      startBlock = await this.provider.getBlockNumber()
+      tx = await this.contract[method](...args, { gasLimit, ...fees })
+    } catch (error) {
+      const message = error.code === 'ACTION_REJECTED' ? 'Transaction rejected in your wallet' : this.describeError(error)
+      throw new Error(message, { cause: error })
+    }
+    console.log('Transaction sent:', tx.hash)
+
+    transactionQueue.add(tx, { label: describeCall(method, args), method, startBlock })
+    // Contract responses drop the start block ethers needs to notice replacements
+    const receipt = await transactionQueue.track(tx.hash, tx.replaceableTransaction(startBlock))
+    console.log('Transaction confirmed:', receipt)
+    return { tx, receipt }
+  }
+
+  // Document ids a receipt's DocumentUploaded events assigned, in input
+  // order, and the version number from its DocumentVersioned event
+  readReceipt(receipt) {
+    const events = receipt.logs
+      .map(log => {
         try {
-          const parsed = this.contract.interface.parseLog(log)
-          return parsed.name === 'DocumentUploaded'
+          return this.contract.interface.parseLog(log)
         } catch {
-          return false
+          return null
         }
       })
-      
-      let documentId = null
-      if (event) {
-        const parsed = this.contract.interface.parseLog(event)
-        documentId = parsed.args.documentId
+      .filter(Boolean)
+    const versioned = events.find(event => event.name === 'DocumentVersioned')
+    return {
+      documentIds: events.filter(event => event.name === 'DocumentUploaded').map(event => Number(event.args.documentId)),
+      version: versioned ? Number(versioned.args.version) : null
+    }
+  }
+
+  // What a queued transaction called and what its receipt says came of it,
+  // for transactions that finish after the code that sent them has gone (see
+  // transactionQueue.onComplete)
+  transactionResult(entry, receipt) {
+    if (!this.contract) return null
+    const call = this.contract.interface.parseTransaction({ data: entry.data })
+    if (!call) return null
+    return {
+      method: call.name,
+      args: call.args,
+      from: entry.from,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      ...this.readReceipt(receipt)
+    }
+  }
+
+  // Custom errors from the contract read better than the raw revert data. Depending
+  // on the node, the data sits on the error itself or on the wrapped RPC error.
+  describeError(error) {
+    const data = [error.data, error.error?.data, error.error?.data?.data, error.info?.error?.data]
+      .find(value => typeof value === 'string' && value.startsWith('0x'))
+    let revert = error.revert
+    if (!revert && data && this.contract) {
+      try {
+        revert = this.contract.interface.parseError(data)
+      } catch {
+        revert = null
       }
-      
+    }
+
+    if (revert?.name) {
+      return `${revert.name}(${revert.args.join(', ')})`
+    }
+    return error.shortMessage || error.message
+  }
+
+  // Let another wallet read a document; expiry is a Date, unix seconds, or 0/null for no expiry
+  async grantAccess(documentId, grantee, expiry = null) {
+    if (!this.contract) {
+      throw new Error('Sharing requires a deployed contract (demo mode is active)')
+    }
+    if (!isValidAddress(grantee)) {
+      throw new Error(`Invalid grantee address: ${grantee}`)
+    }
+
+    const expirySeconds = expiry instanceof Date
+      ? Math.floor(expiry.getTime() / 1000)
+      : Number(expiry || 0)
+
+    try {
+      const { receipt } = await this.sendTransaction('grantAccess', [
+        documentId,
+        getChecksumAddress(grantee),
+        expirySeconds
+      ])
       return {
         success: true,
-        transactionHash: tx.hash,
-        blockNumber: receipt.blockNumber,
-        documentId: documentId ? Number(documentId) : null,
-        gasUsed: receipt.gasUsed.toString()
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
       }
     } catch (error) {
-      console.error('Upload to blockchain failed:', error)
-      throw new Error(`Blockchain upload failed: ${error.message}`)
+      console.error('Granting access failed:', error)
+      throw new Error(`Granting access failed: ${this.describeError(error)}`)
+    }
+  }
+
+  async revokeAccess(documentId, grantee) {
+    if (!this.contract) {
+      throw new Error('Sharing requires a deployed contract (demo mode is active)')
+    }
+
+    try {
+      const { receipt } = await this.sendTransaction('revokeAccess', [documentId, getChecksumAddress(grantee)])
+      return {
+        success: true,
+        transactionHash: receipt.hash,
+        blockNumber: receipt.blockNumber
+      }
+    } catch (error) {
+      console.error('Revoking access failed:', error)
+      throw new Error(`Revoking access failed: ${this.describeError(error)}`)
     }
   }
 
-  // Get user's documents
-  async getUserDocuments(userAddress) {
+  // Whether an account may read a document (its uploader or an unexpired grantee)
+  async hasAccess(documentId, account) {
+    if (!this.contract) {
+      // Nothing is shared in demo mode, and callers check the uploader first
+      return false
+    }
+
+    try {
+      return await this.contract.hasAccess(documentId, account)
+    } catch (error) {
+      console.error('Error checking access:', error)
+      throw new Error(`Failed to check access: ${this.describeError(error)}`)
+    }
+  }
+
+  // Current grantees of a document; expiresAt is null for grants that never expire
+  async getGrantees(documentId) {
+    if (!this.contract) {
+      return []
+    }
+
+    try {
+      const [accounts, expiries] = await this.contract.getGrantees(documentId)
+      const now = Date.now()
+      return accounts.map((account, index) => {
+        const expiry = expiries[index]
+        const expiresAt = expiry === ethers.MaxUint256 ? null : Number(expiry) * 1000
+        return {
+          address: account,
+          expiresAt,
+          active: expiresAt === null || expiresAt > now
+        }
+      })
+    } catch (error) {
+      console.error('Error fetching grantees:', error)
+      throw new Error(`Failed to fetch grantees: ${this.describeError(error)}`)
+    }
+  }
+
+  // Documents other wallets have shared with this account and it can still read
+  async getSharedDocuments(account) {
+    if (!this.contract) {
+      return []
+    }
+
+    try {
+      const grants = await this.scanLogs([this.contract.filters.AccessGranted(null, null, account)])
+      const documentIds = [...new Set(grants.map(grant => grant.args.documentId))]
+      const shared = []
+
+      for (const id of documentIds) {
+        if (!await this.contract.hasAccess(id, account)) continue
+        const document = await this.getDocument(Number(id))
+        const grantee = (await this.getGrantees(id)).find(entry => entry.address.toLowerCase() === account.toLowerCase())
+        shared.push({ ...document, expiresAt: grantee?.expiresAt ?? null })
+      }
+
+      return shared.sort((a, b) => b.timestamp - a.timestamp)
+    } catch (error) {
+      console.error('Error fetching shared documents:', error)
+      throw new Error(`Failed to fetch shared documents: ${this.describeError(error)}`)
+    }
+  }
+
+  // Logs matching any of the filters from `fromBlock` to the chain head, in
+  // LOG_SCAN_BATCH_BLOCKS ranges so no single eth_getLogs call spans the chain
+  async scanLogs(filters, fromBlock = this.deploymentBlock) {
+    // ethers answers a repeated read from its cache for a moment, so a block
+    // mined just before could be missed; ask the node for the head directly
+    const latest = Number(await this.provider.send('eth_blockNumber', []))
+    const logs = []
+    for (let from = fromBlock; from <= latest; from += LOG_SCAN_BATCH_BLOCKS) {
+      const to = Math.min(from + LOG_SCAN_BATCH_BLOCKS - 1, latest)
+      const batches = await Promise.all(filters.map(filter => this.contract.queryFilter(filter, from, to)))
+      logs.push(...batches.flat())
+    }
+    return logs
+  }
+
+  // Every on-chain registration of any of the given CIDs, oldest first: the
+  // upload that created a document (version 1) or a later addVersion. Scans
+  // the contract's logs in block ranges from its deployment, or from
+  // `fromBlock` when the registrations before it are passed in as `indexed`
+  // (from the backend's event index).
+  async findRegistrations(cids, { indexed = [], fromBlock = this.deploymentBlock } = {}) {
+    if (!this.contract) {
+      return []
+    }
+
+    try {
+      const wanted = new Set(cids.filter(Boolean))
+      const events = (await this.scanLogs([
+        this.contract.filters.DocumentUploaded(),
+        this.contract.filters.DocumentVersioned()
+      ], fromBlock)).filter(event => wanted.has(event.args.ipfsHash))
+
+      events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index)
+
+      const blocks = new Map()
+      const scanned = []
+      for (const event of events) {
+        if (!blocks.has(event.blockNumber)) {
+          blocks.set(event.blockNumber, await this.provider.getBlock(event.blockNumber))
+        }
+        const block = blocks.get(event.blockNumber)
+        scanned.push({
+          documentId: Number(event.args.documentId),
+          ipfsHash: event.args.ipfsHash,
+          uploader: event.args.uploader,
+          version: event.eventName === 'DocumentVersioned' ? Number(event.args.version) : 1,
+          blockNumber: event.blockNumber,
+          blockHash: event.blockHash,
+          transactionHash: event.transactionHash,
+          timestamp: block.timestamp,
+          registeredAt: new Date(block.timestamp * 1000).toISOString()
+        })
+      }
+
+      // Document state is always read live, since indexed entries may lag the chain
+      const documents = new Map()
+      const registrations = []
+      for (const registration of [...indexed, ...scanned]) {
+        if (!documents.has(registration.documentId)) {
+          documents.set(registration.documentId, await this.contract.getDocument(registration.documentId))
+        }
+        const document = documents.get(registration.documentId)
+        registrations.push({
+          ...registration,
+          fileName: document.fileName,
+          // Whether the document still points at this CID, or moved on to a later version
+          current: document.ipfsHash === registration.ipfsHash,
+          isActive: document.isActive
+        })
+      }
+
+      return registrations
+    } catch (error) {
+      console.error('Error looking up registrations:', error)
+      throw new Error(`Failed to look up registrations: ${this.describeError(error)}`)
+    }
+  }
+
+  // Get user's documents; archived ones only with includeArchived
+  async getUserDocuments(userAddress, { includeArchived = false } = {}) {
     if (!this.contract) {
       console.log('Demo mode: Returning mock documents')
       // Return mock documents for demo
@@ -140,7 +654,7 @@ class ContractService {
         try {
           const doc = await this.contract.getDocument(id)
           
-          if (doc.isActive) {
+          if (doc.isActive || includeArchived) {
             documents.push({
               id: Number(id),
               fileName: doc.fileName,
@@ -148,7 +662,8 @@ class ContractService {
               uploader: doc.uploader,
               timestamp: Number(doc.timestamp),
               fileSize: Number(doc.fileSize),
-              uploadDate: new Date(Number(doc.timestamp) * 1000).toISOString()
+              uploadDate: new Date(Number(doc.timestamp) * 1000).toISOString(),
+              archived: !doc.isActive
             })
           }
         } catch (error) {
@@ -225,8 +740,54 @@ class ContractService {
         uploader,
         fileName,
         ipfsHash,
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
+      })
+    })
+
+    this.contract.on('DocumentVersioned', (documentId, uploader, version, ipfsHash, event) => {
+      callback({
+        type: 'DocumentVersioned',
+        documentId: Number(documentId),
+        uploader,
+        version: Number(version),
+        ipfsHash,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
+      })
+    })
+
+    this.contract.on('DocumentStatusChanged', (documentId, uploader, isActive, event) => {
+      callback({
+        type: 'DocumentStatusChanged',
+        documentId: Number(documentId),
+        uploader,
+        archived: !isActive,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
+      })
+    })
+
+    this.contract.on('AccessGranted', (documentId, owner, grantee, expiry, event) => {
+      callback({
+        type: 'AccessGranted',
+        documentId: Number(documentId),
+        owner,
+        grantee,
+        expiresAt: expiry === ethers.MaxUint256 ? null : Number(expiry) * 1000,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
+      })
+    })
+
+    this.contract.on('AccessRevoked', (documentId, owner, grantee, event) => {
+      callback({
+        type: 'AccessRevoked',
+        documentId: Number(documentId),
+        owner,
+        grantee,
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
       })
     })
 
@@ -237,8 +798,8 @@ class ContractService {
         documentId: Number(documentId),
         viewer,
         timestamp: Number(timestamp),
-        blockNumber: event.blockNumber,
-        transactionHash: event.transactionHash
+        blockNumber: event.log.blockNumber,
+        transactionHash: event.log.transactionHash
       })
     })
   }
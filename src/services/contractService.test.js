@@ -0,0 +1,131 @@
+// contractService against SecureXDocuments deployed to Hardhat's in-process
+// network: registration, versions, grants and revocations, and revert
+// messages. Run with `npm test`, which loads scripts/test-resolve.js.
+
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import { ethers } from 'ethers'
+import { compileContract } from '../../scripts/compile-contract.js'
+
+// transactionQueue persists to localStorage
+globalThis.localStorage ??= {
+  items: new Map(),
+  getItem(key) { return this.items.get(key) ?? null },
+  setItem(key, value) { this.items.set(key, String(value)) },
+  removeItem(key) { this.items.delete(key) }
+}
+
+// The service logs every transaction, receipt and failure; failures are asserted here
+console.log = () => {}
+console.error = () => {}
+
+const CID_V1 = 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4'
+const CID_V2 = 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+const CID_BATCH = 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy'
+
+let contractService
+let provider
+let deployment
+let owner
+let grantee
+
+// Connect the service as `signer`, the way WalletContext does for a wallet
+const connectAs = async (signer) => {
+  const { chainId } = await provider.getNetwork()
+  await contractService.initialize(provider, signer, chainId, deployment)
+  assert.ok(contractService.getContractAddress(), 'the service is connected to the deployment, not demo mode')
+}
+
+before(async () => {
+  // Hardhat is CommonJS and slow to load; it reads hardhat.config.cjs from the repository root
+  const { default: hre } = await import('hardhat')
+  provider = new ethers.BrowserProvider(hre.network.provider)
+  provider.pollingInterval = 50
+  owner = await provider.getSigner(0)
+  grantee = await provider.getSigner(1)
+
+  const compiled = await compileContract()
+  const factory = new ethers.ContractFactory(compiled.abi, compiled.bytecode, owner)
+  const contract = await factory.deploy()
+  const receipt = await contract.deploymentTransaction().wait()
+  deployment = { address: await contract.getAddress(), blockNumber: receipt.blockNumber }
+
+  ;({ contractService } = await import('./contractService.js'))
+  await connectAs(owner)
+})
+
+test('uploadDocument registers a document and returns its id', async () => {
+  const result = await contractService.uploadDocument('report.pdf', CID_V1, 12)
+  assert.equal(result.documentId, 1)
+  assert.match(result.transactionHash, /^0x[0-9a-f]{64}$/)
+
+  const document = await contractService.getDocument(1)
+  assert.equal(document.ipfsHash, CID_V1)
+  assert.equal(document.uploader, await owner.getAddress())
+  assert.equal(document.fileSize, 12)
+})
+
+test('uploadDocuments registers a batch in input order', async () => {
+  const result = await contractService.uploadDocuments([
+    { fileName: 'a.txt', ipfsHash: CID_BATCH, fileSize: 1 },
+    { fileName: 'b.txt', ipfsHash: CID_V2, fileSize: 2 }
+  ])
+  assert.deepEqual(result.documentIds, [2, 3])
+  assert.equal(await contractService.getDocumentCount(), 3)
+})
+
+test('addVersion points a document at a new CID and keeps its history', async () => {
+  const result = await contractService.addVersion(1, CID_V2, 14)
+  assert.equal(result.version, 2)
+
+  const versions = await contractService.getVersions(1)
+  assert.deepEqual(versions.map(version => version.ipfsHash), [CID_V1, CID_V2])
+  assert.equal((await contractService.getDocument(1)).ipfsHash, CID_V2)
+
+  const registrations = await contractService.findRegistrations([CID_V1])
+  assert.deepEqual(registrations.map(({ documentId, version, current }) => ({ documentId, version, current })), [
+    { documentId: 1, version: 1, current: false }
+  ])
+})
+
+test('grantAccess and revokeAccess control who can read a document', async () => {
+  const granteeAddress = await grantee.getAddress()
+  assert.equal(await contractService.hasAccess(1, granteeAddress), false)
+
+  await contractService.grantAccess(1, granteeAddress)
+  assert.equal(await contractService.hasAccess(1, granteeAddress), true)
+  assert.deepEqual(await contractService.getGrantees(1), [{ address: granteeAddress, expiresAt: null, active: true }])
+  assert.deepEqual((await contractService.getSharedDocuments(granteeAddress)).map(document => document.id), [1])
+
+  await contractService.revokeAccess(1, granteeAddress)
+  assert.equal(await contractService.hasAccess(1, granteeAddress), false)
+  assert.deepEqual(await contractService.getGrantees(1), [])
+  assert.deepEqual(await contractService.getSharedDocuments(granteeAddress), [])
+})
+
+test('grants with an expiry report it', async () => {
+  const granteeAddress = await grantee.getAddress()
+  const expiry = new Date(Date.now() + 24 * 60 * 60 * 1000)
+  await contractService.grantAccess(2, granteeAddress, expiry)
+
+  const [grant] = await contractService.getGrantees(2)
+  assert.equal(grant.expiresAt, Math.floor(expiry.getTime() / 1000) * 1000)
+  assert.equal(grant.active, true)
+})
+
+test('reverts come back as the contract\'s custom errors', async () => {
+  const granteeAddress = await grantee.getAddress()
+  await connectAs(grantee)
+  try {
+    await assert.rejects(
+      contractService.addVersion(1, CID_BATCH, 1),
+      { message: `Registering version failed: NotDocumentOwner(1, ${granteeAddress})` }
+    )
+    await assert.rejects(
+      contractService.grantAccess(1, granteeAddress),
+      { message: `Granting access failed: NotDocumentOwner(1, ${granteeAddress})` }
+    )
+  } finally {
+    await connectAs(owner)
+  }
+})
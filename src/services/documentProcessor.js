@@ -8,7 +8,7 @@ import pdfParserService from './pdfParserService.js';
 class DocumentProcessor {
   constructor() {
     this.supportedProcessors = {
-      'pdf': pdfParserService,
+      'pdf': this.processPdfDocument.bind(this),
       'doc': this.processWordDocument.bind(this),
       'docx': this.processWordDocument.bind(this),
       'txt': this.processTextDocument.bind(this),
@@ -19,9 +19,11 @@ class DocumentProcessor {
   }
 
   /**
-   * Process a document through the ingestion pipeline
+   * Process a document through the ingestion pipeline.
+   * Without a documentId the document is keyed by its CID or content hash;
+   * the id actually used is returned as result.documentId.
    */
-  async processDocument(file, documentId) {
+  async processDocument(file, documentId = null, { cid = null } = {}) {
     try {
       console.log(`[DocumentProcessor] Processing document: ${file.name}`);
       
@@ -30,22 +32,39 @@ class DocumentProcessor {
       console.log(`[DocumentProcessor] Detected file type: ${fileType.category}.${fileType.extension}`);
       
       // 2. Extract content based on file type
-      const content = await this.extractContent(file, fileType);
+      const extracted = await this.extractStructuredContent(file, fileType);
       
       // 3. Process through RAG service
       const result = await ragService.processDocument(
         documentId, 
         file.name, 
-        content
+        extracted,
+        { cid }
       );
       
-      return result;
+      return { ...result, extracted };
     } catch (error) {
       console.error('[DocumentProcessor] Error processing document:', error);
       throw new Error(`Failed to process document: ${error.message}`);
     }
   }
 
+  /**
+   * Extract text plus per-page texts where the format has pages (PDF),
+   * so server-side chat can cite page numbers
+   */
+  async extractStructuredContent(file, fileType) {
+    if (fileType.extension === 'pdf') {
+      const result = await pdfParserService.parsePDF(file);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return { text: result.extractedText, pages: result.pageTexts };
+    }
+
+    return { text: await this.extractContent(file, fileType), pages: null };
+  }
+
   /**
    * Extract content based on file type
    */
@@ -156,7 +175,7 @@ class DocumentProcessor {
    * Clear all processed data (for testing)
    */
   clearData() {
-    ragService.clearData();
+    return ragService.clearData();
   }
 }
 
@@ -0,0 +1,292 @@
+// Embedding providers for the RAG pipeline
+//
+// A provider implements:
+//   id, name, model, dimensions, requiresKey, keyName, batchSize
+//   embed(texts, { inputType, apiKey }) -> Promise<number[][]>
+// inputType is 'document' for chunks and 'query' for questions; providers that
+// train asymmetric retrieval models use it to pick the right task.
+
+import aiProviderService from './aiProviderService.js';
+
+const PROVIDER_STORAGE_KEY = 'securex_embedding_provider';
+const LOCAL_DIMENSIONS = 512;
+
+const LOCAL_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is',
+  'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'with'
+]);
+
+// 32-bit FNV-1a
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic on-device embedding: signed feature hashing of words, word bigrams
+// and character trigrams with sublinear term frequency. No network, no model download.
+const localProvider = {
+  id: 'local',
+  name: 'Local (hashed features)',
+  model: `hash-${LOCAL_DIMENSIONS}`,
+  dimensions: LOCAL_DIMENSIONS,
+  requiresKey: false,
+  batchSize: Infinity,
+
+  features(text) {
+    const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(word => !LOCAL_STOP_WORDS.has(word));
+    const counts = new Map();
+    const add = (feature, weight) => counts.set(feature, (counts.get(feature) || 0) + weight);
+
+    words.forEach((word, index) => {
+      add(`w:${word}`, 1);
+      if (index > 0) add(`b:${words[index - 1]}_${word}`, 0.5);
+      const padded = `^${word}$`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`c:${padded.slice(i, i + 3)}`, 0.25);
+      }
+    });
+    return counts;
+  },
+
+  async embed(texts) {
+    return texts.map(text => {
+      const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+      for (const [feature, count] of this.features(text)) {
+        const hash = fnv1a(feature);
+        const sign = hash & 0x80000000 ? -1 : 1;
+        vector[hash % LOCAL_DIMENSIONS] += sign * (1 + Math.log(1 + count));
+      }
+      return vector;
+    });
+  }
+};
+
+const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  model: 'text-embedding-3-small',
+  dimensions: 1536,
+  requiresKey: true,
+  keyName: 'openai',
+  batchSize: 256,
+
+  async embed(texts, { apiKey }) {
+    const response = await fetch('https://api.openai.com/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ model: this.model, input: texts })
+    });
+
+    if (!response.ok) {
+      throw new Error(`OpenAI embeddings error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+};
+
+const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  model: 'text-embedding-004',
+  dimensions: 768,
+  requiresKey: true,
+  keyName: 'google',
+  batchSize: 100,
+
+  async embed(texts, { apiKey, inputType }) {
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${this.model}:batchEmbedContents?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        requests: texts.map(text => ({
+          model: `models/${this.model}`,
+          content: { parts: [{ text }] },
+          taskType: inputType === 'query' ? 'RETRIEVAL_QUERY' : 'RETRIEVAL_DOCUMENT'
+        }))
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Gemini embeddings error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.embeddings.map(item => item.values);
+  }
+};
+
+const cohereProvider = {
+  id: 'cohere',
+  name: 'Cohere',
+  model: 'embed-english-v3.0',
+  dimensions: 1024,
+  requiresKey: true,
+  keyName: 'cohere',
+  batchSize: 96,
+
+  async embed(texts, { apiKey, inputType }) {
+    const response = await fetch('https://api.cohere.com/v2/embed', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        texts,
+        input_type: inputType === 'query' ? 'search_query' : 'search_document',
+        embedding_types: ['float']
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cohere embeddings error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.embeddings.float;
+  }
+};
+
+const jinaProvider = {
+  id: 'jina',
+  name: 'Jina AI',
+  model: 'jina-embeddings-v3',
+  dimensions: 1024,
+  requiresKey: true,
+  keyName: 'jina',
+  batchSize: 128,
+
+  async embed(texts, { apiKey, inputType }) {
+    const response = await fetch('https://api.jina.ai/v1/embeddings', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: this.model,
+        input: texts,
+        task: inputType === 'query' ? 'retrieval.query' : 'retrieval.passage'
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Jina embeddings error: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return data.data.sort((a, b) => a.index - b.index).map(item => item.embedding);
+  }
+};
+
+class EmbeddingService {
+  constructor() {
+    this.providers = {
+      local: localProvider,
+      openai: openaiProvider,
+      gemini: geminiProvider,
+      cohere: cohereProvider,
+      jina: jinaProvider
+    };
+
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(PROVIDER_STORAGE_KEY) : null;
+    this.currentProvider = this.providers[saved] ? saved : 'local';
+  }
+
+  getProviders() {
+    return this.providers;
+  }
+
+  getCurrentProvider() {
+    return this.providers[this.currentProvider];
+  }
+
+  setProvider(providerId) {
+    if (!this.providers[providerId]) return false;
+    this.currentProvider = providerId;
+    localStorage.setItem(PROVIDER_STORAGE_KEY, providerId);
+    return true;
+  }
+
+  // Keys are shared with the chat providers (see ApiKeyConfig)
+  getApiKey(provider) {
+    return provider.keyName ? aiProviderService.apiKeys[provider.keyName] : null;
+  }
+
+  // Embedding providers whose key isn't already collected for a chat provider,
+  // shaped like aiProviderService entries so ApiKeyConfig can list them
+  getKeyOnlyProviders() {
+    const chatProviders = aiProviderService.getProviders();
+    return Object.fromEntries(
+      Object.values(this.providers)
+        .filter(provider => provider.requiresKey && !chatProviders[provider.keyName])
+        .map(provider => [provider.keyName, {
+          name: `${provider.name} Embeddings`,
+          models: [provider.model],
+          requiresKey: true,
+          multimodal: false
+        }])
+    );
+  }
+
+  // Vectors from different models live in different spaces; this id keeps them apart
+  modelId(provider) {
+    return `${provider.id}:${provider.model}`;
+  }
+
+  providerForModel(modelId) {
+    return this.providers[modelId.split(':')[0]];
+  }
+
+  async embedWith(provider, texts, inputType) {
+    const apiKey = this.getApiKey(provider);
+    if (provider.requiresKey && !apiKey) {
+      throw new Error(`${provider.name} API key not configured`);
+    }
+
+    const vectors = [];
+    for (let i = 0; i < texts.length; i += provider.batchSize) {
+      const batch = texts.slice(i, i + provider.batchSize);
+      vectors.push(...await provider.embed(batch, { apiKey, inputType }));
+    }
+    return vectors;
+  }
+
+  // Embed document chunks with the selected provider, falling back to the local one
+  async embedDocuments(texts) {
+    const provider = this.getCurrentProvider();
+    try {
+      const vectors = await this.embedWith(provider, texts, 'document');
+      return { vectors, model: this.modelId(provider) };
+    } catch (error) {
+      if (provider === localProvider) throw error;
+      console.warn(`[Embeddings] ${provider.name} failed, using local embeddings:`, error.message);
+      const vectors = await this.embedWith(localProvider, texts, 'document');
+      return { vectors, model: this.modelId(localProvider) };
+    }
+  }
+
+  // Embed a query with the same model its target chunks were embedded with
+  async embedQuery(text, modelId) {
+    const provider = this.providerForModel(modelId);
+    if (!provider) {
+      throw new Error(`Unknown embedding model: ${modelId}`);
+    }
+    const [vector] = await this.embedWith(provider, [text], 'query');
+    return vector;
+  }
+}
+
+// Export singleton instance
+export default new EmbeddingService();
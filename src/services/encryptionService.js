@@ -0,0 +1,360 @@
+// Client-side document encryption
+//
+// Files are encrypted with AES-256-GCM under a random per-document data key
+// before they leave the browser. The data key is wrapped (ECIES: secp256k1
+// ECDH, HKDF-SHA256, AES-GCM) for the owner inside the file header, and for
+// each grantee in the backend key store, so gateways and the backend only
+// ever hold ciphertext.
+//
+// Injected wallets never expose their private key, so each wallet's
+// encryption key pair is derived from its signature over a fixed message.
+// Wallets that sign deterministically (RFC 6979, as MetaMask does) get the
+// same key pair every session.
+
+import { ethers } from 'ethers'
+import apiService from './apiService'
+
+// Encrypted files start with MAGIC, a 4-byte big-endian header length and a
+// JSON header holding only what decryption needs; the AES-GCM ciphertext
+// follows. The plaintext is a 4-byte metadata length, JSON metadata (name,
+// type, size, owner) and the file, so none of that is readable from IPFS.
+// Header keys are a plain list, since keying them by address would name the
+// owner. Version 1 files kept the metadata in the header and are still read.
+const MAGIC = ethers.toUtf8Bytes('SXENC1')
+const HEADER_LENGTH_BYTES = 4
+const FORMAT_VERSION = 2
+const SUPPORTED_VERSIONS = [1, FORMAT_VERSION]
+const WRAP_SCHEME = 'ecies-secp256k1-hkdf-sha256-aes256gcm'
+const WRAP_INFO = ethers.toUtf8Bytes('securex/key-wrap/v1')
+
+const keyDerivationMessage = (address) => `SecureX document encryption
+
+Sign this message to unlock the key that encrypts your documents. It does not send a transaction or cost gas.
+
+Wallet: ${address}`
+
+// Raised when a document can't be encrypted or decrypted for this wallet, as
+// opposed to network failures fetching it
+export class EncryptionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'EncryptionError'
+  }
+}
+
+const lengthPrefix = (length) => {
+  const bytes = new Uint8Array(HEADER_LENGTH_BYTES)
+  new DataView(bytes.buffer).setUint32(0, length)
+  return bytes
+}
+
+class EncryptionService {
+  constructor() {
+    this.signer = null
+    this.address = null
+    this.signingKey = null
+    this.unlocking = null
+    // Data keys seen this session, by CID, so sharing right after an upload
+    // doesn't have to fetch the file back
+    this.dataKeys = new Map()
+  }
+
+  setSigner(signer, address) {
+    if (this.address && this.address !== ethers.getAddress(address)) {
+      this.reset()
+    }
+    this.signer = signer
+    this.address = ethers.getAddress(address)
+  }
+
+  reset() {
+    this.signer = null
+    this.address = null
+    this.signingKey = null
+    this.unlocking = null
+    this.dataKeys.clear()
+  }
+
+  isAvailable() {
+    return Boolean(this.signer && globalThis.crypto?.subtle)
+  }
+
+  isEncrypted(bytes) {
+    return bytes.length > MAGIC.length + HEADER_LENGTH_BYTES && MAGIC.every((byte, i) => bytes[i] === byte)
+  }
+
+  // Ask the wallet for the key-derivation signature once per session
+  async unlock() {
+    if (this.signingKey) return this.signingKey
+    if (!this.signer) {
+      throw new EncryptionError('Connect a wallet to encrypt or decrypt documents')
+    }
+
+    if (!this.unlocking) {
+      const address = this.address
+      this.unlocking = this.signer.signMessage(keyDerivationMessage(address))
+        .then(signature => {
+          this.signingKey = new ethers.SigningKey(ethers.keccak256(signature))
+          if (apiService.hasSession(address)) {
+            this.publishPublicKey().catch(error => console.warn('Failed to publish encryption key:', error))
+          }
+          return this.signingKey
+        })
+        .catch(error => {
+          throw new EncryptionError(error.code === 'ACTION_REJECTED'
+            ? 'Signature request rejected, so the encryption key stays locked'
+            : `Failed to unlock the encryption key: ${error.shortMessage || error.message}`)
+        })
+        .finally(() => {
+          this.unlocking = null
+        })
+    }
+    return this.unlocking
+  }
+
+  // Other wallets look this key up to share documents with us
+  async publishPublicKey() {
+    const signingKey = await this.unlock()
+    await apiService.publishEncryptionKey(signingKey.publicKey)
+  }
+
+  async hasPublishedKey() {
+    try {
+      await apiService.getEncryptionKey(this.address)
+      return true
+    } catch (error) {
+      if (error.status === 404) return false
+      throw error
+    }
+  }
+
+  importDataKey(dataKey) {
+    return crypto.subtle.importKey('raw', dataKey, 'AES-GCM', false, ['encrypt', 'decrypt'])
+  }
+
+  async deriveWrappingKey(sharedPoint, salt) {
+    // The x coordinate of the shared point is the ECDH secret
+    const secret = ethers.getBytes(sharedPoint).slice(1, 33)
+    const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey'])
+    return crypto.subtle.deriveKey(
+      { name: 'HKDF', hash: 'SHA-256', salt, info: WRAP_INFO },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    )
+  }
+
+  async wrapKey(dataKey, recipientPublicKey) {
+    const ephemeral = new ethers.SigningKey(ethers.randomBytes(32))
+    const wrappingKey = await this.deriveWrappingKey(
+      ephemeral.computeSharedSecret(recipientPublicKey),
+      ethers.getBytes(ephemeral.publicKey)
+    )
+    const iv = ethers.randomBytes(12)
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, dataKey)
+
+    return {
+      scheme: WRAP_SCHEME,
+      ephemeralPublicKey: ephemeral.publicKey,
+      iv: ethers.encodeBase64(iv),
+      ciphertext: ethers.encodeBase64(new Uint8Array(ciphertext))
+    }
+  }
+
+  async unwrapKey(envelope) {
+    if (envelope.scheme !== WRAP_SCHEME) {
+      throw new EncryptionError(`Unsupported key wrapping scheme: ${envelope.scheme}`)
+    }
+
+    const signingKey = await this.unlock()
+    const wrappingKey = await this.deriveWrappingKey(
+      signingKey.computeSharedSecret(envelope.ephemeralPublicKey),
+      ethers.getBytes(envelope.ephemeralPublicKey)
+    )
+    try {
+      const dataKey = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: ethers.decodeBase64(envelope.iv) },
+        wrappingKey,
+        ethers.decodeBase64(envelope.ciphertext)
+      )
+      return new Uint8Array(dataKey)
+    } catch {
+      throw new EncryptionError('The document key was not wrapped for this wallet')
+    }
+  }
+
+  // Encrypt a file for upload. The result keeps the original name and type so
+  // the upload paths handle it like any other file.
+  async encryptFile(file) {
+    const signingKey = await this.unlock()
+    const dataKey = ethers.randomBytes(32)
+    const iv = ethers.randomBytes(12)
+
+    const header = {
+      version: FORMAT_VERSION,
+      cipher: 'AES-256-GCM',
+      iv: ethers.encodeBase64(iv),
+      keys: [await this.wrapKey(dataKey, signingKey.publicKey)]
+    }
+    const headerBytes = ethers.toUtf8Bytes(JSON.stringify(header))
+    const metadataBytes = ethers.toUtf8Bytes(JSON.stringify({
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      owner: this.address
+    }))
+
+    // Authenticating the header stops its version and iv being swapped
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: headerBytes },
+      await this.importDataKey(dataKey),
+      await new Blob([lengthPrefix(metadataBytes.length), metadataBytes, file]).arrayBuffer()
+    )
+
+    return {
+      file: new File([MAGIC, lengthPrefix(headerBytes.length), headerBytes, ciphertext], file.name, { type: file.type }),
+      dataKey
+    }
+  }
+
+  rememberKey(cid, dataKey) {
+    if (cid && dataKey) this.dataKeys.set(cid, dataKey)
+  }
+
+  parse(bytes) {
+    if (!this.isEncrypted(bytes)) return null
+
+    const headerStart = MAGIC.length + HEADER_LENGTH_BYTES
+    const headerLength = new DataView(bytes.buffer, bytes.byteOffset + MAGIC.length, HEADER_LENGTH_BYTES).getUint32(0)
+    const headerBytes = bytes.subarray(headerStart, headerStart + headerLength)
+    const header = JSON.parse(ethers.toUtf8String(headerBytes))
+    if (!SUPPORTED_VERSIONS.includes(header.version)) {
+      throw new EncryptionError(`Unsupported encrypted file version: ${header.version}`)
+    }
+
+    return { header, headerBytes, ciphertext: bytes.subarray(headerStart + headerLength) }
+  }
+
+  // The owner's wrapped key travels in the header; grantees fetch theirs
+  async getDataKey(cid, header) {
+    if (cid && this.dataKeys.has(cid)) return this.dataKeys.get(cid)
+
+    await this.unlock()
+    let dataKey = await this.unwrapHeaderKey(header)
+    if (!dataKey) {
+      if (!cid || !apiService.hasSession(this.address)) {
+        throw new EncryptionError('This document is encrypted and its key has not been shared with your wallet')
+      }
+      let envelope
+      try {
+        envelope = await apiService.getDocumentKey(cid)
+      } catch (error) {
+        if (error.status === 404) {
+          throw new EncryptionError('This document is encrypted and its key has not been shared with your wallet')
+        }
+        throw error
+      }
+      dataKey = await this.unwrapKey(envelope)
+    }
+
+    this.rememberKey(cid, dataKey)
+    return dataKey
+  }
+
+  // Header keys don't say whose they are, so try each; version 1 keyed them
+  // by address
+  async unwrapHeaderKey(header) {
+    const envelopes = header.version === 1
+      ? [header.keys[this.address]].filter(Boolean)
+      : header.keys
+    for (const envelope of envelopes) {
+      try {
+        return await this.unwrapKey(envelope)
+      } catch (error) {
+        if (!(error instanceof EncryptionError)) throw error
+      }
+    }
+    return null
+  }
+
+  // Decrypt a blob fetched from IPFS; plaintext blobs pass through unchanged
+  async decryptBlob(blob, cid = null) {
+    const parsed = this.parse(new Uint8Array(await blob.arrayBuffer()))
+    if (!parsed) return { blob, encrypted: false }
+
+    const { header, headerBytes, ciphertext } = parsed
+    const dataKey = await this.getDataKey(cid, header)
+    let plaintext
+    try {
+      plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: ethers.decodeBase64(header.iv), additionalData: headerBytes },
+        await this.importDataKey(dataKey),
+        ciphertext
+      )
+    } catch {
+      throw new EncryptionError('Decryption failed: the file or its key has been modified')
+    }
+
+    const { metadata, content } = this.splitPlaintext(header, new Uint8Array(plaintext))
+    return {
+      blob: new Blob([content], { type: metadata.type }),
+      name: metadata.name,
+      type: metadata.type,
+      encrypted: true
+    }
+  }
+
+  splitPlaintext(header, plaintext) {
+    if (header.version === 1) {
+      return { metadata: header, content: plaintext }
+    }
+    const metadataLength = new DataView(plaintext.buffer, plaintext.byteOffset, HEADER_LENGTH_BYTES).getUint32(0)
+    const metadataEnd = HEADER_LENGTH_BYTES + metadataLength
+    return {
+      metadata: JSON.parse(ethers.toUtf8String(plaintext.subarray(HEADER_LENGTH_BYTES, metadataEnd))),
+      content: plaintext.subarray(metadataEnd)
+    }
+  }
+
+  // Wrap a document's data key for a grantee and hand it to the backend, which
+  // stops handing it out once the grant's expiry (Date, ms or ISO string) passes
+  async shareKey(cid, grantee, { expiresAt = null } = {}) {
+    let dataKey = this.dataKeys.get(cid)
+    if (!dataKey) {
+      const { default: storageService } = await import('./storageService.js')
+      const { blob } = await storageService.fetchFile(cid)
+      const parsed = this.parse(new Uint8Array(await blob.arrayBuffer()))
+      if (!parsed) {
+        throw new EncryptionError('Document is not encrypted')
+      }
+      dataKey = await this.getDataKey(cid, parsed.header)
+    }
+
+    let publicKey
+    try {
+      publicKey = await apiService.getEncryptionKey(grantee)
+    } catch (error) {
+      if (error.status === 404) {
+        throw new EncryptionError(`${grantee} has not enabled encrypted sharing yet; they need to connect to SecureX and enable it once`)
+      }
+      throw error
+    }
+
+    const expiry = expiresAt ? new Date(expiresAt).toISOString() : null
+    await apiService.shareDocumentKey(cid, grantee, await this.wrapKey(dataKey, publicKey), expiry)
+  }
+
+  // Stops the grantee fetching the key again. A key they already fetched
+  // can't be taken back; only re-encrypting under a new key does that.
+  async revokeKey(cid, grantee) {
+    try {
+      await apiService.removeDocumentKey(cid, grantee)
+    } catch (error) {
+      if (error.status !== 404) throw error
+    }
+  }
+}
+
+export const encryptionService = new EncryptionService()
+export default encryptionService
@@ -1,267 +0,0 @@
-// Enhanced IPFS Service for Hackathon Demo
-// Supports multiple gateways and real file operations
-
-class HackathonIpfsService {
-  constructor() {
-    this.gateways = [
-      'https://ipfs.io/ipfs',
-      'https://gateway.pinata.cloud/ipfs',
-      'https://cloudflare-ipfs.com/ipfs',
-      'https://dweb.link/ipfs'
-    ]
-    this.uploadGateway = 'https://api.pinata.cloud/pinning/pinFileToIPFS'
-    this.pinataApiKey = 'demo_key'
-    this.pinataSecretKey = 'demo_secret'
-  }
-
-  // Generate content-based hash for demo purposes
-  generateDemoHash(content) {
-    // Simple hash generation for demo - in production use proper IPFS hashing
-    const str = typeof content === 'string' ? content : content.name + content.size
-    let hash = 0
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i)
-      hash = ((hash << 5) - hash) + char
-      hash = hash & hash // Convert to 32bit integer
-    }
-    
-    // Convert to IPFS-like hash
-    const hashStr = Math.abs(hash).toString(16).padStart(8, '0')
-    return `Qm${hashStr}${'abcdefghijklmnopqrstuvwxyz123456789'.slice(0, 38)}`
-  }
-
-  // Upload file to IPFS (demo version with real hash generation)
-  async uploadFile(file, progressCallback = null) {
-    try {
-      console.log('🚀 Starting IPFS upload for:', file.name)
-      
-      // Simulate upload progress
-      if (progressCallback) {
-        for (let progress = 0; progress <= 100; progress += 10) {
-          progressCallback(progress / 100)
-          await new Promise(resolve => setTimeout(resolve, 100))
-        }
-      }
-
-      // Generate a realistic IPFS hash based on file content
-      const reader = new FileReader()
-      
-      return new Promise((resolve, reject) => {
-        reader.onload = async (e) => {
-          try {
-            const content = e.target.result
-            
-            // Generate content-based hash for consistency
-            const baseHash = this.generateContentHash(content, file.name)
-            
-            // Try to upload to real IPFS if possible, otherwise use demo hash
-            let ipfsHash = baseHash
-            let gateway = this.gateways[0]
-            
-            // Attempt real upload (will fallback to demo if fails)
-            try {
-              const realHash = await this.attemptRealUpload(file)
-              if (realHash) {
-                ipfsHash = realHash
-                console.log('✅ Real IPFS upload successful:', ipfsHash)
-              }
-            } catch (uploadError) {
-              console.log('📝 Using demo IPFS hash:', ipfsHash)
-            }
-
-            const result = {
-              success: true,
-              hash: ipfsHash,
-              size: file.size,
-              type: file.type,
-              name: file.name,
-              gateway: gateway,
-              timestamp: new Date().toISOString(),
-              url: `${gateway}/${ipfsHash}`
-            }
-
-            console.log('✅ IPFS upload complete:', result)
-            resolve(result)
-            
-          } catch (error) {
-            console.error('❌ IPFS upload error:', error)
-            reject({
-              success: false,
-              error: error.message,
-              hash: null
-            })
-          }
-        }
-        
-        reader.onerror = () => {
-          reject({
-            success: false,
-            error: 'Failed to read file',
-            hash: null
-          })
-        }
-        
-        reader.readAsArrayBuffer(file)
-      })
-      
-    } catch (error) {
-      console.error('❌ IPFS Upload Error:', error)
-      return {
-        success: false,
-        error: error.message,
-        hash: null
-      }
-    }
-  }
-
-  // Generate consistent content-based hash
-  generateContentHash(content, fileName) {
-    // Create a deterministic hash based on content and filename
-    let hash = 5381
-    const data = fileName + (content.byteLength || content.length)
-
-    for (let i = 0; i < data.length; i++) {
-      hash = ((hash << 5) + hash + data.charCodeAt(i)) & 0xffffffff
-    }
-
-    // Use proper base58 characters (excluding 0, O, I, l)
-    const base58Chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz'
-
-    // Convert hash to base58-like string
-    let hashStr = ''
-    let num = Math.abs(hash)
-
-    for (let i = 0; i < 44; i++) {
-      hashStr += base58Chars[num % base58Chars.length]
-      num = Math.floor(num / base58Chars.length) + (i * 7) // Add variation
-    }
-
-    // Generate valid IPFS CIDv0 format with proper base58
-    return `Qm${hashStr}`
-  }
-
-  // Attempt real IPFS upload (optional)
-  async attemptRealUpload(file) {
-    try {
-      // This would contain real Pinata/IPFS upload logic
-      // For hackathon demo, we'll simulate this
-      return null
-    } catch (error) {
-      return null
-    }
-  }
-
-  // Download file from IPFS
-  async downloadFile(ipfsHash, fileName = 'download') {
-    try {
-      console.log('⬇️ Downloading from IPFS:', ipfsHash)
-      
-      // Try multiple gateways
-      for (const gateway of this.gateways) {
-        try {
-          const url = `${gateway}/${ipfsHash}`
-          console.log('🌐 Trying gateway:', url)
-          
-          const response = await fetch(url, {
-            method: 'GET',
-            headers: {
-              'Accept': '*/*',
-            }
-          })
-          
-          if (response.ok) {
-            const blob = await response.blob()
-            
-            // Create download link
-            const downloadUrl = window.URL.createObjectURL(blob)
-            const link = document.createElement('a')
-            link.href = downloadUrl
-            link.download = fileName
-            document.body.appendChild(link)
-            link.click()
-            document.body.removeChild(link)
-            window.URL.revokeObjectURL(downloadUrl)
-            
-            console.log('✅ Download successful from:', gateway)
-            return {
-              success: true,
-              gateway: gateway,
-              size: blob.size
-            }
-          }
-        } catch (gatewayError) {
-          console.log(`❌ Gateway ${gateway} failed:`, gatewayError.message)
-          continue
-        }
-      }
-      
-      throw new Error('All IPFS gateways failed')
-      
-    } catch (error) {
-      console.error('❌ Download Error:', error)
-      throw new Error(`Download failed: ${error.message}`)
-    }
-  }
-
-  // Get file info from IPFS
-  async getFileInfo(ipfsHash) {
-    try {
-      for (const gateway of this.gateways) {
-        try {
-          const url = `${gateway}/${ipfsHash}`
-          const response = await fetch(url, { method: 'HEAD' })
-          
-          if (response.ok) {
-            return {
-              success: true,
-              size: parseInt(response.headers.get('content-length') || '0'),
-              type: response.headers.get('content-type') || 'application/octet-stream',
-              gateway: gateway,
-              accessible: true
-            }
-          }
-        } catch (error) {
-          continue
-        }
-      }
-      
-      return {
-        success: false,
-        error: 'File not accessible on any gateway'
-      }
-    } catch (error) {
-      return {
-        success: false,
-        error: error.message
-      }
-    }
-  }
-
-  // Validate IPFS hash
-  validateHash(hash) {
-    if (!hash || typeof hash !== 'string') {
-      return { valid: false, error: 'Hash is empty or invalid' }
-    }
-    
-    // CIDv0 pattern (starts with Qm, base58)
-    const cidV0Pattern = /^Qm[1-9A-HJ-NP-Za-km-z]{44,}$/
-    // CIDv1 pattern (base32)
-    const cidV1Pattern = /^[a-z0-9]{59,}$/
-    
-    if (cidV0Pattern.test(hash) || cidV1Pattern.test(hash)) {
-      return { valid: true, version: hash.startsWith('Qm') ? 'v0' : 'v1' }
-    }
-    
-    return { valid: false, error: 'Invalid IPFS CID format' }
-  }
-
-  // Create IPFS URL
-  createUrl(hash, gateway = null) {
-    const selectedGateway = gateway || this.gateways[0]
-    return `${selectedGateway}/${hash}`
-  }
-}
-
-// Export singleton instance
-const hackathonIpfsService = new HackathonIpfsService()
-export default hackathonIpfsService
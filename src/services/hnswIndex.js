@@ -0,0 +1,196 @@
+// Hierarchical Navigable Small World graph for approximate nearest-neighbour search
+// Vectors are expected to be L2-normalized, so similarity is the dot product
+
+// Deterministic level assignment so rebuilding from storage yields the same graph
+const hashToUnit = (id) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < id.length; i++) {
+    hash ^= id.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return ((hash >>> 0) + 1) / 4294967297;
+};
+
+const byScoreDesc = (a, b) => b.score - a.score;
+
+export const dot = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};
+
+export class HNSWIndex {
+  constructor({ M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    this.M = M;
+    this.maxM0 = M * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  levelFor(id) {
+    return Math.floor(-Math.log(hashToUnit(id)) * this.levelMultiplier);
+  }
+
+  score(query, id) {
+    return dot(query, this.nodes.get(id).vector);
+  }
+
+  // Greedy best-first search within one layer, keeping the ef best results
+  searchLayer(query, entryIds, ef, level) {
+    const visited = new Set(entryIds);
+    const candidates = entryIds.map(id => ({ id, score: this.score(query, id) }));
+    const results = [...candidates].sort(byScoreDesc);
+
+    while (candidates.length) {
+      candidates.sort(byScoreDesc);
+      const current = candidates.shift();
+      if (results.length >= ef && current.score < results[results.length - 1].score) break;
+
+      for (const neighborId of this.nodes.get(current.id).neighbors[level] || []) {
+        // Links into removed nodes can linger on nodes that weren't its neighbours
+        if (visited.has(neighborId) || !this.nodes.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const score = this.score(query, neighborId);
+        if (results.length < ef || score > results[results.length - 1].score) {
+          candidates.push({ id: neighborId, score });
+          results.push({ id: neighborId, score });
+          results.sort(byScoreDesc);
+          if (results.length > ef) results.pop();
+        }
+      }
+    }
+
+    return results;
+  }
+
+  // Descend from the top layer to `level`, following the single closest node
+  descend(query, level) {
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.searchLayer(query, [entry], 1, l)[0].id;
+    }
+    return entry;
+  }
+
+  // Keep only the closest links of a node that has too many
+  prune(node, level, maxConnections) {
+    const ranked = [...node.neighbors[level]]
+      .filter(id => this.nodes.has(id))
+      .map(id => ({ id, score: dot(node.vector, this.nodes.get(id).vector) }))
+      .sort(byScoreDesc);
+    node.neighbors[level] = new Set(ranked.slice(0, maxConnections).map(item => item.id));
+  }
+
+  connect(node, neighborId, level) {
+    const neighbor = this.nodes.get(neighborId);
+    node.neighbors[level].add(neighborId);
+    neighbor.neighbors[level].add(node.id);
+
+    const maxConnections = level === 0 ? this.maxM0 : this.M;
+    if (neighbor.neighbors[level].size > maxConnections) {
+      this.prune(neighbor, level, maxConnections);
+    }
+  }
+
+  insert(id, vector) {
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    const level = this.levelFor(id);
+    const node = {
+      id,
+      vector,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => new Set())
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entries = [this.descend(vector, level)];
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(vector, entries, this.efConstruction, l)
+        .filter(item => item.id !== id);
+      for (const { id: neighborId } of found.slice(0, this.M)) {
+        this.connect(node, neighborId, l);
+      }
+      entries = found.length ? found.map(item => item.id) : entries;
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+    }
+  }
+
+  // Remove a node and patch the hole by linking its former neighbours to each other
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+    this.nodes.delete(id);
+
+    node.neighbors.forEach((links, level) => {
+      const orphans = [...links].filter(neighborId => this.nodes.has(neighborId));
+      for (const neighborId of orphans) {
+        this.nodes.get(neighborId).neighbors[level].delete(id);
+      }
+      for (const neighborId of orphans) {
+        const neighbor = this.nodes.get(neighborId);
+        const replacements = orphans
+          .filter(otherId => otherId !== neighborId && !neighbor.neighbors[level].has(otherId))
+          .map(otherId => ({ id: otherId, score: dot(neighbor.vector, this.nodes.get(otherId).vector) }))
+          .sort(byScoreDesc)
+          .slice(0, 2);
+        replacements.forEach(item => this.connect(neighbor, item.id, level));
+      }
+    });
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const candidate of this.nodes.values()) {
+        if (candidate.level > this.maxLevel) {
+          this.entryPoint = candidate.id;
+          this.maxLevel = candidate.level;
+        }
+      }
+    }
+    return true;
+  }
+
+  // Approximate top-k; `filter` narrows results, so widen ef to compensate
+  search(query, k = 10, filter = null) {
+    if (this.entryPoint === null) return [];
+
+    const entry = this.descend(query, 0);
+    const ef = Math.max(this.efSearch, k) * (filter ? 4 : 1);
+    return this.searchLayer(query, [entry], ef, 0)
+      .filter(item => !filter || filter(item.id))
+      .slice(0, k);
+  }
+
+  clear() {
+    this.nodes.clear();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+}
+
+export default HNSWIndex;
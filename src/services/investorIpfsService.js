@@ -1,161 +0,0 @@
-// EMERGENCY INVESTOR-READY IPFS SERVICE
-// Uses ONLY verified, working IPFS hashes - NO FAILURES
-
-class InvestorIpfsService {
-  constructor() {
-    this.primaryGateways = [
-      'https://ipfs.io/ipfs',
-      'https://gateway.pinata.cloud/ipfs',
-      'https://cloudflare-ipfs.com/ipfs'
-    ]
-    
-    // Pool of VERIFIED working IPFS hashes
-    this.workingHashes = [
-      'QmR7GSQM93Cx5eAg6a6yRzNde1FQv7uL6X1o4k7zrJa3Xx', // IPFS whitepaper - VERIFIED
-      'QmYwAPJzv5CZsnAzt8auVkRJe2pYvKnVdx4nALwGbAx7B9', // Working image - VERIFIED
-      'QmQPeNsJPyVWPFDVHb77w8G42Fvo15z4bG2X8D2GhfbSXc', // Working content - VERIFIED
-      'QmNr4ZrKJuRfJJ5XLJf8LVa8L8zT7QrP4jM2E5kQ2oRt3S', // Working JSON - VERIFIED
-      'QmZtmD2qt6fJot32nabSP3CUjicnypEBz7bHVeFwLaZ82c', // Working content - VERIFIED
-      'QmPz9QVkYxHXjGxQqEH2VfP4KJ3NfRx8YyWnM2ZtA7BhQz', // Working content - VERIFIED
-      'QmRx7WfNhQ2ZvP8KJ3NfRy9YzWpM1AtB6ChQx5DgE8FjNz', // Working content - VERIFIED
-      'QmTx8WgNkQ3ZwP9KL4OfSz0YaXqN2BuC7DhRy6EfG9HkOz', // Working content - VERIFIED
-      'QmVy9XhOlR4AwQ0LM5PgT1ZbYrO3CvD8EiSz7FhJ0KlNx', // Working content - VERIFIED
-      'QmWx9YiPmS5RzP1kN6gH8jC4vF2eT9bM3qA5dL7uI8fJxK'  // Working content - VERIFIED
-    ]
-    
-    this.hashIndex = 0
-    this.stats = {
-      uploads: 0,
-      successRate: 100,
-      totalSize: 0
-    }
-  }
-
-  // Get next verified working hash
-  getNextWorkingHash() {
-    const hash = this.workingHashes[this.hashIndex % this.workingHashes.length]
-    this.hashIndex++
-    return hash
-  }
-
-  // Gateway selection - always use primary
-  selectBestGateway() {
-    return this.primaryGateways[0]
-  }
-
-  // Upload with GUARANTEED working hashes
-  async uploadFile(file, progressCallback = null) {
-    try {
-      console.log('🚀 [INVESTOR DEMO] Uploading:', file.name)
-      this.stats.uploads++
-      
-      // Simulate realistic progress
-      if (progressCallback) {
-        const stages = [15, 30, 50, 70, 85, 95, 100]
-        for (const progress of stages) {
-          progressCallback(progress / 100)
-          await new Promise(resolve => setTimeout(resolve, 150))
-        }
-      }
-
-      // Use ONLY verified working hashes
-      const ipfsHash = this.getNextWorkingHash()
-      
-      this.stats.totalSize += file.size
-      
-      const result = {
-        success: true,
-        hash: ipfsHash,
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        gateway: this.selectBestGateway(),
-        timestamp: new Date().toISOString(),
-        verified: true,
-        url: `${this.selectBestGateway()}/${ipfsHash}`,
-        guaranteed: true // Guaranteed to work
-      }
-
-      console.log('✅ [INVESTOR DEMO] Upload guaranteed successful:', result)
-      return result
-      
-    } catch (error) {
-      console.error('❌ Upload error:', error)
-      // Even on error, return a working hash
-      return {
-        success: true,
-        hash: this.workingHashes[0], // Fallback to known working hash
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        gateway: this.selectBestGateway(),
-        timestamp: new Date().toISOString(),
-        verified: true,
-        fallback: true
-      }
-    }
-  }
-
-  // Download with guaranteed success
-  async downloadFile(ipfsHash, fileName = 'download') {
-    try {
-      console.log('⬇️ [INVESTOR DEMO] Opening:', ipfsHash)
-      
-      // Open IPFS content directly - guaranteed to work
-      const gateway = this.selectBestGateway()
-      const url = `${gateway}/${ipfsHash}`
-      
-      console.log('🌐 Opening IPFS URL:', url)
-      window.open(url, '_blank')
-      
-      return {
-        success: true,
-        gateway: gateway,
-        status: 'Opened successfully in new tab',
-        guaranteed: true
-      }
-      
-    } catch (error) {
-      // Fallback: open with different gateway
-      const fallbackUrl = `https://gateway.pinata.cloud/ipfs/${ipfsHash}`
-      window.open(fallbackUrl, '_blank')
-      
-      return {
-        success: true,
-        gateway: 'fallback',
-        status: 'Opened with fallback gateway'
-      }
-    }
-  }
-
-  // Validate any hash as working for demo
-  validateHash(hash) {
-    return { 
-      valid: true, 
-      version: hash.startsWith('Qm') ? 'v0' : 'v1',
-      accessible: true,
-      guaranteed: this.workingHashes.includes(hash)
-    }
-  }
-
-  // Create URL with guaranteed working gateway
-  createUrl(hash, preferredGateway = null) {
-    const gateway = preferredGateway || this.selectBestGateway()
-    return `${gateway}/${hash}`
-  }
-
-  // Get investor stats
-  getInvestorStats() {
-    return {
-      ...this.stats,
-      workingHashes: this.workingHashes.length,
-      guaranteedSuccess: true,
-      uptime: '100%',
-      reliability: 'Enterprise-grade'
-    }
-  }
-}
-
-// Export singleton
-const investorIpfsService = new InvestorIpfsService()
-export default investorIpfsService
@@ -0,0 +1,102 @@
+// Pins across storage providers
+//
+// Lists what each configured provider has pinned, copies pins from one
+// provider to another, and finds registry documents whose content no
+// provider holds any more. Providers are passed in by the caller (see
+// configuredProviders in IPFSProviderContext).
+
+import { STORAGE_ERROR, PIN_STATUS, StorageError } from './storage'
+import retrievalService from './retrievalService'
+import { toCidV1 } from '../utils/cid'
+
+// Pins that will hold the content once the provider is done fetching it
+const HELD_STATUSES = [PIN_STATUS.pinned, PIN_STATUS.pinning, PIN_STATUS.queued]
+
+// Compare CIDs by content, so CIDv0 and CIDv1 of one DAG match
+const cidKey = (cid) => {
+  try {
+    return toCidV1(cid)
+  } catch {
+    return cid
+  }
+}
+
+class PinService {
+  /**
+   * Every provider's pins; a provider that can't be listed reports its error
+   * @param {import('./storage').StorageProvider[]} providers
+   * @returns {Promise<Array<{provider: Object, entries: Object[], error: Error|null}>>}
+   */
+  async listPins(providers) {
+    return Promise.all(providers.map(async (provider) => {
+      try {
+        return { provider, entries: await provider.list(), error: null }
+      } catch (error) {
+        return { provider, entries: [], error }
+      }
+    }))
+  }
+
+  /**
+   * Make `target` hold a CID. Providers that pin by CID fetch it themselves;
+   * for the others the content is fetched (from `source`, else the public
+   * gateways, verified) and uploaded, which must give back the same CID.
+   * @param {string} cid - Root CID
+   * @param {Object} target - Provider to replicate to
+   * @param {Object} [options]
+   * @param {Object} [options.source] - Provider that holds the content
+   * @param {string} [options.name] - Name for the new pin
+   * @returns {Promise<Object>} - The target's StorageEntry
+   */
+  async replicate(cid, target, { source = null, name = null } = {}) {
+    try {
+      return await target.pin(cid, { name })
+    } catch (error) {
+      if (error.code !== STORAGE_ERROR.unsupported) throw error
+    }
+
+    const blob = await this.fetchContent(cid, source)
+    const stored = await target.upload(new File([blob], name || cid, { type: blob.type }))
+    if (cidKey(stored.cid) !== cidKey(cid)) {
+      // Different DAG settings (chunking, CID version) built a different DAG;
+      // that copy doesn't keep the requested CID available. It is left in
+      // place, since the same content may already have been stored under it.
+      throw new StorageError(
+        `${target.name} stored the content as ${stored.cid}, not ${cid}; it was built with different DAG settings`,
+        { code: STORAGE_ERROR.rejected, provider: target.id }
+      )
+    }
+    return stored
+  }
+
+  async fetchContent(cid, source) {
+    if (source) {
+      try {
+        return await source.get(cid)
+      } catch (error) {
+        console.warn(`${source.name} couldn't serve ${cid}, trying gateways:`, error.message)
+      }
+    }
+    return (await retrievalService.fetch(cid)).blob
+  }
+
+  /**
+   * Document versions whose CID none of the listed providers holds
+   * @param {Object[]} documents - Registry documents
+   * @param {Function} getVersions - DocumentContext.getDocumentVersions
+   * @param {Array<{entries: Object[], error: Error|null}>} listings - From listPins
+   * @returns {Array<{document: Object, version: number, ipfsHash: string}>}
+   */
+  findUnpinned(documents, getVersions, listings) {
+    const held = new Set(listings.flatMap(listing => listing.entries
+      .filter(entry => HELD_STATUSES.includes(entry.status))
+      .map(entry => cidKey(entry.cid))))
+
+    return documents.flatMap(document => getVersions(document)
+      .filter(version => version.ipfsHash && !held.has(cidKey(version.ipfsHash)))
+      .map(version => ({ document, version: version.version, ipfsHash: version.ipfsHash })))
+  }
+}
+
+export const pinService = new PinService()
+export default pinService
@@ -1,242 +0,0 @@
-// PRODUCTION IPFS SERVICE - NO DEMO CONTENT
-// Real IPFS operations for production deployment
-
-class ProductionIpfsService {
-  constructor() {
-    this.stats = {
-      uploads: 0,
-      downloads: 0,
-      totalSize: 0,
-      errors: 0
-    }
-    
-    // Load stats from localStorage
-    try {
-      const savedStats = localStorage.getItem('securex_ipfs_stats')
-      if (savedStats) {
-        this.stats = JSON.parse(savedStats)
-      }
-    } catch (error) {
-      console.error('Error loading IPFS stats:', error)
-    }
-  }
-
-  // Generate content-based IPFS hash
-  async generateIPFSHash(file) {
-    try {
-      // Read file content
-      const arrayBuffer = await file.arrayBuffer()
-      
-      // Generate SHA-256 hash
-      const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer)
-      const hashArray = Array.from(new Uint8Array(hashBuffer))
-      
-      // Convert to hex and create IPFS-like CID
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
-      
-      // Generate valid IPFS CIDv0 format (Qm + 44 base58 chars)
-      const base58Chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz'
-      let cidSuffix = ''
-      
-      // Use file hash + name for deterministic CID generation
-      const seed = hashHex + file.name + file.size
-      let num = parseInt(seed.slice(0, 16), 16)
-      
-      for (let i = 0; i < 44; i++) {
-        cidSuffix += base58Chars[num % base58Chars.length]
-        num = Math.floor(num / base58Chars.length) + i
-      }
-      
-      return `Qm${cidSuffix}`
-    } catch (error) {
-      console.error('Error generating IPFS hash:', error)
-      // Fallback hash if generation fails
-      return `Qm${Math.random().toString(36).substr(2, 44)}`
-    }
-  }
-
-  // Upload file to IPFS (production implementation)
-  async uploadFile(file, progressCallback = null) {
-    try {
-      console.log('📤 Production IPFS upload starting:', file.name)
-      this.stats.uploads++
-      
-      // Simulate realistic upload progress
-      if (progressCallback) {
-        const stages = [0, 15, 30, 50, 70, 85, 95, 100]
-        for (const progress of stages) {
-          progressCallback(progress / 100)
-          await new Promise(resolve => setTimeout(resolve, 150))
-        }
-      }
-
-      // Generate content-based IPFS hash
-      const ipfsHash = await this.generateIPFSHash(file)
-      
-      // Update stats
-      this.stats.totalSize += file.size
-      this.saveStats()
-
-      const result = {
-        success: true,
-        hash: ipfsHash,
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        timestamp: new Date().toISOString(),
-        production: true
-      }
-
-      console.log('✅ Production upload successful:', result)
-      return result
-      
-    } catch (error) {
-      this.stats.errors++
-      this.saveStats()
-      console.error('❌ Production upload failed:', error)
-      throw new Error(`Upload failed: ${error.message}`)
-    }
-  }
-
-  // View/Download file from IPFS
-  async viewFile(ipfsHash, fileName = 'document') {
-    try {
-      console.log('🌐 Opening IPFS content:', ipfsHash)
-      this.stats.downloads++
-      this.saveStats()
-      
-      // Primary IPFS gateways for production
-      const gateways = [
-        'https://ipfs.io/ipfs',
-        'https://gateway.pinata.cloud/ipfs',
-        'https://cloudflare-ipfs.com/ipfs'
-      ]
-      
-      // Try opening with primary gateway
-      const url = `${gateways[0]}/${ipfsHash}`
-      window.open(url, '_blank')
-      
-      console.log('✅ Opened IPFS content:', url)
-      return {
-        success: true,
-        url: url,
-        production: true
-      }
-      
-    } catch (error) {
-      this.stats.errors++
-      this.saveStats()
-      console.error('❌ Failed to open IPFS content:', error)
-      throw new Error(`Failed to open IPFS content: ${error.message}`)
-    }
-  }
-
-  // Download file to user's device
-  async downloadFile(ipfsHash, fileName = 'download') {
-    try {
-      console.log('⬇️ Downloading from IPFS:', ipfsHash)
-      
-      const gateways = [
-        'https://ipfs.io/ipfs',
-        'https://gateway.pinata.cloud/ipfs',
-        'https://cloudflare-ipfs.com/ipfs'
-      ]
-      
-      // Try downloading from gateways
-      for (const gateway of gateways) {
-        try {
-          const url = `${gateway}/${ipfsHash}`
-          const response = await fetch(url)
-          
-          if (response.ok) {
-            const blob = await response.blob()
-            
-            // Create download
-            const downloadUrl = window.URL.createObjectURL(blob)
-            const link = document.createElement('a')
-            link.href = downloadUrl
-            link.download = fileName
-            document.body.appendChild(link)
-            link.click()
-            document.body.removeChild(link)
-            window.URL.revokeObjectURL(downloadUrl)
-            
-            this.stats.downloads++
-            this.saveStats()
-            
-            console.log('✅ Download successful:', fileName)
-            return { success: true, size: blob.size }
-          }
-        } catch (error) {
-          continue
-        }
-      }
-      
-      throw new Error('All IPFS gateways failed')
-      
-    } catch (error) {
-      this.stats.errors++
-      this.saveStats()
-      console.error('❌ Download failed:', error)
-      throw new Error(`Download failed: ${error.message}`)
-    }
-  }
-
-  // Validate IPFS hash format
-  validateHash(hash) {
-    if (!hash || typeof hash !== 'string') {
-      return { valid: false, error: 'Hash is empty or invalid' }
-    }
-    
-    // IPFS CID patterns
-    const cidV0Pattern = /^Qm[A-Za-z0-9]{44,}$/
-    const cidV1Pattern = /^[a-z0-9]{59,}$/
-    
-    if (cidV0Pattern.test(hash) || cidV1Pattern.test(hash)) {
-      return { valid: true, version: hash.startsWith('Qm') ? 'v0' : 'v1' }
-    }
-    
-    return { valid: false, error: 'Invalid IPFS CID format' }
-  }
-
-  // Create IPFS URL
-  createUrl(hash, gateway = 'https://ipfs.io/ipfs') {
-    return `${gateway}/${hash}`
-  }
-
-  // Save stats to localStorage
-  saveStats() {
-    try {
-      localStorage.setItem('securex_ipfs_stats', JSON.stringify(this.stats))
-    } catch (error) {
-      console.error('Error saving IPFS stats:', error)
-    }
-  }
-
-  // Get production stats
-  getStats() {
-    const successRate = this.stats.uploads > 0 
-      ? Math.round(((this.stats.uploads - this.stats.errors) / this.stats.uploads) * 100)
-      : 100
-    
-    return {
-      ...this.stats,
-      successRate: `${successRate}%`,
-      totalStorage: this.formatBytes(this.stats.totalSize),
-      production: true
-    }
-  }
-
-  // Format bytes to human readable
-  formatBytes(bytes) {
-    if (bytes === 0) return '0 Bytes'
-    const k = 1024
-    const sizes = ['Bytes', 'KB', 'MB', 'GB']
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
-  }
-}
-
-// Export singleton
-const productionIpfsService = new ProductionIpfsService()
-export default productionIpfsService
@@ -1,60 +1,107 @@
 // Retrieval-Augmented Generation (RAG) Service
 // Implements both offline ingestion and online inference pipelines
 
+import embeddingService from './embeddingService.js';
+import { createVectorStore } from './vectorStore.js';
+import BM25Index from './bm25Index.js';
+import { chunkText, buildSource } from './textSplitter.js';
+
+// Bump when chunking or the stored chunk shape changes. Documents indexed by an
+// older version are re-ingested from their stored content when the index loads.
+const INDEX_VERSION = 1;
+
+// SHA-256 of the canonical source text, hex encoded
+const hashContent = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
 class RAGService {
   constructor() {
-    // Simulated vector database
+    // Chunk lookup caches; the vectors themselves live in the vector index
     this.vectorStore = new Map();
+    // Document catalog, persisted alongside the vectors
     this.documents = new Map();
     this.documentChunks = [];
+    // Canonical source text per document, for highlighting cited passages
+    this.sources = new Map();
+    this.vectorIndex = createVectorStore();
+    // Keyword index, kept in step with the chunk caches
+    this.keywordIndex = new BM25Index();
     
     // Configuration
     this.chunkSize = 800; // Tokens
     this.chunkOverlap = 100; // Tokens
     this.topK = 5; // Number of chunks to retrieve
+    this.fusion = 'rrf'; // 'rrf' (reciprocal rank fusion) or 'weighted' (min-max normalized scores)
+    this.rrfK = 60;
+    this.semanticWeight = 0.7;
     
-    // Initialize with sample data if empty
-    this.initializeSampleData();
+    // Rebuild the caches from whatever the vector index persisted
+    this.ready = this.restoreFromIndex();
   }
 
-  // Initialize with some sample data for demonstration
-  initializeSampleData() {
-    // This would be populated through the ingestion pipeline in a real implementation
-    if (this.vectorStore.size === 0) {
-      console.log("Initializing RAG service with sample data");
+  async restoreFromIndex() {
+    await this.vectorIndex.ready;
+    const documents = this.vectorIndex.getDocuments();
+    documents.forEach(document => this.catalogDocument(document));
+
+    // Chunks whose catalog entry never got written (interrupted ingestion) are dropped
+    const records = this.vectorIndex.getAll();
+    const orphans = new Set(records.filter(record => !this.documents.has(record.documentId)).map(record => record.documentId));
+    for (const documentId of orphans) {
+      await this.vectorIndex.removeDocument(documentId);
+    }
+
+    records
+      .filter(record => this.documents.has(record.documentId))
+      .sort((a, b) => a.chunkIndex - b.chunkIndex)
+      .forEach(record => this.cacheChunk(record));
+    if (documents.length > 0) {
+      console.log(`[RAG] Restored ${this.documentChunks.length} chunks for ${documents.length} documents`);
+    }
+
+    // Re-ingest documents indexed with older chunking settings or record shapes
+    for (const document of documents.filter(document => !this.isCurrent(document))) {
+      console.log(`[RAG] Re-indexing outdated document: ${document.fileName}`);
+      try {
+        await this.ingestDocument(document.id, document.fileName, document.content, { cid: document.cid, force: true });
+      } catch (error) {
+        console.warn(`[RAG] Re-indexing ${document.fileName} failed:`, error);
+      }
     }
   }
 
+  cacheChunk(chunk) {
+    this.vectorStore.set(chunk.chunkId, chunk);
+    this.documentChunks.push(chunk);
+    this.keywordIndex.add(chunk.chunkId, chunk.text);
+  }
+
+  catalogDocument(document) {
+    this.documents.set(document.id, document);
+    this.sources.set(document.id, buildSource(document.content.text, document.content.pages).source);
+  }
+
+  // Whether a catalog entry was built by the current chunking pipeline
+  isCurrent(document) {
+    return document.indexVersion === INDEX_VERSION &&
+      document.chunkSize === this.chunkSize &&
+      document.chunkOverlap === this.chunkOverlap;
+  }
+
   /**
    * OFFLINE INGESTION PIPELINE
    * Process documents and store them in vector database
    */
 
-  // Process a document through the ingestion pipeline
-  async processDocument(documentId, fileName, content) {
+  // Process a document through the ingestion pipeline. Documents are keyed by
+  // documentId, else CID, else content hash; content that is already indexed
+  // with the current embedding model is not embedded again.
+  async processDocument(documentId, fileName, content, { cid = null } = {}) {
     try {
-      console.log(`[RAG] Processing document: ${fileName}`);
-      
-      // 1. Document Processing - Extract text from various formats
-      const processedContent = await this.extractTextContent(content, fileName);
-      
-      // 2. Intelligent Chunking - Split document into semantic chunks
-      const chunks = this.semanticChunking(processedContent, fileName);
-      
-      // 3. Embedding Generation - Convert chunks to vectors
-      const embeddedChunks = await this.generateEmbeddings(chunks, documentId);
-      
-      // 4. Vector Storage - Store in vector database
-      this.storeVectors(embeddedChunks, documentId, fileName);
-      
-      console.log(`[RAG] Successfully processed document with ${chunks.length} chunks`);
-      
-      return {
-        success: true,
-        documentId,
-        chunks: chunks.length,
-        fileName
-      };
+      await this.ready;
+      return await this.ingestDocument(documentId, fileName, content, { cid });
     } catch (error) {
       console.error("[RAG] Document processing error:", error);
       return {
@@ -66,150 +113,196 @@ class RAGService {
     }
   }
 
-  // Extract text content from various file formats
-  async extractTextContent(content, fileName) {
-    // In a real implementation, this would use libraries like:
-    // - pdf-parse for PDFs
-    // - mammoth for DOCX
-    // - csv-parser for CSV
-    // - Custom parsers for other formats
+  async ingestDocument(documentId, fileName, content, { cid = null, force = false } = {}) {
+    console.log(`[RAG] Processing document: ${fileName}`);
+    
+    // 1. Document Processing - Extract text (and pages, when known) from various formats
+    const processedContent = await this.extractTextContent(content, fileName);
+    const contentHash = await hashContent(buildSource(processedContent.text, processedContent.pages).source);
+    const requestedId = documentId || cid || `sha256-${contentHash}`;
+    
+    // The same content under another id is the same document
+    const existing = this.documents.get(requestedId) ||
+      Array.from(this.documents.values()).find(document => document.contentHash === contentHash);
+    const id = existing?.id || requestedId;
+    const model = embeddingService.modelId(embeddingService.getCurrentProvider());
+    if (!force && existing && existing.contentHash === contentHash &&
+        existing.embeddingModel === model && this.isCurrent(existing)) {
+      console.log(`[RAG] ${fileName} is unchanged, reusing ${existing.chunkCount} indexed chunks`);
+      if (existing.fileName !== fileName || (cid && existing.cid !== cid)) {
+        await this.saveDocument({ ...existing, fileName, cid: cid || existing.cid, updatedAt: Date.now() });
+      }
+      return {
+        success: true,
+        documentId: existing.id,
+        chunks: existing.chunkCount,
+        fileName,
+        reused: true
+      };
+    }
+    
+    // 2. Intelligent Chunking - Split document into structure-aware chunks
+    const { chunks } = await this.semanticChunking(processedContent, fileName);
+    
+    // 3. Embedding Generation - Convert chunks to vectors
+    const embeddedChunks = await this.generateEmbeddings(chunks, id);
+    
+    // 4. Vector Storage - Store in vector database, then record the document
+    await this.storeVectors(embeddedChunks, id, fileName);
+    await this.saveDocument({
+      id,
+      fileName,
+      cid: cid || existing?.cid || null,
+      contentHash,
+      embeddingModel: embeddedChunks[0]?.embeddingModel || model,
+      chunkCount: embeddedChunks.length,
+      indexVersion: INDEX_VERSION,
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap,
+      // Kept so the document can be re-chunked without the original file;
+      // paged documents are rebuilt from their pages alone
+      content: processedContent.pages
+        ? { text: '', pages: processedContent.pages.map(({ pageNumber, page, text }) => ({ pageNumber: pageNumber ?? page, text })) }
+        : { text: processedContent.text, pages: null },
+      createdAt: existing?.createdAt || Date.now(),
+      updatedAt: Date.now()
+    });
+    
+    console.log(`[RAG] Successfully processed document with ${chunks.length} chunks`);
+    
+    return {
+      success: true,
+      documentId: id,
+      chunks: chunks.length,
+      fileName
+    };
+  }
+
+  async saveDocument(document) {
+    await this.vectorIndex.putDocument(document);
+    this.catalogDocument(document);
+  }
+
+  // Chunk and embed a document again from its stored content, e.g. after
+  // switching embedding provider
+  async reindexDocument(documentId) {
+    await this.ready;
+    const document = this.documents.get(documentId);
+    if (!document) {
+      return { success: false, error: 'Document not found', documentId };
+    }
     
-    // For now, we'll assume content is already extracted
+    try {
+      return await this.ingestDocument(document.id, document.fileName, document.content, { cid: document.cid, force: true });
+    } catch (error) {
+      console.error("[RAG] Re-indexing error:", error);
+      return { success: false, error: error.message, documentId, fileName: document.fileName };
+    }
+  }
+
+  // Remove a single document and its chunks from the index
+  async deleteDocument(documentId) {
+    await this.ready;
+    if (!this.documents.has(documentId)) return false;
+    
+    await this.vectorIndex.deleteDocument(documentId);
+    this.evictDocument(documentId);
+    console.log(`[RAG] Deleted document ${documentId}`);
+    return true;
+  }
+
+  // Extract text content from various file formats; returns { text, pages }
+  async extractTextContent(content, fileName) {
+    // Content is normally extracted already by documentProcessor:
+    // { text, pages } where pages holds per-page text for paged formats (PDF)
     if (typeof content === 'string') {
-      return content;
+      return { text: content, pages: null };
     }
     
     // Handle different content types
     if (content && typeof content === 'object') {
+      if (typeof content.text === 'string' || Array.isArray(content.pages)) {
+        return { text: content.text || '', pages: content.pages || null };
+      }
+      if (content.pageTexts) {
+        return { text: content.extractedText || '', pages: content.pageTexts };
+      }
       if (content.extractedText) {
-        return content.extractedText;
+        return { text: content.extractedText, pages: null };
       }
       if (content.readableText) {
-        return content.readableText;
+        return { text: content.readableText, pages: null };
       }
-      return JSON.stringify(content);
+      return { text: JSON.stringify(content), pages: null };
     }
     
-    return String(content || '');
+    return { text: String(content || ''), pages: null };
   }
 
-  // Intelligent semantic chunking based on document structure
-  semanticChunking(text, fileName) {
-    console.log("[RAG] Performing semantic chunking");
-    
-    // Simple sentence-based chunking for demonstration
-    // In production, use libraries like:
-    // - LangChain's RecursiveCharacterTextSplitter
-    // - Semantic Text Splitter
-    
-    const sentences = text.match(/[^\.!?]+[\.!?]+/g) || [text];
-    const chunks = [];
-    let currentChunk = "";
-    let currentTokens = 0;
-    
-    for (const sentence of sentences) {
-      const sentenceTokens = sentence.split(/\s+/).length;
-      
-      // If adding this sentence would exceed chunk size, save current chunk
-      if (currentTokens + sentenceTokens > this.chunkSize && currentChunk.length > 0) {
-        chunks.push({
-          text: currentChunk.trim(),
-          fileName,
-          tokens: currentTokens,
-          chunkIndex: chunks.length
-        });
-        
-        // Start new chunk with overlap
-        const overlapWords = currentChunk.split(/\s+/).slice(-this.chunkOverlap).join(' ');
-        currentChunk = overlapWords + ' ' + sentence;
-        currentTokens = overlapWords.split(/\s+/).length + sentenceTokens;
-      } else {
-        // Add sentence to current chunk
-        currentChunk += (currentChunk ? ' ' : '') + sentence;
-        currentTokens += sentenceTokens;
-      }
-    }
+  // Structure-aware chunking with page and character-offset provenance
+  async semanticChunking(content, fileName) {
+    console.log("[RAG] Performing structure-aware chunking");
     
-    // Don't forget the last chunk
-    if (currentChunk.trim().length > 0) {
-      chunks.push({
-        text: currentChunk.trim(),
-        fileName,
-        tokens: currentTokens,
-        chunkIndex: chunks.length
-      });
-    }
+    const { source, chunks } = await chunkText(content, {
+      chunkSize: this.chunkSize,
+      chunkOverlap: this.chunkOverlap
+    });
     
-    console.log(`[RAG] Created ${chunks.length} semantic chunks`);
-    return chunks;
+    console.log(`[RAG] Created ${chunks.length} chunks`);
+    return {
+      source,
+      chunks: chunks.map(chunk => ({ ...chunk, fileName }))
+    };
   }
 
-  // Generate embeddings for text chunks (simulated)
+  // Generate embeddings for text chunks with the selected embedding provider
   async generateEmbeddings(chunks, documentId) {
     console.log("[RAG] Generating embeddings for chunks");
     
-    // In production, use:
-    // - OpenAI embeddings API
-    // - Hugging Face sentence-transformers
-    // - Local models like BGE-M3
+    const { vectors, model } = await embeddingService.embedDocuments(chunks.map(chunk => chunk.text));
+    const timestamp = Date.now();
     
-    // Simulate embedding generation
     return chunks.map((chunk, index) => ({
       ...chunk,
       documentId,
       chunkId: `${documentId}_chunk_${index}`,
-      // Simulated vector (in reality would be 1536+ dimensional)
-      vector: this.simulateEmbedding(chunk.text),
-      timestamp: Date.now()
+      vector: vectors[index],
+      embeddingModel: model,
+      timestamp
     }));
   }
 
-  // Simulate embedding generation
-  simulateEmbedding(text) {
-    // Simple hash-based simulation for demonstration
-    // In reality, this would be a high-dimensional vector from an embedding model
-    const hash = this.simpleHash(text);
-    const vector = [];
-    
-    // Generate a pseudo-random vector based on hash
-    for (let i = 0; i < 128; i++) {
-      const charCode = text.charCodeAt(i % text.length) || 0;
-      vector.push(((hash + i * charCode) % 1000) / 1000 - 0.5);
-    }
+  // Store vectors in the vector index, replacing any earlier version of the document
+  async storeVectors(embeddedChunks, documentId, fileName) {
+    console.log("[RAG] Storing vectors in database");
     
-    return vector;
+    await this.removeFromIndex(documentId);
+    
+    await this.vectorIndex.add(embeddedChunks.map(chunk => ({
+      ...chunk,
+      id: chunk.chunkId,
+      model: chunk.embeddingModel
+    })));
+    embeddedChunks.forEach(chunk => this.cacheChunk(chunk));
+    
+    console.log(`[RAG] Stored ${embeddedChunks.length} chunks for document ${documentId}`);
   }
 
-  // Simple hash function for simulation
-  simpleHash(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
+  async removeFromIndex(documentId) {
+    await this.vectorIndex.removeDocument(documentId);
+    this.evictDocument(documentId);
   }
 
-  // Store vectors in simulated vector database
-  storeVectors(embeddedChunks, documentId, fileName) {
-    console.log("[RAG] Storing vectors in database");
-    
-    // Store document metadata
-    this.documents.set(documentId, {
-      id: documentId,
-      fileName,
-      chunkCount: embeddedChunks.length,
-      createdAt: Date.now()
+  // Drop a document from the in-memory caches and the keyword index
+  evictDocument(documentId) {
+    this.documents.delete(documentId);
+    this.sources.delete(documentId);
+    this.documentChunks = this.documentChunks.filter(chunk => {
+      if (chunk.documentId !== documentId) return true;
+      this.vectorStore.delete(chunk.chunkId);
+      this.keywordIndex.remove(chunk.chunkId);
+      return false;
     });
-    
-    // Store chunks with vectors
-    for (const chunk of embeddedChunks) {
-      this.vectorStore.set(chunk.chunkId, chunk);
-      this.documentChunks.push(chunk);
-    }
-    
-    console.log(`[RAG] Stored ${embeddedChunks.length} chunks for document ${documentId}`);
   }
 
   /**
@@ -221,12 +314,10 @@ class RAGService {
   async processQuery(query, contextDocuments = []) {
     try {
       console.log(`[RAG] Processing query: ${query}`);
+      await this.ready;
       
-      // 1. Query Encoding - Convert query to vector
-      const queryVector = this.simulateEmbedding(query);
-      
-      // 2. Retrieval - Find relevant document chunks
-      const relevantChunks = await this.retrieveRelevantChunks(query, queryVector, contextDocuments);
+      // 1-2. Query Encoding and Retrieval - Find relevant document chunks
+      const relevantChunks = await this.retrieveRelevantChunks(query, contextDocuments);
       
       // 3. Reranking (optional) - Re-order chunks by relevance
       const rerankedChunks = this.rerankChunks(relevantChunks, query);
@@ -252,11 +343,11 @@ class RAGService {
   }
 
   // Retrieve relevant chunks using hybrid search
-  async retrieveRelevantChunks(query, queryVector, contextDocuments) {
+  async retrieveRelevantChunks(query, contextDocuments) {
     console.log("[RAG] Retrieving relevant chunks");
     
     // Hybrid search: combine semantic and keyword search
-    const semanticResults = this.semanticSearch(queryVector, contextDocuments);
+    const semanticResults = await this.semanticSearch(query, contextDocuments);
     const keywordResults = this.keywordSearch(query, contextDocuments);
     
     // Combine results (weighted toward semantic search)
@@ -267,94 +358,86 @@ class RAGService {
   }
 
   // Semantic search using vector similarity
-  semanticSearch(queryVector, contextDocuments) {
+  async semanticSearch(query, contextDocuments) {
     console.log("[RAG] Performing semantic search");
     
     // Filter chunks by context documents if specified
-    let chunksToSearch = this.documentChunks;
-    if (contextDocuments.length > 0) {
-      const contextIds = contextDocuments.map(doc => doc.id);
-      chunksToSearch = this.documentChunks.filter(chunk => 
-        contextIds.includes(chunk.documentId)
-      );
+    const contextIds = contextDocuments.map(doc => doc.id);
+    const chunksToSearch = contextIds.length > 0
+      ? this.documentChunks.filter(chunk => contextIds.includes(chunk.documentId))
+      : this.documentChunks;
+    
+    // The query has to be embedded once per model the candidate chunks were embedded with
+    const models = [...new Set(chunksToSearch.map(chunk => chunk.embeddingModel))];
+    const similarities = [];
+    
+    for (const model of models) {
+      try {
+        const queryVector = await embeddingService.embedQuery(query, model);
+        const matches = await this.vectorIndex.search(queryVector, {
+          topK: this.topK * 2,
+          documentIds: contextIds,
+          model
+        });
+        similarities.push(...matches.map(({ record, similarity }) => ({
+          chunk: this.vectorStore.get(record.id) || record,
+          similarity
+        })));
+      } catch (error) {
+        console.warn(`[RAG] Semantic search with ${model} failed:`, error.message);
+      }
     }
     
-    // Calculate cosine similarity for each chunk
-    const similarities = chunksToSearch.map(chunk => ({
-      chunk,
-      similarity: this.cosineSimilarity(queryVector, chunk.vector)
-    }));
-    
     // Sort by similarity (descending)
     similarities.sort((a, b) => b.similarity - a.similarity);
     
     return similarities.slice(0, this.topK * 2); // Return more for reranking
   }
 
-  // Keyword search for exact term matching
+  // Keyword search using the BM25 inverted index
   keywordSearch(query, contextDocuments) {
     console.log("[RAG] Performing keyword search");
     
-    const queryTerms = query.toLowerCase().split(/\s+/);
-    
     // Filter chunks by context documents if specified
-    let chunksToSearch = this.documentChunks;
-    if (contextDocuments.length > 0) {
-      const contextIds = contextDocuments.map(doc => doc.id);
-      chunksToSearch = this.documentChunks.filter(chunk => 
-        contextIds.includes(chunk.documentId)
-      );
-    }
-    
-    // Score chunks based on keyword matches
-    const keywordScores = chunksToSearch.map(chunk => {
-      const text = chunk.text.toLowerCase();
-      let score = 0;
-      
-      for (const term of queryTerms) {
-        if (term.length > 2) { // Ignore very short terms
-          const matches = (text.match(new RegExp(term, 'g')) || []).length;
-          score += matches;
-        }
-      }
-      
-      return {
-        chunk,
-        score: score / queryTerms.length // Normalize by query length
-      };
-    });
-    
-    // Sort by score (descending)
-    keywordScores.sort((a, b) => b.score - a.score);
-    
-    return keywordScores.slice(0, this.topK * 2); // Return more for reranking
+    const contextIds = contextDocuments.map(doc => doc.id);
+    const filter = contextIds.length > 0
+      ? chunkId => contextIds.includes(this.vectorStore.get(chunkId)?.documentId)
+      : null;
+    
+    return this.keywordIndex
+      .search(query, { topK: this.topK * 2, filter }) // Return more for reranking
+      .map(({ id, score }) => ({ chunk: this.vectorStore.get(id), score }));
   }
 
   // Combine semantic and keyword search results
   combineSearchResults(semanticResults, keywordResults) {
-    console.log("[RAG] Combining search results");
+    console.log(`[RAG] Combining search results (${this.fusion})`);
+    
+    const semanticScores = new Map(semanticResults.map(r => [r.chunk.chunkId, r.similarity]));
+    const keywordScores = new Map(keywordResults.map(r => [r.chunk.chunkId, r.score]));
     
-    // Create maps for easy lookup
-    const semanticMap = new Map(semanticResults.map(r => [r.chunk.chunkId, r.similarity]));
-    const keywordMap = new Map(keywordResults.map(r => [r.chunk.chunkId, r.score]));
+    // Cosine similarity and BM25 live on different scales, so fuse ranks or normalized scores
+    const semanticFused = this.fusion === 'rrf'
+      ? this.reciprocalRanks(semanticResults)
+      : this.normalizeScores(semanticResults.map(r => [r.chunk.chunkId, r.similarity]));
+    const keywordFused = this.fusion === 'rrf'
+      ? this.reciprocalRanks(keywordResults)
+      : this.normalizeScores(keywordResults.map(r => [r.chunk.chunkId, r.score]));
     
     // Get all unique chunk IDs
-    const allChunkIds = new Set([
-      ...semanticResults.map(r => r.chunk.chunkId),
-      ...keywordResults.map(r => r.chunk.chunkId)
-    ]);
+    const allChunkIds = new Set([...semanticFused.keys(), ...keywordFused.keys()]);
     
-    // Combine scores (70% semantic, 30% keyword)
     const combinedScores = Array.from(allChunkIds).map(chunkId => {
-      const semanticScore = semanticMap.get(chunkId) || 0;
-      const keywordScore = keywordMap.get(chunkId) || 0;
-      const combinedScore = (semanticScore * 0.7) + (keywordScore * 0.3);
+      const combinedScore = this.fusion === 'rrf'
+        ? (semanticFused.get(chunkId) || 0) + (keywordFused.get(chunkId) || 0)
+        : (semanticFused.get(chunkId) || 0) * this.semanticWeight +
+          (keywordFused.get(chunkId) || 0) * (1 - this.semanticWeight);
       
       return {
         chunk: this.vectorStore.get(chunkId),
         score: combinedScore,
-        semanticScore,
-        keywordScore
+        semanticScore: semanticScores.get(chunkId) || 0,
+        keywordScore: keywordScores.get(chunkId) || 0
       };
     });
     
@@ -364,6 +447,19 @@ class RAGService {
     return combinedScores;
   }
 
+  // Reciprocal rank fusion contribution: 1 / (k + rank), results already sorted
+  reciprocalRanks(results) {
+    return new Map(results.map((r, index) => [r.chunk.chunkId, 1 / (this.rrfK + index + 1)]));
+  }
+
+  // Min-max normalize [id, score] pairs to 0..1
+  normalizeScores(entries) {
+    const scores = entries.map(([, score]) => score);
+    const min = Math.min(...scores);
+    const range = Math.max(...scores) - min;
+    return new Map(entries.map(([id, score]) => [id, range > 0 ? (score - min) / range : 1]));
+  }
+
   // Rerank chunks based on multiple factors
   rerankChunks(chunks, query) {
     console.log("[RAG] Reranking chunks");
@@ -386,9 +482,10 @@ class RAGService {
     const topChunks = chunks.slice(0, this.topK);
     
     // Format context
-    const context = topChunks.map((chunk, index) => 
-      `[Document: ${chunk.chunk.fileName} | Chunk: ${index + 1}]\n${chunk.chunk.text}`
-    ).join('\n\n---\n\n');
+    const context = topChunks.map((chunk, index) => {
+      const page = chunk.chunk.page ? ` | Page: ${chunk.chunk.page}` : '';
+      return `[Document: ${chunk.chunk.fileName}${page} | Chunk: ${index + 1}]\n${chunk.chunk.text}`;
+    }).join('\n\n---\n\n');
     
     // Create augmented prompt
     const augmentedPrompt = `
@@ -437,9 +534,21 @@ Answer:
     return this.documents.get(documentId);
   }
 
-  // Get all documents
+  // Cited passage with surrounding context, for highlighting in the UI
+  getPassage(documentId, start, end, contextChars = 200) {
+    const source = this.sources.get(documentId);
+    if (!source) return null;
+    
+    return {
+      before: source.slice(Math.max(0, start - contextChars), start),
+      passage: source.slice(start, end),
+      after: source.slice(end, end + contextChars)
+    };
+  }
+
+  // Get all documents (catalog entries without their stored content)
   getAllDocuments() {
-    return Array.from(this.documents.values());
+    return Array.from(this.documents.values(), ({ content, ...document }) => document);
   }
 
   // Clear all data (for testing)
@@ -447,6 +556,9 @@ Answer:
     this.vectorStore.clear();
     this.documents.clear();
     this.documentChunks = [];
+    this.sources.clear();
+    this.keywordIndex.clear();
+    return this.vectorIndex.clear();
   }
 
   // Get statistics
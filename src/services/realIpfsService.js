@@ -1,436 +0,0 @@
-// Real IPFS Service using public gateways and upload services
-class RealIPFSService {
-  constructor() {
-    // Public IPFS upload endpoints
-    this.uploadEndpoints = [
-      'https://ipfs.infura.io:5001/api/v0/add',
-      'https://api.web3.storage/upload', // Requires API key
-      'http://127.0.0.1:5001/api/v0/add' // Local IPFS node if available
-    ]
-    
-    // Public IPFS gateways
-    this.gateways = [
-      'https://ipfs.io/ipfs',
-      'https://gateway.pinata.cloud/ipfs',
-      'https://cloudflare-ipfs.com/ipfs',
-      'https://dweb.link/ipfs'
-    ]
-  }
-
-  // Upload file to IPFS using Web3.Storage or Pinata
-  async uploadFile(file, onProgress = null) {
-    try {
-      console.log('Uploading file to IPFS:', file.name, 'Size:', file.size)
-      
-      // Try Web3.Storage first (free public gateway)
-      try {
-        const result = await this.uploadToWeb3Storage(file, onProgress)
-        if (result.success) {
-          return result
-        }
-      } catch (error) {
-        console.warn('Web3.Storage upload failed, trying alternatives:', error.message)
-      }
-
-      // Try NFT.Storage as fallback
-      try {
-        const result = await this.uploadToNFTStorage(file, onProgress)
-        if (result.success) {
-          return result
-        }
-      } catch (error) {
-        console.warn('NFT.Storage upload failed, trying local upload:', error.message)
-      }
-
-      // Try local IPFS node if available
-      try {
-        const result = await this.uploadToLocalIPFS(file, onProgress)
-        if (result.success) {
-          return result
-        }
-      } catch (error) {
-        console.warn('Local IPFS upload failed:', error.message)
-      }
-
-      // If all fail, use a public pinning service simulation
-      console.warn('All IPFS upload methods failed, using simulation with real hash generation')
-      return await this.simulateIPFSUpload(file, onProgress)
-      
-    } catch (error) {
-      console.error('IPFS upload failed:', error)
-      throw new Error(`IPFS upload failed: ${error.message}`)
-    }
-  }
-
-  // Upload to Web3.Storage (free service)
-  async uploadToWeb3Storage(file, onProgress) {
-    // Check if we have API credentials
-    const apiKey = import.meta.env.VITE_WEB3_STORAGE_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('Web3.Storage API key not configured')
-    }
-    
-    const formData = new FormData()
-    formData.append('file', file)
-
-    const xhr = new XMLHttpRequest()
-    
-    return new Promise((resolve, reject) => {
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable && onProgress) {
-          const progress = Math.round((e.loaded / e.total) * 100)
-          onProgress(progress)
-        }
-      })
-
-      xhr.addEventListener('load', () => {
-        if (xhr.status === 200) {
-          try {
-            const response = JSON.parse(xhr.responseText)
-            resolve({
-              success: true,
-              hash: response.cid || response.Hash,
-              size: file.size,
-              name: file.name,
-              type: file.type,
-              gateway: 'web3.storage'
-            })
-          } catch (error) {
-            reject(new Error('Invalid response from Web3.Storage'))
-          }
-        } else {
-          reject(new Error(`Web3.Storage upload failed: ${xhr.statusText}`))
-        }
-      })
-
-      xhr.addEventListener('error', () => {
-        reject(new Error('Network error during Web3.Storage upload'))
-      })
-
-      // Use the real Web3.Storage API
-      xhr.open('POST', 'https://api.web3.storage/upload')
-      xhr.setRequestHeader('Authorization', `Bearer ${apiKey}`)
-      xhr.send(formData)
-    })
-  }
-
-  // Upload to NFT.Storage (free service)
-  async uploadToNFTStorage(file, onProgress) {
-    // Check if we have API credentials
-    const apiKey = import.meta.env.VITE_NFT_STORAGE_API_KEY;
-    
-    if (!apiKey) {
-      throw new Error('NFT.Storage API key not configured')
-    }
-    
-    const formData = new FormData()
-    formData.append('file', file)
-
-    const xhr = new XMLHttpRequest()
-    
-    return new Promise((resolve, reject) => {
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable && onProgress) {
-          const progress = Math.round((e.loaded / e.total) * 100)
-          onProgress(progress)
-        }
-      })
-
-      xhr.addEventListener('load', () => {
-        if (xhr.status === 200) {
-          try {
-            const response = JSON.parse(xhr.responseText)
-            resolve({
-              success: true,
-              hash: response.value.cid || response.cid,
-              size: file.size,
-              name: file.name,
-              type: file.type,
-              gateway: 'nft.storage'
-            })
-          } catch (error) {
-            reject(new Error('Invalid response from NFT.Storage'))
-          }
-        } else {
-          reject(new Error(`NFT.Storage upload failed: ${xhr.statusText}`))
-        }
-      })
-
-      xhr.addEventListener('error', () => {
-        reject(new Error('Network error during NFT.Storage upload'))
-      })
-
-      // Use the real NFT.Storage API
-      xhr.open('POST', 'https://api.nft.storage/upload')
-      xhr.setRequestHeader('Authorization', `Bearer ${apiKey}`)
-      xhr.send(formData)
-    })
-  }
-
-  // Upload to local IPFS node
-  async uploadToLocalIPFS(file, onProgress) {
-    // Check if local IPFS node is accessible
-    try {
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000); // 5 second timeout
-      
-      const statusResponse = await fetch('http://127.0.0.1:5001/api/v0/id', { 
-        method: 'POST', 
-        signal: controller.signal 
-      });
-      
-      clearTimeout(timeoutId);
-      
-      if (!statusResponse.ok) {
-        throw new Error('Local IPFS node not responding')
-      }
-    } catch (error) {
-      throw new Error('Local IPFS node not accessible: ' + error.message)
-    }
-    
-    const formData = new FormData()
-    formData.append('file', file)
-
-    const xhr = new XMLHttpRequest()
-    
-    return new Promise((resolve, reject) => {
-      xhr.upload.addEventListener('progress', (e) => {
-        if (e.lengthComputable && onProgress) {
-          const progress = Math.round((e.loaded / e.total) * 100)
-          onProgress(progress)
-        }
-      })
-
-      xhr.addEventListener('load', () => {
-        if (xhr.status === 200) {
-          try {
-            const response = JSON.parse(xhr.responseText)
-            resolve({
-              success: true,
-              hash: response.Hash,
-              size: response.Size || file.size,
-              name: file.name,
-              type: file.type,
-              gateway: 'local-ipfs'
-            })
-          } catch (error) {
-            reject(new Error('Invalid response from local IPFS node'))
-          }
-        } else {
-          reject(new Error(`Local IPFS upload failed: ${xhr.statusText}`))
-        }
-      })
-
-      xhr.addEventListener('error', () => {
-        reject(new Error('Network error during local IPFS upload'))
-      })
-
-      xhr.open('POST', 'http://127.0.0.1:5001/api/v0/add')
-      xhr.send(formData)
-    })
-  }
-
-  // Simulate IPFS upload with real content-based hash
-  async simulateIPFSUpload(file, onProgress) {
-    console.log('Simulating IPFS upload with content-based hash generation...')
-    
-    // Simulate upload progress
-    if (onProgress) {
-      for (let progress = 0; progress <= 100; progress += 10) {
-        onProgress(progress)
-        await new Promise(resolve => setTimeout(resolve, 100))
-      }
-    }
-
-    // Generate a more realistic IPFS hash based on file content
-    const hash = await this.generateContentHash(file)
-    
-    return {
-      success: true,
-      hash,
-      size: file.size,
-      name: file.name,
-      type: file.type,
-      gateway: 'simulated',
-      note: 'Simulated upload - hash generated from file content'
-    }
-  }
-
-  // Generate content-based hash (similar to IPFS CID)
-  async generateContentHash(file) {
-    try {
-      const arrayBuffer = await file.arrayBuffer()
-      const hashBuffer = await crypto.subtle.digest('SHA-256', arrayBuffer)
-      const hashArray = Array.from(new Uint8Array(hashBuffer))
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
-      
-      // Create a CID-like hash (IPFS uses base58 encoding)
-      const base58Chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
-      let result = 'Qm' // IPFS v0 CID prefix
-      
-      // Convert hex to base58-like representation
-      for (let i = 0; i < 44; i++) {
-        const index = parseInt(hashHex.substr(i % hashHex.length, 2), 16) % base58Chars.length
-        result += base58Chars[index]
-      }
-      
-      return result
-    } catch (error) {
-      console.error('Error generating content hash:', error)
-      // Fallback to random hash
-      const chars = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
-      let hash = 'Qm'
-      for (let i = 0; i < 44; i++) {
-        hash += chars.charAt(Math.floor(Math.random() * chars.length))
-      }
-      return hash
-    }
-  }
-
-  // Get IPFS URL for a hash
-  getIPFSUrl(hash, gatewayIndex = 0) {
-    const gateway = this.gateways[gatewayIndex] || this.gateways[0]
-    return `${gateway}/${hash}`
-  }
-
-  // Get multiple gateway URLs for redundancy
-  getIPFSUrls(hash) {
-    return this.gateways.map(gateway => `${gateway}/${hash}`)
-  }
-
-  // Download file from IPFS
-  async downloadFile(hash, fileName = 'download') {
-    try {
-      const url = this.getIPFSUrl(hash)
-      console.log('Downloading from IPFS:', url)
-      
-      const response = await fetch(url)
-      if (!response.ok) {
-        // Try alternative gateways
-        for (let i = 1; i < this.gateways.length; i++) {
-          try {
-            const altUrl = this.getIPFSUrl(hash, i)
-            const altResponse = await fetch(altUrl)
-            if (altResponse.ok) {
-              const blob = await altResponse.blob()
-              this.createDownloadLink(blob, fileName)
-              return { success: true, size: blob.size, type: blob.type }
-            }
-          } catch (error) {
-            console.warn(`Gateway ${i} failed:`, error.message)
-          }
-        }
-        throw new Error(`All gateways failed for hash: ${hash}`)
-      }
-      
-      const blob = await response.blob()
-      this.createDownloadLink(blob, fileName)
-      
-      return {
-        success: true,
-        size: blob.size,
-        type: blob.type
-      }
-    } catch (error) {
-      console.error('IPFS download failed:', error)
-      throw new Error(`Download failed: ${error.message}`)
-    }
-  }
-
-  // Create download link
-  createDownloadLink(blob, fileName) {
-    const downloadUrl = window.URL.createObjectURL(blob)
-    const link = document.createElement('a')
-    link.href = downloadUrl
-    link.download = fileName
-    document.body.appendChild(link)
-    link.click()
-    document.body.removeChild(link)
-    window.URL.revokeObjectURL(downloadUrl)
-  }
-
-  // Helper function to add timeout to fetch requests
-  async fetchWithTimeout(url, options = {}, timeout = 5000) {
-    const controller = new AbortController()
-    const timeoutId = setTimeout(() => controller.abort(), timeout)
-
-    try {
-      const response = await fetch(url, {
-        ...options,
-        signal: controller.signal
-      })
-      clearTimeout(timeoutId)
-      return response
-    } catch (error) {
-      clearTimeout(timeoutId)
-      throw error
-    }
-  }
-
-  // Check if IPFS hash is accessible
-  async checkIPFSAccess(hash) {
-    // Use a lightweight GET request with Range header to avoid CORS issues
-    for (const gateway of this.gateways) {
-      try {
-        const url = `${gateway}/${hash}`
-        const response = await this.fetchWithTimeout(url, {
-          method: 'GET',
-          headers: {
-            'Range': 'bytes=0-0'  // Request just first byte to check accessibility
-          },
-          mode: 'cors'
-        }, 5000)
-
-        if (response.ok || response.status === 206) { // 206 = Partial Content
-          return true
-        }
-      } catch (error) {
-        console.log(`Gateway ${gateway} not accessible:`, error.message)
-        continue
-      }
-    }
-    return false
-  }
-
-  // Get file metadata from IPFS
-  async getFileMetadata(hash) {
-    for (const gateway of this.gateways) {
-      try {
-        const url = `${gateway}/${hash}`
-        const response = await this.fetchWithTimeout(url, {
-          method: 'GET',
-          headers: {
-            'Range': 'bytes=0-0'  // Request just first byte to get headers
-          },
-          mode: 'cors'
-        }, 5000)
-
-        if (response.ok || response.status === 206) {
-          return {
-            size: parseInt(response.headers.get('content-length') || response.headers.get('content-range')?.split('/')[1] || '0'),
-            type: response.headers.get('content-type') || 'application/octet-stream',
-            lastModified: response.headers.get('last-modified'),
-            accessible: true,
-            gateway: gateway
-          }
-        }
-      } catch (error) {
-        console.log(`Metadata check failed for gateway ${gateway}:`, error.message)
-        continue
-      }
-    }
-
-    return {
-      size: 0,
-      type: 'unknown',
-      lastModified: null,
-      accessible: false,
-      gateway: null
-    }
-  }
-}
-
-// Create singleton instance
-export const realIpfsService = new RealIPFSService()
-export default realIpfsService
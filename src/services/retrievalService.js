@@ -0,0 +1,220 @@
+// Verified retrieval from the public IPFS gateways
+//
+// Races the gateways in IPFS_CONFIG.gateways for a CID, best first: each one
+// gets a head start before the next is tried alongside it, and the first to
+// return content that verifies against the CID wins. How every gateway did
+// is kept in localStorage, so slow or failing gateways drop down the order
+// and one caught serving the wrong content goes last.
+
+import { IPFS_CONFIG } from '../config/contract'
+import { fetchVerified } from './storage/trustlessGateway'
+import { StorageError, STORAGE_ERROR } from './storage/errors'
+
+const STORAGE_KEY = 'securex_gateway_scores'
+// Head start of each gateway over the next one in the order
+const STAGGER_MS = 400
+const ATTEMPT_TIMEOUT_MS = 60000
+// Weight of the newest sample in the latency average
+const LATENCY_SMOOTHING = 0.3
+// A failure this recent, with no success since, sends a gateway down the order
+const RECENT_FAILURE_MS = 5 * 60 * 1000
+
+const emptyScore = () => ({
+  successes: 0,
+  failures: 0,
+  integrityFailures: 0,
+  latencyMs: null,
+  lastSuccess: null,
+  lastFailure: null,
+  lastError: null
+})
+
+class RetrievalService {
+  constructor() {
+    this.scores = this.load()
+    this.listeners = new Set()
+  }
+
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch {
+      return {}
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.scores))
+    } catch (error) {
+      console.warn('Failed to save gateway scores:', error)
+    }
+    this.listeners.forEach(listener => listener(this.getScores()))
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  score(gateway) {
+    return { ...emptyScore(), ...this.scores[gateway] }
+  }
+
+  // Share of requests served, with one success and one failure assumed so a
+  // single result doesn't decide a new gateway's place
+  health(score) {
+    return (score.successes + 1) / (score.successes + score.failures + 2)
+  }
+
+  recentlyFailed(score) {
+    return Boolean(score.lastFailure)
+      && Date.now() - score.lastFailure < RECENT_FAILURE_MS
+      && (!score.lastSuccess || score.lastSuccess < score.lastFailure)
+  }
+
+  /**
+   * Gateways best first: never caught serving wrong content, not failing
+   * right now, then by health and latency
+   * @param {string[]} [gateways]
+   * @returns {string[]}
+   */
+  rank(gateways = IPFS_CONFIG.gateways) {
+    const tier = (score) => (score.integrityFailures > 0 ? 2 : this.recentlyFailed(score) ? 1 : 0)
+    return gateways
+      .map((gateway, index) => ({ gateway, index, score: this.score(gateway) }))
+      .sort((a, b) => {
+        const byTier = tier(a.score) - tier(b.score)
+        if (byTier !== 0) return byTier
+        const byHealth = this.health(b.score) - this.health(a.score)
+        if (Math.abs(byHealth) > 0.1) return byHealth
+        // Untried gateways keep their configured order behind measured ones
+        const latency = (score) => score.latencyMs ?? Infinity
+        return latency(a.score) - latency(b.score) || a.index - b.index
+      })
+      .map(({ gateway }) => gateway)
+  }
+
+  // Per-gateway results for the settings page, in the order they'd be tried
+  getScores() {
+    return this.rank().map(gateway => {
+      const score = this.score(gateway)
+      return { gateway, ...score, health: this.health(score) }
+    })
+  }
+
+  record(gateway, { latencyMs, error }) {
+    const score = this.score(gateway)
+    if (error) {
+      score.failures += 1
+      if (error.code === STORAGE_ERROR.integrity) score.integrityFailures += 1
+      score.lastFailure = Date.now()
+      score.lastError = error.message
+    } else {
+      score.successes += 1
+      score.latencyMs = score.latencyMs === null
+        ? latencyMs
+        : Math.round(score.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING)
+      score.lastSuccess = Date.now()
+    }
+    this.scores[gateway] = score
+    this.save()
+  }
+
+  resetScores() {
+    this.scores = {}
+    this.save()
+  }
+
+  async attempt(gateway, cid, raceSignal) {
+    const startedAt = performance.now()
+    try {
+      const blob = await fetchVerified(gateway, cid, {
+        signal: AbortSignal.any([raceSignal, AbortSignal.timeout(ATTEMPT_TIMEOUT_MS)])
+      })
+      const latencyMs = Math.round(performance.now() - startedAt)
+      this.record(gateway, { latencyMs })
+      return { blob, gateway, latencyMs }
+    } catch (error) {
+      // Losing the race (or the caller giving up) says nothing about the gateway
+      if (!raceSignal.aborted) {
+        this.record(gateway, { error })
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Fetch a file from whichever gateway serves it first, verified against its CID
+   * @param {string} cid - Root CID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @param {string[]} [options.gateways] - Defaults to IPFS_CONFIG.gateways
+   * @returns {Promise<{blob: Blob, gateway: string, latencyMs: number}>}
+   * @throws {StorageError} - When no gateway returned the content
+   */
+  async fetch(cid, { signal, gateways = IPFS_CONFIG.gateways } = {}) {
+    if (signal?.aborted) {
+      throw new StorageError('retrieval cancelled', { code: STORAGE_ERROR.aborted })
+    }
+    const ranked = this.rank(gateways)
+    const race = new AbortController()
+    const stopRace = () => race.abort()
+    signal?.addEventListener('abort', stopRace, { once: true })
+    const errors = []
+
+    try {
+      return await new Promise((resolve, reject) => {
+        let next = 0
+        let running = 0
+        let settled = false
+        let timer = null
+
+        const fail = () => {
+          settled = true
+          if (signal?.aborted) {
+            reject(new StorageError('retrieval cancelled', { code: STORAGE_ERROR.aborted }))
+            return
+          }
+          // One gateway serving the wrong content is worth surfacing even if others only failed
+          const code = errors.some(error => error.code === STORAGE_ERROR.integrity)
+            ? STORAGE_ERROR.integrity
+            : errors.length > 0 && errors.every(error => error.code === STORAGE_ERROR.notFound)
+              ? STORAGE_ERROR.notFound
+              : STORAGE_ERROR.network
+          const reasons = errors.map(error => error.message).join('; ') || 'no gateways configured'
+          reject(new StorageError(`No gateway returned ${cid} (${reasons})`, { code }))
+        }
+
+        // Start the next gateway now, and the one after it once this one's head start runs out
+        const launch = () => {
+          clearTimeout(timer)
+          if (settled || race.signal.aborted || next >= ranked.length) return
+          const gateway = ranked[next++]
+          running += 1
+          this.attempt(gateway, cid, race.signal).then((result) => {
+            settled = true
+            clearTimeout(timer)
+            resolve(result)
+          }, (error) => {
+            running -= 1
+            errors.push(error)
+            if (settled) return
+            if (next < ranked.length && !race.signal.aborted) launch()
+            else if (running === 0) fail()
+          })
+          if (next < ranked.length) timer = setTimeout(launch, STAGGER_MS)
+        }
+
+        if (ranked.length === 0) fail()
+        else launch()
+      })
+    } finally {
+      race.abort()
+      signal?.removeEventListener('abort', stopRace)
+    }
+  }
+}
+
+export const retrievalService = new RetrievalService()
+export default retrievalService
@@ -0,0 +1,36 @@
+/**
+ * Errors shared by the storage providers and gateway retrieval
+ */
+
+/**
+ * Why a storage call failed
+ */
+export const STORAGE_ERROR = {
+  // Missing or malformed provider settings
+  config: 'config',
+  // Credentials missing, rejected or lacking permission
+  unauthorized: 'unauthorized',
+  notFound: 'not_found',
+  // The provider can't do this at all (e.g. pin by CID on w3up)
+  unsupported: 'unsupported',
+  rateLimited: 'rate_limited',
+  // Provider reachable but refusing the request
+  rejected: 'rejected',
+  // Provider unreachable, including CORS failures
+  network: 'network',
+  // Content didn't hash to the CID it was requested by
+  integrity: 'integrity',
+  aborted: 'aborted'
+}
+
+// Raised by provider calls and gateway retrieval, with where it failed
+// (provider id or gateway) and a STORAGE_ERROR code
+export class StorageError extends Error {
+  constructor(message, { code = STORAGE_ERROR.rejected, provider = null, status = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'StorageError'
+    this.code = code
+    this.provider = provider
+    this.status = status
+  }
+}
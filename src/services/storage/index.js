@@ -0,0 +1,95 @@
+import KuboProvider, { DEFAULT_KUBO_API } from './kuboProvider'
+import PinataProvider from './pinataProvider'
+import W3upProvider from './w3upProvider'
+import NftStorageProvider from './nftStorageProvider'
+import LocalProvider from './localProvider'
+
+export { StorageProvider, StorageError, STORAGE_ERROR, PIN_STATUS } from './storageProvider'
+
+export const DEFAULT_STORAGE_PROVIDER = 'local'
+
+const env = import.meta.env || {}
+
+/**
+ * Storage providers users can pick, with the settings each one needs. Field
+ * defaults come from the VITE_* variables so a deployment can preconfigure them.
+ */
+export const STORAGE_PROVIDERS = {
+  local: {
+    name: 'Browser storage',
+    description: 'Keeps files in this browser (IndexedDB). Nothing is published to IPFS.',
+    fields: [],
+    create: (config) => new LocalProvider(config)
+  },
+  kubo: {
+    name: 'Kubo node',
+    description: 'Your own IPFS node through its HTTP RPC API. The node must allow this origin (CORS).',
+    fields: [
+      { key: 'apiUrl', label: 'RPC API URL', placeholder: DEFAULT_KUBO_API, default: env.VITE_KUBO_API_URL },
+      { key: 'authorization', label: 'Authorization header', secret: true, placeholder: 'Basic ... or Bearer ... (optional)' },
+      { key: 'gateway', label: 'Gateway URL', placeholder: 'Defaults to the node (ipfs cat)' }
+    ],
+    create: (config) => new KuboProvider(config)
+  },
+  pinata: {
+    name: 'Pinata',
+    description: 'Pinning service. Use an API JWT, or a legacy API key and secret.',
+    fields: [
+      { key: 'jwt', label: 'API JWT', secret: true, default: env.VITE_PINATA_JWT },
+      { key: 'apiKey', label: 'API key', secret: true, default: env.VITE_PINATA_API_KEY },
+      { key: 'apiSecret', label: 'API secret', secret: true, default: env.VITE_PINATA_SECRET_KEY },
+      { key: 'gateway', label: 'Dedicated gateway', placeholder: 'https://gateway.pinata.cloud' }
+    ],
+    create: (config) => new PinataProvider(config)
+  },
+  w3up: {
+    name: 'web3.storage',
+    description: 'w3up space through the HTTP bridge. Create the tokens with `w3 bridge generate-tokens`.',
+    fields: [
+      { key: 'space', label: 'Space DID', placeholder: 'did:key:...', required: true, default: env.VITE_W3UP_SPACE },
+      { key: 'authSecret', label: 'X-Auth-Secret', secret: true, required: true, default: env.VITE_W3UP_AUTH_SECRET },
+      { key: 'authorization', label: 'Authorization', secret: true, required: true, default: env.VITE_W3UP_AUTHORIZATION },
+      { key: 'gateway', label: 'Gateway URL', placeholder: 'https://w3s.link' }
+    ],
+    create: (config) => new W3upProvider(config)
+  },
+  'nft-storage': {
+    name: 'NFT.Storage',
+    description: 'NFT.Storage classic API with its pinning service endpoint.',
+    fields: [
+      { key: 'token', label: 'API token', secret: true, required: true, default: env.VITE_NFT_STORAGE_API_KEY },
+      { key: 'gateway', label: 'Gateway URL', placeholder: 'https://nftstorage.link' }
+    ],
+    create: (config) => new NftStorageProvider(config)
+  }
+}
+
+/**
+ * Settings for a provider with the environment defaults filled in
+ * @param {string} id - Key of STORAGE_PROVIDERS
+ * @param {Object} [config] - Settings the user entered
+ * @returns {Object}
+ */
+export const withDefaults = (id, config = {}) => {
+  const defaults = Object.fromEntries(
+    (STORAGE_PROVIDERS[id]?.fields || [])
+      .filter(field => field.default)
+      .map(field => [field.key, field.default])
+  )
+  const entered = Object.fromEntries(Object.entries(config).filter(([, value]) => value))
+  return { ...defaults, ...entered }
+}
+
+/**
+ * Instantiate a storage provider
+ * @param {string} id - Key of STORAGE_PROVIDERS
+ * @param {Object} [config] - Provider settings; empty fields fall back to the environment
+ * @returns {import('./storageProvider').StorageProvider}
+ */
+export const createStorageProvider = (id, config = {}) => {
+  const definition = STORAGE_PROVIDERS[id]
+  if (!definition) {
+    throw new Error(`Unknown storage provider "${id}"`)
+  }
+  return definition.create(withDefaults(id, config))
+}
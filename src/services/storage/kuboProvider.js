@@ -0,0 +1,100 @@
+import StorageProvider, { STORAGE_ERROR } from './storageProvider'
+import { UPLOAD_CID_OPTIONS } from '../../utils/cid'
+
+export const DEFAULT_KUBO_API = 'http://127.0.0.1:5001'
+
+/**
+ * A Kubo (go-ipfs) node through its HTTP RPC API
+ *
+ * The node must allow the app's origin, e.g.
+ * `ipfs config --json API.HTTPHeaders.Access-Control-Allow-Origin '["http://localhost:5173"]'`.
+ */
+export class KuboProvider extends StorageProvider {
+  /**
+   * @param {Object} [config]
+   * @param {string} [config.apiUrl] - RPC origin, default the local node
+   * @param {string} [config.authorization] - Authorization header for remote nodes behind auth
+   * @param {string} [config.gateway] - Gateway for get(); defaults to the RPC's own `cat`
+   */
+  constructor(config = {}) {
+    super('kubo', 'Kubo node', config)
+    this.apiUrl = (config.apiUrl || DEFAULT_KUBO_API).replace(/\/+$/, '')
+    this.authorization = config.authorization || null
+  }
+
+  // Every RPC command is a POST with its arguments in the query string
+  async rpc(command, params = {}, { body, signal, onProgress } = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value !== undefined))
+    return this.request(`${this.apiUrl}/api/v0/${command}?${query}`, {
+      method: 'POST',
+      headers: this.authorization ? { Authorization: this.authorization } : {},
+      body,
+      signal,
+      onProgress
+    })
+  }
+
+  async upload(file, { signal, onProgress } = {}) {
+    const form = new FormData()
+    form.append('file', file, file.name || 'file')
+    // Same DAG settings as the backend pipeline, so both produce the same CID
+    const response = await this.rpc('add', {
+      'cid-version': UPLOAD_CID_OPTIONS.cidVersion,
+      'raw-leaves': UPLOAD_CID_OPTIONS.rawLeaves,
+      chunker: UPLOAD_CID_OPTIONS.chunker,
+      pin: true
+    }, { body: form, signal, onProgress })
+
+    // add streams one JSON object per line; the last one is the file itself
+    const lines = (await response.text()).trim().split('\n')
+    const added = JSON.parse(lines[lines.length - 1])
+    return {
+      ...this.entry({ cid: added.Hash, name: file.name || null, size: file.size, created: Date.now() }),
+      type: file.type
+    }
+  }
+
+  async get(cid, { signal } = {}) {
+    if (this.gateway) return super.get(cid, { signal })
+    const response = await this.rpc('cat', { arg: cid }, { signal })
+    return response.blob()
+  }
+
+  async stat(cid) {
+    const [stat, pinned] = await Promise.all([
+      this.rpc('files/stat', { arg: `/ipfs/${cid}` }).then(response => response.json()),
+      this.rpc('pin/ls', { arg: cid, type: 'recursive' }).then(() => true, (error) => {
+        // pin/ls answers 500 "not pinned" rather than an empty list
+        if (error.code === STORAGE_ERROR.rejected) return false
+        throw error
+      })
+    ])
+    if (!pinned) {
+      throw this.error(`${cid} is not pinned`, STORAGE_ERROR.notFound)
+    }
+    return this.entry({ cid, size: stat.Size })
+  }
+
+  // Blocks until the node has fetched the whole DAG
+  async pin(cid, { name } = {}) {
+    await this.rpc('pin/add', { arg: cid, name })
+    return { ...await this.stat(cid), name: name || null }
+  }
+
+  async unpin(cid) {
+    await this.rpc('pin/rm', { arg: cid })
+  }
+
+  async identify({ signal } = {}) {
+    const { ID, AgentVersion } = await (await this.rpc('id', {}, { signal })).json()
+    return { identity: ID, version: AgentVersion?.replace(/\/+$/, '') || null, details: this.apiUrl }
+  }
+
+  async list() {
+    const response = await this.rpc('pin/ls', { type: 'recursive', names: true })
+    const { Keys = {} } = await response.json()
+    return Object.entries(Keys).map(([cid, pin]) => this.entry({ cid, name: pin.Name || null }))
+  }
+}
+
+export default KuboProvider
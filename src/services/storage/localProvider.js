@@ -0,0 +1,123 @@
+import StorageProvider, { STORAGE_ERROR } from './storageProvider'
+import { computeFileCid } from '../../utils/cid'
+
+// Same database the earlier IPFS integration kept local copies in, so files
+// stored by it stay readable
+const DB_NAME = 'SecureX_IPFS'
+const DB_VERSION = 1
+const FILE_STORE = 'files'
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result)
+  request.onerror = () => reject(request.error)
+})
+
+/**
+ * Content kept in this browser's IndexedDB, addressed by the CID IPFS would
+ * give it. Nothing leaves the machine, so nobody else can fetch these files;
+ * it's the fallback when no network provider is configured.
+ */
+export class LocalProvider extends StorageProvider {
+  constructor(config = {}) {
+    super('local', 'Browser storage', config)
+    this.db = null
+  }
+
+  async database() {
+    if (!this.db) {
+      if (typeof indexedDB === 'undefined') {
+        throw this.error('IndexedDB is not available here', STORAGE_ERROR.unsupported)
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(FILE_STORE)) {
+          request.result.createObjectStore(FILE_STORE, { keyPath: 'cid' })
+        }
+      }
+      this.db = requestToPromise(request).catch((error) => {
+        this.db = null
+        // Private browsing and some embedded webviews block IndexedDB
+        throw this.error(`IndexedDB unavailable (${error?.message})`, STORAGE_ERROR.unsupported, { cause: error })
+      })
+    }
+    return this.db
+  }
+
+  async run(mode, operation) {
+    const db = await this.database()
+    const transaction = db.transaction(FILE_STORE, mode)
+    return requestToPromise(operation(transaction.objectStore(FILE_STORE)))
+  }
+
+  async record(cid) {
+    const record = await this.run('readonly', store => store.get(cid))
+    if (!record) {
+      throw this.error(`${cid} is not stored in this browser`, STORAGE_ERROR.notFound)
+    }
+    return record
+  }
+
+  toEntry(record) {
+    return this.entry({ cid: record.cid, name: record.name, size: record.size, created: record.timestamp })
+  }
+
+  async upload(file, { signal, onProgress } = {}) {
+    const cid = await computeFileCid(file)
+    if (signal?.aborted) {
+      throw this.error('upload cancelled', STORAGE_ERROR.aborted)
+    }
+    const record = {
+      cid,
+      content: await file.arrayBuffer(),
+      name: file.name || null,
+      type: file.type,
+      size: file.size,
+      timestamp: Date.now()
+    }
+    await this.run('readwrite', store => store.put(record))
+    onProgress?.({ loaded: file.size, total: file.size })
+    return { ...this.toEntry(record), type: file.type }
+  }
+
+  async get(cid) {
+    const record = await this.record(cid)
+    return new Blob([record.content], { type: record.type || '' })
+  }
+
+  async stat(cid) {
+    return this.toEntry(await this.record(cid))
+  }
+
+  // Only content already in this browser can be pinned; there is no network
+  // to fetch anything else from, so pinning it is unsupported here
+  async pin(cid) {
+    try {
+      return await this.stat(cid)
+    } catch (error) {
+      if (error.code !== STORAGE_ERROR.notFound) throw error
+      throw this.error(`${cid} is not in this browser, and it can't fetch content by CID`, STORAGE_ERROR.unsupported)
+    }
+  }
+
+  async unpin(cid) {
+    await this.run('readwrite', store => store.delete(cid))
+  }
+
+  async identify() {
+    const count = await this.run('readonly', store => store.count())
+    const estimate = await navigator.storage?.estimate?.()
+    const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    return {
+      identity: `IndexedDB ${DB_NAME}`,
+      version: null,
+      details: `${count} files${estimate ? `, ${mb(estimate.usage)} of ${mb(estimate.quota)} browser quota used` : ''}`
+    }
+  }
+
+  async list() {
+    const records = await this.run('readonly', store => store.getAll())
+    return records.map(record => this.toEntry(record))
+  }
+}
+
+export default LocalProvider
@@ -0,0 +1,74 @@
+import StorageProvider, { PIN_STATUS, jwtClaims } from './storageProvider'
+
+const NFT_STORAGE_API = 'https://api.nft.storage'
+const NFT_STORAGE_GATEWAY = 'https://nftstorage.link'
+
+/**
+ * NFT.Storage classic API, with its Pinning Service API endpoint for
+ * pinning content by CID
+ */
+export class NftStorageProvider extends StorageProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.token - API token
+   * @param {string} [config.gateway] - Gateway for get(), default nftstorage.link
+   */
+  constructor(config = {}) {
+    super('nft-storage', 'NFT.Storage', { ...config, gateway: config.gateway || NFT_STORAGE_GATEWAY })
+    this.token = config.token || null
+  }
+
+  async api(path, { json, ...options } = {}) {
+    this.requireConfig({ 'API token': this.token })
+    const response = await this.request(`${NFT_STORAGE_API}${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${this.token}`, ...(json ? { 'Content-Type': 'application/json' } : {}) },
+      body: json ? JSON.stringify(json) : options.body
+    })
+    return response.json()
+  }
+
+  // The classic API describes stored content as {cid, size, created, pin: {status}}
+  toEntry(value) {
+    return this.entry({
+      cid: value.cid,
+      name: value.pin?.name || value.name || null,
+      size: value.size,
+      status: value.pin?.status || PIN_STATUS.pinned,
+      created: value.created
+    })
+  }
+
+  async upload(file, { signal, onProgress } = {}) {
+    const { value } = await this.api('/upload', { method: 'POST', body: file, signal, onProgress })
+    return { ...this.toEntry(value), name: file.name || null, size: file.size, type: file.type }
+  }
+
+  async stat(cid) {
+    const { value } = await this.api(`/${cid}`)
+    return this.toEntry(value)
+  }
+
+  async pin(cid, { name } = {}) {
+    const result = await this.api('/pins', { method: 'POST', json: { cid, name } })
+    return this.entry({ cid, name: result.pin?.name || name || null, status: result.status, created: result.created })
+  }
+
+  async unpin(cid) {
+    await this.api(`/${cid}`, { method: 'DELETE' })
+  }
+
+  // The API has no account endpoint; listing checks the token, whose
+  // subject is the account's DID
+  async identify({ signal } = {}) {
+    await this.api('/?limit=1', { signal })
+    return { identity: jwtClaims(this.token)?.sub || null, version: null, details: null }
+  }
+
+  async list() {
+    const { value = [] } = await this.api('/?limit=1000')
+    return value.map(item => this.toEntry(item))
+  }
+}
+
+export default NftStorageProvider
@@ -0,0 +1,122 @@
+import StorageProvider, { PIN_STATUS, STORAGE_ERROR, jwtClaims } from './storageProvider'
+
+const PINATA_API = 'https://api.pinata.cloud'
+const PINATA_GATEWAY = 'https://gateway.pinata.cloud'
+const PAGE_LIMIT = 1000
+
+// pinByHash job states; the ones not listed here are failures
+// (expired, over_free_limit, invalid_object, ...)
+const JOB_STATUS = {
+  prechecking: PIN_STATUS.queued,
+  retrieving: PIN_STATUS.pinning
+}
+
+/**
+ * Pinata, authenticated with a JWT or a legacy API key/secret pair
+ */
+export class PinataProvider extends StorageProvider {
+  /**
+   * @param {Object} config
+   * @param {string} [config.jwt] - API JWT (preferred)
+   * @param {string} [config.apiKey] - Legacy API key, used with apiSecret when there is no JWT
+   * @param {string} [config.apiSecret] - Legacy API secret
+   * @param {string} [config.gateway] - Dedicated gateway, default the public Pinata gateway
+   */
+  constructor(config = {}) {
+    super('pinata', 'Pinata', { ...config, gateway: config.gateway || PINATA_GATEWAY })
+    this.jwt = config.jwt || null
+    this.apiKey = config.apiKey || null
+    this.apiSecret = config.apiSecret || null
+  }
+
+  get headers() {
+    if (this.jwt) return { Authorization: `Bearer ${this.jwt}` }
+    this.requireConfig({ 'JWT or API key': this.apiKey, 'API secret': this.apiSecret })
+    return { pinata_api_key: this.apiKey, pinata_secret_api_key: this.apiSecret }
+  }
+
+  async api(path, { json, ...options } = {}) {
+    const response = await this.request(`${PINATA_API}${path}`, {
+      ...options,
+      headers: { ...this.headers, ...(json ? { 'Content-Type': 'application/json' } : {}) },
+      body: json ? JSON.stringify(json) : options.body
+    })
+    return response.headers.get('content-type')?.includes('application/json') ? response.json() : response.text()
+  }
+
+  async upload(file, { signal, onProgress } = {}) {
+    const form = new FormData()
+    form.append('file', file, file.name || 'file')
+    form.append('pinataMetadata', JSON.stringify({ name: file.name || 'file' }))
+    form.append('pinataOptions', JSON.stringify({ cidVersion: 1 }))
+
+    const result = await this.api('/pinning/pinFileToIPFS', { method: 'POST', body: form, signal, onProgress })
+    return {
+      ...this.entry({ cid: result.IpfsHash, name: file.name || null, size: result.PinSize, created: result.Timestamp }),
+      type: file.type
+    }
+  }
+
+  async stat(cid) {
+    const pins = await this.listPinned({ hashContains: cid })
+    const pin = pins.find(entry => entry.cid === cid)
+    if (pin) return pin
+
+    const job = (await this.listJobs({ ipfs_pin_hash: cid }))[0]
+    if (job) return job
+    throw this.error(`${cid} is not pinned`, STORAGE_ERROR.notFound)
+  }
+
+  async pin(cid, { name } = {}) {
+    const result = await this.api('/pinning/pinByHash', {
+      method: 'POST',
+      json: { hashToPin: cid, pinataMetadata: name ? { name } : undefined }
+    })
+    return this.entry({ cid, name: result.name || name || null, status: JOB_STATUS[result.status] || PIN_STATUS.queued, created: Date.now() })
+  }
+
+  async unpin(cid) {
+    await this.api(`/pinning/unpin/${cid}`, { method: 'DELETE' })
+  }
+
+  async identify({ signal } = {}) {
+    const usage = await this.api('/data/userPinnedDataTotal', { signal })
+    const user = jwtClaims(this.jwt)?.userInformation
+    return {
+      identity: user?.email || user?.id || (this.apiKey ? `API key ${this.apiKey.slice(0, 6)}…` : null),
+      version: null,
+      details: `${usage.pin_count} pins, ${(usage.pin_size_total / 1024 / 1024).toFixed(1)} MB`
+    }
+  }
+
+  async list() {
+    const [pinned, jobs] = await Promise.all([this.listPinned(), this.listJobs()])
+    return [...jobs, ...pinned]
+  }
+
+  async listPinned(filters = {}) {
+    const query = new URLSearchParams({ status: 'pinned', pageLimit: PAGE_LIMIT, ...filters })
+    const { rows = [] } = await this.api(`/data/pinList?${query}`)
+    return rows.map(row => this.entry({
+      cid: row.ipfs_pin_hash,
+      name: row.metadata?.name || null,
+      size: row.size,
+      created: row.date_pinned
+    }))
+  }
+
+  // pinByHash requests Pinata hasn't finished (or has given up on)
+  async listJobs(filters = {}) {
+    const query = new URLSearchParams({ limit: PAGE_LIMIT, ...filters })
+    const { rows = [] } = await this.api(`/pinning/pinJobs?${query}`)
+    return rows.map(row => this.entry({
+      cid: row.ipfs_pin_hash,
+      name: row.name || null,
+      status: JOB_STATUS[row.status] || PIN_STATUS.failed,
+      created: row.date_queued,
+      error: JOB_STATUS[row.status] ? null : row.status
+    }))
+  }
+}
+
+export default PinataProvider
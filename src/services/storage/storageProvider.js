@@ -0,0 +1,242 @@
+/**
+ * Storage provider interface
+ *
+ * Every IPFS backend SecureX can store documents on (a Kubo node, pinning
+ * services, the browser itself) is wrapped in a StorageProvider subclass, so
+ * callers upload, fetch and manage pins the same way whichever one the user
+ * picked, and get the same result and error shapes back.
+ */
+
+import { StorageError, STORAGE_ERROR } from './errors'
+import { fetchVerified } from './trustlessGateway'
+
+export { StorageError, STORAGE_ERROR }
+
+/**
+ * Pin states, as in the IPFS Pinning Service API
+ */
+export const PIN_STATUS = {
+  queued: 'queued',
+  pinning: 'pinning',
+  pinned: 'pinned',
+  failed: 'failed'
+}
+
+// Statuses whose responses can't carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304]
+
+const parseHeaders = (raw) => new Headers(
+  raw.trim().split(/[\r\n]+/).filter(Boolean).map(line => {
+    const separator = line.indexOf(':')
+    return [line.slice(0, separator).trim(), line.slice(separator + 1).trim()]
+  })
+)
+
+const codeForStatus = (status) => {
+  if (status === 401 || status === 403) return STORAGE_ERROR.unauthorized
+  if (status === 404) return STORAGE_ERROR.notFound
+  if (status === 429) return STORAGE_ERROR.rateLimited
+  return STORAGE_ERROR.rejected
+}
+
+// Claims of a JWT API token, or null if it isn't one (signature not checked)
+export const jwtClaims = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(payload))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * @typedef {Object} StorageEntry
+ * @property {string} cid - Root CID of the content
+ * @property {string|null} name - Name the content was stored under
+ * @property {number|null} size - Size in bytes, null when the provider doesn't report it
+ * @property {string} status - One of PIN_STATUS
+ * @property {string|null} created - ISO timestamp the content was stored or pinned
+ * @property {string} provider - Id of the provider holding it
+ */
+
+export class StorageProvider {
+  /**
+   * @param {string} id - Registry id, see STORAGE_PROVIDERS
+   * @param {string} name - Display name used in messages
+   * @param {Object} [config] - Provider settings
+   * @param {string} [config.gateway] - Gateway origin serving `/ipfs/<cid>` for this provider's content
+   */
+  constructor(id, name, config = {}) {
+    this.id = id
+    this.name = name
+    this.gateway = config.gateway?.replace(/\/+$/, '') || null
+  }
+
+  /**
+   * Store a file and pin it
+   * @param {File|Blob} file - The bytes to store
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @param {Function} [options.onProgress] - Called with {loaded, total} bytes sent
+   * @returns {Promise<StorageEntry & {type: string}>}
+   */
+  async upload() {
+    throw this.unsupported('upload')
+  }
+
+  /**
+   * Fetch content by CID. The default reads the provider's gateway as a
+   * trustless gateway, so the content is checked against the CID.
+   * @param {string} cid - Root CID
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Blob>}
+   */
+  async get(cid, { signal } = {}) {
+    if (!this.gateway) throw this.unsupported('get')
+    return fetchVerified(`${this.gateway}/ipfs`, cid, { signal })
+  }
+
+  /**
+   * Look up what the provider holds for a CID
+   * @param {string} cid - Root CID
+   * @returns {Promise<StorageEntry>} - Rejects with not_found if it holds nothing
+   */
+  async stat() {
+    throw this.unsupported('stat')
+  }
+
+  /**
+   * Ask the provider to pin content that is already on IPFS
+   * @param {string} cid - Root CID
+   * @param {Object} [options]
+   * @param {string} [options.name] - Label for the pin
+   * @returns {Promise<StorageEntry>} - Usually queued or pinning; pinning
+   *   services fetch the content in the background
+   */
+  async pin() {
+    throw this.unsupported('pin')
+  }
+
+  /**
+   * Remove a pin (the content may linger until garbage collected)
+   * @param {string} cid - Root CID
+   * @returns {Promise<void>}
+   */
+  async unpin() {
+    throw this.unsupported('unpin')
+  }
+
+  /**
+   * Everything pinned on this provider, including pins still in progress
+   * @returns {Promise<StorageEntry[]>}
+   */
+  async list() {
+    throw this.unsupported('list')
+  }
+
+  /**
+   * Check the settings against the provider and say who it is
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{identity: string|null, version: string|null, details: string|null}>} -
+   *   identity is the node, account or space the settings reach
+   */
+  async identify() {
+    throw this.unsupported('identify')
+  }
+
+  // Build a StorageEntry from whatever a provider reports
+  entry({ cid, name = null, size = null, status = PIN_STATUS.pinned, created = null, ...extra }) {
+    return {
+      cid,
+      name,
+      size: size === null || size === undefined ? null : Number(size),
+      status,
+      created: created ? new Date(created).toISOString() : null,
+      provider: this.id,
+      ...extra
+    }
+  }
+
+  error(message, code, extra = {}) {
+    return new StorageError(`${this.name}: ${message}`, { code, provider: this.id, ...extra })
+  }
+
+  unsupported(operation) {
+    return this.error(`${operation} is not supported`, STORAGE_ERROR.unsupported)
+  }
+
+  requireConfig(values) {
+    const missing = Object.entries(values).filter(([, value]) => !value).map(([key]) => key)
+    if (missing.length > 0) {
+      throw this.error(`missing ${missing.join(', ')}`, STORAGE_ERROR.config)
+    }
+  }
+
+  // fetch() that turns transport failures and error responses into StorageErrors.
+  // With onProgress the request goes through XMLHttpRequest instead, the only
+  // browser API that reports how much of the body has been sent.
+  async request(url, { onProgress, ...options } = {}) {
+    let response
+    try {
+      response = onProgress && typeof XMLHttpRequest !== 'undefined'
+        ? await this.send(url, options, onProgress)
+        : await fetch(url, options)
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw this.error('request cancelled', STORAGE_ERROR.aborted, { cause: error })
+      }
+      if (error.name === 'TimeoutError') {
+        throw this.error('no response in time', STORAGE_ERROR.network, { cause: error })
+      }
+      // Browsers report CORS rejections the same way as unreachable hosts
+      throw this.error(`unreachable (${error.message})`, STORAGE_ERROR.network, { cause: error })
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '')
+      let detail = body
+      try {
+        const json = JSON.parse(body)
+        detail = json.error?.details || json.error?.reason || json.error?.message || json.error || json.message || json.Message || body
+      } catch {
+        // Not JSON; keep the text
+      }
+      const message = typeof detail === 'string' && detail ? detail.slice(0, 200) : `HTTP ${response.status}`
+      throw this.error(message, codeForStatus(response.status), { status: response.status })
+    }
+    return response
+  }
+
+  // XMLHttpRequest behind a fetch-like signature, resolving to a Response
+  send(url, { method = 'GET', headers = {}, body = null, signal } = {}, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(new DOMException('Request aborted', 'AbortError'))
+        return
+      }
+      const xhr = new XMLHttpRequest()
+      xhr.open(method, url)
+      xhr.responseType = 'blob'
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+      xhr.upload.onprogress = (event) => {
+        if (event.lengthComputable) onProgress({ loaded: event.loaded, total: event.total })
+      }
+      xhr.onload = () => resolve(new Response(NULL_BODY_STATUSES.includes(xhr.status) ? null : xhr.response, {
+        status: xhr.status,
+        statusText: xhr.statusText,
+        headers: parseHeaders(xhr.getAllResponseHeaders())
+      }))
+      xhr.onerror = () => reject(new TypeError('Network request failed'))
+      xhr.ontimeout = () => reject(new TypeError('Network request timed out'))
+      xhr.onabort = () => reject(new DOMException('Request aborted', 'AbortError'))
+      signal?.addEventListener('abort', () => xhr.abort(), { once: true })
+
+      xhr.send(body)
+    })
+  }
+}
+
+export default StorageProvider
@@ -0,0 +1,95 @@
+/**
+ * Trustless gateway retrieval
+ *
+ * Asks an IPFS gateway for the blocks behind a CID rather than the file
+ * itself (https://specs.ipfs.tech/http-gateways/trustless-gateway/) and
+ * checks each one against the CID it was linked by before reassembling the
+ * file. A gateway can fail or be slow, but it can't hand back different bytes.
+ */
+
+import { StorageError, STORAGE_ERROR } from './errors'
+import { parseCid, decodeCar, exportFile } from '../../utils/cid'
+
+const CAR_TYPE = 'application/vnd.ipld.car'
+const RAW_TYPE = 'application/vnd.ipld.raw'
+
+const gatewayError = (gateway, message, code, extra = {}) =>
+  new StorageError(`${gateway}: ${message}`, { code, provider: gateway, ...extra })
+
+const codeForStatus = (status) => {
+  if (status === 404) return STORAGE_ERROR.notFound
+  if (status === 429) return STORAGE_ERROR.rateLimited
+  return STORAGE_ERROR.rejected
+}
+
+const fetchBytes = async (gateway, url, accept, signal) => {
+  let response
+  try {
+    response = await fetch(url, { headers: { Accept: accept }, signal })
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw gatewayError(gateway, 'request cancelled', STORAGE_ERROR.aborted, { cause: error })
+    }
+    if (error.name === 'TimeoutError') {
+      throw gatewayError(gateway, 'no response in time', STORAGE_ERROR.network, { cause: error })
+    }
+    throw gatewayError(gateway, `unreachable (${error.message})`, STORAGE_ERROR.network, { cause: error })
+  }
+  if (!response.ok) {
+    throw gatewayError(gateway, `HTTP ${response.status}`, codeForStatus(response.status), { status: response.status })
+  }
+  return new Uint8Array(await response.arrayBuffer())
+}
+
+// The whole file's blocks in one CAR response, or an empty map when the
+// gateway can't produce one (older gateways answer 400/406 or the file itself)
+const fetchCarBlocks = async (gateway, cid, signal) => {
+  let car
+  try {
+    car = await fetchBytes(gateway, `${gateway}/${cid}?format=car&dag-scope=entity`, CAR_TYPE, signal)
+  } catch (error) {
+    if (error.code === STORAGE_ERROR.rejected) return new Map()
+    throw error
+  }
+  try {
+    return decodeCar(car)
+  } catch {
+    return new Map()
+  }
+}
+
+/**
+ * Fetch a file from a gateway and verify it hashes to its CID
+ * @param {string} gateway - Path gateway base, e.g. `https://ipfs.io/ipfs`
+ * @param {string} cid - Root CID of the file
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Blob>}
+ * @throws {StorageError} - integrity when the gateway sent content the CID
+ *   doesn't name; not_found, network, rejected or aborted otherwise
+ */
+export const fetchVerified = async (gateway, cid, { signal } = {}) => {
+  try {
+    parseCid(cid)
+  } catch (error) {
+    throw gatewayError(gateway, error.message, STORAGE_ERROR.rejected, { cause: error })
+  }
+
+  const blocks = await fetchCarBlocks(gateway, cid, signal)
+  // Blocks the CAR didn't include are fetched one by one
+  const getBlock = (block, key) => blocks.get(key)?.bytes
+    || fetchBytes(gateway, `${gateway}/${block}?format=raw`, RAW_TYPE, signal)
+
+  try {
+    return new Blob([await exportFile(cid, getBlock)])
+  } catch (error) {
+    if (error instanceof StorageError) throw error
+    if (error.integrity) {
+      throw gatewayError(gateway, `content doesn't match ${cid}`, STORAGE_ERROR.integrity, { cause: error })
+    }
+    // Directories and non-UnixFS DAGs
+    throw gatewayError(gateway, error.message, STORAGE_ERROR.unsupported, { cause: error })
+  }
+}
+
+export default fetchVerified
@@ -0,0 +1,98 @@
+import StorageProvider, { STORAGE_ERROR } from './storageProvider'
+import { encodeCar } from '../../utils/cid'
+
+const W3UP_BRIDGE = 'https://up.storacha.network/bridge'
+const W3UP_GATEWAY = 'https://w3s.link'
+
+const link = (cid) => ({ '/': cid })
+
+/**
+ * web3.storage (w3up) through its HTTP bridge, which runs UCAN invocations on
+ * behalf of a space without a UCAN client in the browser. The bridge tokens
+ * come from `w3 bridge generate-tokens <space DID>`.
+ *
+ * w3up stores DAGs uploaded to it as CAR shards; it can't fetch and pin an
+ * arbitrary CID, so pin() is unsupported.
+ */
+export class W3upProvider extends StorageProvider {
+  /**
+   * @param {Object} config
+   * @param {string} config.space - Space DID (did:key:...)
+   * @param {string} config.authSecret - X-Auth-Secret bridge token
+   * @param {string} config.authorization - Authorization bridge token
+   * @param {string} [config.gateway] - Gateway for get(), default w3s.link
+   */
+  constructor(config = {}) {
+    super('w3up', 'web3.storage', { ...config, gateway: config.gateway || W3UP_GATEWAY })
+    this.space = config.space || null
+    this.authSecret = config.authSecret || null
+    this.authorization = config.authorization || null
+  }
+
+  // Run one capability invocation and return its `ok` result
+  async invoke(ability, args, { signal } = {}) {
+    this.requireConfig({ 'space DID': this.space, 'auth secret': this.authSecret, authorization: this.authorization })
+    const response = await this.request(W3UP_BRIDGE, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Auth-Secret': this.authSecret,
+        Authorization: this.authorization
+      },
+      body: JSON.stringify({ tasks: [[ability, this.space, args]] }),
+      signal
+    })
+
+    // One receipt per task, with the outcome in p.out
+    const [receipt] = await response.json()
+    const out = receipt?.p?.out
+    if (out?.error) {
+      const code = /NotFound/i.test(out.error.name || '') ? STORAGE_ERROR.notFound : STORAGE_ERROR.rejected
+      throw this.error(`${ability} failed: ${out.error.message || out.error.name}`, code)
+    }
+    if (!out?.ok) {
+      throw this.error(`${ability} returned no result`, STORAGE_ERROR.rejected)
+    }
+    return out.ok
+  }
+
+  async upload(file, { signal, onProgress } = {}) {
+    const { root, car, carCid } = await encodeCar(await file.arrayBuffer())
+
+    // Register the shard, then PUT it to the presigned URL unless the space already has it
+    const stored = await this.invoke('store/add', { link: link(carCid), size: car.length }, { signal })
+    if (stored.status === 'upload') {
+      await this.request(stored.url, { method: 'PUT', headers: stored.headers, body: car, signal, onProgress })
+    } else {
+      onProgress?.({ loaded: car.length, total: car.length })
+    }
+
+    await this.invoke('upload/add', { root: link(root), shards: [link(carCid)] }, { signal })
+    return {
+      ...this.entry({ cid: root, name: file.name || null, size: file.size, created: Date.now() }),
+      type: file.type
+    }
+  }
+
+  // w3up records uploads and their shards, not file sizes
+  async stat(cid) {
+    const upload = await this.invoke('upload/get', { root: link(cid) })
+    return this.entry({ cid, created: upload.insertedAt })
+  }
+
+  async unpin(cid) {
+    await this.invoke('upload/remove', { root: link(cid) })
+  }
+
+  async identify({ signal } = {}) {
+    const info = await this.invoke('space/info', {}, { signal })
+    return { identity: info.did || this.space, version: null, details: info.providers?.length ? `Provider ${info.providers.join(', ')}` : null }
+  }
+
+  async list() {
+    const { results = [] } = await this.invoke('upload/list', { size: 1000 })
+    return results.map(upload => this.entry({ cid: upload.root['/'], created: upload.insertedAt }))
+  }
+}
+
+export default W3upProvider
@@ -1,59 +1,49 @@
-// BULLETPROOF IPFS SERVICE - CLAUDE 4 LEVEL
-// This NEVER fails and always provides working content
+/**
+ * Document storage for the pages
+ *
+ * Uploads go to the storage provider selected in IPFSProviderContext (see
+ * services/storage), encrypted first when encryption is on. Reads try that
+ * provider and then the public gateways, since a document may have been
+ * stored through another provider or the backend; gateway content is only
+ * accepted once it hashes to the CID. Also opens and downloads
+ * documents, decrypting them for the connected wallet.
+ */
 
-class BulletproofIPFS {
+import encryptionService, { EncryptionError } from './encryptionService'
+import { createStorageProvider, DEFAULT_STORAGE_PROVIDER, STORAGE_ERROR } from './storage'
+import retrievalService from './retrievalService'
+
+// How long a copy opened in a new tab stays addressable
+const OPENED_URL_LIFETIME = 60 * 1000
+
+class StorageService {
   constructor() {
-    // VERIFIED working IPFS content that EXISTS on the network
-    this.verifiedContent = new Map([
-      ['QmR7GSQM93Cx5eAg6a6yRzNde1FQv7uL6X1o4k7zrJa3Xx', {
-        name: 'IPFS Whitepaper',
-        type: 'application/pdf',
-        description: 'Official IPFS protocol specification',
-        verified: true
-      }],
-      ['QmYwAPJzv5CZsnAzt8auVkRJe2pYvKnVdx4nALwGbAx7B9', {
-        name: 'Sample Image',
-        type: 'image/jpeg', 
-        description: 'Verified IPFS image content',
-        verified: true
-      }],
-      ['QmQPeNsJPyVWPFDVHb77w8G42Fvo15z4bG2X8D2GhfbSXc', {
-        name: 'Test Document',
-        type: 'text/plain',
-        description: 'Verified IPFS text content',
-        verified: true
-      }]
-    ])
-    
-    this.gateways = [
-      'https://ipfs.io/ipfs',
-      'https://gateway.pinata.cloud/ipfs',
-      'https://cloudflare-ipfs.com/ipfs',
-      'https://dweb.link/ipfs'
-    ]
+    this.provider = createStorageProvider(DEFAULT_STORAGE_PROVIDER)
+  }
+
+  // Called by IPFSProviderContext when the user picks a provider
+  setProvider(provider) {
+    this.provider = provider
   }
 
-  // BULLETPROOF view - Try real access first, fallback to verification page
+  // View: open the document, or a verification page when it can't be fetched
   async viewFile(hash, fileName = 'document') {
-    console.log('🚀 BULLETPROOF VIEW:', hash, fileName)
+    console.log('👁️ View:', hash, fileName)
 
-    // First, try to access the file directly
     try {
-      // Import the enhanced IPFS service
-      const { default: ipfsService } = await import('./ipfsService.js')
-      
-      // Check if file is accessible
-      const accessResult = await ipfsService.checkIPFSAccess(hash)
-      if (accessResult.accessible) {
-        console.log('✅ File is accessible, showing direct access options')
-        // Show a page with direct access option
-        this.createDirectAccessPage(hash, fileName, accessResult.gateway)
-        return { success: true, method: 'direct-access-available' }
-      } else {
-        console.log('⚠️ File not accessible via direct methods')
-      }
+      // Always open the fetched copy: it has been checked against the CID (or
+      // came from the user's own provider), while a gateway link would be
+      // whatever that gateway chooses to serve, and gateways only hold
+      // ciphertext of encrypted documents anyway
+      const { file, encrypted, gateway } = await this.fetchDocument(hash, fileName)
+      const url = URL.createObjectURL(file)
+      this.openInNewTab(url)
+      setTimeout(() => URL.revokeObjectURL(url), OPENED_URL_LIFETIME)
+      return { success: true, method: encrypted ? 'decrypted' : gateway ? 'gateway' : 'provider', encrypted, gateway }
     } catch (error) {
-      console.warn('Direct access check failed:', error.message)
+      // A verification page can't stand in for a document we can't decrypt
+      if (error instanceof EncryptionError) throw error
+      console.warn("Couldn't fetch the document:", error.message)
     }
 
     // Fallback to verification page if direct access isn't available
@@ -116,104 +106,6 @@ class BulletproofIPFS {
     }, 200)
   }
 
-  // Create direct access page with download option
-  createDirectAccessPage(hash, fileName, gateway) {
-    try {
-      // Create a notification with direct download option
-      const container = document.createElement('div')
-      container.style.position = 'fixed'
-      container.style.top = '80px'
-      container.style.right = '20px'
-      container.style.zIndex = '9998'
-      container.style.backgroundColor = 'rgba(0,0,0,0.9)'
-      container.style.padding = '20px'
-      container.style.borderRadius = '12px'
-      container.style.border = '1px solid #00ff88'
-      container.style.maxWidth = '300px'
-      container.style.fontFamily = 'Arial, sans-serif'
-      
-      container.innerHTML = `
-        <div style="color: #00ff88; font-weight: bold; margin-bottom: 10px;">
-          🚀 File Available
-        </div>
-        <div style="color: #fff; font-size: 12px; margin-bottom: 15px;">
-          ${fileName}
-        </div>
-        <div style="color: #aaa; font-size: 10px; margin-bottom: 15px;">
-          Gateway: ${gateway.split('//')[1].split('/')[0]}
-        </div>
-        <a href="${gateway}/${hash}" target="_blank" rel="noopener noreferrer"
-           style="display: block; background: #00ff88; color: #000; margin-bottom: 8px; text-decoration: none; padding: 10px; border-radius: 4px; text-align: center; font-size: 14px; font-weight: bold;">
-          ⬇️ Download Now
-        </a>
-        <button onclick="this.parentElement.remove()" 
-                style="width: 100%; background: #666; color: white; border: none; padding: 8px; border-radius: 4px; cursor: pointer; margin-top: 10px;">
-          ✕ Close
-        </button>
-      `
-      
-      document.body.appendChild(container)
-      
-      // Auto-remove after 30 seconds
-      setTimeout(() => {
-        if (document.body.contains(container)) {
-          document.body.removeChild(container)
-        }
-      }, 30000)
-      
-    } catch (error) {
-      console.log('Direct access page creation failed')
-    }
-  }
-
-  // Create download fallback
-  createDownloadFallback(hash, fileName) {
-    try {
-      // Try multiple gateways as downloadable links
-      const container = document.createElement('div')
-      container.style.position = 'fixed'
-      container.style.top = '80px'
-      container.style.right = '20px'
-      container.style.zIndex = '9999'
-      container.style.backgroundColor = 'rgba(0,0,0,0.9)'
-      container.style.padding = '20px'
-      container.style.borderRadius = '12px'
-      container.style.border = '1px solid #00ff88'
-      container.style.maxWidth = '300px'
-      
-      container.innerHTML = `
-        <div style="color: #00ff88; font-weight: bold; margin-bottom: 10px;">
-          📁 ${fileName}
-        </div>
-        <div style="color: #fff; font-size: 12px; margin-bottom: 15px;">
-          IPFS: ${hash.slice(0, 20)}...
-        </div>
-        ${this.gateways.map(gateway => `
-          <a href="${gateway}/${hash}" target="_blank" rel="noopener noreferrer"
-             style="display: block; color: #00ff88; margin-bottom: 8px; text-decoration: none; padding: 5px; border: 1px solid #00ff88; border-radius: 4px; text-align: center; font-size: 12px;">
-            📡 ${gateway.split('//')[1].split('.')[0]}
-          </a>
-        `).join('')}
-        <button onclick="this.parentElement.remove()" 
-                style="width: 100%; background: #ff4444; color: white; border: none; padding: 8px; border-radius: 4px; cursor: pointer; margin-top: 10px;">
-          ✕ Close
-        </button>
-      `
-      
-      document.body.appendChild(container)
-      
-      // Auto-remove after 30 seconds
-      setTimeout(() => {
-        if (document.body.contains(container)) {
-          document.body.removeChild(container)
-        }
-      }, 30000)
-      
-    } catch (error) {
-      console.log('Fallback creation failed, using ultimate fallback')
-    }
-  }
-
   // Ultimate fallback - create working content
   createWorkingFallback(hash, fileName) {
     const content = this.generateWorkingContent(hash, fileName)
@@ -645,153 +537,104 @@ class BulletproofIPFS {
     `
   }
 
-  // Upload file (bulletproof implementation) - Try real IPFS first
-  async uploadFile(file, progressCallback = null) {
+  /**
+   * Fetch a file's stored bytes (ciphertext for encrypted uploads)
+   * @param {string} hash - CID
+   * @returns {Promise<{blob: Blob, gateway: string|null, provider: string|null}>} -
+   *   gateway is set when a public gateway served it (verified against the
+   *   CID, see retrievalService), provider when the selected provider did
+   */
+  async fetchFile(hash) {
     try {
-      console.log('📤 BULLETPROOF UPLOAD:', file.name)
-      
-      // Try real IPFS upload first
-      try {
-        const { default: realIpfsService } = await import('./realIpfsService.js')
-        
-        const result = await realIpfsService.uploadFile(file, progressCallback)
-        
-        if (result.success) {
-          console.log('✅ Real IPFS upload successful:', result.hash)
-          
-          // Store file locally for later access
-          await this.storeFileLocally(result.hash, file)
-          
-          return {
-            success: true,
-            hash: result.hash,
-            size: result.size || file.size,
-            type: result.type || file.type,
-            name: result.name || file.name,
-            timestamp: new Date().toISOString(),
-            gateway: result.gateway,
-            real: true
-          }
-        }
-      } catch (realIpfsError) {
-        console.warn('Real IPFS upload failed, falling back to simulation:', realIpfsError.message)
-      }
-      
-      // Fallback to simulated upload
-      if (progressCallback) {
-        // Smooth progress animation
-        for (let i = 0; i <= 100; i += 5) {
-          progressCallback(i / 100)
-          await new Promise(resolve => setTimeout(resolve, 50))
-        }
-      }
-      
-      // Generate deterministic hash from file content
-      const hash = await this.generateDeterministicHash(file)
-      
-      // Store file locally for later access
-      await this.storeFileLocally(hash, file)
-      
-      return {
-        success: true,
-        hash: hash,
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        timestamp: new Date().toISOString(),
-        bulletproof: true,
-        simulated: true
-      }
-      
+      return { blob: await this.provider.get(hash), gateway: null, provider: this.provider.id }
     } catch (error) {
-      console.error('Upload error:', error)
-      // Even on error, return success with fallback hash
-      return {
-        success: true,
-        hash: 'QmR7GSQM93Cx5eAg6a6yRzNde1FQv7uL6X1o4k7zrJa3Xx', // IPFS whitepaper fallback
-        size: file.size,
-        type: file.type,
-        name: file.name,
-        timestamp: new Date().toISOString(),
-        fallback: true
+      if (error.code !== STORAGE_ERROR.notFound && error.code !== STORAGE_ERROR.unsupported) {
+        console.warn(`${this.provider.name} couldn't serve ${hash}, trying gateways:`, error.message)
       }
     }
-  }
 
-  // Generate deterministic hash
-  async generateDeterministicHash(file) {
     try {
-      const content = await file.arrayBuffer()
-      const hashBuffer = await crypto.subtle.digest('SHA-256', content)
-      const hashArray = Array.from(new Uint8Array(hashBuffer))
-      
-      // Convert SHA-256 hash to IPFS CID format (Qm prefix + base58 encoding simulation)
-      // For demo purposes, we'll create a unique hash based on actual file content
-      const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
-      
-      // Take first 32 bytes (64 hex chars) and create a Qm hash
-      // This simulates a real IPFS hash but is unique per file content
-      let uniquePart = hashHex.substring(0, 32)
-      
-      // Pad to ensure we have enough characters
-      while (uniquePart.length < 44) {
-        uniquePart += '0123456789abcdef'[Math.floor(Math.random() * 16)]
-      }
-      
-      return `Qm${uniquePart.substring(0, 44)}`
-      
+      const { blob, gateway } = await retrievalService.fetch(hash)
+      return { blob, gateway, provider: null }
     } catch (error) {
-      // Fallback to timestamp-based hash for uniqueness
-      return `Qm${Date.now().toString(36)}${Math.random().toString(36).substring(2, 20)}`
+      if (error.code === STORAGE_ERROR.integrity) {
+        throw new Error(`Download failed: a gateway returned content that doesn't match ${hash}, and no other gateway had it`, { cause: error })
+      }
+      throw new Error('Download failed: the storage provider and all IPFS gateways are unavailable. Try again later.', { cause: error })
     }
   }
 
-  // Store file locally
-  async storeFileLocally(hash, file) {
-    try {
-      const fileData = {
-        hash: hash,
-        name: file.name,
-        type: file.type,
-        size: file.size,
-        content: await file.arrayBuffer(),
-        timestamp: Date.now()
-      }
-      
-      localStorage.setItem(`ipfs_${hash}`, JSON.stringify({
-        ...fileData,
-        content: null // Don't store content in localStorage due to size limits
-      }))
-      
-      console.log('💾 Stored file metadata locally')
-    } catch (error) {
-      console.log('Local storage failed, continuing anyway')
+  // Fetch and decrypt a file, returning it under its original name and type
+  async fetchDocument(hash, fileName = 'document') {
+    const { blob, gateway, provider } = await this.fetchFile(hash)
+    const decrypted = await encryptionService.decryptBlob(blob, hash)
+    const name = decrypted.name || fileName
+    return {
+      file: new File([decrypted.blob], name, { type: decrypted.type || blob.type }),
+      encrypted: decrypted.encrypted,
+      gateway,
+      provider
     }
   }
 
-  // Download file (bulletproof) - Real download with fallback
-  async downloadFile(hash, fileName = 'download') {
-    console.log('🚀 BULLETPROOF DOWNLOAD:', hash, fileName)
-    
-    // Try real download with fallback mechanism
+  /**
+   * Store a file with the selected provider
+   * @param {File} file - The document
+   * @param {Function} [progressCallback] - Called with the fraction of bytes sent, 0..1
+   * @param {Object} [options]
+   * @param {boolean} [options.encrypt] - Encrypt for the connected wallet first
+   * @param {AbortSignal} [options.signal] - Cancels the upload
+   * @returns {Promise<Object>} - The provider's StorageEntry plus `type` and `encrypted`
+   */
+  async uploadFile(file, progressCallback = null, { encrypt = encryptionService.isAvailable(), signal } = {}) {
+    // Encrypt before anything leaves the browser. Failing here (e.g. a rejected
+    // signature) fails the upload rather than falling back to plaintext.
+    const encryption = encrypt ? await encryptionService.encryptFile(file) : null
+    const payload = encryption ? encryption.file : file
+
+    console.log(`📤 Uploading ${file.name} to ${this.provider.name}`)
+    progressCallback?.(0)
+    const stored = await this.provider.upload(payload, {
+      signal,
+      onProgress: ({ loaded, total }) => progressCallback?.(total ? loaded / total : 0)
+    })
+    progressCallback?.(1)
+
+    encryptionService.rememberKey(stored.cid, encryption?.dataKey)
+    return {
+      ...stored,
+      // Report the document, not the ciphertext wrapped around it
+      name: file.name,
+      size: file.size,
+      type: file.type,
+      encrypted: Boolean(encryption)
+    }
+  }
+
+  // Download a document, falling back to the verification page unless
+  // `fallback` is off, in which case fetch failures are thrown
+  async downloadFile(hash, fileName = 'download', { fallback = true } = {}) {
     try {
-      // Import the enhanced IPFS service
-      const { default: ipfsService } = await import('./ipfsService.js')
-      
-      // Attempt real download with gateway fallback
-      const result = await ipfsService.downloadFile(hash, fileName)
-      console.log('✅ Direct download successful:', result)
-      return result
+      const { file, encrypted, gateway, provider } = await this.fetchDocument(hash, fileName)
+
+      const downloadUrl = URL.createObjectURL(file)
+      const link = document.createElement('a')
+      link.href = downloadUrl
+      link.download = fileName
+      document.body.appendChild(link)
+      link.click()
+      document.body.removeChild(link)
+      URL.revokeObjectURL(downloadUrl)
+
+      return { success: true, size: file.size, type: file.type, gateway, provider, encrypted }
     } catch (error) {
+      if (error instanceof EncryptionError || !fallback) throw error
       console.warn('Direct download failed, falling back to verification page:', error.message)
-      
-      // Fallback to verification page if direct download fails
       this.createWorkingFallback(hash, fileName)
       return { success: true, method: 'verification-page-fallback' }
     }
   }
 }
 
-// Export singleton
-const bulletproofIPFS = new BulletproofIPFS()
-export default bulletproofIPFS
+export const storageService = new StorageService()
+export default storageService
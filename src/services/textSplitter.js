@@ -0,0 +1,248 @@
+// Structure-aware recursive text splitter
+//
+// Splits a document into chunks that follow its structure (headings, paragraphs,
+// lists, fenced code blocks, table rows) and stay within a token budget measured
+// with the cl100k_base tokenizer. Every chunk keeps its page number and the
+// character offsets of its text in the canonical source, so answers can cite
+// "page 4" and the UI can highlight the exact passage.
+//
+// The canonical source is the plain text, or for paged documents (PDF) the page
+// texts joined with PAGE_SEPARATOR.
+
+export const PAGE_SEPARATOR = '\n\n';
+
+// Separators tried in order when a single block is still over budget
+const SEPARATORS = {
+  paragraph: ['\n', '. ', '? ', '! ', '; ', ', ', ' '],
+  list: ['\n', '. ', ', ', ' '],
+  table: ['\n', '\t', ' | ', ' '],
+  code: ['\n\n', '\n', ' '],
+  heading: [' ']
+};
+
+// Markdown headings, multi-level numbered headings ("2.1 Scope") and ALL-CAPS lines
+const HEADING = /^(#{1,6}\s+\S.*|\d+(\.\d+)+\.?\s+[A-Z][^.!?]{0,80}|[A-Z][A-Z0-9 ,&:'-]{3,80})$/;
+const LIST_ITEM = /^\s*([-*+•]|\d+[.)]|[a-z][.)])\s+/;
+const TABLE_ROW = /^\s*\|.*\||\S+\t+\S+/;
+const FENCE = /^\s*(```|~~~)/;
+
+let tokenizerPromise = null;
+
+// The BPE ranks are large, so they are fetched the first time a document is chunked
+export const loadTokenizer = () => {
+  if (!tokenizerPromise) {
+    tokenizerPromise = Promise.all([
+      import('js-tiktoken/lite'),
+      import('js-tiktoken/ranks/cl100k_base')
+    ])
+      .then(([{ Tiktoken }, { default: ranks }]) => {
+        const encoder = new Tiktoken(ranks);
+        return (text) => encoder.encode(text).length;
+      })
+      .catch(error => {
+        console.warn('[TextSplitter] Tokenizer unavailable, estimating tokens from length:', error);
+        return (text) => Math.ceil(text.length / 4);
+      });
+  }
+  return tokenizerPromise;
+};
+
+// Build the canonical source and the span each page occupies in it
+export const buildSource = (text, pages) => {
+  if (!Array.isArray(pages) || pages.length === 0) {
+    const source = String(text || '');
+    return { source, pages: [{ page: null, start: 0, end: source.length }] };
+  }
+
+  const spans = [];
+  let source = '';
+  pages.forEach((page, index) => {
+    if (index > 0) source += PAGE_SEPARATOR;
+    const pageText = String(page.text || '');
+    spans.push({ page: page.pageNumber ?? page.page ?? index + 1, start: source.length, end: source.length + pageText.length });
+    source += pageText;
+  });
+  return { source, pages: spans };
+};
+
+// Classify the lines of one page into structural blocks with absolute offsets
+const parseBlocks = (source, span) => {
+  const blocks = [];
+  let current = null;
+  let inCode = false;
+
+  const close = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  let position = span.start;
+  for (const line of source.slice(span.start, span.end).split('\n')) {
+    const start = position;
+    const end = start + line.length;
+    position = end + 1;
+
+    if (inCode) {
+      current.end = end;
+      if (FENCE.test(line)) {
+        inCode = false;
+        close();
+      }
+      continue;
+    }
+
+    if (FENCE.test(line)) {
+      close();
+      current = { type: 'code', start, end };
+      inCode = true;
+      continue;
+    }
+
+    const trimmed = line.trim();
+    if (!trimmed) {
+      close();
+      continue;
+    }
+
+    const leading = line.length - line.trimStart().length;
+    const type = HEADING.test(trimmed) && trimmed.length <= 100
+      ? 'heading'
+      : LIST_ITEM.test(line) ? 'list' : TABLE_ROW.test(line) ? 'table' : 'paragraph';
+
+    // Consecutive lines of the same kind form one block; headings always stand alone
+    if (current && current.type === type && type !== 'heading') {
+      current.end = start + line.trimEnd().length;
+    } else if (current && current.type === 'list' && type === 'paragraph' && leading > 0) {
+      current.end = start + line.trimEnd().length; // indented continuation of a list item
+    } else {
+      close();
+      current = { type, start: start + leading, end: start + line.trimEnd().length };
+      if (type === 'heading') close();
+    }
+  }
+  close();
+
+  return blocks.map(block => ({ ...block, page: span.page }));
+};
+
+// Split [start, end) into pieces within the budget, trying separators in order
+const splitRange = (source, start, end, separators, countTokens, maxTokens) => {
+  const text = source.slice(start, end);
+  if (countTokens(text) <= maxTokens) {
+    return [{ start, end }];
+  }
+
+  const [separator, ...rest] = separators;
+  if (!separator) {
+    // No structure left: cut by characters in proportion to the token overflow
+    const size = Math.max(1, Math.floor(text.length * maxTokens / countTokens(text)));
+    const pieces = [];
+    for (let offset = start; offset < end; offset += size) {
+      pieces.push({ start: offset, end: Math.min(offset + size, end) });
+    }
+    return pieces;
+  }
+
+  const pieces = [];
+  let pieceStart = start;
+  let searchFrom = 0;
+  while (searchFrom <= text.length) {
+    const index = text.indexOf(separator, searchFrom);
+    const pieceEnd = index === -1 ? end : start + index + separator.trimEnd().length;
+    if (pieceEnd > pieceStart) {
+      pieces.push(...splitRange(source, pieceStart, pieceEnd, rest, countTokens, maxTokens));
+    }
+    if (index === -1) break;
+    searchFrom = index + separator.length;
+    pieceStart = start + searchFrom;
+  }
+
+  // Skip whitespace-only pieces; merging back up to the budget happens in chunkText
+  return pieces.filter(piece => source.slice(piece.start, piece.end).trim());
+};
+
+/**
+ * Chunk a document.
+ * @param {Object} input - { text, pages } where pages is [{ pageNumber, text }] or null
+ * @param {Object} options - { chunkSize, chunkOverlap } in tokens
+ * @returns {Promise<{ source: string, chunks: Array }>} chunks carry
+ *   { text, start, end, page, section, type, tokens, chunkIndex }
+ */
+export const chunkText = async ({ text, pages }, { chunkSize = 800, chunkOverlap = 100 } = {}) => {
+  const countTokens = await loadTokenizer();
+  const { source, pages: spans } = buildSource(text, pages);
+
+  // Units are the smallest pieces that are kept whole
+  const units = [];
+  let section = null;
+  for (const span of spans) {
+    for (const block of parseBlocks(source, span)) {
+      if (block.type === 'heading') {
+        section = source.slice(block.start, block.end).replace(/^#+\s*/, '').trim();
+      }
+      for (const piece of splitRange(source, block.start, block.end, SEPARATORS[block.type], countTokens, chunkSize)) {
+        units.push({
+          ...piece,
+          page: block.page,
+          type: block.type,
+          section,
+          startsSection: block.type === 'heading',
+          tokens: countTokens(source.slice(piece.start, piece.end))
+        });
+      }
+    }
+  }
+
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    const first = current[0];
+    const last = current[current.length - 1];
+    const chunkSource = source.slice(first.start, last.end);
+    chunks.push({
+      text: chunkSource,
+      start: first.start,
+      end: last.end,
+      page: first.page,
+      section: current.find(unit => unit.section)?.section || null,
+      type: [...new Set(current.map(unit => unit.type))].join('+'),
+      tokens: countTokens(chunkSource),
+      chunkIndex: chunks.length
+    });
+  };
+
+  for (const unit of units) {
+    const samePage = current.length === 0 || current[0].page === unit.page;
+    const sectionBreak = unit.startsSection && currentTokens >= chunkSize / 4;
+
+    if (current.length > 0 && (!samePage || sectionBreak || currentTokens + unit.tokens > chunkSize)) {
+      flush();
+
+      // Carry trailing units over as overlap, unless the break is structural.
+      // The first unit never carries over, so a chunk is never contained in the next.
+      const overlap = [];
+      let overlapTokens = 0;
+      if (samePage && !sectionBreak) {
+        for (let i = current.length - 1; i >= 1; i--) {
+          const tokens = overlapTokens + current[i].tokens;
+          if (tokens > chunkOverlap || tokens + unit.tokens > chunkSize) break;
+          overlap.unshift(current[i]);
+          overlapTokens = tokens;
+        }
+      }
+      current = overlap;
+      currentTokens = overlapTokens;
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+  flush();
+
+  return { source, chunks };
+};
+
+export default chunkText;
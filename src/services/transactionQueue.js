@@ -0,0 +1,437 @@
+// Persistent queue of the wallet's contract transactions
+//
+// Every transaction sent through contractService is recorded in localStorage
+// as soon as the wallet returns its hash, and followed until it has enough
+// confirmations. Pending transactions are picked up again after a reload.
+// A speed-up or cancel done in the wallet shows up as a replacement, and
+// reverted transactions are replayed to decode their revert reason.
+// Retries, and transactions still pending at a reload, have no caller left
+// to apply their result; onComplete listeners get those instead.
+
+import { ethers } from 'ethers'
+
+const STORAGE_KEY = 'securex_transactions'
+const MAX_ENTRIES = 50
+const CONFIRMATION_POLL_MS = 4000
+
+// Confirmations after which a transaction counts as final
+const REQUIRED_CONFIRMATIONS = { 1337: 1, 31337: 1 }
+const DEFAULT_REQUIRED_CONFIRMATIONS = 2
+
+// Replacements must raise both fees by at least 10%; go a bit above that
+const GAS_BUMP_PERCENT = 125n
+
+export const TRANSACTION_STATUS = {
+  pending: 'pending',
+  confirming: 'confirming',
+  confirmed: 'confirmed',
+  failed: 'failed',
+  replaced: 'replaced',
+  cancelled: 'cancelled',
+  dropped: 'dropped'
+}
+
+// Statuses that can be sent again from the transactions panel
+export const RETRYABLE_STATUSES = [TRANSACTION_STATUS.failed, TRANSACTION_STATUS.cancelled, TRANSACTION_STATUS.dropped]
+
+// Still followed, or mined with a result no listener has applied yet
+const isOpen = (entry) => entry.status === TRANSACTION_STATUS.pending ||
+  entry.status === TRANSACTION_STATUS.confirming || Boolean(entry.needsCompletion)
+
+const toStoredBigInt = (value) => (value === null || value === undefined ? null : value.toString())
+const fromStoredBigInt = (value) => (value === null || value === undefined ? null : BigInt(value))
+
+class TransactionQueue {
+  constructor() {
+    this.entries = this.load()
+    this.listeners = new Set()
+    this.provider = null
+    this.signer = null
+    this.chainId = null
+    this.account = null
+    this.describeError = (error) => error.shortMessage || error.message
+    this.tracking = new Set()
+    this.pollers = new Map()
+    this.completionListeners = new Set()
+    this.completing = new Set()
+  }
+
+  load() {
+    try {
+      const saved = localStorage.getItem(STORAGE_KEY)
+      return saved ? JSON.parse(saved) : []
+    } catch {
+      return []
+    }
+  }
+
+  // Past MAX_ENTRIES the oldest finished transactions are dropped; open ones are kept
+  save() {
+    const excess = this.entries.length - MAX_ENTRIES
+    if (excess > 0) {
+      const dropped = new Set(this.entries.filter(entry => !isOpen(entry)).slice(0, excess))
+      this.entries = this.entries.filter(entry => !dropped.has(entry))
+    }
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.entries))
+    } catch (error) {
+      console.warn('Failed to save the transaction queue:', error)
+    }
+    this.listeners.forEach(listener => listener(this.list()))
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  // listener(entry, receipt) runs for each mined transaction no caller is
+  // waiting on, including any that were mined before it subscribed
+  onComplete(listener) {
+    this.completionListeners.add(listener)
+    this.flushCompletions()
+    return () => this.completionListeners.delete(listener)
+  }
+
+  // Hand over results that were mined while nothing was listening
+  flushCompletions() {
+    if (!this.provider) return
+    this.list()
+      .filter(entry => entry.needsCompletion && !this.tracking.has(entry.id) &&
+        (entry.status === TRANSACTION_STATUS.confirming || entry.status === TRANSACTION_STATUS.confirmed))
+      .forEach(async (entry) => {
+        const receipt = await this.provider.getTransactionReceipt(entry.hash).catch(() => null)
+        if (receipt?.status === 1) this.complete(entry.id, receipt)
+      })
+  }
+
+  // The flag is kept until a listener has handled the result
+  async complete(id, receipt) {
+    const entry = this.get(id)
+    if (!entry?.needsCompletion || this.completionListeners.size === 0 || this.completing.has(id)) return
+    this.completing.add(id)
+    try {
+      await Promise.all([...this.completionListeners].map(listener => listener(entry, receipt)))
+      this.update(id, { needsCompletion: false })
+    } catch (error) {
+      console.warn(`Failed to apply the result of ${entry.hash}:`, error)
+    } finally {
+      this.completing.delete(id)
+    }
+  }
+
+  // Connect the queue to the wallet and resume following its pending transactions
+  async attach({ provider, signer, chainId, describeError }) {
+    this.provider = provider
+    this.signer = signer
+    this.chainId = chainId
+    this.account = signer ? ethers.getAddress(await signer.getAddress()) : null
+    if (describeError) this.describeError = describeError
+
+    this.list()
+      .filter(entry => entry.status === TRANSACTION_STATUS.pending || entry.status === TRANSACTION_STATUS.confirming)
+      .forEach(entry => {
+        // Whoever sent a still-pending transaction is gone after a reload
+        if (entry.status === TRANSACTION_STATUS.pending) entry.needsCompletion = true
+        this.resume(entry)
+      })
+    this.save()
+    this.flushCompletions()
+  }
+
+  // The connected wallet's transactions on the current chain, newest first
+  list() {
+    return this.entries
+      .filter(entry => entry.chainId === this.chainId && entry.from === this.account)
+      .slice()
+      .reverse()
+  }
+
+  get(id) {
+    return this.entries.find(entry => entry.id === id) || null
+  }
+
+  update(id, changes) {
+    const entry = this.get(id)
+    if (!entry) return null
+    Object.assign(entry, changes, { updatedAt: new Date().toISOString() })
+    this.save()
+    return entry
+  }
+
+  requiredConfirmations() {
+    return REQUIRED_CONFIRMATIONS[this.chainId] ?? DEFAULT_REQUIRED_CONFIRMATIONS
+  }
+
+  // Record a transaction the wallet just signed and sent; startBlock is the
+  // chain head before it was sent, where scans for replacements begin
+  add(tx, { label, method, startBlock, retryOf = null, needsCompletion = false }) {
+    const entry = {
+      id: tx.hash,
+      hash: tx.hash,
+      previousHashes: [],
+      label,
+      method,
+      chainId: this.chainId,
+      from: ethers.getAddress(tx.from),
+      to: tx.to,
+      data: tx.data,
+      value: toStoredBigInt(tx.value),
+      nonce: tx.nonce,
+      gasLimit: toStoredBigInt(tx.gasLimit),
+      maxFeePerGas: toStoredBigInt(tx.maxFeePerGas),
+      maxPriorityFeePerGas: toStoredBigInt(tx.maxPriorityFeePerGas),
+      gasPrice: toStoredBigInt(tx.gasPrice),
+      startBlock,
+      status: TRANSACTION_STATUS.pending,
+      confirmations: 0,
+      requiredConfirmations: this.requiredConfirmations(),
+      blockNumber: null,
+      error: null,
+      retryOf,
+      retriedBy: null,
+      needsCompletion,
+      submittedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    }
+    this.entries.push(entry)
+    this.save()
+    return entry
+  }
+
+  // Wait for a transaction to be mined and return its receipt. A speed-up
+  // resolves with the replacement's receipt; a cancellation, a different
+  // replacement or a revert throws with a readable message.
+  async track(id, tx) {
+    this.tracking.add(id)
+    try {
+      const receipt = await tx.wait(1)
+      this.markMined(id, receipt)
+      return receipt
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED') {
+        return this.handleReplacement(id, error)
+      }
+      if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+        const reason = await this.decodeRevert(this.get(id), error.receipt)
+        this.update(id, { status: TRANSACTION_STATUS.failed, blockNumber: error.receipt.blockNumber, error: reason })
+        throw new Error(`Transaction reverted: ${reason}`)
+      }
+      throw error
+    } finally {
+      this.tracking.delete(id)
+    }
+  }
+
+  handleReplacement(id, error) {
+    const entry = this.get(id)
+    const previousHashes = entry.hash === error.hash ? entry.previousHashes : [...entry.previousHashes, entry.hash]
+
+    if (error.reason === 'repriced') {
+      // Sped up: the same call went through under a new hash
+      this.update(id, { hash: error.hash, previousHashes })
+      if (error.receipt.status === 0) {
+        this.update(id, { status: TRANSACTION_STATUS.failed, blockNumber: error.receipt.blockNumber, error: 'The sped-up transaction reverted' })
+        throw new Error('Transaction reverted after being sped up')
+      }
+      this.markMined(id, error.receipt)
+      return error.receipt
+    }
+
+    const status = error.reason === 'cancelled' ? TRANSACTION_STATUS.cancelled : TRANSACTION_STATUS.replaced
+    this.update(id, {
+      status,
+      hash: error.hash,
+      previousHashes,
+      blockNumber: error.receipt.blockNumber,
+      error: status === TRANSACTION_STATUS.cancelled
+        ? 'Cancelled in the wallet'
+        : 'Replaced in the wallet by a different transaction with the same nonce'
+    })
+    throw new Error(status === TRANSACTION_STATUS.cancelled
+      ? 'Transaction was cancelled in your wallet'
+      : 'Transaction was replaced by a different transaction in your wallet')
+  }
+
+  markMined(id, receipt) {
+    const required = this.get(id).requiredConfirmations
+    this.update(id, {
+      status: required > 1 ? TRANSACTION_STATUS.confirming : TRANSACTION_STATUS.confirmed,
+      blockNumber: receipt.blockNumber,
+      confirmations: 1,
+      gasUsed: receipt.gasUsed.toString(),
+      error: null
+    })
+    if (required > 1) {
+      this.watchConfirmations(id, receipt)
+    }
+    this.complete(id, receipt)
+  }
+
+  // Count confirmations until the transaction is final. A receipt that
+  // disappears means a reorg took the transaction out of its block.
+  watchConfirmations(id, receipt) {
+    if (this.pollers.has(id)) return
+    const poll = async () => {
+      try {
+        const current = await this.provider.getTransactionReceipt(receipt.hash)
+        if (!current) {
+          this.update(id, { status: TRANSACTION_STATUS.pending, confirmations: 0, blockNumber: null })
+          this.stopWatching(id)
+          this.resume(this.get(id))
+          return
+        }
+        const confirmations = await current.confirmations()
+        const entry = this.update(id, { confirmations, blockNumber: current.blockNumber })
+        if (confirmations >= entry.requiredConfirmations) {
+          this.update(id, { status: TRANSACTION_STATUS.confirmed })
+          this.stopWatching(id)
+        }
+      } catch (error) {
+        console.warn('Failed to count confirmations:', error)
+      }
+    }
+    this.pollers.set(id, setInterval(poll, CONFIRMATION_POLL_MS))
+  }
+
+  stopWatching(id) {
+    clearInterval(this.pollers.get(id))
+    this.pollers.delete(id)
+  }
+
+  // Pick a stored transaction up again, e.g. after a reload
+  async resume(entry) {
+    if (!this.provider || this.tracking.has(entry.id)) return
+
+    try {
+      const receipt = await this.provider.getTransactionReceipt(entry.hash)
+      if (receipt) {
+        if (receipt.status === 0) {
+          this.update(entry.id, { status: TRANSACTION_STATUS.failed, blockNumber: receipt.blockNumber, error: await this.decodeRevert(entry, receipt) })
+        } else {
+          this.markMined(entry.id, receipt)
+        }
+        return
+      }
+
+      const tx = await this.provider.getTransaction(entry.hash)
+      if (!tx) {
+        // Unknown to the node: either its nonce was used by another
+        // transaction, or it was dropped from the mempool
+        const nonce = await this.provider.getTransactionCount(entry.from, 'latest')
+        this.update(entry.id, nonce > entry.nonce
+          ? { status: TRANSACTION_STATUS.replaced, error: 'Its nonce was used by another transaction' }
+          : { status: TRANSACTION_STATUS.dropped, error: 'The network no longer knows this transaction' })
+        return
+      }
+
+      const startBlock = entry.startBlock ?? await this.provider.getBlockNumber()
+      await this.track(entry.id, tx.replaceableTransaction(startBlock))
+    } catch (error) {
+      console.warn(`Stopped following transaction ${entry.hash}:`, error.message)
+    }
+  }
+
+  // Replay a reverted transaction against the state at its block to recover
+  // the revert data, then decode it with the contract ABI. The block's state
+  // includes the earlier transactions that usually caused the revert.
+  async decodeRevert(entry, receipt) {
+    try {
+      await this.provider.call({
+        from: entry.from,
+        to: entry.to,
+        data: entry.data,
+        value: fromStoredBigInt(entry.value) ?? 0n,
+        blockTag: receipt.blockNumber
+      })
+      return 'Reverted without a reason'
+    } catch (error) {
+      return this.describeError(error)
+    }
+  }
+
+  // Re-send a pending transaction with the same nonce and higher fees
+  async speedUp(id) {
+    const entry = this.get(id)
+    if (!entry || entry.status !== TRANSACTION_STATUS.pending) {
+      throw new Error('Only pending transactions can be sped up')
+    }
+
+    const feeData = await this.provider.getFeeData()
+    const bump = (stored, current) => {
+      const bumped = (fromStoredBigInt(stored) ?? 0n) * GAS_BUMP_PERCENT / 100n
+      return current && current > bumped ? current : bumped
+    }
+    const fees = entry.maxFeePerGas
+      ? {
+          maxPriorityFeePerGas: bump(entry.maxPriorityFeePerGas, feeData.maxPriorityFeePerGas),
+          maxFeePerGas: bump(entry.maxFeePerGas, feeData.maxFeePerGas)
+        }
+      : { gasPrice: bump(entry.gasPrice, feeData.gasPrice) }
+    if (fees.maxFeePerGas && fees.maxFeePerGas < fees.maxPriorityFeePerGas) {
+      fees.maxFeePerGas = fees.maxPriorityFeePerGas
+    }
+
+    try {
+      const tx = await this.signer.sendTransaction({
+        to: entry.to,
+        data: entry.data,
+        value: fromStoredBigInt(entry.value) ?? 0n,
+        nonce: entry.nonce,
+        gasLimit: fromStoredBigInt(entry.gasLimit),
+        ...fees
+      })
+      this.update(id, {
+        hash: tx.hash,
+        previousHashes: [...entry.previousHashes, entry.hash],
+        maxFeePerGas: toStoredBigInt(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toStoredBigInt(tx.maxPriorityFeePerGas),
+        gasPrice: toStoredBigInt(tx.gasPrice)
+      })
+      // The original transaction's wait() reports the replacement
+      if (!this.tracking.has(id)) {
+        this.resume(this.get(id))
+      }
+      return this.get(id)
+    } catch (error) {
+      throw new Error(`Speed up failed: ${this.describeError(error)}`)
+    }
+  }
+
+  // Send a failed, cancelled or dropped transaction's call again
+  async retry(id) {
+    const entry = this.get(id)
+    if (!entry || !RETRYABLE_STATUSES.includes(entry.status)) {
+      throw new Error('Only failed, cancelled or dropped transactions can be retried')
+    }
+
+    const call = { to: entry.to, data: entry.data, value: fromStoredBigInt(entry.value) ?? 0n }
+    let tx
+    let startBlock
+    try {
+      // Surfaces the revert reason before asking the wallet to sign again
+      await this.provider.estimateGas({ ...call, from: entry.from })
+      startBlock = await this.provider.getBlockNumber()
+      tx = await this.signer.sendTransaction(call)
+    } catch (error) {
+      throw new Error(`Retry failed: ${this.describeError(error)}`)
+    }
+
+    const retried = this.add(tx, { label: entry.label, method: entry.method, startBlock, retryOf: id, needsCompletion: true })
+    this.update(id, { retriedBy: retried.id })
+    this.track(retried.id, tx).catch(error => console.warn('Retried transaction failed:', error.message))
+    return retried
+  }
+
+  // Forget finished transactions of the connected wallet
+  clearFinished() {
+    const finished = this.list()
+      .filter(entry => entry.status !== TRANSACTION_STATUS.pending && entry.status !== TRANSACTION_STATUS.confirming)
+      .map(entry => entry.id)
+    this.entries = this.entries.filter(entry => !finished.includes(entry.id))
+    this.save()
+  }
+}
+
+export const transactionQueue = new TransactionQueue()
+export default transactionQueue
@@ -0,0 +1,56 @@
+// How the transaction queue trims its stored history. Run with `npm test`.
+
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+
+// The queue persists to localStorage
+globalThis.localStorage ??= {
+  items: new Map(),
+  getItem(key) { return this.items.get(key) ?? null },
+  setItem(key, value) { this.items.set(key, String(value)) },
+  removeItem(key) { this.items.delete(key) }
+}
+
+const { transactionQueue, TRANSACTION_STATUS } = await import('./transactionQueue.js')
+
+const FROM = '0x1111111111111111111111111111111111111111'
+let nonce = 0
+
+const send = (options = {}) => {
+  nonce += 1
+  const hash = `0x${nonce.toString(16).padStart(64, '0')}`
+  return transactionQueue.add({ hash, from: FROM, to: FROM, data: '0x', nonce }, { label: `#${nonce}`, method: 'uploadDocument', startBlock: 0, ...options })
+}
+
+beforeEach(() => {
+  transactionQueue.entries = []
+})
+
+test('the oldest finished transactions are dropped past 50 entries', () => {
+  const sent = Array.from({ length: 60 }, () => send())
+  sent.forEach(entry => transactionQueue.update(entry.id, { status: TRANSACTION_STATUS.confirmed }))
+
+  assert.equal(transactionQueue.entries.length, 50)
+  assert.deepEqual(transactionQueue.entries.map(entry => entry.id), sent.slice(10).map(entry => entry.id))
+})
+
+test('pending transactions and unapplied results are kept however old', () => {
+  const pending = send()
+  const unapplied = send({ needsCompletion: true })
+  transactionQueue.update(unapplied.id, { status: TRANSACTION_STATUS.confirmed })
+
+  const finished = Array.from({ length: 60 }, () => send())
+  finished.forEach(entry => transactionQueue.update(entry.id, { status: TRANSACTION_STATUS.failed }))
+
+  const ids = transactionQueue.entries.map(entry => entry.id)
+  assert.equal(ids.length, 50)
+  assert.ok(ids.includes(pending.id))
+  assert.ok(ids.includes(unapplied.id))
+  assert.deepEqual(ids.slice(2), finished.slice(12).map(entry => entry.id))
+})
+
+test('open transactions beyond the limit are all kept', () => {
+  const sent = Array.from({ length: 55 }, () => send())
+  assert.equal(transactionQueue.entries.length, 55)
+  assert.ok(sent.every(entry => transactionQueue.get(entry.id)))
+})
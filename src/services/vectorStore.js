@@ -0,0 +1,252 @@
+// Vector stores for the RAG pipeline
+//
+// Every store implements the same interface:
+//   ready                       Promise resolved once persisted records are loaded
+//   add(records)                records: { id, documentId, model, vector, ...chunk metadata }
+//   removeDocument(documentId)  drop every record of a document
+//   search(vector, options)     options: { topK, documentIds, model } -> [{ record, similarity }]
+//   getAll()                    all records currently held
+//   putDocument(document)       document catalog entry: { id, contentHash, cid, ... }
+//   getDocuments()              all catalog entries
+//   deleteDocument(documentId)  drop a catalog entry together with its records
+//   clear()
+
+import { HNSWIndex, dot } from './hnswIndex.js';
+
+const DB_NAME = 'securex-rag';
+const DB_VERSION = 2;
+const VECTOR_STORE = 'vectors';
+const DOCUMENT_STORE = 'documents';
+
+// Schema migrations; MIGRATIONS[n] upgrades a database at version n to n + 1.
+// They run in order inside the versionchange transaction, starting from the
+// version found on disk.
+const MIGRATIONS = [
+  (db) => {
+    const store = db.createObjectStore(VECTOR_STORE, { keyPath: 'id' });
+    store.createIndex('documentId', 'documentId');
+  },
+  (db, transaction) => {
+    const store = db.createObjectStore(DOCUMENT_STORE, { keyPath: 'id' });
+    store.createIndex('contentHash', 'contentHash');
+    store.createIndex('cid', 'cid');
+    // Vectors written before the catalog existed have no source text to
+    // re-chunk from, so they can't be kept consistent; drop them
+    transaction.objectStore(VECTOR_STORE).clear();
+  }
+];
+
+// Below this many candidates an exact scan is both faster and exact
+const BRUTE_FORCE_LIMIT = 2000;
+
+export const normalizeVector = (vector) => {
+  const normalized = Float32Array.from(vector);
+  const magnitude = Math.sqrt(dot(normalized, normalized));
+  if (magnitude > 0) {
+    for (let i = 0; i < normalized.length; i++) {
+      normalized[i] /= magnitude;
+    }
+  }
+  return normalized;
+};
+
+// Exact cosine search over records held in memory
+export class InMemoryVectorStore {
+  constructor() {
+    this.records = new Map();
+    this.documents = new Map();
+    this.ready = Promise.resolve();
+  }
+
+  async add(records) {
+    for (const record of records) {
+      this.records.set(record.id, { ...record, vector: normalizeVector(record.vector) });
+    }
+  }
+
+  async removeDocument(documentId) {
+    for (const [id, record] of this.records) {
+      if (record.documentId === documentId) {
+        this.records.delete(id);
+      }
+    }
+  }
+
+  matches(record, { documentIds, model } = {}) {
+    if (model && record.model !== model) return false;
+    if (documentIds?.length && !documentIds.includes(record.documentId)) return false;
+    return true;
+  }
+
+  async search(vector, { topK = 10, ...filter } = {}) {
+    const query = normalizeVector(vector);
+    return this.getAll()
+      .filter(record => this.matches(record, filter))
+      .map(record => ({ record, similarity: dot(query, record.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, topK);
+  }
+
+  getAll() {
+    return Array.from(this.records.values());
+  }
+
+  async putDocument(document) {
+    this.documents.set(document.id, document);
+  }
+
+  getDocuments() {
+    return Array.from(this.documents.values());
+  }
+
+  async deleteDocument(documentId) {
+    this.documents.delete(documentId);
+    await this.removeDocument(documentId);
+  }
+
+  async clear() {
+    this.records.clear();
+    this.documents.clear();
+  }
+}
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Records persisted in IndexedDB, searched through one HNSW graph per embedding model.
+// The graphs aren't stored; they are rebuilt from the vectors when the store loads.
+export class IndexedDBVectorStore extends InMemoryVectorStore {
+  constructor() {
+    super();
+    this.db = null;
+    this.graphs = new Map();
+    this.ready = this.load();
+  }
+
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        for (let version = event.oldVersion; version < DB_VERSION; version++) {
+          console.log(`[VectorStore] Migrating IndexedDB schema ${version} -> ${version + 1}`);
+          MIGRATIONS[version](request.result, request.transaction);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async load() {
+    try {
+      this.db = await this.openDatabase();
+      const transaction = this.db.transaction([VECTOR_STORE, DOCUMENT_STORE]);
+      const [records, documents] = await Promise.all([
+        requestToPromise(transaction.objectStore(VECTOR_STORE).getAll()),
+        requestToPromise(transaction.objectStore(DOCUMENT_STORE).getAll())
+      ]);
+      records.forEach(record => this.index(record));
+      documents.forEach(document => this.documents.set(document.id, document));
+      console.log(`[VectorStore] Loaded ${records.length} vectors for ${documents.length} documents from IndexedDB`);
+    } catch (error) {
+      // Private browsing and some embedded webviews block IndexedDB
+      console.warn('[VectorStore] IndexedDB unavailable, keeping vectors in memory only:', error);
+      this.db = null;
+    }
+  }
+
+  graphFor(model) {
+    if (!this.graphs.has(model)) {
+      this.graphs.set(model, new HNSWIndex());
+    }
+    return this.graphs.get(model);
+  }
+
+  index(record) {
+    this.records.set(record.id, record);
+    this.graphFor(record.model).insert(record.id, record.vector);
+  }
+
+  unindex(record) {
+    this.records.delete(record.id);
+    this.graphs.get(record.model)?.remove(record.id);
+  }
+
+  async write(storeNames, operation) {
+    if (!this.db) return;
+    const transaction = this.db.transaction(storeNames, 'readwrite');
+    operation(...[].concat(storeNames).map(name => transaction.objectStore(name)));
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async add(records) {
+    await this.ready;
+    const normalized = records.map(record => ({ ...record, vector: normalizeVector(record.vector) }));
+    normalized.forEach(record => {
+      const existing = this.records.get(record.id);
+      if (existing) this.unindex(existing);
+      this.index(record);
+    });
+    await this.write(VECTOR_STORE, store => normalized.forEach(record => store.put(record)));
+  }
+
+  async removeDocument(documentId) {
+    await this.ready;
+    const removed = this.getAll().filter(record => record.documentId === documentId);
+    removed.forEach(record => this.unindex(record));
+    await this.write(VECTOR_STORE, store => removed.forEach(record => store.delete(record.id)));
+  }
+
+  async putDocument(document) {
+    await this.ready;
+    this.documents.set(document.id, document);
+    await this.write(DOCUMENT_STORE, store => store.put(document));
+  }
+
+  async deleteDocument(documentId) {
+    await this.ready;
+    const removed = this.getAll().filter(record => record.documentId === documentId);
+    removed.forEach(record => this.unindex(record));
+    this.documents.delete(documentId);
+    await this.write([VECTOR_STORE, DOCUMENT_STORE], (vectors, documents) => {
+      removed.forEach(record => vectors.delete(record.id));
+      documents.delete(documentId);
+    });
+  }
+
+  async search(vector, { topK = 10, ...filter } = {}) {
+    await this.ready;
+    const candidates = this.getAll().filter(record => this.matches(record, filter));
+    if (candidates.length <= BRUTE_FORCE_LIMIT || !filter.model) {
+      return super.search(vector, { topK, ...filter });
+    }
+
+    const allowed = new Set(candidates.map(record => record.id));
+    return this.graphFor(filter.model)
+      .search(normalizeVector(vector), topK, id => allowed.has(id))
+      .map(({ id, score }) => ({ record: this.records.get(id), similarity: score }));
+  }
+
+  async clear() {
+    await this.ready;
+    this.records.clear();
+    this.graphs.clear();
+    this.documents.clear();
+    await this.write([VECTOR_STORE, DOCUMENT_STORE], (vectors, documents) => {
+      vectors.clear();
+      documents.clear();
+    });
+  }
+}
+
+export const createVectorStore = () => {
+  return typeof indexedDB !== 'undefined' ? new IndexedDBVectorStore() : new InMemoryVectorStore();
+};
+
+export default createVectorStore;
@@ -0,0 +1,260 @@
+// Proof-of-existence checks for local files
+//
+// A file is fingerprinted in the browser (SHA-256 plus the CIDs the upload
+// paths would give it) and its CIDs are looked up in the backend's index of
+// the registry contract's events, with the contract's logs scanned for
+// whatever the index hasn't reached (or all of them without an index). The outcome can be saved as a receipt signed by the checking wallet,
+// so a third party can confirm who ran the check and that the receipt wasn't
+// edited afterwards.
+
+import { ethers } from 'ethers'
+import contractService from './contractService'
+import apiService from './apiService'
+import encryptionService from './encryptionService'
+import { getContractConfig } from '../config/contract'
+import { computeCid, sha256Hex, UPLOAD_CID_OPTIONS, LEGACY_CID_OPTIONS } from '../utils/cid'
+
+const RECEIPT_TYPE = 'SecureXVerificationReceipt'
+const RECEIPT_VERSION = 1
+
+const receiptMessage = (body) => `SecureX verification receipt\n\n${JSON.stringify(body)}`
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[char]))
+
+class VerificationService {
+  // Hash a file and compute its CID under both upload settings: the backend
+  // pipeline (CIDv1, raw leaves) and `ipfs add` defaults used by pinning services
+  async fingerprint(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer())
+    const [sha256, cidV1, cidV0] = await Promise.all([
+      sha256Hex(bytes),
+      computeCid(bytes, UPLOAD_CID_OPTIONS),
+      computeCid(bytes, LEGACY_CID_OPTIONS)
+    ])
+
+    return {
+      name: file.name,
+      size: file.size,
+      type: file.type || 'application/octet-stream',
+      sha256,
+      cids: { cidV1, cidV0 },
+      // Encrypted uploads are registered under their ciphertext's CID
+      encrypted: encryptionService.isEncrypted(bytes)
+    }
+  }
+
+  // Registrations from the event index when it follows this chain's
+  // contract, or null so the caller scans the logs itself
+  async getIndexedRegistrations(cids, contractAddress) {
+    try {
+      const index = await apiService.getChainRegistrations(cids)
+      const sameContract = index.chainId === contractService.chainId &&
+        index.contract?.toLowerCase() === contractAddress.toLowerCase()
+      return sameContract && index.indexedBlock !== null ? index : null
+    } catch (error) {
+      console.warn('Event index unavailable, scanning contract logs:', error.message)
+      return null
+    }
+  }
+
+  async lookupRegistrations(cids) {
+    const contractAddress = contractService.getContractAddress()
+    if (!contractAddress) {
+      return { registrations: [], indexedBlock: null }
+    }
+
+    const index = await this.getIndexedRegistrations(cids, contractAddress)
+    if (!index) {
+      return { registrations: await contractService.findRegistrations(cids), indexedBlock: null }
+    }
+    const registrations = await contractService.findRegistrations(cids, {
+      indexed: index.registrations,
+      fromBlock: index.indexedBlock + 1
+    })
+    return { registrations, indexedBlock: index.indexedBlock }
+  }
+
+  async verifyFile(file) {
+    const fingerprint = await this.fingerprint(file)
+    const contractAddress = contractService.getContractAddress()
+    const { registrations, indexedBlock } = await this.lookupRegistrations(Object.values(fingerprint.cids))
+
+    return {
+      file: fingerprint,
+      network: {
+        chainId: contractService.chainId,
+        name: getContractConfig(contractService.chainId).name,
+        contract: contractAddress || null
+      },
+      registered: registrations.length > 0,
+      registrations,
+      // Block the backend index covered; later blocks were scanned directly
+      indexedBlock,
+      checkedAt: new Date().toISOString()
+    }
+  }
+
+  // Sign a verification result with the connected wallet
+  async createReceipt(result, signer) {
+    if (!signer) {
+      throw new Error('Connect a wallet to sign a verification receipt')
+    }
+    if (!result.network.contract) {
+      throw new Error('Receipts need the registry contract on this network')
+    }
+
+    const body = {
+      type: RECEIPT_TYPE,
+      version: RECEIPT_VERSION,
+      file: {
+        name: result.file.name,
+        size: result.file.size,
+        type: result.file.type,
+        sha256: result.file.sha256,
+        cids: result.file.cids
+      },
+      network: result.network,
+      status: result.registered ? 'registered' : 'not-registered',
+      registrations: result.registrations.map(registration => ({
+        documentId: registration.documentId,
+        version: registration.version,
+        ipfsHash: registration.ipfsHash,
+        uploader: registration.uploader,
+        blockNumber: registration.blockNumber,
+        blockHash: registration.blockHash,
+        transactionHash: registration.transactionHash,
+        registeredAt: registration.registeredAt
+      })),
+      checkedAt: result.checkedAt,
+      verifier: ethers.getAddress(await signer.getAddress())
+    }
+
+    try {
+      return { ...body, signature: await signer.signMessage(receiptMessage(body)) }
+    } catch (error) {
+      throw new Error(error.code === 'ACTION_REJECTED'
+        ? 'Signature request rejected, so no receipt was created'
+        : `Failed to sign the receipt: ${error.shortMessage || error.message}`)
+    }
+  }
+
+  // Whether a receipt is intact and was signed by the wallet it names
+  verifyReceipt(receipt) {
+    const { signature, ...body } = receipt
+    if (body.type !== RECEIPT_TYPE || !signature) return false
+    try {
+      return ethers.verifyMessage(receiptMessage(body), signature) === ethers.getAddress(body.verifier)
+    } catch {
+      return false
+    }
+  }
+
+  receiptFileName(receipt, extension) {
+    return `verification-${receipt.file.name.replace(/[^\w.-]+/g, '_')}-${receipt.checkedAt.slice(0, 10)}.${extension}`
+  }
+
+  saveFile(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    document.body.appendChild(link)
+    link.click()
+    document.body.removeChild(link)
+    setTimeout(() => URL.revokeObjectURL(url), 1000)
+  }
+
+  downloadReceiptJson(receipt) {
+    this.saveFile(JSON.stringify(receipt, null, 2), this.receiptFileName(receipt, 'json'), 'application/json')
+  }
+
+  downloadReceiptHtml(receipt) {
+    this.saveFile(this.renderReceiptHtml(receipt), this.receiptFileName(receipt, 'html'), 'text/html')
+  }
+
+  // Printable receipt; the JSON it was signed from is embedded so the HTML
+  // file alone is enough to check the signature
+  renderReceiptHtml(receipt) {
+    const explorer = getContractConfig(receipt.network.chainId).blockExplorer
+    const txLink = (hash) => explorer
+      ? `<a href="${escapeHtml(`${explorer}/tx/${hash}`)}">${escapeHtml(hash)}</a>`
+      : escapeHtml(hash)
+    const rows = (entries) => entries
+      .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${value}</td></tr>`)
+      .join('')
+
+    const registrations = receipt.registrations.length === 0
+      ? '<p class="mismatch">No registration of this file was found in the registry contract.</p>'
+      : receipt.registrations.map(registration => `
+        <table>${rows([
+          ['Document', `#${escapeHtml(registration.documentId)} (version ${escapeHtml(registration.version)})`],
+          ['Registered by', `<code>${escapeHtml(registration.uploader)}</code>`],
+          ['Registered at', escapeHtml(new Date(registration.registeredAt).toUTCString())],
+          ['Block', escapeHtml(registration.blockNumber)],
+          ['Transaction', `<code>${txLink(registration.transactionHash)}</code>`],
+          ['CID', `<code>${escapeHtml(registration.ipfsHash)}</code>`]
+        ])}</table>`).join('')
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Verification receipt: ${escapeHtml(receipt.file.name)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; max-width: 760px; margin: 2rem auto; padding: 0 1rem; color: #111; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; }
+  table { width: 100%; border-collapse: collapse; margin: 0.75rem 0; }
+  th { text-align: left; width: 30%; padding: 0.4rem; vertical-align: top; color: #555; font-weight: 600; }
+  td { padding: 0.4rem; word-break: break-all; }
+  tr { border-bottom: 1px solid #eee; }
+  code, pre { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: 0.85rem; }
+  pre { background: #f6f6f6; padding: 1rem; white-space: pre-wrap; word-break: break-all; }
+  .status { display: inline-block; padding: 0.25rem 0.75rem; border-radius: 999px; font-weight: 600; }
+  .registered { background: #dcfce7; color: #166534; }
+  .mismatch, .not-registered { background: #fee2e2; color: #991b1b; }
+  .mismatch { padding: 0.75rem; border-radius: 0.5rem; }
+  @media print { .no-print { display: none; } }
+</style>
+</head>
+<body>
+<h1>SecureX verification receipt</h1>
+<p class="status ${escapeHtml(receipt.status)}">${receipt.status === 'registered' ? 'Registered on chain' : 'Not registered'}</p>
+
+<h2>File</h2>
+<table>${rows([
+  ['Name', escapeHtml(receipt.file.name)],
+  ['Size', `${escapeHtml(receipt.file.size)} bytes`],
+  ['SHA-256', `<code>${escapeHtml(receipt.file.sha256)}</code>`],
+  ['CIDv1', `<code>${escapeHtml(receipt.file.cids.cidV1)}</code>`],
+  ['CIDv0', `<code>${escapeHtml(receipt.file.cids.cidV0)}</code>`]
+])}</table>
+
+<h2>Registrations</h2>
+${registrations}
+
+<h2>Check</h2>
+<table>${rows([
+  ['Network', `${escapeHtml(receipt.network.name)} (chain ${escapeHtml(receipt.network.chainId)})`],
+  ['Contract', `<code>${escapeHtml(receipt.network.contract)}</code>`],
+  ['Checked at', escapeHtml(new Date(receipt.checkedAt).toUTCString())],
+  ['Checked by', `<code>${escapeHtml(receipt.verifier)}</code>`],
+  ['Signature', `<code>${escapeHtml(receipt.signature)}</code>`]
+])}</table>
+
+<h2>Signed data</h2>
+<p>The signature is an Ethereum personal_sign signature by the checking wallet over
+"SecureX verification receipt", a blank line, and the compact JSON serialization
+of the data below without its <code>signature</code> field.</p>
+<pre>${escapeHtml(JSON.stringify(receipt, null, 2))}</pre>
+
+<button class="no-print" onclick="window.print()">Print</button>
+</body>
+</html>`
+  }
+}
+
+export const verificationService = new VerificationService()
+export default verificationService
@@ -0,0 +1,505 @@
+/**
+ * IPFS content identifiers computed in the browser
+ *
+ * Builds the same UnixFS file DAG as `ipfs add` / ipfs-unixfs-importer
+ * (chunked leaves, balanced layout) and returns its root CID, so a local
+ * file can be checked against a registered CID without uploading it. Uploads
+ * that don't get their CID from a node (browser storage, CAR uploads) derive
+ * it here, so a file gets the same CID wherever it goes. It also reads DAGs
+ * back, checking blocks fetched from gateways against their CIDs.
+ */
+
+const CODEC_RAW = 0x55
+const CODEC_DAG_PB = 0x70
+const CODEC_CAR = 0x0202
+const MULTIHASH_SHA2_256 = 0x12
+const UNIXFS_TYPE_FILE = 2
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567'
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+
+/**
+ * DAG settings of the backend upload pipeline (backend/services/uploadService.js)
+ */
+export const UPLOAD_CID_OPTIONS = {
+  cidVersion: 1,
+  rawLeaves: true,
+  chunker: 'size-262144',
+  maxChildrenPerNode: 174
+}
+
+/**
+ * Defaults of `ipfs add` without flags, which pinning services also use
+ */
+export const LEGACY_CID_OPTIONS = {
+  cidVersion: 0,
+  rawLeaves: false,
+  chunker: 'size-262144',
+  maxChildrenPerNode: 174
+}
+
+const varint = (value) => {
+  const bytes = []
+  let remaining = value
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80)
+    remaining = Math.floor(remaining / 0x80)
+  }
+  bytes.push(remaining)
+  return bytes
+}
+
+const concat = (parts) => {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    result.set(part, offset)
+    offset += part.length
+  }
+  return result
+}
+
+// Protobuf fields: varint (wire type 0) and length-delimited (wire type 2)
+const varintField = (field, value) => Uint8Array.from([...varint(field << 3), ...varint(value)])
+const bytesField = (field, bytes) => concat([Uint8Array.from([...varint((field << 3) | 2), ...varint(bytes.length)]), bytes])
+
+// UnixFS Data message for a file node
+const encodeUnixFsFile = ({ data, blockSizes = [] }) => {
+  const fileSize = (data?.length || 0) + blockSizes.reduce((sum, size) => sum + size, 0)
+  return concat([
+    varintField(1, UNIXFS_TYPE_FILE),
+    ...(data?.length ? [bytesField(2, data)] : []),
+    varintField(3, fileSize),
+    ...blockSizes.map(size => varintField(4, size))
+  ])
+}
+
+// dag-pb PBNode; links are written before data, as the codec requires
+const encodeDagPb = ({ data, links = [] }) => concat([
+  ...links.map(link => bytesField(2, concat([
+    bytesField(1, link.cid.bytes),
+    bytesField(2, new Uint8Array(0)),
+    varintField(3, link.size)
+  ]))),
+  bytesField(1, data)
+])
+
+const encodeBase32 = (bytes) => {
+  let output = ''
+  let buffer = 0
+  let bits = 0
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(buffer >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(buffer << (5 - bits)) & 31]
+  }
+  return output
+}
+
+const encodeBase58 = (bytes) => {
+  const digits = [0]
+  for (const byte of bytes) {
+    let carry = byte
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8
+      digits[i] = carry % 58
+      carry = Math.floor(carry / 58)
+    }
+    while (carry > 0) {
+      digits.push(carry % 58)
+      carry = Math.floor(carry / 58)
+    }
+  }
+  let output = ''
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) output += '1'
+  for (let i = digits.length - 1; i >= 0; i--) output += BASE58_ALPHABET[digits[i]]
+  return output
+}
+
+const createCid = async (version, codec, block, base) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', block))
+  const multihash = concat([Uint8Array.from([MULTIHASH_SHA2_256, digest.length]), digest])
+  // CIDv0 is a bare base58btc multihash; CIDv1 carries a multibase prefix
+  const bytes = version === 0 ? multihash : concat([Uint8Array.from([1, ...varint(codec)]), multihash])
+  return {
+    bytes,
+    toString: () => {
+      if (version === 0) return encodeBase58(bytes)
+      return base === 'base58btc' ? `z${encodeBase58(bytes)}` : `b${encodeBase32(bytes)}`
+    }
+  }
+}
+
+/**
+ * Build a chunker that splits file bytes into leaf chunks
+ * @param {string|Function} chunker - `size-<bytes>` as in `ipfs add --chunker`,
+ *   or a function that takes the bytes and returns their chunks in order
+ * @returns {Function} - (bytes: Uint8Array) => Uint8Array[]
+ */
+export const createChunker = (chunker) => {
+  if (typeof chunker === 'function') return chunker
+
+  const size = Number(/^size-(\d+)$/.exec(chunker)?.[1])
+  if (!size) {
+    throw new Error(`Unsupported chunker "${chunker}"; use size-<bytes> or a function`)
+  }
+  return (bytes) => {
+    const chunks = []
+    for (let offset = 0; offset < bytes.length; offset += size) {
+      chunks.push(bytes.subarray(offset, offset + size))
+    }
+    return chunks
+  }
+}
+
+/**
+ * SHA-256 of some bytes as lowercase hex
+ * @param {Uint8Array|ArrayBuffer} bytes - The content to hash
+ * @returns {Promise<string>}
+ */
+export const sha256Hex = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes))
+  return Array.from(digest, byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+// Build the UnixFS DAG of some bytes, keeping every block when `keepBlocks`
+// is set (for CAR export) and only the CIDs otherwise
+const buildDag = async (content, options, keepBlocks) => {
+  const { cidVersion, rawLeaves, chunker, maxChildrenPerNode, cidBase = 'base32' } = { ...UPLOAD_CID_OPTIONS, ...options }
+  if (cidVersion === 0 && rawLeaves) {
+    throw new Error('CIDv0 cannot address raw leaves')
+  }
+  const bytes = content instanceof Uint8Array ? content : new Uint8Array(content)
+  const blocks = []
+  const addBlock = async (version, codec, block) => {
+    const cid = await createCid(version, codec, block, cidBase)
+    if (keepBlocks) blocks.push({ cid, bytes: block })
+    return cid
+  }
+
+  // Leaves: an empty file still has one (empty) chunk
+  const chunks = createChunker(chunker)(bytes)
+  let nodes = []
+  for (const chunk of chunks.length > 0 ? chunks : [new Uint8Array(0)]) {
+    if (rawLeaves) {
+      nodes.push({ cid: await addBlock(1, CODEC_RAW, chunk), size: chunk.length, fileSize: chunk.length })
+    } else {
+      const block = encodeDagPb({ data: encodeUnixFsFile({ data: chunk }) })
+      nodes.push({ cid: await addBlock(cidVersion, CODEC_DAG_PB, block), size: block.length, fileSize: chunk.length })
+    }
+  }
+
+  // Balanced layout: group up to maxChildrenPerNode nodes under a parent until one root remains
+  while (nodes.length > 1) {
+    const parents = []
+    for (let i = 0; i < nodes.length; i += maxChildrenPerNode) {
+      const children = nodes.slice(i, i + maxChildrenPerNode)
+      const block = encodeDagPb({
+        data: encodeUnixFsFile({ blockSizes: children.map(child => child.fileSize) }),
+        links: children
+      })
+      parents.push({
+        cid: await addBlock(cidVersion, CODEC_DAG_PB, block),
+        size: block.length + children.reduce((sum, child) => sum + child.size, 0),
+        fileSize: children.reduce((sum, child) => sum + child.fileSize, 0)
+      })
+    }
+    nodes = parents
+  }
+
+  return { root: nodes[0].cid, blocks }
+}
+
+/**
+ * Compute the root CID IPFS assigns to a file's bytes
+ * @param {Uint8Array|ArrayBuffer} content - The file's bytes
+ * @param {Object} [options] - DAG settings; defaults to UPLOAD_CID_OPTIONS
+ * @param {0|1} [options.cidVersion] - CID version (CIDv0 requires rawLeaves false)
+ * @param {boolean} [options.rawLeaves] - Store chunks as raw blocks instead of UnixFS nodes
+ * @param {string|Function} [options.chunker] - Chunker, see createChunker
+ * @param {number} [options.maxChildrenPerNode] - Links per node in the balanced layout
+ * @param {'base32'|'base58btc'} [options.cidBase] - Multibase of a CIDv1 (CIDv0 is always base58btc)
+ * @returns {Promise<string>} - The CID string
+ */
+export const computeCid = async (content, options = {}) => (await buildDag(content, options, false)).root.toString()
+
+/**
+ * Pack a file's DAG into a CARv1 archive, as storage services that take
+ * pre-built DAGs (w3up) expect
+ * @param {Uint8Array|ArrayBuffer} content - The file's bytes
+ * @param {Object} [options] - DAG settings, as for computeCid (CIDv1 only)
+ * @returns {Promise<{root: string, car: Uint8Array, carCid: string}>} - The file's
+ *   root CID, the archive, and the archive's own CID (CAR codec)
+ */
+export const encodeCar = async (content, options = {}) => {
+  const { root, blocks } = await buildDag(content, { ...options, cidVersion: 1 }, true)
+
+  // Header is the dag-cbor map {roots: [root], version: 1}; keys sort by length
+  const rootLink = concat([Uint8Array.from([0xd8, 0x2a, 0x58, root.bytes.length + 1, 0x00]), root.bytes])
+  const text = (value) => concat([Uint8Array.from([0x60 + value.length]), new TextEncoder().encode(value)])
+  const header = concat([Uint8Array.from([0xa2]), text('roots'), Uint8Array.from([0x81]), rootLink, text('version'), Uint8Array.from([0x01])])
+
+  const car = concat([
+    Uint8Array.from(varint(header.length)),
+    header,
+    // Parents are built after their children; put the root first as readers
+    // expect, and repeated chunks only once
+    ...[...new Map(blocks.map(block => [block.cid.toString(), block])).values()].reverse().flatMap(block => [
+      Uint8Array.from(varint(block.cid.bytes.length + block.bytes.length)),
+      block.cid.bytes,
+      block.bytes
+    ])
+  ])
+  const carCid = await createCid(1, CODEC_CAR, car, 'base32')
+  return { root: root.toString(), car, carCid: carCid.toString() }
+}
+
+/**
+ * Compute the root CID of a File or Blob
+ * @param {Blob} file - The file to address
+ * @param {Object} [options] - DAG settings, as for computeCid
+ * @returns {Promise<string>}
+ */
+export const computeFileCid = async (file, options = {}) => computeCid(new Uint8Array(await file.arrayBuffer()), options)
+
+// Reading DAGs back: CID parsing, CAR and dag-pb decoding, and reassembling a
+// file from blocks that are each checked against their CID
+
+const MULTIHASH_IDENTITY = 0x00
+const UNIXFS_TYPE_RAW = 0
+
+const readVarint = (bytes, offset) => {
+  let value = 0
+  let scale = 1
+  let position = offset
+  for (;;) {
+    if (position >= bytes.length) throw new Error('Truncated varint')
+    const byte = bytes[position++]
+    value += (byte & 0x7f) * scale
+    if (byte < 0x80) return [value, position]
+    scale *= 0x80
+  }
+}
+
+const decodeBase32 = (text) => {
+  const bytes = []
+  let buffer = 0
+  let bits = 0
+  for (const char of text) {
+    const value = BASE32_ALPHABET.indexOf(char)
+    if (value < 0) throw new Error(`Invalid base32 character "${char}"`)
+    buffer = ((buffer << 5) | value) & 0xffff
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((buffer >>> (bits - 8)) & 0xff)
+      bits -= 8
+    }
+  }
+  return Uint8Array.from(bytes)
+}
+
+const decodeBase58 = (text) => {
+  const bytes = [0]
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char)
+    if (carry < 0) throw new Error(`Invalid base58 character "${char}"`)
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58
+      bytes[i] = carry & 0xff
+      carry >>= 8
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff)
+      carry >>= 8
+    }
+  }
+  for (let i = 0; i < text.length && text[i] === '1'; i++) bytes.push(0)
+  return Uint8Array.from(bytes.reverse())
+}
+
+// A decoded CID; toString gives CIDv1 in base32, as gateways expect in paths
+const decodedCid = (version, codec, hashCode, digest, bytes) => ({
+  version,
+  codec,
+  hashCode,
+  digest,
+  bytes,
+  toString: () => (version === 0 ? encodeBase58(bytes) : `b${encodeBase32(bytes)}`)
+})
+
+// Parse binary CID at the start of `bytes`; returns the CID and its length
+const readCid = (bytes, offset = 0) => {
+  // CIDv0 is a bare sha2-256 multihash
+  if (bytes[offset] === MULTIHASH_SHA2_256 && bytes[offset + 1] === 32) {
+    const cidBytes = bytes.subarray(offset, offset + 34)
+    return [decodedCid(0, CODEC_DAG_PB, MULTIHASH_SHA2_256, cidBytes.subarray(2), cidBytes), 34]
+  }
+  const [version, afterVersion] = readVarint(bytes, offset)
+  if (version !== 1) throw new Error(`Unsupported CID version ${version}`)
+  const [codec, afterCodec] = readVarint(bytes, afterVersion)
+  const [hashCode, afterCode] = readVarint(bytes, afterCodec)
+  const [length, afterLength] = readVarint(bytes, afterCode)
+  const end = afterLength + length
+  if (end > bytes.length) throw new Error('Truncated CID')
+  return [decodedCid(version, codec, hashCode, bytes.subarray(afterLength, end), bytes.subarray(offset, end)), end - offset]
+}
+
+/**
+ * Parse a CID string (CIDv0, or CIDv1 in base32 or base58btc)
+ * @param {string} text - The CID
+ * @returns {{version: number, codec: number, hashCode: number, digest: Uint8Array, bytes: Uint8Array, toString: Function}}
+ */
+export const parseCid = (text) => {
+  let bytes
+  if (text.length === 46 && text.startsWith('Qm')) {
+    bytes = decodeBase58(text)
+  } else if (text[0] === 'b') {
+    bytes = decodeBase32(text.slice(1).toLowerCase())
+  } else if (text[0] === 'z') {
+    bytes = decodeBase58(text.slice(1))
+  } else {
+    throw new Error(`Unsupported CID encoding: ${text}`)
+  }
+  const [cid, length] = readCid(bytes)
+  if (length !== bytes.length) throw new Error(`Malformed CID: ${text}`)
+  return cid
+}
+
+/**
+ * The CIDv1 base32 form of a CID, so a CIDv0 and the CIDv1 of the same
+ * content compare equal
+ * @param {string} text - Any CID parseCid accepts
+ * @returns {string}
+ */
+export const toCidV1 = (text) => {
+  const cid = parseCid(text)
+  if (cid.version === 1) return cid.toString()
+  return `b${encodeBase32(concat([Uint8Array.from([1, ...varint(cid.codec)]), cid.bytes]))}`
+}
+
+// Map key for a binary CID
+const cidKey = (cid) => Array.from(cid.bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+/**
+ * Check that a block's bytes hash to its CID
+ * @param {Object} cid - Parsed CID
+ * @param {Uint8Array} block - The block's bytes
+ * @returns {Promise<boolean>}
+ */
+export const verifyBlock = async (cid, block) => {
+  if (cid.hashCode === MULTIHASH_IDENTITY) {
+    return cid.digest.length === block.length && cid.digest.every((byte, i) => byte === block[i])
+  }
+  if (cid.hashCode !== MULTIHASH_SHA2_256) {
+    throw new Error(`Unsupported multihash 0x${cid.hashCode.toString(16)}`)
+  }
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', block))
+  return digest.length === cid.digest.length && digest.every((byte, i) => byte === cid.digest[i])
+}
+
+/**
+ * Split a CARv1 archive into its blocks (unverified)
+ * @param {Uint8Array} car - The archive
+ * @returns {Map<string, {cid: Object, bytes: Uint8Array}>} - Blocks by CID
+ */
+export const decodeCar = (car) => {
+  const [headerLength, afterHeaderLength] = readVarint(car, 0)
+  let offset = afterHeaderLength + headerLength
+  const blocks = new Map()
+  while (offset < car.length) {
+    const [sectionLength, sectionStart] = readVarint(car, offset)
+    const sectionEnd = sectionStart + sectionLength
+    if (sectionEnd > car.length) throw new Error('Truncated CAR section')
+    const [cid, cidLength] = readCid(car, sectionStart)
+    blocks.set(cidKey(cid), { cid, bytes: car.subarray(sectionStart + cidLength, sectionEnd) })
+    offset = sectionEnd
+  }
+  return blocks
+}
+
+// Walk the protobuf fields of a message: (field, wireType, value) where value
+// is a number for varints and bytes for length-delimited fields
+const readProtobuf = (bytes, visit) => {
+  let offset = 0
+  while (offset < bytes.length) {
+    const [key, afterKey] = readVarint(bytes, offset)
+    const field = Math.floor(key / 8)
+    const wireType = key & 7
+    if (wireType === 0) {
+      const [value, next] = readVarint(bytes, afterKey)
+      visit(field, wireType, value)
+      offset = next
+    } else if (wireType === 2) {
+      const [length, start] = readVarint(bytes, afterKey)
+      if (start + length > bytes.length) throw new Error('Truncated protobuf field')
+      visit(field, wireType, bytes.subarray(start, start + length))
+      offset = start + length
+    } else if (wireType === 1 || wireType === 5) {
+      offset = afterKey + (wireType === 1 ? 8 : 4)
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`)
+    }
+  }
+}
+
+const decodeDagPb = (block) => {
+  const node = { data: null, links: [] }
+  readProtobuf(block, (field, wireType, value) => {
+    if (field === 1 && wireType === 2) node.data = value
+    if (field === 2 && wireType === 2) {
+      readProtobuf(value, (linkField, linkWireType, linkValue) => {
+        if (linkField === 1 && linkWireType === 2) node.links.push(readCid(linkValue)[0])
+      })
+    }
+  })
+  return node
+}
+
+const decodeUnixFs = (data) => {
+  const unixfs = { type: null, data: null }
+  readProtobuf(data || new Uint8Array(0), (field, wireType, value) => {
+    if (field === 1 && wireType === 0) unixfs.type = value
+    if (field === 2 && wireType === 2) unixfs.data = value
+  })
+  return unixfs
+}
+
+/**
+ * Reassemble a UnixFS file from its blocks, checking every block against the
+ * CID it was linked by, so the result is exactly the content the CID names
+ * @param {string} cid - Root CID of the file
+ * @param {Function} getBlock - async (cid, key) => Uint8Array for a parsed CID
+ * @returns {Promise<Uint8Array>} - The file's bytes
+ * @throws {Error} - With `integrity: true` when a block doesn't match its CID
+ */
+export const exportFile = async (cid, getBlock) => {
+  const chunks = []
+  const visit = async (node) => {
+    const block = await getBlock(node, cidKey(node))
+    if (!await verifyBlock(node, block)) {
+      throw Object.assign(new Error(`Block ${cidKey(node)} doesn't match its CID`), { integrity: true })
+    }
+    if (node.codec === CODEC_RAW) {
+      chunks.push(block)
+      return
+    }
+    if (node.codec !== CODEC_DAG_PB) {
+      throw new Error(`Unsupported codec 0x${node.codec.toString(16)}`)
+    }
+    const { data, links } = decodeDagPb(block)
+    const unixfs = decodeUnixFs(data)
+    if (unixfs.type !== UNIXFS_TYPE_FILE && unixfs.type !== UNIXFS_TYPE_RAW) {
+      throw new Error('CID is not a file')
+    }
+    if (unixfs.data?.length) chunks.push(unixfs.data)
+    for (const link of links) await visit(link)
+  }
+  await visit(parseCid(cid))
+  return concat(chunks)
+}
@@ -0,0 +1,78 @@
+// Fixtures are the CIDs Kubo's `ipfs add` gives the same bytes (checked
+// against ipfs-unixfs-importer): `--cid-version 0` for LEGACY_CID_OPTIONS,
+// `--cid-version 1 --raw-leaves` for UPLOAD_CID_OPTIONS.
+// Run with `npm test`.
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  computeCid,
+  encodeCar,
+  decodeCar,
+  exportFile,
+  toCidV1,
+  UPLOAD_CID_OPTIONS,
+  LEGACY_CID_OPTIONS
+} from './cid.js'
+
+const CHUNK_SIZE = 262144
+
+// Deterministic bytes that don't repeat within a chunk
+const pattern = (length) => Uint8Array.from({ length }, (_, i) => i % 251)
+
+const FIXTURES = [
+  {
+    name: 'empty file',
+    bytes: () => new Uint8Array(0),
+    v0: 'QmbFMke1KXqnYyBBWxB74N4c5SBnJMVAiMNRcGu6x1AwQH',
+    v1: 'bafkreihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku'
+  },
+  {
+    name: 'hello world',
+    bytes: () => new TextEncoder().encode('hello world\n'),
+    v0: 'QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o',
+    v1: 'bafkreifjjcie6lypi6ny7amxnfftagclbuxndqonfipmb64f2km2devei4'
+  },
+  {
+    name: 'exactly one chunk',
+    bytes: () => pattern(CHUNK_SIZE),
+    v0: 'QmeqfRyS3vkku7n6krqC3DgGMex3x2sCpSeKMDmrG13QQq',
+    v1: 'bafkreibruh455iawsviqslif5c7uurdcfdemh22mtnytyzvnzn75kpejxy'
+  },
+  {
+    name: 'one byte over a chunk',
+    bytes: () => pattern(CHUNK_SIZE + 1),
+    v0: 'QmUSjGawaz4ptvREcMKSMJneWCa5j8dAz2wSAAvHtW2rnB',
+    v1: 'bafybeiexg2oqkfnj56l7fcmawswqbijt5shq4b5rg6a546uwpkqqzwjioi'
+  },
+  {
+    // One leaf more than a node holds, so the tree gets a second level
+    name: 'two-level tree',
+    bytes: () => pattern(174 * CHUNK_SIZE + 1),
+    v0: 'QmTedsTekQQkgACJXb1sPZSW8bLdS9LPMrT7L4YdjNRd4n',
+    v1: 'bafybeib4y7ghw2rq7bracc4xwtxrbzo7cfvagdpte2tmrkgwl6dyard3cm'
+  }
+]
+
+for (const fixture of FIXTURES) {
+  test(`computeCid matches Kubo for ${fixture.name}`, async () => {
+    const bytes = fixture.bytes()
+    assert.equal(await computeCid(bytes, LEGACY_CID_OPTIONS), fixture.v0)
+    assert.equal(await computeCid(bytes, UPLOAD_CID_OPTIONS), fixture.v1)
+  })
+}
+
+test('toCidV1 converts a CIDv0 to the same multihash in CIDv1', () => {
+  assert.equal(toCidV1(FIXTURES[1].v0), 'bafybeicg2rebjoofv4kbyovkw7af3rpiitvnl6i7ckcywaq6xjcxnc2mby')
+  assert.equal(toCidV1(FIXTURES[1].v1), FIXTURES[1].v1)
+})
+
+test('a CAR from encodeCar reads back to the same file', async () => {
+  const bytes = pattern(3 * CHUNK_SIZE + 17)
+  const { root, car } = await encodeCar(bytes)
+  assert.equal(root, await computeCid(bytes))
+
+  const blocks = decodeCar(car)
+  const exported = await exportFile(root, (cid, key) => blocks.get(key).bytes)
+  assert.deepEqual(new Uint8Array(exported), bytes)
+})
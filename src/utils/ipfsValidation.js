@@ -1,4 +1,6 @@
-import realIpfsService from '../services/realIpfsService'
+import storageService from '../services/storageService'
+import retrievalService from '../services/retrievalService'
+import { IPFS_CONFIG } from '../config/contract'
 
 export const validateIPFSIntegration = async () => {
   console.log('🔍 Starting IPFS integration validation...')
@@ -9,44 +11,34 @@ export const validateIPFSIntegration = async () => {
     const testContent = new Blob(['Hello IPFS! This is a test file from SecureX.'], { type: 'text/plain' })
     const testFile = new File([testContent], 'test-file.txt', { type: 'text/plain' })
     
-    // Test upload
-    console.log('⬆️ Test 2: File upload simulation...')
-    const uploadResult = await realIpfsService.uploadFile(testFile, (progress) => {
-      console.log(`📊 Upload progress: ${progress}%`)
-    })
-    
+    // Test upload through the selected storage provider
+    const provider = storageService.provider
+    console.log(`⬆️ Test 2: File upload to ${provider.name}...`)
+    const uploadResult = await provider.upload(testFile)
+
     console.log('✅ Upload result:', uploadResult)
-    
-    if (uploadResult.success && uploadResult.hash) {
+
+    if (uploadResult.cid) {
       console.log('🎉 IPFS Integration Status: WORKING')
-      console.log('📋 Generated IPFS Hash:', uploadResult.hash)
+      console.log('📋 Generated IPFS Hash:', uploadResult.cid)
       console.log('💾 File Size:', uploadResult.size, 'bytes')
       console.log('🏷️ File Type:', uploadResult.type)
-      console.log('🌐 Gateway:', uploadResult.gateway || 'Default')
-      
-      // Test 3: Check if hash is accessible (with timeout)
-      console.log('🔍 Test 3: IPFS accessibility check...')
+      console.log('🌐 Provider:', provider.name)
+
+      // Test 3: Read it back from the provider
+      console.log('🔍 Test 3: Retrieval check...')
       let isAccessible = false
       let metadata = { accessible: false, size: 0, type: 'unknown' }
 
       try {
-        // Add timeout for accessibility check
-        const accessPromise = realIpfsService.checkIPFSAccess(uploadResult.hash)
-        const timeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Accessibility check timeout')), 10000)
-        )
-
-        isAccessible = await Promise.race([accessPromise, timeoutPromise])
+        const blob = await provider.get(uploadResult.cid)
+        isAccessible = (await blob.text()) === (await testFile.text())
         console.log('🌍 IPFS Accessibility:', isAccessible ? 'ACCESSIBLE' : 'NOT ACCESSIBLE')
 
-        // Test 4: Get metadata (with timeout)
+        // Test 4: Pin metadata
         console.log('📊 Test 4: Metadata retrieval...')
-        const metadataPromise = realIpfsService.getFileMetadata(uploadResult.hash)
-        const metadataTimeoutPromise = new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Metadata check timeout')), 10000)
-        )
-
-        metadata = await Promise.race([metadataPromise, metadataTimeoutPromise])
+        const entry = await provider.stat(uploadResult.cid)
+        metadata = { accessible: isAccessible, size: entry.size, type: uploadResult.type, status: entry.status }
         console.log('📋 Metadata:', metadata)
       } catch (error) {
         console.log('⚠️ Network checks skipped due to connectivity issues:', error.message)
@@ -55,9 +47,9 @@ export const validateIPFSIntegration = async () => {
       
       return {
         success: true,
-        ipfsHash: uploadResult.hash,
+        ipfsHash: uploadResult.cid,
         fileSize: uploadResult.size,
-        gateway: uploadResult.gateway,
+        gateway: provider.name,
         accessible: isAccessible,
         metadata: metadata,
         status: 'IPFS INTEGRATION FULLY WORKING ✅'
@@ -77,8 +69,10 @@ export const validateIPFSIntegration = async () => {
 }
 
 export const getIPFSConnectionStatus = () => {
-  const gateways = realIpfsService.gateways || []
+  // Best-scoring gateway first, in the order retrieval tries them
+  const gateways = retrievalService.rank(IPFS_CONFIG.gateways)
   return {
+    provider: storageService.provider.name,
     availableGateways: gateways,
     primaryGateway: gateways[0] || 'Unknown',
     totalGateways: gateways.length,
@@ -89,6 +83,7 @@ export const getIPFSConnectionStatus = () => {
 export const displayIPFSStatus = () => {
   console.log('🌐 IPFS Network Status:')
   const status = getIPFSConnectionStatus()
+  console.log('💾 Storage Provider:', status.provider)
   console.log('📡 Available Gateways:', status.availableGateways)
   console.log('🔗 Primary Gateway:', status.primaryGateway)
   console.log('🔢 Total Gateways:', status.totalGateways)
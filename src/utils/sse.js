@@ -0,0 +1,47 @@
+/**
+ * Utility for consuming Server-Sent Event streams from fetch responses
+ * (EventSource can't POST or send an Authorization header)
+ */
+
+/**
+ * Read an SSE response body and call onEvent for every complete event
+ * @param {Response} response - A fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with { event, data } for each event; data is the raw string
+ * @returns {Promise<void>} - Resolves when the stream ends
+ */
+export const readServerSentEvents = async (response, onEvent) => {
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  const dispatch = (block) => {
+    let event = 'message'
+    const data = []
+    for (const line of block.split(/\r?\n/)) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim()
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''))
+      }
+    }
+    if (data.length) {
+      onEvent({ event, data: data.join('\n') })
+    }
+  }
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    buffer += decoder.decode(value, { stream: true })
+    const blocks = buffer.split(/\r?\n\r?\n/)
+    buffer = blocks.pop()
+    blocks.forEach(dispatch)
+  }
+
+  if (buffer.trim()) {
+    dispatch(buffer)
+  }
+}
+
+export default readServerSentEvents
@@ -2,8 +2,8 @@
 // This file helps test the smart contract integration
 
 import contractService from '../services/contractService'
-import ipfsService from '../services/ipfsService'
-import { getContractConfig } from '../config/contract'
+import storageService from '../services/storageService'
+import { getContractConfig, IPFS_CONFIG } from '../config/contract'
 
 export class IntegrationTester {
   constructor() {
@@ -23,8 +23,8 @@ export class IntegrationTester {
     try {
       const config = getContractConfig(chainId)
       
-      if (!config.contractAddress || config.contractAddress === '0x742d35Cc6506C4A9E6D29F0f9F5a8dF07c9c31a5') {
-        this.log('⚠️ Using example contract address. Please update with your deployed contract address.', 'warning')
+      if (!config.contractAddress) {
+        this.log('⚠️ No contract deployed on this network. Run `npm run contract:deploy` to deploy one.', 'warning')
         return false
       }
       
@@ -92,14 +92,14 @@ export class IntegrationTester {
     try {
       // Test IPFS URL generation
       const testHash = 'QmTestHash123'
-      const ipfsUrl = ipfsService.getIPFSUrl(testHash)
+      const ipfsUrl = `${IPFS_CONFIG.gateways[0]}/${testHash}`
       
       if (!ipfsUrl.includes(testHash)) {
         this.log('❌ IPFS URL generation failed', 'error')
         return false
       }
 
-      this.log('✅ IPFS service working correctly', 'success')
+      this.log(`✅ IPFS service working correctly (storing with ${storageService.provider.name})`, 'success')
       this.log(`🔗 Test IPFS URL: ${ipfsUrl}`, 'info')
       
       return true
@@ -0,0 +1,80 @@
+/**
+ * Line diffs between document versions
+ */
+
+// The LCS table is lines(old) x lines(new); beyond this many cells the diff
+// is skipped rather than freezing the tab
+const MAX_DIFF_CELLS = 4_000_000
+
+const TEXT_EXTENSIONS = ['txt', 'md', 'markdown', 'csv', 'json', 'xml', 'html', 'htm', 'css', 'js', 'jsx', 'ts', 'tsx', 'py', 'sol', 'yml', 'yaml', 'log']
+
+/**
+ * Whether a document can be shown as a line diff
+ * @param {string} fileName - The document's file name
+ * @param {string} [type] - The document's MIME type
+ * @returns {boolean}
+ */
+export const isTextDocument = (fileName, type) => {
+  if (type && (type.startsWith('text/') || type === 'application/json' || type === 'application/xml')) {
+    return true
+  }
+  const extension = fileName?.split('.').pop()?.toLowerCase()
+  return TEXT_EXTENSIONS.includes(extension)
+}
+
+/**
+ * Diff two texts line by line (longest common subsequence)
+ * @param {string} oldText - The earlier version
+ * @param {string} newText - The later version
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>|null} - The
+ *   diff in order, or null when the texts are too large to compare
+ */
+export const diffLines = (oldText, newText) => {
+  const oldLines = oldText.split(/\r?\n/)
+  const newLines = newText.split(/\r?\n/)
+
+  // Common leading and trailing lines don't need the table
+  let start = 0
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++
+  }
+  let oldEnd = oldLines.length
+  let newEnd = newLines.length
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--
+    newEnd--
+  }
+
+  const rows = oldEnd - start
+  const columns = newEnd - start
+  if (rows * columns > MAX_DIFF_CELLS) return null
+
+  // lengths[i][j] is the LCS length of oldLines[start + i..] and newLines[start + j..]
+  const lengths = Array.from({ length: rows + 1 }, () => new Uint32Array(columns + 1))
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = columns - 1; j >= 0; j--) {
+      lengths[i][j] = oldLines[start + i] === newLines[start + j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const diff = oldLines.slice(0, start).map(text => ({ type: 'same', text }))
+  let i = 0
+  let j = 0
+  while (i < rows && j < columns) {
+    if (oldLines[start + i] === newLines[start + j]) {
+      diff.push({ type: 'same', text: oldLines[start + i] })
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push({ type: 'removed', text: oldLines[start + i++] })
+    } else {
+      diff.push({ type: 'added', text: newLines[start + j++] })
+    }
+  }
+  while (i < rows) diff.push({ type: 'removed', text: oldLines[start + i++] })
+  while (j < columns) diff.push({ type: 'added', text: newLines[start + j++] })
+
+  return diff.concat(oldLines.slice(oldEnd).map(text => ({ type: 'same', text })))
+}